@@ -0,0 +1,228 @@
+/**
+ * A2A client
+ *
+ * Mounts the remote A2A agents of an agent (spec.a2aAgents). The Agent Card of each remote agent
+ * is fetched when the agent is compiled, and refreshed in the background; every skill of the card
+ * is a handoff, listed next to the agents discovered on the IO interfaces. A handoff sends the
+ * arguments with message/send in the context of the session, and returns the reply as a Response.
+ */
+import { randomUUID } from 'crypto';
+import { Response } from '../index.js';
+import { isToolAllowed } from '../mcp/client.js';
+import { AGENT_CARD_PATH, TERMINAL_STATES, fromParts, toParts } from './protocol.js';
+import { HandoffError, TransportError } from '../errors/index.js';
+import { injectTraceContext } from '../utils/tracing.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_INTERVAL_MS = 30000;
+
+// Input of the handoffs to remote agents, A2A skills don't describe their input
+const CONTENT_PARAMETERS = {
+    type: 'object',
+    properties: { content: { type: 'string', description: 'The message to the agent' } },
+    required: ['content']
+};
+
+/**
+ * URL of the Agent Card of a remote agent: the URL itself when it points to a JSON file,
+ * or the well-known path under it
+ * @param {string} url - The agent URL or card URL
+ * @returns {string} - The card URL
+ */
+export function agentCardUrl(url) {
+    if (new URL(url).pathname.endsWith('.json')) {
+        return url;
+    }
+    return url.replace(/\/$/, '') + AGENT_CARD_PATH;
+}
+
+/**
+ * Fetch the Agent Card of a remote agent
+ * @param {string} url - The agent URL or card URL
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Object>} - The Agent Card
+ * @throws {TransportError} - If the card can't be fetched
+ */
+export async function fetchAgentCard(url, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const cardUrl = agentCardUrl(url);
+    const res = await fetch(cardUrl, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) {
+        throw new TransportError(`Failed to fetch the Agent Card ${cardUrl}: HTTP ${res.status}`, 'A2A', { url: cardUrl, status: res.status });
+    }
+    const card = await res.json();
+    if (!card?.url) {
+        throw new TransportError(`The Agent Card ${cardUrl} has no url`, 'A2A', { url: cardUrl });
+    }
+    return card;
+}
+
+/**
+ * Send a message to a remote agent with message/send
+ * @param {string} url - The agent URL from its card
+ * @param {Object} message - The A2A message
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Object>} - The task or message replied
+ * @throws {TransportError} - If the request fails or is answered with a JSON-RPC error
+ */
+export async function sendA2AMessage(url, message, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const res = await fetch(url, {
+        method: 'POST',
+        // The trace context of the handoff span, as W3C headers
+        headers: { 'Content-Type': 'application/json', ...headers, ...injectTraceContext() },
+        body: JSON.stringify({ jsonrpc: '2.0', id: randomUUID(), method: 'message/send', params: { message } }),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) {
+        throw new TransportError(`A2A request to ${url} failed: HTTP ${res.status}`, 'A2A', { url, status: res.status });
+    }
+    const reply = await res.json();
+    if (reply.error) {
+        throw new TransportError(`A2A request to ${url} failed: ${reply.error.message}`, 'A2A', { url, code: reply.error.code });
+    }
+    return reply.result;
+}
+
+/**
+ * The content replied by a remote agent: the task artifacts, or else the message of its status
+ * @param {Object} result - The task or message replied
+ * @returns {*} - The content
+ */
+function replyContent(result) {
+    if (result.kind === 'message') {
+        return fromParts(result.parts);
+    }
+    if (result.artifacts?.length > 0) {
+        return fromParts(result.artifacts.flatMap(artifact => artifact.parts));
+    }
+    return fromParts(result.status?.message?.parts);
+}
+
+/**
+ * Create the handoffs to the skills of a remote agent
+ * @param {Object} remote - The remote agent definition
+ * @param {Object} card - Its Agent Card
+ * @param {string} agentName - The agent name, for errors
+ * @returns {Array} - The handoffs { name, schema, function, remote }
+ */
+function skillHandoffs(remote, card, agentName) {
+    const options = { headers: remote.headers, timeoutMs: remote.timeoutMs };
+    const skills = card.skills?.length > 0 ? card.skills : [{ id: card.name, description: card.description }];
+
+    return skills
+        .filter(skill => isToolAllowed(skill.id, remote))
+        .map(skill => {
+            // Tool names only accept letters, digits, _ and -
+            const name = ((remote.toolPrefix || '') + skill.id).replace(/[^a-zA-Z0-9_-]/g, '_');
+            return {
+                name,
+                remote: remote.name,
+                schema: {
+                    name,
+                    description: skill.description || card.description || `Sends a message to the agent ${card.name}`,
+                    parameters: CONTENT_PARAMETERS
+                },
+                function: async (state, input) => {
+                    const args = input || {};
+                    const contextId = state?.id || randomUUID();
+                    const content = Object.keys(args).length === 1 && typeof args.content === 'string' ? args.content : args;
+                    try {
+                        const result = await sendA2AMessage(card.url, {
+                            kind: 'message',
+                            role: 'user',
+                            messageId: randomUUID(),
+                            contextId,
+                            parts: toParts(content),
+                            // Read by agentnet servers, like the session of the handoff messages
+                            metadata: { session: state || {}, skill: skill.id }
+                        }, options);
+                        const taskState = result.kind === 'task' ? result.status?.state : 'completed';
+                        if (TERMINAL_STATES.includes(taskState) && taskState !== 'completed') {
+                            throw new Error(`task ${result.id} ${taskState}: ${replyContent(result)}`);
+                        }
+                        return new Response({
+                            content: replyContent(result),
+                            session: result.metadata?.session || { id: result.contextId || contextId },
+                            // Rolled up into the usage of the calling agent
+                            usage: result.metadata?.usage
+                        }).serialize();
+                    } catch (error) {
+                        throw new HandoffError(
+                            `Handoff to remote agent ${remote.name} failed: ${error.message}`,
+                            agentName,
+                            remote.name,
+                            { skill: skill.id, url: card.url }
+                        );
+                    }
+                }
+            };
+        });
+}
+
+/**
+ * Mount the remote A2A agents of an agent
+ * Cards that can't be fetched are retried later, their skills are missing until then
+ * @param {Array} remotes - The remote agent definitions { name, url, headers, allow, deny, toolPrefix, timeoutMs, refreshIntervalMs }
+ * @param {string} agentName - The agent name
+ * @returns {Promise<Object>} - { handoffs, refresh, close }
+ */
+export async function mountA2AAgents(remotes, agentName) {
+    // Remote agent name -> { handoffs, fetchedAt, retryAt, refreshing }
+    const mounted = new Map(remotes.map(remote => [remote.name, { handoffs: [], fetchedAt: 0, retryAt: 0, refreshing: null }]));
+    let closed = false;
+
+    const load = (remote) => {
+        const entry = mounted.get(remote.name);
+        entry.refreshing ||= fetchAgentCard(remote.url, { headers: remote.headers, timeoutMs: remote.timeoutMs })
+            .then((card) => {
+                entry.handoffs = skillHandoffs(remote, card, agentName);
+                entry.fetchedAt = Date.now();
+                logger.info(`Agent ${agentName} mounted remote A2A agent ${remote.name} with ${entry.handoffs.length} skills`, {
+                    skills: entry.handoffs.map(handoff => handoff.name)
+                });
+            })
+            .catch((error) => {
+                entry.retryAt = Date.now() + RETRY_INTERVAL_MS;
+                logger.warn(`Agent ${agentName} could not fetch the Agent Card of ${remote.name}`, { error: error.message });
+            })
+            .finally(() => {
+                entry.refreshing = null;
+            });
+        return entry.refreshing;
+    };
+
+    /**
+     * Fetch the cards that are missing or stale
+     * @returns {Promise<void>}
+     */
+    const refresh = () => Promise.all(remotes.map((remote) => {
+        const entry = mounted.get(remote.name);
+        const now = Date.now();
+        const stale = entry.fetchedAt > 0
+            ? now - entry.fetchedAt >= (remote.refreshIntervalMs ?? DEFAULT_REFRESH_INTERVAL_MS)
+            : now >= entry.retryAt;
+        return stale ? load(remote) : entry.refreshing;
+    }));
+
+    /**
+     * The handoffs to the remote agents, stale cards are refreshed in the background
+     * @returns {Array} - The handoffs
+     */
+    const handoffs = () => {
+        if (!closed) {
+            refresh();
+        }
+        return [...mounted.values()].flatMap(entry => entry.handoffs);
+    };
+
+    await refresh();
+    return {
+        handoffs,
+        refresh,
+        close: async () => {
+            closed = true;
+        }
+    };
+}
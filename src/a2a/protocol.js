@@ -0,0 +1,70 @@
+/**
+ * A2A protocol
+ *
+ * Shapes of the Agent2Agent protocol (JSON-RPC binding) shared by the A2A server and client:
+ * error codes, the well-known path of the Agent Cards and the conversion between message
+ * parts and agentnet message contents.
+ */
+
+export const A2A_PROTOCOL_VERSION = '0.3.0';
+
+/**
+ * Path of the Agent Card, relative to the agent URL
+ */
+export const AGENT_CARD_PATH = '/.well-known/agent-card.json';
+
+/**
+ * JSON-RPC error codes, standard and A2A specific
+ */
+export const A2AErrorCodes = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    TASK_NOT_FOUND: -32001,
+    TASK_NOT_CANCELABLE: -32002
+};
+
+/**
+ * Task states ending a task
+ */
+export const TERMINAL_STATES = ['completed', 'failed', 'canceled', 'rejected'];
+
+/**
+ * Errors answered as JSON-RPC errors
+ */
+export class A2AError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'A2AError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Converts a message content to A2A parts: text as a text part, anything else as a data part
+ * @param {*} content - The message content
+ * @returns {Array} - The parts
+ */
+export function toParts(content) {
+    if (typeof content === 'string') {
+        return [{ kind: 'text', text: content }];
+    }
+    return [{ kind: 'data', data: content ?? null }];
+}
+
+/**
+ * Converts A2A parts to a message content: the data of a data part, like handoff arguments,
+ * or else the text parts joined
+ * @param {Array} parts - The parts
+ * @returns {*} - The content
+ */
+export function fromParts(parts = []) {
+    const data = parts.find(part => part.kind === 'data');
+    if (data) {
+        return data.data;
+    }
+    return parts.filter(part => part.kind === 'text').map(part => part.text).join('\n');
+}
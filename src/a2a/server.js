@@ -0,0 +1,412 @@
+/**
+ * A2A server
+ *
+ * Publishes agents to the agents of other frameworks over the Agent2Agent protocol (JSON-RPC
+ * over HTTP). Every compiled agent given to the server, and every agent discovered on its IO
+ * interface, has an Agent Card derived from its metadata and discovery schemas:
+ *   GET  /a2a/:namespace/:name/.well-known/agent-card.json  - The Agent Card
+ *   POST /a2a/:namespace/:name                              - JSON-RPC: message/send, message/stream, tasks/get, tasks/cancel
+ *   GET  /.well-known/agent-card.json                       - The Agent Card, when the server publishes a single agent
+ * A message is sent to the agent query as a Message, its contextId being the session id, and
+ * the Response comes back as a completed task. Tasks are kept in memory for tasks/get.
+ */
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { Message } from '../index.js';
+import { AgentTargets, GatewayError, statusOf } from '../gateway/targets.js';
+import { DEFAULT_MAX_BODY_BYTES, readJson, sendJson, sendError, startServer, stopServer } from '../gateway/server.js';
+import { A2A_PROTOCOL_VERSION, AGENT_CARD_PATH, A2AErrorCodes, A2AError, toParts, fromParts } from './protocol.js';
+import { traceContextOf } from '../utils/tracing.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_PORT = Number(process.env.AGENTNET_A2A_PORT) || 8083;
+const DEFAULT_MAX_TASKS = 1000;
+const AGENT_ROUTE = /^\/a2a\/([^/]+)\/([^/]+)(\/\.well-known\/agent-card\.json)?$/;
+const CONTENT_MODES = ['text/plain', 'application/json'];
+
+function rpcResult(id, result) {
+    return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, error) {
+    return {
+        jsonrpc: '2.0',
+        id: id ?? null,
+        error: { code: error.code, message: error.message, ...(error.data !== undefined ? { data: error.data } : {}) }
+    };
+}
+
+/**
+ * Creates an A2A server publishing agents
+ * @param {Object} config - Server configuration
+ * @param {Array} config.agents - Compiled agents published by the server
+ * @param {Object} config.io - IO interface of the network, its discovered agents are published too
+ * @param {Object} config.bindings - Discovery bindings of the IO interface { discoveryTopic, acceptedNetworks, discoveryTtlMs }
+ * @param {number} config.requestTimeout - Timeout of the messages forwarded through the IO interface
+ * @param {string} config.url - Public base URL of the server, the Host of the request by default
+ * @param {string} config.version - Version announced in the Agent Cards
+ * @param {Object} config.provider - Provider announced in the Agent Cards { organization, url }
+ * @param {number} config.maxTasks - Tasks kept in memory for tasks/get
+ * @param {number} config.maxBodyBytes - Maximum size of a request body
+ * @returns {Object} - The server { server, handler, listen, close, agentCard, sendMessage, getTask }
+ */
+export function A2AServer(config = {}) {
+    const {
+        agents = [],
+        version = '1.0.0',
+        provider,
+        maxTasks = DEFAULT_MAX_TASKS,
+        maxBodyBytes = DEFAULT_MAX_BODY_BYTES
+    } = config;
+    const networkOf = (agent) => `${agent.metadata.namespace}.${agent.metadata.name}`;
+    const local = new Map(agents.map(agent => [networkOf(agent), agent]));
+    const targets = AgentTargets({ ...config, agents: Object.fromEntries(local) });
+    // Tasks by id, the oldest are dropped past maxTasks
+    const tasks = new Map();
+
+    /**
+     * The Agent Card of a published agent
+     * @param {string} namespace - The agent namespace
+     * @param {string} name - The agent name
+     * @param {string} baseUrl - Base URL of the server
+     * @returns {Object} - The Agent Card
+     * @throws {GatewayError} - If the agent is not published
+     */
+    const agentCard = (namespace, name, baseUrl = config.url) => {
+        const network = `${namespace}.${name}`;
+        const agent = local.get(network);
+        const discovered = agent ? null : targets.listAgents().find(listed => listed.network === network);
+        if (!agent && !discovered) {
+            throw new GatewayError(404, 'AgentNotFound', `Agent ${network} is not published by this server`);
+        }
+
+        const schemas = agent ? agent.discoverySchemas : discovered.capabilities;
+        const description = agent?.metadata.description || `Agent ${network}`;
+        const skills = schemas?.length > 0
+            ? schemas.map(schema => ({
+                id: schema.name,
+                name: schema.name,
+                description: schema.description || description,
+                tags: [namespace]
+            }))
+            : [{ id: name, name, description, tags: [namespace] }];
+
+        return {
+            protocolVersion: A2A_PROTOCOL_VERSION,
+            name,
+            description,
+            url: `${(baseUrl || '').replace(/\/$/, '')}/a2a/${encodeURIComponent(namespace)}/${encodeURIComponent(name)}`,
+            preferredTransport: 'JSONRPC',
+            version,
+            ...(provider ? { provider } : {}),
+            capabilities: { streaming: true, pushNotifications: false, stateTransitionHistory: false },
+            defaultInputModes: CONTENT_MODES,
+            defaultOutputModes: CONTENT_MODES,
+            skills
+        };
+    };
+
+    /**
+     * Keep a task for tasks/get
+     */
+    const remember = (task) => {
+        tasks.set(task.id, task);
+        if (tasks.size > maxTasks) {
+            tasks.delete(tasks.keys().next().value);
+        }
+    };
+
+    /**
+     * Create the task of a received message, and the Message sent to the agent
+     * @param {string} network - The target network
+     * @param {Object} params - The message/send params { message }
+     * @param {Object|null} trace - The trace context of the request
+     * @returns {Object} - { task, message }
+     * @throws {A2AError} - If the params are invalid
+     */
+    const openTask = (network, params, trace) => {
+        const received = params?.message;
+        if (!received || typeof received !== 'object' || !Array.isArray(received.parts)) {
+            throw new A2AError(A2AErrorCodes.INVALID_PARAMS, 'params.message must be a Message with parts');
+        }
+        if (received.taskId) {
+            // Tasks end with the reply, a follow-up is a new message in the same context
+            const existing = tasks.get(received.taskId);
+            throw existing
+                ? new A2AError(A2AErrorCodes.INVALID_PARAMS, `Task ${received.taskId} is ${existing.status.state}, send a new message in its context`)
+                : new A2AError(A2AErrorCodes.TASK_NOT_FOUND, `Task ${received.taskId} not found`);
+        }
+
+        const taskId = randomUUID();
+        const contextId = received.contextId || randomUUID();
+        // agentnet callers carry the session state in the message metadata, like handoffs
+        const session = received.metadata?.session && typeof received.metadata.session === 'object'
+            ? received.metadata.session
+            : {};
+        const task = {
+            kind: 'task',
+            id: taskId,
+            contextId,
+            status: { state: 'working', timestamp: new Date().toISOString() },
+            history: [{ ...received, taskId, contextId }],
+            metadata: { network }
+        };
+        remember(task);
+
+        return {
+            task,
+            message: new Message({ content: fromParts(received.parts), session: { ...session, id: contextId }, trace })
+        };
+    };
+
+    /**
+     * End a task with the Response of the agent, or the error
+     * @param {Object} task - The task
+     * @param {Response|null} response - The Response
+     * @param {Error} error - The error, if the agent failed
+     * @returns {Object} - The task
+     */
+    const closeTask = (task, response, error = null) => {
+        const parts = error ? [{ kind: 'text', text: error.message }] : toParts(response.getContent());
+        const reply = {
+            kind: 'message',
+            role: 'agent',
+            messageId: randomUUID(),
+            taskId: task.id,
+            contextId: task.contextId,
+            parts
+        };
+        task.status = { state: error ? 'failed' : 'completed', message: reply, timestamp: new Date().toISOString() };
+        task.history.push(reply);
+        if (!error) {
+            task.artifacts = [{ artifactId: randomUUID(), name: 'response', parts }];
+            task.metadata.session = response.getSession();
+            if (response.getUsage()) {
+                task.metadata.usage = response.getUsage();
+            }
+        }
+        return task;
+    };
+
+    /**
+     * Send a message to an agent and wait for the task to end (message/send)
+     * @param {string} namespace - The agent namespace
+     * @param {string} name - The agent name
+     * @param {Object} params - The message/send params { message }
+     * @param {Object|null} trace - The trace context of the request { traceparent, tracestate }
+     * @returns {Promise<Object>} - The completed or failed task
+     */
+    const sendMessage = async (namespace, name, params, trace = null) => {
+        const target = targets.resolve(namespace, name);
+        const { task, message } = openTask(`${namespace}.${name}`, params, trace);
+        try {
+            return closeTask(task, await target.query(message));
+        } catch (error) {
+            if (statusOf(error) === 400) {
+                tasks.delete(task.id);
+                throw new A2AError(A2AErrorCodes.INVALID_PARAMS, error.message);
+            }
+            logger.error(`A2A task ${task.id} of ${namespace}.${name} failed: ${error.message}`, { error });
+            return closeTask(task, null, error);
+        }
+    };
+
+    /**
+     * Answer message/stream with Server-Sent Events: the working task, the text as artifact
+     * chunks, then the whole response artifact and the final status
+     */
+    const streamMessage = async (res, id, namespace, name, params, trace) => {
+        const target = targets.resolve(namespace, name);
+        const { task, message } = openTask(`${namespace}.${name}`, params, trace);
+        const artifactId = randomUUID();
+        const taskRef = { taskId: task.id, contextId: task.contextId };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        const send = (result) => res.write(`data: ${JSON.stringify(rpcResult(id, result))}\n\n`);
+
+        send({ ...task, history: [...task.history] });
+        let chunks = 0;
+        try {
+            for await (const event of target.stream(message)) {
+                // Leaving the loop stops the agent stream
+                if (closed) {
+                    break;
+                }
+                if (typeof event.serialize === 'function') {
+                    closeTask(task, event);
+                } else if (event.type === 'text' && event.delta) {
+                    send({
+                        kind: 'artifact-update',
+                        ...taskRef,
+                        artifact: { artifactId, name: 'response', parts: [{ kind: 'text', text: event.delta }] },
+                        append: chunks++ > 0,
+                        lastChunk: false
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error(`A2A task ${task.id} of ${namespace}.${name} failed: ${error.message}`, { error });
+            closeTask(task, null, error);
+        } finally {
+            if (!closed) {
+                if (task.artifacts) {
+                    // The whole response replaces the streamed chunks
+                    send({ kind: 'artifact-update', ...taskRef, artifact: { ...task.artifacts[0], artifactId }, append: false, lastChunk: true });
+                }
+                send({ kind: 'status-update', ...taskRef, status: task.status, final: true });
+            }
+            res.end();
+        }
+    };
+
+    /**
+     * The task of tasks/get, with the last historyLength messages of its history
+     */
+    const getTask = (params) => {
+        const task = tasks.get(params?.id);
+        if (!task) {
+            throw new A2AError(A2AErrorCodes.TASK_NOT_FOUND, `Task ${params?.id} not found`);
+        }
+        const historyLength = params.historyLength ?? task.history.length;
+        return { ...task, history: historyLength > 0 ? task.history.slice(-historyLength) : [] };
+    };
+
+    /**
+     * Answer a JSON-RPC request to an agent
+     */
+    const handleRpc = async (req, res, namespace, name) => {
+        let body;
+        try {
+            body = await readJson(req, maxBodyBytes);
+        } catch (error) {
+            if (error.name !== 'InvalidJSON') {
+                throw error;
+            }
+            sendJson(res, 200, rpcError(null, new A2AError(A2AErrorCodes.PARSE_ERROR, error.message)));
+            return;
+        }
+        const id = body?.id ?? null;
+        const trace = traceContextOf(req.headers);
+        try {
+            if (body?.jsonrpc !== '2.0' || typeof body.method !== 'string') {
+                throw new A2AError(A2AErrorCodes.INVALID_REQUEST, 'The body must be a JSON-RPC 2.0 request');
+            }
+
+            switch (body.method) {
+                case 'message/send':
+                    sendJson(res, 200, rpcResult(id, await sendMessage(namespace, name, body.params, trace)));
+                    return;
+                case 'message/stream':
+                    await streamMessage(res, id, namespace, name, body.params, trace);
+                    return;
+                case 'tasks/get':
+                    sendJson(res, 200, rpcResult(id, getTask(body.params)));
+                    return;
+                case 'tasks/cancel':
+                    getTask(body.params);
+                    throw new A2AError(A2AErrorCodes.TASK_NOT_CANCELABLE, `Task ${body.params.id} can't be canceled`);
+                default:
+                    throw new A2AError(A2AErrorCodes.METHOD_NOT_FOUND, `Method ${body.method} not found`);
+            }
+        } catch (error) {
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            if (error instanceof GatewayError) {
+                throw error;
+            }
+            const rpc = error instanceof A2AError ? error : new A2AError(A2AErrorCodes.INTERNAL_ERROR, error.message);
+            if (rpc.code === A2AErrorCodes.INTERNAL_ERROR) {
+                logger.error(`A2A request failed: ${error.message}`, { error });
+            }
+            sendJson(res, 200, rpcError(id, rpc));
+        }
+    };
+
+    /**
+     * Request listener of the server, usable with an existing http server
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @returns {Promise<void>}
+     */
+    const handler = async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const baseUrl = config.url || `http://${req.headers.host}`;
+
+            if (url.pathname === AGENT_CARD_PATH && req.method === 'GET') {
+                if (local.size !== 1) {
+                    throw new GatewayError(404, 'NotFound', 'The server publishes several agents, their cards are under /a2a/:namespace/:name');
+                }
+                const [agent] = local.values();
+                sendJson(res, 200, agentCard(agent.metadata.namespace, agent.metadata.name, baseUrl));
+                return;
+            }
+
+            const route = AGENT_ROUTE.exec(url.pathname);
+            if (!route) {
+                throw new GatewayError(404, 'NotFound', `No route for ${url.pathname}`);
+            }
+            const [namespace, name] = route.slice(1, 3).map(decodeURIComponent);
+            const expected = route[3] ? 'GET' : 'POST';
+            if (req.method !== expected) {
+                throw new GatewayError(405, 'MethodNotAllowed', `${req.method} is not allowed on ${url.pathname}`);
+            }
+
+            if (route[3]) {
+                sendJson(res, 200, agentCard(namespace, name, baseUrl));
+                return;
+            }
+            await handleRpc(req, res, namespace, name);
+        } catch (error) {
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendError(res, error, 'A2A');
+        }
+    };
+
+    const server = http.createServer(handler);
+
+    /**
+     * Start the server, and the discovery of agents if the IO interface has a discovery topic
+     * @param {number} port - The port, 0 for a random one
+     * @param {string} host - The host
+     * @returns {Promise<Object>} - The server address { address, port }
+     */
+    const listen = async (port = config.port ?? DEFAULT_PORT, host = config.host) => {
+        await targets.start();
+        const address = await startServer(server, port, host);
+        logger.info(`A2A server listening on port ${address.port}`);
+        return address;
+    };
+
+    /**
+     * Stop accepting requests, close the open streams and stop the discovery
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        await stopServer(server);
+        tasks.clear();
+        await targets.stop();
+    };
+
+    return {
+        server,
+        handler,
+        listen,
+        close,
+        agentCard,
+        sendMessage,
+        getTask: (taskId) => getTask({ id: taskId })
+    };
+}
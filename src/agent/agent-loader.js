@@ -2,11 +2,163 @@ import fs from 'fs'
 import { parse } from 'yaml'
 import { Gemini } from "../index.js"
 import { GPT } from "../index.js"
+import { Claude } from "../index.js"
+import { ChatCompletions } from "../index.js"
+import { MockLLM } from "../llm/mock.js"
 import { Agent } from "./agent.js"
 import { logger } from "../utils/logger.js"
-import { ConfigurationError } from "../errors/index.js"
+import { ConfigurationError, ValidationError } from "../errors/index.js"
+import { validateObject } from "../utils/validation.js"
 import { validateApiVersion, DEFAULT_API_VERSION, API_VERSIONS } from '../utils/version.js'
 
+/**
+ * JSON Schema of the agentnet/v1alpha1 spec
+ * Provider-specific keys (llm, io, store) are passed through to the bindings and stay open
+ */
+const V1ALPHA1_SPEC_SCHEMA = {
+    type: 'object',
+    $defs: {
+        functionSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                parameters: { type: 'object' }
+            },
+            required: ['name']
+        }
+    },
+    properties: {
+        llm: {
+            type: 'object',
+            properties: {
+                provider: { type: 'string', minLength: 1 },
+                model: { type: 'string' },
+                turns: { type: 'array', items: { type: 'object' } }
+            },
+            required: ['provider']
+        },
+        io: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { type: { type: 'string', minLength: 1 } },
+                required: ['type']
+            }
+        },
+        store: {
+            type: 'object',
+            properties: { type: { type: 'string', minLength: 1 } },
+            required: ['type']
+        },
+        tools: {
+            type: 'array',
+            items: {
+                $ref: '#/$defs/functionSchema',
+                properties: { sequential: { type: 'boolean' } }
+            }
+        },
+        discoverySchemas: {
+            type: 'array',
+            items: { $ref: '#/$defs/functionSchema' }
+        },
+        mcpServers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    transport: { enum: ['stdio', 'http'] },
+                    command: { type: 'string', minLength: 1 },
+                    args: { type: 'array', items: { type: 'string' } },
+                    env: { type: 'object' },
+                    cwd: { type: 'string' },
+                    url: { type: 'string', minLength: 1 },
+                    headers: { type: 'object' },
+                    allow: { type: 'array', items: { type: 'string' } },
+                    deny: { type: 'array', items: { type: 'string' } },
+                    toolPrefix: { type: 'string' },
+                    timeoutMs: { type: 'integer', minimum: 1 },
+                    sequential: { type: 'boolean' }
+                },
+                required: ['name', 'transport']
+            }
+        },
+        a2aAgents: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    url: { type: 'string', minLength: 1 },
+                    headers: { type: 'object' },
+                    allow: { type: 'array', items: { type: 'string' } },
+                    deny: { type: 'array', items: { type: 'string' } },
+                    toolPrefix: { type: 'string' },
+                    timeoutMs: { type: 'integer', minimum: 1 },
+                    refreshIntervalMs: { type: 'integer', minimum: 1 }
+                },
+                required: ['name', 'url']
+            }
+        },
+        output: {
+            type: 'object',
+            properties: {
+                schema: { type: 'object' },
+                name: { type: 'string', minLength: 1 },
+                maxRetries: { type: 'integer', minimum: 0 },
+                strict: { type: 'boolean' }
+            },
+            required: ['schema']
+        },
+        runner: {
+            type: 'object',
+            properties: {
+                maxRuns: { type: 'integer', minimum: 1 },
+                toolConcurrency: { type: 'integer', minimum: 1 },
+                toolValidation: { enum: ['feedback', 'throw', 'off'] }
+            }
+        },
+        usage: {
+            type: 'object',
+            properties: {
+                pricing: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            input: { type: 'number', minimum: 0 },
+                            output: { type: 'number', minimum: 0 },
+                            cached: { type: 'number', minimum: 0 }
+                        }
+                    }
+                },
+                budgets: {
+                    type: 'object',
+                    properties: {
+                        session: {
+                            type: 'object',
+                            properties: {
+                                tokens: { type: 'integer', minimum: 1 },
+                                cost: { type: 'number', exclusiveMinimum: 0 }
+                            }
+                        },
+                        tenant: {
+                            type: 'object',
+                            properties: {
+                                tokens: { type: 'integer', minimum: 1 },
+                                cost: { type: 'number', exclusiveMinimum: 0 }
+                            }
+                        }
+                    }
+                },
+                tenantKey: { type: 'string', minLength: 1 },
+                period: { enum: ['day', 'month', 'total'] }
+            }
+        }
+    }
+};
+
 /**
  * Version handlers for different API versions
  */
@@ -111,6 +263,7 @@ function getVersionHandler(definition) {
  */
 async function processV1Alpha1Definition(definition, agentBuilder, bindings) {
     const spec = definition.spec;
+    validateSpec(spec, V1ALPHA1_SPEC_SCHEMA, definition);
     
     // Add apiVersion to agent metadata
     agentBuilder.setMetadata({
@@ -121,9 +274,13 @@ async function processV1Alpha1Definition(definition, agentBuilder, bindings) {
     // Configure different aspects of the agent
     agentBuilder = configureIO(agentBuilder, spec.io, bindings);
     agentBuilder = configureStore(agentBuilder, spec.store, bindings);
-    agentBuilder = await configureLLM(agentBuilder, spec.llm);
+    agentBuilder = await configureLLM(agentBuilder, spec.llm, bindings);
     agentBuilder = configureDiscoverySchemas(agentBuilder, spec.discoverySchemas);
     agentBuilder = configureRunner(agentBuilder, spec.runner);
+    agentBuilder = configureOutput(agentBuilder, spec.output);
+    agentBuilder = configureMcpServers(agentBuilder, spec.mcpServers);
+    agentBuilder = configureA2AAgents(agentBuilder, spec.a2aAgents);
+    agentBuilder = configureUsage(agentBuilder, spec.usage);
     
     // Set up tools
     const toolMap = configureTools(agentBuilder, spec.tools);
@@ -131,18 +288,56 @@ async function processV1Alpha1Definition(definition, agentBuilder, bindings) {
     return { agentBuilder, toolMap };
 }
 
+/**
+ * Validates an agent spec against the schema of its API version
+ * @param {object} spec - Agent spec
+ * @param {object} schema - JSON Schema of the spec
+ * @param {object} definition - Agent definition, for error context
+ * @throws {ConfigurationError} If the spec is invalid
+ */
+function validateSpec(spec, schema, definition) {
+    try {
+        validateObject(spec, schema, 'spec');
+    } catch (error) {
+        if (!(error instanceof ValidationError)) {
+            throw error;
+        }
+        const details = error.errors.map(e => `spec.${e.field}: ${e.message}`).join(', ');
+        throw new ConfigurationError(
+            `Invalid agent definition "${definition.metadata?.name}": ${details}`,
+            { apiVersion: definition.apiVersion, errors: error.errors }
+        );
+    }
+}
+
 /**
  * Loads an LLM provider instance
- * @param {string} providerName - Name of the provider
+ * A provider instance bound under the provider name takes precedence over the built-in ones
+ * @param {object} llmSpec - LLM specification
+ * @param {object} bindings - IO, store and LLM bindings
  * @returns {object} LLM provider instance
  */
-async function loadLlmProvider(providerName) {
+async function loadLlmProvider(llmSpec, bindings = {}) {
+    const providerName = llmSpec.provider;
+    
+    if (bindings[providerName]) {
+        return bindings[providerName];
+    }
     if (providerName === 'Gemini') {
         return Gemini;
     }
     if (providerName === 'GPT') {
         return GPT;
     }    
+    if (providerName === 'Claude') {
+        return Claude;
+    }
+    if (providerName === 'ChatCompletions') {
+        return ChatCompletions;
+    }
+    if (providerName === 'Mock') {
+        return MockLLM({ turns: llmSpec.turns });
+    }
     
     try {
         return global[providerName] || await import(providerName);
@@ -151,6 +346,11 @@ async function loadLlmProvider(providerName) {
     }
 }
 
+/**
+ * IO types with a transport runtime
+ */
+const SUPPORTED_IO_TYPES = ['NatsIO', 'RedisIO', 'KafkaIO', 'RabbitMQIO', 'InProcessIO'];
+
 /**
  * Configures IO for an agent
  * @param {object} agentBuilder - Agent builder instance
@@ -168,7 +368,7 @@ function configureIO(agentBuilder, ioDefinitions, bindings) {
             throw new Error(`Missing binding for IO type: ${ioDef.type}`);
         }
         
-        if (ioDef.type === 'NatsIO') {
+        if (SUPPORTED_IO_TYPES.includes(ioDef.type)) {
             agentBuilder = agentBuilder.addIO(bindings[ioDef.type], ioDef);
         } else {
             throw new Error(`Unsupported IO type: ${ioDef.type}`);
@@ -204,18 +404,20 @@ function configureStore(agentBuilder, storeSpec, bindings) {
  * Configures LLM for an agent
  * @param {object} agentBuilder - Agent builder instance
  * @param {object} llmSpec - LLM specification
+ * @param {object} bindings - IO, store and LLM bindings
  * @returns {Promise<object>} Updated agent builder
  */
-async function configureLLM(agentBuilder, llmSpec) {
+async function configureLLM(agentBuilder, llmSpec, bindings) {
     if (!llmSpec) {
         return agentBuilder;
     }
     
-    const llmProviderInstance = await loadLlmProvider(llmSpec.provider);
+    const llmProviderInstance = await loadLlmProvider(llmSpec, bindings);
     
     const config = {}
     for (const key in llmSpec) {
-        if (key !== 'provider') {
+        // Scripted turns belong to the Mock provider, not to the model configuration
+        if (key !== 'provider' && !(llmSpec.provider === 'Mock' && key === 'turns')) {
             config[key] = llmSpec[key];
         }
     }
@@ -254,11 +456,13 @@ function configureTools(agentBuilder, toolsSpec) {
         return toolMap;
     }
     
-    for (const toolDef of toolsSpec) {
+    for (const { sequential, ...toolDef } of toolsSpec) {
+        // `sequential` is an execution hint, it is not part of the schema sent to the LLM
         agentBuilder._config.toolsSchemas[toolDef.name] = {
             name: toolDef.name,
             schema: toolDef,
-            function: null
+            function: null,
+            sequential: sequential === true
         };
         
         toolMap[toolDef.name] = {
@@ -271,6 +475,42 @@ function configureTools(agentBuilder, toolsSpec) {
     return toolMap;
 }
 
+/**
+ * Configures the MCP servers mounted by an agent
+ * @param {object} agentBuilder - Agent builder instance
+ * @param {Array} servers - MCP server definitions
+ * @returns {object} Updated agent builder
+ */
+function configureMcpServers(agentBuilder, servers) {
+    if (!servers || !Array.isArray(servers)) {
+        return agentBuilder;
+    }
+    
+    for (const server of servers) {
+        agentBuilder = agentBuilder.addMcpServer(server);
+    }
+    
+    return agentBuilder;
+}
+
+/**
+ * Configures the remote A2A agents an agent hands off to
+ * @param {object} agentBuilder - Agent builder instance
+ * @param {Array} remotes - Remote A2A agent definitions
+ * @returns {object} Updated agent builder
+ */
+function configureA2AAgents(agentBuilder, remotes) {
+    if (!remotes || !Array.isArray(remotes)) {
+        return agentBuilder;
+    }
+    
+    for (const remote of remotes) {
+        agentBuilder = agentBuilder.addA2AAgent(remote);
+    }
+    
+    return agentBuilder;
+}
+
 /**
  * Configures runner for an agent
  * @param {object} agentBuilder - Agent builder instance
@@ -286,10 +526,45 @@ function configureRunner(agentBuilder, runnerSpec) {
     if (runnerSpec.maxRuns !== undefined) {
         agentBuilder._config.runner.maxRuns = runnerSpec.maxRuns;
     }
+    if (runnerSpec.toolConcurrency !== undefined) {
+        agentBuilder._config.runner.toolConcurrency = runnerSpec.toolConcurrency;
+    }
+    if (runnerSpec.toolValidation !== undefined) {
+        agentBuilder._config.runner.toolValidation = runnerSpec.toolValidation;
+    }
     
     return agentBuilder;
 }
 
+/**
+ * Configures structured output for an agent
+ * @param {object} agentBuilder - Agent builder instance
+ * @param {object} outputSpec - Output specification ({ schema, name, maxRetries, strict })
+ * @returns {object} Updated agent builder
+ */
+function configureOutput(agentBuilder, outputSpec) {
+    if (!outputSpec) {
+        return agentBuilder;
+    }
+    
+    const { schema, ...options } = outputSpec;
+    return agentBuilder.withOutputSchema(schema, options);
+}
+
+/**
+ * Configures the token pricing and budgets of an agent
+ * @param {object} agentBuilder - Agent builder instance
+ * @param {object} usageSpec - Usage specification ({ pricing, budgets, tenantKey, period })
+ * @returns {object} Updated agent builder
+ */
+function configureUsage(agentBuilder, usageSpec) {
+    if (!usageSpec) {
+        return agentBuilder;
+    }
+    
+    return agentBuilder.withUsage(usageSpec);
+}
+
 /**
  * Creates an agent interface
  * @param {object} agentBuilder - Agent builder instance
@@ -6,6 +6,8 @@ import {
     validateEnum
 } from "../utils/validation.js"
 import { CompilationError, ConfigurationError } from "../errors/index.js"
+import { MCP_TRANSPORTS } from "../mcp/client.js"
+import { checkUsageOptions } from "./usage.js"
 import { logger } from "../utils/logger.js"
 
 /**
@@ -31,6 +33,11 @@ const DEFAULT_CONFIG = {
     }
 }
 
+/**
+ * Default number of corrections asked to the model when its structured output is invalid
+ */
+const DEFAULT_OUTPUT_MAX_RETRIES = 2
+
 /**
  * Schema for agent configuration validation
  */
@@ -72,10 +79,33 @@ const AGENT_CONFIG_SCHEMA = {
             }
         },
         toolsSchemas: { type: 'object' },
+        mcpServers: { type: 'array' },
+        a2aAgents: { type: 'array' },
+        usage: {
+            type: 'object',
+            properties: {
+                pricing: { type: 'object' },
+                budgets: { type: 'object' },
+                tenantKey: { type: 'string', minLength: 1 },
+                period: { type: 'string' }
+            }
+        },
+        output: {
+            type: 'object',
+            properties: {
+                schema: { type: 'object' },
+                name: { type: 'string', minLength: 1 },
+                maxRetries: { type: 'integer', minimum: 0 },
+                strict: { type: 'boolean' }
+            },
+            required: ['schema']
+        },
         runner: {
             type: 'object',
             properties: {
-                maxRuns: { type: 'number' }
+                maxRuns: { type: 'number' },
+                toolConcurrency: { type: 'integer', minimum: 1 },
+                toolValidation: { type: 'string', enum: ['feedback', 'throw', 'off'] }
             }
         },
         on: { type: 'object' }
@@ -101,6 +131,10 @@ export function Agent() {
             tools: []
         },
         toolsSchemas: {},
+        mcpServers: [],
+        a2aAgents: [],
+        usage: {},
+        output: null,
         runner: { ...DEFAULT_CONFIG.runner },
         on: { ...DEFAULT_HOOKS }
     }
@@ -281,6 +315,34 @@ export function Agent() {
         return this;
     }
     
+    /**
+     * Makes the agent reply with JSON matching a schema instead of free text
+     * The reply is validated and parsed; invalid replies are sent back to the model
+     * with the validation errors, up to maxRetries times.
+     * @param {Object} schema - JSON Schema of the reply
+     * @param {Object} options - Output options
+     * @param {string} options.name - Schema name sent to the provider (default 'output')
+     * @param {number} options.maxRetries - Corrections asked to the model before failing (default 2)
+     * @param {boolean} options.strict - Provider strict schema mode, where supported (default false)
+     * @returns {Object} Agent builder for chaining
+     */
+    function withOutputSchema(schema, options = {}) {
+        if (!schema || typeof schema !== 'object') {
+            throw new ConfigurationError("Output schema must be an object", {
+                provided: schema
+            });
+        }
+        
+        config.output = {
+            schema,
+            name: options.name || 'output',
+            maxRetries: options.maxRetries ?? DEFAULT_OUTPUT_MAX_RETRIES,
+            strict: options.strict === true
+        };
+        
+        return this;
+    }
+    
     /**
      * Configures the store for the agent
      * @param {Object} storeInstance - Store instance
@@ -302,6 +364,30 @@ export function Agent() {
         return this;
     }
     
+    /**
+     * Configures the token usage accounting of the agent
+     * Usage is always tracked and saved per session; the pricing table adds the cost,
+     * the budgets stop the run loop with a BudgetExceededError once exhausted.
+     * @param {Object} options - Usage options
+     * @param {Object} options.pricing - Prices by model (exact name or prefix) { input, output, cached }, per million tokens
+     * @param {Object} options.budgets - Budgets { session: { tokens, cost }, tenant: { tokens, cost } }
+     * @param {string} options.tenantKey - The session key holding the tenant id (default 'tenantId')
+     * @param {Function} options.tenant - Returns the tenant id of a query (state, session), instead of tenantKey
+     * @param {string} options.period - The period of the tenant budget: 'day', 'month' or 'total' (default 'month')
+     * @returns {Object} Agent builder for chaining
+     */
+    function withUsage(options) {
+        if (!options || typeof options !== 'object') {
+            throw new ConfigurationError("Usage options must be an object", {
+                provided: options
+            });
+        }
+        
+        config.usage = checkUsageOptions(options);
+        
+        return this;
+    }
+    
     /**
      * Registers an event handler
      * @param {String} eventName - Event name
@@ -351,6 +437,70 @@ export function Agent() {
         return this;
     }
 
+    /**
+     * Mounts an MCP server, its tools are listed when the agent is compiled
+     * @param {Object} server - MCP server definition
+     * @param {string} server.name - Server name
+     * @param {string|Object} server.transport - 'stdio', 'http', or an MCP client transport instance
+     * @param {string} server.command - Command of a stdio server, with args, env and cwd
+     * @param {string} server.url - URL of a streamable HTTP server, with headers
+     * @param {Array} server.allow - Tools exposed to the model (* matches any characters), all by default
+     * @param {Array} server.deny - Tools hidden from the model
+     * @param {string} server.toolPrefix - Prefix of the tool names, to avoid conflicts
+     * @returns {Object} Agent builder for chaining
+     */
+    function addMcpServer(server) {
+        if (!server || !server.name) {
+            throw new ConfigurationError("MCP server must have a name", {
+                server: server
+            });
+        }
+        const customTransport = typeof server.transport === 'object' && server.transport !== null;
+        if (!customTransport && !MCP_TRANSPORTS.includes(server.transport)) {
+            throw new ConfigurationError(`MCP server ${server.name} transport must be one of: ${MCP_TRANSPORTS.join(', ')}`, { server });
+        }
+        if (server.transport === 'stdio' && !server.command) {
+            throw new ConfigurationError(`MCP server ${server.name} over stdio must have a command`, { server });
+        }
+        if (server.transport === 'http' && !server.url) {
+            throw new ConfigurationError(`MCP server ${server.name} over http must have a url`, { server });
+        }
+        if (config.mcpServers.some(mounted => mounted.name === server.name)) {
+            throw new ConfigurationError(`MCP server ${server.name} is already mounted`, { server });
+        }
+        
+        config.mcpServers.push(server);
+        return this;
+    }
+
+    /**
+     * Adds a remote A2A agent, the skills of its Agent Card are handoffs like the discovered agents
+     * @param {Object} remote - Remote agent definition
+     * @param {string} remote.name - Name of the remote agent
+     * @param {string} remote.url - URL of the agent, or of its Agent Card
+     * @param {Object} remote.headers - Headers of the requests, e.g. authorization
+     * @param {Array} remote.allow - Skills exposed to the model (* matches any characters), all by default
+     * @param {Array} remote.deny - Skills hidden from the model
+     * @param {string} remote.toolPrefix - Prefix of the handoff names, to avoid conflicts
+     * @returns {Object} Agent builder for chaining
+     */
+    function addA2AAgent(remote) {
+        if (!remote || !remote.name) {
+            throw new ConfigurationError("A2A agent must have a name", {
+                remote: remote
+            });
+        }
+        if (!remote.url || !URL.canParse(remote.url)) {
+            throw new ConfigurationError(`A2A agent ${remote.name} must have a valid url`, { remote });
+        }
+        if (config.a2aAgents.some(added => added.name === remote.name)) {
+            throw new ConfigurationError(`A2A agent ${remote.name} is already added`, { remote });
+        }
+        
+        config.a2aAgents.push(remote);
+        return this;
+    }
+
     /**
      * Sets agent metadata
      * @param {Object} metadata - Agent metadata
@@ -381,7 +531,7 @@ export function Agent() {
     
     /**
      * Compiles the agent configuration into a runnable agent
-     * @returns {Promise<Object>} Compiled agent interface
+     * @returns {Promise<Object>} Compiled agent interface { query, stop, metadata, discoverySchemas }
      */
     async function compile() {
         // Validate configuration before compiling
@@ -392,7 +542,11 @@ export function Agent() {
             const runtime = await AgentRuntime(config);
 
             return {
-                query: runtime
+                query: runtime,
+                stop: runtime.stop,
+                // Describe the agent to the adapters publishing it (e.g. the MCP server)
+                metadata: { ...config.metadata },
+                discoverySchemas: [...config.discoverySchemas]
             };
         } catch (error) {
             logger.error(`Agent compilation error: ${error.message}`, {
@@ -412,10 +566,14 @@ export function Agent() {
     return {
         addIO,
         withLLM,
+        withOutputSchema,
         withStore,
+        withUsage,
         on,
         addDiscoverySchema,
         addToolSchema,
+        addMcpServer,
+        addA2AAgent,
         compile,
         setMetadata,
         getToolsSchemas,
@@ -1,18 +1,219 @@
+import { createInbox } from '@nats-io/nats-core'
 import { Message, Response } from '../index.js'
+import { TransportError, TimeoutError } from '../errors/index.js'
+import { SessionAffinities, isInstanceGone } from '../transport/routing.js'
+import { logger } from '../utils/logger.js'
+import { injectTraceContext } from '../utils/tracing.js'
+
+// NATS answers a request to a subject without subscribers with an empty 503 status message
+const isNoResponders = (m) => m.headers?.code === 503 && m.data?.length === 0
+
+// The message, carrying the active trace context when it has none
+const withTraceContext = (message) => {
+    const trace = message.getTrace() ? null : injectTraceContext()
+    if (!trace) {
+        return message
+    }
+    return new Message({ content: message.getContent(), session: message.getSession(), trace })
+}
 
 export function AgentClient(config = {}) {
     const requestTimeout = config.requestTimeout || 120000
-    
-    return {
-        queryAgent: async (agent, input) => {
-            return await agent.query(input)
-        },
+    // Instances that claimed a session, for agents with session affinity
+    const affinities = new SessionAffinities()
+    // Connections of the IO interfaces, held across queries until the client is closed
+    const connections = new Map()
+
+    const connectionOf = (io) => {
+        if (!connections.has(io)) {
+            connections.set(io, io.connect().catch((error) => {
+                connections.delete(io)
+                throw error
+            }))
+        }
+        return connections.get(io)
+    }
+
+    const queryAgent = async (agent, input) => {
+        return await agent.query(input)
+    }
+
+    /**
+     * Streams a query to a compiled agent
+     * @returns {AsyncGenerator<Object|Response>} Stream events, then the final Response
+     */
+    queryAgent.stream = (agent, input) => {
+        return agent.query.stream(input)
+    }
+
+    /**
+     * Queries an agent over IO
+     * Sessions claimed by an instance are sent to that instance, or to any instance once it is gone.
+     * A claimed instance failing otherwise, e.g. timing out, loses the session but the query is not sent again
+     * @returns {Promise<Response>} The agent response
+     */
+    const queryIo = async (io, namespace, name, input) => {
+        const message = withTraceContext(input)
+        // Bindings with their own request/reply (e.g. RedisIO), or the NATS connection of the client
+        if (typeof io.request === 'function') {
+            return await requestIo(io, io, namespace, name, message)
+        }
+        return await requestIo(io, await connectionOf(io), namespace, name, message)
+    }
+
+    // Sends a query on a request/reply transport, to the instance holding its session when there is one
+    const requestIo = async (io, transport, namespace, name, message) => {
+        const target = namespace + '.' + name
+        const sessionId = message.getSessionId()
+        const claimed = affinities.get(target, sessionId)
+
+        let response = null
+        if (claimed) {
+            try {
+                response = await transport.request(target + '.' + claimed, message.serialize(), { timeout: requestTimeout })
+            } catch (error) {
+                affinities.release(target, sessionId)
+                if (!isInstanceGone(error)) {
+                    throw error
+                }
+                logger.info(`Instance ${claimed} of ${target} is gone, session ${sessionId} is routed again`)
+            }
+        }
+        response ||= await transport.request(target, message.serialize(), { timeout: requestTimeout })
 
-        queryIo: async (io, namespace, name, message) => {
-            const transport = await io.connect()
-            const target = namespace + '.' + name
-            const response = await transport.request(target, message.serialize(), { timeout: requestTimeout })
-            return new Response(JSON.parse(response.string()))
+        const reply = JSON.parse(response.string())
+        if (reply.error === true) {
+            throw new TransportError(
+                `Request to ${target} failed: ${reply.message}`,
+                io.type,
+                { target, type: reply.type }
+            )
         }
+        const result = new Response(reply)
+        affinities.claim(target, sessionId, result.getInstance()?.id)
+        return result
+    }
+
+    /**
+     * Streams a query to an agent over IO
+     * The agent replies once per event on a private inbox; requestTimeout applies between events.
+     * Sessions are routed to the claimed instance like queryIo queries.
+     * Bindings with their own request/reply (e.g. RedisIO) don't stream, the Response is the only event
+     * @returns {AsyncGenerator<Object|Response>} Stream events, then the final Response
+     */
+    queryIo.stream = async function* (io, namespace, name, input) {
+        if (typeof io.request === 'function') {
+            yield await queryIo(io, namespace, name, input)
+            return
+        }
+        const message = withTraceContext(input)
+        const transport = await connectionOf(io)
+        const target = namespace + '.' + name
+        const sessionId = message.getSessionId()
+        let claimed = affinities.get(target, sessionId)
+        const inbox = createInbox()
+        const sub = transport.subscribe(inbox)
+        const payload = JSON.stringify({
+            ...JSON.parse(message.serialize()),
+            stream: true
+        })
+
+        // Sends the query to the instance holding its session, or to any instance; false if nobody received it
+        const send = () => transport.publish(claimed ? target + '.' + claimed : target, payload, { reply: inbox }) !== 0
+        const routeAgain = () => {
+            logger.info(`Instance ${claimed} of ${target} is gone, session ${sessionId} is routed again`)
+            affinities.release(target, sessionId)
+            claimed = null
+            send()
+        }
+
+        let timedOut = false
+        let timer = null
+        const armTimer = () => {
+            clearTimeout(timer)
+            timer = setTimeout(() => {
+                timedOut = true
+                sub.unsubscribe()
+            }, requestTimeout)
+        }
+
+        try {
+            armTimer()
+            if (!send() && claimed) {
+                routeAgain()
+            }
+
+            for await (const m of sub) {
+                armTimer()
+                if (isNoResponders(m)) {
+                    if (claimed) {
+                        routeAgain()
+                        continue
+                    }
+                    throw new TransportError(
+                        `Streaming request to ${target} failed: no responders`,
+                        'NATS',
+                        { target, errorName: 'NoResponders' }
+                    )
+                }
+                const frame = JSON.parse(m.string())
+                if (frame.error === true) {
+                    throw new TransportError(
+                        `Streaming request to ${target} failed: ${frame.message}`,
+                        'NATS',
+                        { target, type: frame.type }
+                    )
+                }
+                if (frame.type === 'response') {
+                    const response = new Response(frame)
+                    affinities.claim(target, sessionId, response.getInstance()?.id)
+                    yield response
+                    return
+                }
+                yield frame
+            }
+
+            if (timedOut) {
+                // The claimed instance may still be processing the query, it is not sent again
+                if (claimed) {
+                    affinities.release(target, sessionId)
+                }
+                throw new TimeoutError(
+                    `Streaming request to ${target} timed out after ${requestTimeout}ms`,
+                    `stream to ${target}`,
+                    requestTimeout
+                )
+            }
+            throw new TransportError(
+                `Streaming request to ${target} ended without a response`,
+                'NATS',
+                { target }
+            )
+        } finally {
+            clearTimeout(timer)
+            if (!sub.isClosed()) {
+                sub.unsubscribe()
+            }
+        }
+    }
+
+    /**
+     * Releases the connections held by the client, the IO interfaces close them once unused
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        const held = [...connections]
+        connections.clear()
+        await Promise.all(held.map(async ([io, connecting]) => {
+            if (await connecting.catch(() => null)) {
+                await io.release?.()
+            }
+        }))
+    }
+
+    return {
+        queryAgent,
+        queryIo,
+        close
     }
-}
\ No newline at end of file
+}
@@ -3,12 +3,20 @@ import {
 	ToolExecutionError, 
 	LLMError, 
 	TimeoutError,
+	ValidationError,
+	BudgetExceededError,
 	withTimeout,
 	withRetry 
 } from '../errors/index.js';
+import { validateObject } from '../utils/validation.js';
+import { toProviderToolSchema } from '../mcp/client.js';
+import { withSpan, startSpan, failSpan, iterateInContext, runInContext, setUsageAttributes, SpanKind } from '../utils/tracing.js';
+import { usageTrackerOf } from './usage.js';
+import { metrics, timed } from '../utils/metrics.js';
 
 const DEFAULT_TOOL_TIMEOUT = process.env.AGENT_DEFAULT_TOOL_TIMEOUT || 120000;
 const DEFAULT_LLM_TIMEOUT = process.env.AGENT_DEFAULT_LLM_TIMEOUT || 120000;
+const DEFAULT_TOOL_CONCURRENCY = Number(process.env.AGENT_DEFAULT_TOOL_CONCURRENCY) || 5;
 
 /**
  * Emits an event to the hooks system if hooks are available
@@ -30,8 +38,11 @@ async function emit(hooks, event, data) {
 
 /**
  * Builds the tools and handoffs map for the executor
+ * The map is rebuilt from scratch, so that handoffs to agents that are no longer
+ * discovered are removed. Settings stored on the map (e.g. toolConcurrency) are kept.
+ * @param {string} llmType - The LLM provider type, MCP tool schemas are converted for it
  * @param {Object} toolsAndHandoffsMap - Map to populate
- * @param {Array} tools - Tool definitions
+ * @param {Array} tools - Tool definitions, with a schema or an MCP tool (mcp)
  * @param {Array} handoffs - Handoff definitions
  */
 export function makeToolsAndHandoffsMap(llmType, toolsAndHandoffsMap, tools, handoffs) {
@@ -40,6 +51,14 @@ export function makeToolsAndHandoffsMap(llmType, toolsAndHandoffsMap, tools, han
 	}
 	
 	try {
+		// Reset the previous tools and handoffs
+		toolsAndHandoffsMap.tools = [];
+		for (const [name, entry] of Object.entries(toolsAndHandoffsMap)) {
+			if (entry && (entry.type === 'tool' || entry.type === 'handoff')) {
+				delete toolsAndHandoffsMap[name];
+			}
+		}
+		
 		// Process tools
 		for (const tool of tools) {
 			if (!tool) {
@@ -47,18 +66,23 @@ export function makeToolsAndHandoffsMap(llmType, toolsAndHandoffsMap, tools, han
 				continue;
 			}
 			
-			if (!tool.schema) {
+			if (!tool.schema && !tool.mcp) {
 				toolsAndHandoffsMap.tools.push(tool);
 				continue;
 			}
 			
+			// Tools of MCP servers are converted to the provider tool schema
+			const schema = tool.mcp ? toProviderToolSchema(llmType, tool.mcp) : tool.schema;
+			
 			// Add tool schema to tools list
-			toolsAndHandoffsMap.tools.push(tool.schema);
+			toolsAndHandoffsMap.tools.push(schema);
 			
 			// Map tool name to function
 			toolsAndHandoffsMap[tool.name] = {
 				function: tool.function,
-				type: 'tool'
+				type: 'tool',
+				schema: schema,
+				sequential: tool.sequential === true
 			};
 		}
 		
@@ -83,7 +107,10 @@ export function makeToolsAndHandoffsMap(llmType, toolsAndHandoffsMap, tools, han
 				// Map handoff name to function
 				toolsAndHandoffsMap[handoff.name] = {
 					function: handoff.function,
-					type: 'handoff'
+					type: 'handoff',
+					schema: handoff.schema,
+					// Network of a discovered agent, or name of a remote A2A agent
+					target: handoff.network || handoff.remote || handoff.name
 				};
 			}
 		}
@@ -152,6 +179,48 @@ async function safeExecute(func, name, type, state, input, timeout = DEFAULT_TOO
 	}
 }
 
+/**
+ * Parses a structured output reply and validates it against the output schema
+ * @param {string|Object} reply - The model reply
+ * @param {Object} output - Output configuration ({ schema })
+ * @returns {Object} { valid, value, errors }
+ */
+function parseStructuredOutput(reply, output) {
+	let value = reply;
+	if (typeof reply === 'string') {
+		// Models sometimes wrap the JSON in a markdown code fence
+		const text = reply.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+		try {
+			value = JSON.parse(text);
+		} catch (error) {
+			return {
+				valid: false,
+				errors: [{ field: '(root)', keyword: 'json', message: `Reply is not valid JSON: ${error.message}` }]
+			};
+		}
+	}
+	
+	try {
+		validateObject(value, output.schema, 'output');
+		return { valid: true, value };
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return { valid: false, value, errors: error.errors };
+		}
+		throw error;
+	}
+}
+
+/**
+ * Builds the message asking the model to correct an invalid structured output
+ * @param {Array} errors - Validation errors
+ * @returns {string} The correction prompt
+ */
+function formatOutputFeedback(errors) {
+	const details = errors.map(error => `- ${error.field}: ${error.message}`).join('\n');
+	return `Your reply does not match the required output schema:\n${details}\nReply again with only the corrected JSON.`;
+}
+
 /**
  * Builds an executor for agent execution
  * @param {Object} toolsAndHandoffsMap - Map of tools and handoffs
@@ -160,6 +229,7 @@ async function safeExecute(func, name, type, state, input, timeout = DEFAULT_TOO
  * @param {Object} api - LLM API
  * @param {Object} llmConfig - LLM configuration
  * @param {Object} runner - Runner configuration
+ * @param {Object} output - Structured output configuration ({ schema, name, maxRetries, strict }), null for text replies
  * @returns {Function} Executor function
  */
 export async function build(
@@ -168,14 +238,24 @@ export async function build(
 	agentName, 
 	api, 
 	llmConfig, 
-	runner
+	runner,
+	output = null
 ) {
 	const maxRuns = runner?.maxRuns || 10;
 	
 	try {
 		// Initialize LLM client
 		logger.info(`Initializing LLM client for agent ${agentName}`);
-		const client = await api.getClient();
+		const client = await api.getClient(llmConfig);
+		
+		// Maximum number of tool calls of a single model turn executed in parallel
+		toolsAndHandoffsMap.toolConcurrency = runner?.toolConcurrency || DEFAULT_TOOL_CONCURRENCY;
+		
+		// How tool call arguments that don't match the tool schema are handled: 'feedback', 'throw' or 'off'
+		toolsAndHandoffsMap.toolValidation = runner?.toolValidation || 'feedback';
+		
+		// Agent of the tool and handoff metrics
+		toolsAndHandoffsMap.agentName = agentName;
 		
 		// Add safe execution methods to toolsAndHandoffsMap
 		toolsAndHandoffsMap.safeExecute = async (name, type, state, input, timeout) => {
@@ -198,8 +278,156 @@ export async function build(
 			);
 		};
 		
+		// Span of a model call, with the GenAI semantic convention attributes
+		const modelSpan = [`chat ${llmConfig.model || api.type}`, {
+			kind: SpanKind.CLIENT,
+			attributes: {
+				'gen_ai.operation.name': 'chat',
+				'gen_ai.system': api.type || 'unknown',
+				'gen_ai.agent.name': agentName,
+				...(llmConfig.model ? { 'gen_ai.request.model': llmConfig.model } : {})
+			}
+		}];
+		
+		// Span of an executor run, covering the model call and the tools it asked for
+		const runSpan = (run) => [`run ${agentName}`, {
+			attributes: { 'gen_ai.agent.name': agentName, 'agentnet.run': run }
+		}];
+		
+		// Call the LLM with timeout and retry, adding its token usage to the usage tracker of the query
+		const callModel = (input, tracker) => withSpan(...modelSpan, async (span) => {
+			const response = await callModelWithRetry(input);
+			const usage = api.readUsage?.(response);
+			setUsageAttributes(span, usage);
+			tracker?.record(usage);
+			return response;
+		});
+		
+		// Labels of the model call metrics
+		const llmLabels = { agent: agentName, provider: api.type || 'unknown', model: llmConfig.model || 'unknown' };
+		
+		const callModelWithRetry = async (input) => {
+			return await withRetry(
+				async () => {
+					try {
+						return await timed(metrics.llmDuration, llmLabels, () => withTimeout(
+							async () => api.callModel(llmConfig, input),
+							llmConfig.timeout || DEFAULT_LLM_TIMEOUT,
+							`LLM call for ${agentName}`
+						));
+					} catch (error) {
+						if (error instanceof TimeoutError) {
+							throw error; // Let the retry handler deal with timeouts
+						}
+						
+						throw new LLMError(
+							`LLM API error: ${error.message}`,
+							api.type || 'unknown',
+							{ modelConfig: llmConfig }
+						);
+					}
+				},
+				{
+					maxRetries: 2,
+					onRetry: ({ attempt }) => {
+						metrics.llmRetries.inc(llmLabels);
+						logger.warn(`Retrying LLM call for agent ${agentName} (attempt ${attempt})`);
+					}
+				}
+			);
+		};
+
+		// Read the next event of a model stream, failing when the model stays silent for the LLM timeout
+		const nextStreamEvent = async (iterator) => {
+			try {
+				return await withTimeout(
+					async () => iterator.next(),
+					llmConfig.timeout || DEFAULT_LLM_TIMEOUT,
+					`LLM stream for ${agentName}`
+				);
+			} catch (error) {
+				if (error instanceof TimeoutError || error instanceof LLMError) {
+					throw error;
+				}
+				throw new LLMError(
+					`LLM API error: ${error.message}`,
+					api.type || 'unknown',
+					{ modelConfig: llmConfig }
+				);
+			}
+		};
+		
+		// Stop reading a model stream, without waiting for a call that timed out
+		const closeStream = (iterator) => {
+			iterator?.return?.()?.catch?.(() => {});
+		};
+		
+		// Stream a model call, retried like callModel until its first event: once events are
+		// yielded they can't be taken back, so a stream failing later fails the run
+		const callModelStream = async function*(input) {
+			let iterator = null;
+			let end = null;
+			const open = async () => {
+				end = metrics.llmDuration.startTimer(llmLabels);
+				iterator = api.callModelStream(llmConfig, input)[Symbol.asyncIterator]();
+				try {
+					return await nextStreamEvent(iterator);
+				} catch (error) {
+					end({ outcome: 'error' });
+					closeStream(iterator);
+					throw error;
+				}
+			};
+			
+			let item = await withRetry(open, {
+				maxRetries: 2,
+				onRetry: ({ attempt }) => {
+					metrics.llmRetries.inc(llmLabels);
+					logger.warn(`Retrying LLM stream for agent ${agentName} (attempt ${attempt})`);
+				}
+			});
+			let outcome = 'error';
+			try {
+				while (!item.done) {
+					yield item.value;
+					item = await nextStreamEvent(iterator);
+				}
+				outcome = 'success';
+			} finally {
+				end({ outcome });
+				if (outcome === 'error') {
+					closeStream(iterator);
+				}
+			}
+		};
+		
+		// Validate a structured output reply, asking the model for a correction when it's invalid
+		// Returns { value } with the parsed reply, or null when a correction was requested
+		const checkOutput = async (reply, contents, outputRetries) => {
+			const result = parseStructuredOutput(reply, output);
+			if (result.valid) {
+				return { value: result.value };
+			}
+			
+			if (outputRetries >= output.maxRetries) {
+				throw new ValidationError(
+					`Structured output of agent ${agentName} does not match the output schema`,
+					result.errors
+				);
+			}
+			
+			logger.warn(`Invalid structured output from agent ${agentName}, asking for a correction (${outputRetries + 1}/${output.maxRetries})`, {
+				errors: result.errors
+			});
+			await api.prompt(contents, formatOutputFeedback(result.errors));
+			return null;
+		};
+		
+		// Runs of the running queries, by conversation, for the runs per query metric
+		const runsOf = new WeakMap();
+		
 		// Create the executor function
-		const executor = async function(state, contents, run = 0) {
+		const executor = async function(state, contents, run = 0, outputRetries = 0) {
 			logger.info(`Running agent ${agentName} (run ${run}/${maxRuns}), conversation length: ${contents.getRawConversation().length}`);
 			
 			// Emit run event
@@ -213,6 +441,7 @@ export async function build(
 			// Check for max runs exceeded
 			if (run >= maxRuns) {
 				logger.warn(`Agent ${agentName} max runs reached: ${run}/${maxRuns}`);
+				metrics.executorMaxRuns.inc({ agent: agentName });
 				
 				await emit(hooks, 'executorMaxRuns', {
 					agentName: agentName,
@@ -225,54 +454,44 @@ export async function build(
 				const rawConversation = contents.getRawConversation();
 				return rawConversation[rawConversation.length - 1];
 			}
+			runsOf.set(contents, run + 1);
 			
 			try {
 				// Prepare input for LLM
 				const input = {
 					client: client,
 					toolsAndHandoffsMap: toolsAndHandoffsMap,
-					conversation: contents
+					conversation: contents,
+					output: output
 				};
 				
-				// Call LLM with timeout and retry
-				logger.debug(`Calling LLM for agent ${agentName}`);
+				// Stop the run loop when the session or tenant budget is exhausted
+				const tracker = usageTrackerOf(state);
+				tracker?.check();
 				
-				const response = await withRetry(
-					async () => {
-						try {
-							return await withTimeout(
-								async () => api.callModel(llmConfig, input),
-								llmConfig.timeout || DEFAULT_LLM_TIMEOUT,
-								`LLM call for ${agentName}`
-							);
-						} catch (error) {
-							if (error instanceof TimeoutError) {
-								throw error; // Let the retry handler deal with timeouts
-							}
-							
-							throw new LLMError(
-								`LLM API error: ${error.message}`,
-								api.type || 'unknown',
-								{ modelConfig: llmConfig }
-							);
-						}
-					},
-					{
-						maxRetries: 2,
-						onRetry: ({ attempt }) => {
-							logger.warn(`Retrying LLM call for agent ${agentName} (attempt ${attempt})`);
-						}
-					}
-				);
-				
-				logger.debug(`LLM response received for agent ${agentName}`);
-				
-				// Process the response
-				const finished = await api.onResponse(state, contents, toolsAndHandoffsMap, response);
+				const finished = await withSpan(...runSpan(run), async () => {
+					// Call LLM with timeout and retry
+					logger.debug(`Calling LLM for agent ${agentName}`);
+					const response = await callModel(input, tracker);
+					
+					logger.debug(`LLM response received for agent ${agentName}`);
+					
+					// Process the response
+					return await api.onResponse(state, contents, toolsAndHandoffsMap, response);
+				});
 				
 				// If not finished, continue with the next run
 				if (finished == null) {
-					return await executor(state, contents, run + 1);
+					return await executor(state, contents, run + 1, outputRetries);
+				}
+				
+				let result = finished;
+				if (output) {
+					const checked = await checkOutput(finished, contents, outputRetries);
+					if (checked === null) {
+						return await executor(state, contents, run + 1, outputRetries + 1);
+					}
+					result = checked.value;
 				}
 				
 				// Emit end event
@@ -281,10 +500,10 @@ export async function build(
 					run: run,
 					state: state,
 					contents: contents,
-					response: finished
+					response: result
 				});
 				
-				return finished;
+				return result;
 			} catch (error) {
 				logger.error(`Error in agent ${agentName} execution`, { 
 					error, 
@@ -301,10 +520,15 @@ export async function build(
 					error: error
 				});
 				
+				// Validation errors (tool arguments with toolValidation: 'throw', structured output) and exhausted budgets stop the run
+				if (error instanceof ValidationError || error instanceof BudgetExceededError) {
+					throw error;
+				}
+				
 				// If we haven't hit max runs, try again
 				if (run < maxRuns - 1) {
 					logger.info(`Continuing after error in agent ${agentName}`);
-					return await executor(state, contents, run + 1);
+					return await executor(state, contents, run + 1, outputRetries);
 				}
 				
 				// We've reached max runs, return the error
@@ -312,7 +536,160 @@ export async function build(
 			}
 		};
 		
-		return executor;
+		/**
+		 * Streaming variant of the executor
+		 * Re-emits the provider text deltas and tool calls tagged with the run number (and tool
+		 * calls with whether they are handoffs), and ends with a { type: 'result', content } event holding the final response.
+		 */
+		const streamExecutor = async function*(state, contents, run = 0, outputRetries = 0) {
+			logger.info(`Streaming agent ${agentName} (run ${run}/${maxRuns}), conversation length: ${contents.getRawConversation().length}`);
+			
+			await emit(hooks, 'executorRun', {
+				agentName: agentName,
+				run: run,
+				state: state,
+				contents: contents
+			});
+			
+			if (run >= maxRuns) {
+				logger.warn(`Agent ${agentName} max runs reached: ${run}/${maxRuns}`);
+				metrics.executorMaxRuns.inc({ agent: agentName });
+				
+				await emit(hooks, 'executorMaxRuns', {
+					agentName: agentName,
+					run: run,
+					state: state,
+					contents: contents
+				});
+				
+				const rawConversation = contents.getRawConversation();
+				yield { type: 'result', content: rawConversation[rawConversation.length - 1] };
+				return;
+			}
+			runsOf.set(contents, run + 1);
+			
+			let finished = null;
+			// Whether the run streamed events, a failed run is only retried when it streamed none
+			let streamed = false;
+			const tracker = usageTrackerOf(state);
+			const runTrace = startSpan(...runSpan(run));
+			try {
+				tracker?.check();
+				
+				const input = {
+					client: client,
+					toolsAndHandoffsMap: toolsAndHandoffsMap,
+					conversation: contents,
+					output: output
+				};
+				
+				logger.debug(`Streaming LLM for agent ${agentName}`);
+				
+				let response = null;
+				const modelTrace = startSpan(...modelSpan, runTrace.context);
+				try {
+					for await (const event of iterateInContext(modelTrace.context, callModelStream(input))) {
+						if (event.type === 'response') {
+							response = event.response;
+						} else if (event.type === 'tool_call') {
+							streamed = true;
+							yield { ...event, handoff: toolsAndHandoffsMap[event.name]?.type === 'handoff', run };
+						} else {
+							streamed = true;
+							yield { ...event, run };
+						}
+					}
+					const usage = api.readUsage?.(response);
+					setUsageAttributes(modelTrace.span, usage);
+					tracker?.record(usage);
+				} catch (error) {
+					failSpan(modelTrace.span, error);
+					if (error instanceof LLMError || error instanceof TimeoutError) {
+						throw error;
+					}
+					throw new LLMError(
+						`LLM API error: ${error.message}`,
+						api.type || 'unknown',
+						{ modelConfig: llmConfig }
+					);
+				} finally {
+					modelTrace.span.end();
+				}
+				
+				finished = await runInContext(runTrace.context, () => api.onResponse(state, contents, toolsAndHandoffsMap, response));
+			} catch (error) {
+				failSpan(runTrace.span, error);
+				logger.error(`Error in agent ${agentName} streaming execution`, { 
+					error, 
+					run, 
+					maxRuns 
+				});
+				
+				await emit(hooks, 'executorError', {
+					agentName: agentName,
+					run: run,
+					state: state,
+					contents: contents,
+					error: error
+				});
+				
+				if (streamed || run >= maxRuns - 1 || error instanceof ValidationError || error instanceof BudgetExceededError) {
+					throw error;
+				}
+				logger.info(`Continuing after error in agent ${agentName}`);
+			} finally {
+				runTrace.span.end();
+			}
+			
+			// Not finished (tool calls or error), continue with the next run
+			if (finished == null) {
+				yield* streamExecutor(state, contents, run + 1, outputRetries);
+				return;
+			}
+			
+			if (output) {
+				const checked = await checkOutput(finished, contents, outputRetries);
+				if (checked === null) {
+					yield* streamExecutor(state, contents, run + 1, outputRetries + 1);
+					return;
+				}
+				finished = checked.value;
+			}
+			
+			await emit(hooks, 'executorEnd', {
+				agentName: agentName,
+				run: run,
+				state: state,
+				contents: contents,
+				response: finished
+			});
+			
+			yield { type: 'result', content: finished };
+		};
+		
+		// Record the runs of a query once it ended
+		const observeRuns = (contents) => {
+			metrics.executorRuns.observe({ agent: agentName }, runsOf.get(contents) || 0);
+			runsOf.delete(contents);
+		};
+		
+		const execute = async function(state, contents) {
+			try {
+				return await executor(state, contents);
+			} finally {
+				observeRuns(contents);
+			}
+		};
+		
+		execute.stream = async function*(state, contents) {
+			try {
+				yield* streamExecutor(state, contents);
+			} finally {
+				observeRuns(contents);
+			}
+		};
+		
+		return execute;
 	} catch (error) {
 		logger.error(`Failed to build executor for agent ${agentName}`, { error });
 		throw error;
@@ -1,8 +1,14 @@
 import { build, makeToolsAndHandoffsMap } from "./executor.js"
 import { logger } from "../utils/logger.js"
 import { Response, SessionStore } from "../index.js"
-import { createAgentRuntime } from "../transport/index.js"
+import { createAgentRuntimes, listDiscoveredAgents, DEFAULT_DRAIN_TIMEOUT, waitForAll } from "../transport/index.js"
 import { Conversation } from "../utils/conversation.js"
+import { mountMcpServers } from "../mcp/client.js"
+import { mountA2AAgents } from "../a2a/client.js"
+import { UsageLedger } from "./usage.js"
+import { withSpan, startSpan, failSpan, iterateInContext, extractTraceContext, SpanKind } from "../utils/tracing.js"
+import { metrics, timed, watchDiscovery } from "../utils/metrics.js"
+import { AgentStoppedError, ValidationError, BudgetExceededError } from "../errors/index.js"
 
 export async function AgentRuntime(agentConfig) {
     const {
@@ -12,24 +18,34 @@ export async function AgentRuntime(agentConfig) {
         metadata: { name: agentName, namespace },
         llm: { api: llmApi, config: llmConfig },
         runner,
+        output,
         toolsSchemas: tools,
         handoffs,
         io: ioInterfaces,
         discoverySchemas,
+        mcpServers = [],
+        a2aAgents = [],
+        usage = {},
         on: { prompt, response }
     } = agentConfig
     
-    // Initialize IO runtime
-    const transportType = ioInterfaces.length > 0 ? ioInterfaces[0].type.replace('IO', '').toLowerCase() : 'nats';
-    logger.info(`Creating agent runtime with transport type: ${transportType}`);
+    // Token usage of the queries, priced and checked against the budgets
+    const ledger = UsageLedger({ ...usage, store: store?.instance || null, namespace, agentName, model: llmConfig?.model })
     
-    const { handleTask, discoveredAgents } = await createAgentRuntime(
-        transportType,
-        namespace,
-        agentName, 
-        ioInterfaces, 
-        discoverySchemas
-    )
+    // Mount the MCP servers, their tools are listed once
+    const mcp = await mountMcpServers(mcpServers, agentName, Object.keys(tools))
+    // Fetch the Agent Cards of the remote A2A agents, their skills are handoffs
+    const a2a = await mountA2AAgents(a2aAgents, agentName)
+    
+    // Initialize one IO runtime per interface, tasks are served on all of them
+    const transports = await createAgentRuntimes(namespace, agentName, ioInterfaces, discoverySchemas).catch(async (error) => {
+        await mcp.close()
+        await a2a.close()
+        throw error
+    })
+    logger.info(`Created agent runtime with transport types: ${transports.map(transport => transport.type).join(', ')}`);
+    const stopTransport = (options) => Promise.all(transports.map(transport => transport.stop?.(options)))
+    const unwatchDiscovery = watchDiscovery(namespace, agentName, () => listDiscoveredAgents(transports))
     
     // Build executor
     const executor = await build(
@@ -38,110 +54,284 @@ export async function AgentRuntime(agentConfig) {
         agentName,
         llmApi,
         llmConfig,
-        runner
+        runner,
+        output
     )
 
+    // Prepare the conversation for a new task
+    const prepareTask = async function(conversation, input) {
+        // Update tools and handoffs map with discovered agents
+        makeToolsAndHandoffsMap(
+            llmApi.type,
+            toolsAndHandoffsMap, 
+            [...Object.values(tools), ...mcp.tools], 
+            [handoffs, listDiscoveredAgents(transports), a2a.handoffs()]
+        )
+        
+        // Process the input
+        await llmApi.prompt(conversation, typeof input === 'string' ? input : JSON.stringify(input))
+    }
+
     // Create task processing function
     const taskFunction = async function(state, conversation, input) {
         try {
-            // Update tools and handoffs map with discovered agents
-            makeToolsAndHandoffsMap(
-                llmApi.type,
-                toolsAndHandoffsMap, 
-                Object.values(tools), 
-                [handoffs, Object.values(discoveredAgents)]
-            )
-            
-            // Process the input
-            await llmApi.prompt(conversation, typeof input === 'string' ? input : JSON.stringify(input))
+            await prepareTask(conversation, input)
             
             // Execute and return result
             return await executor(state, conversation)
         } catch (error) {
+            // Invalid tool arguments (toolValidation: 'throw'), invalid structured output and exhausted budgets are surfaced to the caller
+            if (error instanceof ValidationError || error instanceof BudgetExceededError) {
+                throw error
+            }
             console.error("Task execution error:", error)
             return { error: "Failed to execute task", details: error.message }
         }
     }
 
-    const queryFunction = async function(message) {
-        try {
-            const content = message.getContent()
-            const session = message.getSession()
-            const sessionId = message.getSessionId()
-            const storeStateSessionId = namespace + "." + agentName + "." + sessionId
-
-            // Load and merge session state and session data
-            let storeState = {
-                state: {},
-                conversation: new Conversation()
+    // Create streaming task processing function
+    const streamTaskFunction = async function*(state, conversation, input) {
+        await prepareTask(conversation, input)
+        yield* executor.stream(state, conversation)
+    }
+
+    // Load and merge session state and session data
+    const loadSession = async function(message) {
+        const session = message.getSession()
+        const sessionId = message.getSessionId()
+        const storeStateSessionId = namespace + "." + agentName + "." + sessionId
+
+        let storeState = {
+            state: {},
+            conversation: new Conversation()
+        }
+        if (store && sessionId) {
+            const sessionStore = new SessionStore(storeStateSessionId)
+            await store.instance.connect()
+            const _storeState = await sessionStore.load(store.instance)
+            for (const key of Object.keys(_storeState.state)) {
+                storeState.state[key] = _storeState.state[key]
             }
-            if (store && sessionId) {
-                const sessionStore = new SessionStore(storeStateSessionId)
-                await store.instance.connect()
-                const _storeState = await sessionStore.load(store.instance)
-                for (const key of Object.keys(_storeState.state)) {
-                    storeState.state[key] = _storeState.state[key]
-                }
-                for (const key of Object.keys(session)) {
-                    storeState.state[key] = session[key]
-                }         
-                storeState.conversation = _storeState.conversation
-                logger.info(`Loaded session state for agent ${agentName} with session id ${storeStateSessionId}, current conversation length ${storeState.conversation.getRawConversation().length}`);                
+            for (const key of Object.keys(session)) {
+                storeState.state[key] = session[key]
+            }         
+            storeState.conversation = _storeState.conversation
+            logger.info(`Loaded session state for agent ${agentName} with session id ${storeStateSessionId}, current conversation length ${storeState.conversation.getRawConversation().length}`);                
+        }
+
+        return { sessionId, storeStateSessionId, storeState }
+    }
+
+    // Save session state and build the response, without private state keys
+    const saveSession = async function({ sessionId, storeStateSessionId, storeState }, responseMessage, tracker) {
+        if (store && sessionId) {
+            const sessionStore = new SessionStore(storeStateSessionId)
+            await store.instance.connect()
+            sessionStore.setConversation(storeState.conversation)
+            sessionStore.setState(storeState.state)
+            sessionStore.trimConversation(10)
+            await sessionStore.dump(store.instance)
+            logger.info(`Dumped session state for agent ${agentName} with session id ${storeStateSessionId}, current conversation length ${storeState.conversation.getRawConversation().length}`);                
+        }
+
+        // Before returning, remove _ from the state
+        // Keep the removed keys and print the removed keys 
+        const removedKeys = []
+        for (const key of Object.keys(storeState.state)) {
+            if (key.startsWith('_')) {
+                removedKeys.push(key)
+                delete storeState.state[key]
             }
+        }
+        if (removedKeys.length > 0) {
+            logger.info(`Removed keys from state for agent ${agentName}: ${removedKeys.join(', ')}`);
+        }
 
-            const formattedInput = typeof content === 'string' ? content : JSON.stringify(content);
-            
-            logger.debug(`Query to agent ${agentName}`, {
-                inputPreview: formattedInput.substring(0, 100)
-            });
+        return new Response({
+            content: responseMessage,
+            session: storeState.state,
+            usage: tracker.hasUsage() ? tracker.usage : null
+        })
+    }
+
+    // Format the message content and run it through the prompt hook
+    const formatInput = async function(message, storeState) {
+        const content = message.getContent()
+        const formattedInput = typeof content === 'string' ? content : JSON.stringify(content);
+        
+        logger.debug(`Query to agent ${agentName}`, {
+            inputPreview: formattedInput.substring(0, 100)
+        });
+        
+        return await prompt(storeState.state, formattedInput);
+    }
+
+    // Queries running on this agent, awaited by stop()
+    const inFlight = new Set()
+    let stopped = false
+    let stopping = null
+
+    const ensureRunning = function() {
+        if (stopped) {
+            throw new AgentStoppedError(`Agent ${agentName} is stopped`, agentName)
+        }
+    }
+
+    const track = function(promise) {
+        inFlight.add(promise)
+        const untrack = () => inFlight.delete(promise)
+        promise.then(untrack, untrack)
+        return promise
+    }
+
+    // Span of a query, continuing the trace of the sender when the message carries one
+    const querySpan = function(message) {
+        return [`invoke_agent ${agentName}`, {
+            kind: SpanKind.SERVER,
+            attributes: {
+                'gen_ai.operation.name': 'invoke_agent',
+                'gen_ai.agent.name': agentName,
+                'agentnet.namespace': namespace,
+                ...(message.getSessionId() ? { 'agentnet.session.id': String(message.getSessionId()) } : {})
+            }
+        }]
+    }
+
+    // Labels of the query metrics, and the errors counted by type
+    const queryLabels = { namespace, agent: agentName }
+    const countQueryError = (error) => metrics.queryErrors.inc({ ...queryLabels, type: error.name || 'Error' })
+
+    const queryFunction = async function(message) {
+        ensureRunning()
+        const [name, options] = querySpan(message)
+        const query = () => timed(metrics.queryDuration, queryLabels, () => runQuery(message), countQueryError)
+        return await track(withSpan(name, options, query, extractTraceContext(message.getTrace())))
+    }
+
+    const runQuery = async function(message) {
+        let tracker = null
+        try {
+            const session = await loadSession(message)
+            const { storeState } = session
+            tracker = await ledger.open(storeState.state, { sessionId: session.sessionId, session: message.getSession() })
             
             // Process input through prompt hook
-            const promptContent = await prompt(storeState.state, formattedInput);
+            const promptContent = await formatInput(message, storeState);
             
             // Execute agent runtime
             const result = await taskFunction(storeState.state, storeState.conversation, promptContent);
             // Process result through response hook
             const responseMessage = await response(storeState.state, storeState.conversation, result);
-            // Save session state and session data
-            if (store && sessionId) {
-                const sessionStore = new SessionStore(storeStateSessionId)
-                await store.instance.connect()
-                sessionStore.setConversation(storeState.conversation)
-                sessionStore.setState(storeState.state)
-                sessionStore.trimConversation(10)
-                await sessionStore.dump(store.instance)
-                logger.info(`Dumped session state for agent ${agentName} with session id ${storeStateSessionId}, current conversation length ${storeState.conversation.getRawConversation().length}`);                
-            }
+            
+            return await saveSession(session, responseMessage, tracker);
+        } catch (error) {
+            logger.error(`Agent query execution error: ${error.message}`, {
+                agentName: agentName,
+                error
+            });
+            throw error;
+        } finally {
+            // The usage is saved even when the query failed, the tokens were spent
+            await tracker?.commit()
+            tracker?.close()
+        }
+    }    
 
-            // Before returning, remove _ from the state
-            // Keep the removed keys and print the removed keys 
-            const removedKeys = []
-            for (const key of Object.keys(storeState.state)) {
-                if (key.startsWith('_')) {
-                    removedKeys.push(key)
-                    delete storeState.state[key]
+    /**
+     * Streaming variant of queryFunction
+     * Yields the executor text deltas and tool calls as they happen,
+     * then the final Response with the session
+     */
+    const streamFunction = async function*(message) {
+        ensureRunning()
+        let finish
+        track(new Promise(resolve => { finish = resolve }))
+        const [name, options] = querySpan(message)
+        const { span, context } = startSpan(name, options, extractTraceContext(message.getTrace()))
+        const endTimer = metrics.queryDuration.startTimer(queryLabels)
+        // Streams closed by the caller before the response are cancelled
+        let outcome = 'cancelled'
+        let tracker = null
+        try {
+            const session = await loadSession(message)
+            const { storeState } = session
+            tracker = await ledger.open(storeState.state, { sessionId: session.sessionId, session: message.getSession() })
+            
+            const promptContent = await formatInput(message, storeState);
+            
+            let result = null
+            const events = iterateInContext(context, streamTaskFunction(storeState.state, storeState.conversation, promptContent))
+            for await (const event of events) {
+                if (event.type === 'result') {
+                    result = event.content
+                    continue
                 }
+                yield event
             }
-            if (removedKeys.length > 0) {
-                logger.info(`Removed keys from state for agent ${agentName}: ${removedKeys.join(', ')}`);
-            }
-
-            const responseFormatted = new Response({
-                content: responseMessage,
-                session: storeState.state
-            })
-            return responseFormatted;
+            
+            const responseMessage = await response(storeState.state, storeState.conversation, result);
+            
+            const final = await saveSession(session, responseMessage, tracker);
+            outcome = 'success'
+            yield final
         } catch (error) {
-            logger.error(`Agent query execution error: ${error.message}`, {
+            logger.error(`Agent stream execution error: ${error.message}`, {
                 agentName: agentName,
                 error
             });
+            failSpan(span, error)
+            outcome = 'error'
+            countQueryError(error)
             throw error;
+        } finally {
+            await tracker?.commit()
+            tracker?.close()
+            endTimer({ outcome })
+            span.end()
+            finish()
         }
-    }    
+    }
+    queryFunction.stream = streamFunction
+
+    /**
+     * Gracefully stop the agent: stop announcing it and receiving tasks, wait for the
+     * in-flight queries and disconnect the transport, the MCP servers and the store
+     * @param {Object} options - Shutdown options
+     * @param {number} options.drainTimeoutMs - Maximum time to wait for in-flight queries
+     * @param {boolean} options.disconnectStore - Whether to disconnect the session store
+     * @returns {Promise<void>}
+     */
+    const stop = function(options = {}) {
+        stopping ||= (async () => {
+            const { drainTimeoutMs = DEFAULT_DRAIN_TIMEOUT, disconnectStore = true } = options
+            const deadline = Date.now() + drainTimeoutMs
+            logger.info(`Stopping agent ${agentName}`, { drainTimeoutMs, inFlight: inFlight.size })
+
+            // Transport tasks are in flight as local queries too, they are awaited below
+            await stopTransport?.({ drainTimeoutMs })
+            stopped = true
+
+            if (!(await waitForAll(inFlight, deadline - Date.now()))) {
+                logger.warn(`Agent ${agentName} stopped with ${inFlight.size} queries still in flight`)
+            }
+
+            unwatchDiscovery()
+            await mcp.close()
+            await a2a.close()
+            if (store && disconnectStore) {
+                await store.instance.disconnect?.()
+            }
+            logger.info(`Agent ${agentName} stopped`)
+        })()
+        return stopping
+    }
+    queryFunction.stop = stop
 
-    // Start handling tasks
-    handleTask(queryFunction) // queryFunction
+    // Start handling tasks, an interface failing to consume them fails the agent
+    await Promise.all(transports.map(transport => transport.handleTask(queryFunction))).catch(async (error) => {
+        await stop({ drainTimeoutMs: 0 })
+        throw error
+    })
     
     return queryFunction // queryFunction
 }
\ No newline at end of file
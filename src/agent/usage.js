@@ -0,0 +1,337 @@
+/**
+ * Token usage and cost accounting
+ * Each query gets a usage tracker, adding up the tokens of its model calls and of the
+ * handoffs it made. The totals are priced with the pricing table of the agent, persisted
+ * per session and per tenant, and checked against the budgets before every model call.
+ */
+import { BudgetExceededError, ConfigurationError } from '../errors/index.js';
+import { memoryStore } from '../store/store.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Counters of a usage object, added up by addUsage
+ */
+const COUNTERS = ['inputTokens', 'outputTokens', 'cachedTokens', 'reasoningTokens', 'totalTokens', 'cost', 'calls'];
+
+/**
+ * Periods of the tenant totals
+ *   day    - totals reset every day (UTC)
+ *   month  - totals reset every month (UTC)
+ *   total  - totals never reset
+ */
+export const USAGE_PERIODS = ['day', 'month', 'total'];
+
+// Trackers of the running queries, by session state
+const trackers = new WeakMap();
+
+/**
+ * Create an empty usage object
+ * @returns {Object} - { inputTokens, outputTokens, cachedTokens, reasoningTokens, totalTokens, cost, calls }
+ */
+export function emptyUsage() {
+    return Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+}
+
+/**
+ * Add a usage to a total, with the totals by agent when both have them
+ * @param {Object} total - The total, updated in place
+ * @param {Object} usage - The usage to add
+ * @returns {Object} - The total
+ */
+export function addUsage(total, usage) {
+    if (!usage) {
+        return total;
+    }
+    for (const counter of COUNTERS) {
+        total[counter] = roundCost((total[counter] || 0) + (Number(usage[counter]) || 0));
+    }
+    if (total.agents && usage.agents) {
+        for (const [agent, agentUsage] of Object.entries(usage.agents)) {
+            total.agents[agent] = addUsage(total.agents[agent] || emptyUsage(), agentUsage);
+        }
+    }
+    return total;
+}
+
+/**
+ * Find the price of a model in a pricing table
+ * Models are matched exactly, then by the longest prefix (e.g. 'gpt-4o' prices 'gpt-4o-2024-08-06')
+ * @param {Object} pricing - Prices by model { input, output, cached }, in currency per million tokens
+ * @param {string} model - The model name
+ * @returns {Object|null} - The price, null if the model has none
+ */
+export function priceOf(pricing, model) {
+    if (!pricing || !model) {
+        return null;
+    }
+    if (pricing[model]) {
+        return pricing[model];
+    }
+    const prefix = Object.keys(pricing)
+        .filter(key => model.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Compute the cost of a model call
+ * Cached input tokens are priced at the cached price, or at the input price when it has none
+ * @param {Object} usage - The usage { inputTokens, outputTokens, cachedTokens }
+ * @param {Object|null} price - The price { input, output, cached }, in currency per million tokens
+ * @returns {number} - The cost, 0 without price
+ */
+export function costOf(usage, price) {
+    if (!usage || !price) {
+        return 0;
+    }
+    const cachedTokens = usage.cachedTokens || 0;
+    const uncachedTokens = Math.max((usage.inputTokens || 0) - cachedTokens, 0);
+    const cost = uncachedTokens * (price.input || 0) +
+        cachedTokens * (price.cached ?? price.input ?? 0) +
+        (usage.outputTokens || 0) * (price.output || 0);
+    return roundCost(cost / 1e6);
+}
+
+/**
+ * Get the usage tracker of the query running on a session state
+ * @param {Object} state - The session state
+ * @returns {Object|null} - The tracker, null if usage is not tracked
+ */
+export function usageTrackerOf(state) {
+    return (state && trackers.get(state)) || null;
+}
+
+/**
+ * Check the usage options of an agent
+ * @param {Object} options - The usage options
+ * @returns {Object} - The options
+ * @throws {ConfigurationError} - If the tenant period is not supported, or the tenant is not a function
+ */
+export function checkUsageOptions(options = {}) {
+    const period = options.period || 'month';
+    if (!USAGE_PERIODS.includes(period)) {
+        throw new ConfigurationError(`Unsupported usage period: ${period}`, {
+            period,
+            supportedPeriods: USAGE_PERIODS
+        });
+    }
+    if (options.tenant !== undefined && typeof options.tenant !== 'function') {
+        throw new ConfigurationError('The usage tenant must be a function', {
+            provided: typeof options.tenant
+        });
+    }
+    return options;
+}
+
+/**
+ * Create the usage ledger of an agent
+ * Session totals are stored next to the session state (`namespace.name.sessionId.usage`) when the
+ * agent has a store. Tenant totals are stored under `agentnet.usage.tenant.<tenantId>[.<period>]`,
+ * in memory without a store; every agent adds its own model calls, so the agents sharing a store
+ * share the totals of a tenant. Totals are added up with the increment of the store.
+ * The tenant id is read from the session state, then from the session of the message, which the
+ * caller sets: with untrusted callers, bind it with `tenant` or set it in the state.
+ * @param {Object} options - Ledger options
+ * @param {Object} options.store - The session store instance, null to keep tenant totals in memory
+ * @param {string} options.namespace - The agent namespace
+ * @param {string} options.agentName - The agent name
+ * @param {string} options.model - The model of the agent, priced with the pricing table
+ * @param {Object} options.pricing - Prices by model { input, output, cached }, in currency per million tokens
+ * @param {Object} options.budgets - Budgets { session: { tokens, cost }, tenant: { tokens, cost } }
+ * @param {string} options.tenantKey - The session key holding the tenant id (default 'tenantId')
+ * @param {string} options.period - The period of the tenant totals: 'day', 'month' or 'total' (default 'month')
+ * @returns {Object} - The ledger { open }
+ */
+export function UsageLedger({ store = null, namespace, agentName, model, pricing = {}, budgets = {}, tenantKey = 'tenantId', tenant = null, period = 'month' }) {
+    const backend = store || memoryStore();
+    const price = priceOf(pricing, model);
+    const network = `${namespace}.${agentName}`;
+
+    /**
+     * Add counters to the totals of a key, atomically with the increment of the store
+     * Adding no counters reads the totals
+     */
+    const increment = async (key, counters) => {
+        if (!key) {
+            return null;
+        }
+        await backend.connect();
+        if (typeof backend.increment === 'function') {
+            return toUsage(await backend.increment(key, counters));
+        }
+        // Stores without increment: read, add and write back, concurrent queries can lose updates
+        const saved = await backend.get(key);
+        const totals = saved ? JSON.parse(saved) : {};
+        for (const [field, value] of Object.entries(counters)) {
+            totals[field] = (totals[field] || 0) + value;
+        }
+        if (Object.keys(counters).length > 0) {
+            await backend.set(key, JSON.stringify(totals));
+        }
+        return toUsage(totals);
+    };
+
+    const tenantStoreKey = (tenantId) => {
+        const date = new Date().toISOString();
+        const suffix = { day: `.${date.slice(0, 10)}`, month: `.${date.slice(0, 7)}`, total: '' }[period];
+        return `agentnet.usage.tenant.${tenantId}${suffix}`;
+    };
+
+    /**
+     * Throw when a total, with the usage of the query, is over its budget
+     */
+    const checkBudget = (scope, budget, totals, usage, details) => {
+        if (!budget) {
+            return;
+        }
+        const tokens = (totals?.totalTokens || 0) + usage.totalTokens;
+        const cost = roundCost((totals?.cost || 0) + usage.cost);
+        if (budget.tokens !== undefined && tokens >= budget.tokens) {
+            throw new BudgetExceededError(`Token budget of ${scope} exceeded: ${tokens}/${budget.tokens} tokens`, scope, {
+                ...details, limit: budget.tokens, used: tokens
+            });
+        }
+        if (budget.cost !== undefined && cost >= budget.cost) {
+            throw new BudgetExceededError(`Cost budget of ${scope} exceeded: ${cost}/${budget.cost}`, scope, {
+                ...details, limit: budget.cost, used: cost
+            });
+        }
+    };
+
+    /**
+     * Open the usage tracker of a query, loading the session and tenant totals
+     * @param {Object} state - The session state of the query
+     * @param {Object} query - The query { sessionId, session }, the tenant id is read from the state or the session by default
+     * @returns {Promise<Object>} - The tracker { usage, record, addHandoff, check, hasUsage, commit, close }
+     */
+    const open = async (state, { sessionId = null, session = {} } = {}) => {
+        const tenantId = (tenant ? tenant(state, session) : state[tenantKey] ?? session?.[tenantKey]) ?? null;
+        const sessionKey = store && sessionId ? `${network}.${sessionId}.usage` : null;
+        const tenantKeyOfQuery = tenantId !== null ? tenantStoreKey(tenantId) : null;
+        const [sessionTotals, tenantTotals] = await Promise.all([increment(sessionKey, {}), increment(tenantKeyOfQuery, {})]);
+
+        // Usage of this query, with its handoffs, and of the model calls of this agent only
+        const usage = { ...emptyUsage(), agents: {} };
+        const own = { ...emptyUsage(), agents: {} };
+
+        const tracker = {
+            usage,
+
+            /**
+             * Add the usage of a model call of this agent
+             * @param {Object|null} callUsage - The usage read from the model response
+             */
+            record(callUsage) {
+                if (!callUsage) {
+                    return;
+                }
+                const priced = { ...callUsage, cost: costOf(callUsage, price), calls: 1 };
+                const byAgent = { ...priced, agents: { [network]: priced } };
+                addUsage(usage, byAgent);
+                addUsage(own, byAgent);
+            },
+
+            /**
+             * Add the usage reported by a handoff Response
+             * @param {Object|null} handoffUsage - The usage of the handoff, with its totals by agent
+             */
+            addHandoff(handoffUsage) {
+                addUsage(usage, handoffUsage);
+            },
+
+            /**
+             * Check the session and tenant budgets, before a model call
+             * @throws {BudgetExceededError} - If a budget is exhausted
+             */
+            check() {
+                checkBudget('session', budgets.session, sessionTotals, usage, { sessionId });
+                if (tenantId !== null) {
+                    checkBudget('tenant', budgets.tenant, tenantTotals, usage, { tenantId });
+                }
+            },
+
+            /**
+             * Whether the query reported any usage
+             * @returns {boolean}
+             */
+            hasUsage() {
+                return usage.calls > 0;
+            },
+
+            /**
+             * Persist the usage of the query in the session and tenant totals
+             * @returns {Promise<void>}
+             */
+            async commit() {
+                if (!tracker.hasUsage()) {
+                    return;
+                }
+                try {
+                    await increment(sessionKey, toCounters(usage));
+                    await increment(tenantKeyOfQuery, toCounters(own));
+                } catch (error) {
+                    logger.error(`Failed to save the usage of agent ${agentName}`, { error, sessionId, tenantId });
+                }
+            },
+
+            /**
+             * Stop tracking the session state
+             */
+            close() {
+                trackers.delete(state);
+            }
+        };
+
+        trackers.set(state, tracker);
+        return tracker;
+    };
+
+    return { open };
+}
+
+/**
+ * Flatten a usage into the counters of a store, the totals by agent under `agents.<network>.<counter>`
+ * @param {Object} usage - The usage, with its totals by agent
+ * @returns {Object} - The counters
+ */
+function toCounters(usage) {
+    const counters = Object.fromEntries(COUNTERS.map(counter => [counter, usage[counter] || 0]));
+    for (const [agent, agentUsage] of Object.entries(usage.agents || {})) {
+        for (const counter of COUNTERS) {
+            counters[`agents.${agent}.${counter}`] = agentUsage[counter] || 0;
+        }
+    }
+    return counters;
+}
+
+/**
+ * Read a usage from the counters of a store
+ * @param {Object} counters - The counters
+ * @returns {Object|null} - The usage, with its totals by agent, null without counters
+ */
+function toUsage(counters) {
+    if (!counters || Object.keys(counters).length === 0) {
+        return null;
+    }
+    const usage = { ...emptyUsage(), agents: {} };
+    for (const [field, value] of Object.entries(counters)) {
+        if (field.startsWith('agents.')) {
+            const separator = field.lastIndexOf('.');
+            const agent = field.slice('agents.'.length, separator);
+            usage.agents[agent] ||= emptyUsage();
+            usage.agents[agent][field.slice(separator + 1)] = roundCost(Number(value));
+        } else {
+            usage[field] = roundCost(Number(value));
+        }
+    }
+    return usage;
+}
+
+/**
+ * Round a cost to a billionth, hiding floating point noise
+ * @param {number} value - The cost
+ * @returns {number} - The rounded cost
+ */
+function roundCost(value) {
+    return Math.round(value * 1e9) / 1e9;
+}
@@ -104,6 +104,17 @@ export class ValidationError extends SmartAgentError {
   }
 }
 
+/**
+ * Tool call arguments that do not match the tool parameters schema
+ */
+export class ToolValidationError extends ValidationError {
+  constructor(message, toolName, errors = []) {
+    super(message, errors);
+    this.name = 'ToolValidationError';
+    this.toolName = toolName;
+  }
+}
+
 /**
  * Timeouts in agent operations
  */
@@ -116,6 +127,29 @@ export class TimeoutError extends SmartAgentError {
   }
 }
 
+/**
+ * Queries sent to an agent that has been stopped
+ */
+export class AgentStoppedError extends SmartAgentError {
+  constructor(message, agentName) {
+    super(message);
+    this.name = 'AgentStoppedError';
+    this.agentName = agentName;
+  }
+}
+
+/**
+ * Errors raised when a session or tenant token budget is exhausted, stopping the run loop
+ */
+export class BudgetExceededError extends SmartAgentError {
+  constructor(message, scope, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.details = details;
+  }
+}
+
 /**
  * Helper to wrap async functions with timeout
  * @param {Function} fn - Async function to execute
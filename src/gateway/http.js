@@ -0,0 +1,156 @@
+/**
+ * HTTP Gateway
+ *
+ * Exposes agents as a REST API to callers outside the agent network, with the Node http module:
+ *   GET  /v1/agents                           - The agents served by the gateway and the discovered ones
+ *   POST /v1/agents/:namespace/:name/query    - Query an agent with a Message, answered with a Response
+ * Queries asking for text/event-stream are answered with Server-Sent Events.
+ * Compiled agents given to the gateway are queried directly, the others through its IO interface.
+ */
+import http from 'http';
+import { AgentTargets, GatewayError, statusOf, toMessage } from './targets.js';
+import { DEFAULT_MAX_BODY_BYTES, readJson, sendJson, sendError, startServer, stopServer } from './server.js';
+import { traceContextOf } from '../utils/tracing.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_PORT = Number(process.env.AGENTNET_HTTP_PORT) || 8080;
+const QUERY_ROUTE = /^\/v1\/agents\/([^/]+)\/([^/]+)\/query$/;
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Whether the caller asked for a Server-Sent Events stream
+ * @param {http.IncomingMessage} req - The request
+ * @param {URL} url - The request URL
+ * @returns {boolean}
+ */
+function wantsStream(req, url) {
+    return (req.headers.accept || '').includes('text/event-stream') || url.searchParams.get('stream') === 'true';
+}
+
+/**
+ * Creates an HTTP gateway in front of agents
+ * @param {Object} config - Gateway configuration
+ * @param {Object} config.agents - Compiled agents served directly, by network (namespace.name)
+ * @param {Object} config.io - IO interface the other agents are queried through, e.g. NatsIO()
+ * @param {Object} config.bindings - Discovery bindings of the IO interface { discoveryTopic, acceptedNetworks, discoveryTtlMs }
+ * @param {number} config.requestTimeout - Timeout of the queries forwarded through the IO interface
+ * @param {number} config.maxBodyBytes - Maximum size of a request body
+ * @returns {Object} - The gateway { server, handler, listen, close, listAgents }
+ */
+export function HttpGateway(config = {}) {
+    const { maxBodyBytes = DEFAULT_MAX_BODY_BYTES } = config;
+    const targets = AgentTargets(config);
+
+    /**
+     * Answer a query with Server-Sent Events: one event per stream event, named by its type,
+     * then a 'response' event with the Response, or an 'error' event
+     */
+    const streamQuery = async (req, res, target, message) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+
+        try {
+            for await (const event of target.stream(message)) {
+                // Leaving the loop stops the agent stream
+                if (closed) {
+                    break;
+                }
+                if (typeof event.serialize === 'function') {
+                    sendEvent(res, 'response', JSON.parse(event.serialize()));
+                } else {
+                    sendEvent(res, event.type, event);
+                }
+            }
+        } catch (error) {
+            logger.error(`HTTP gateway stream failed: ${error.message}`, { error });
+            if (!closed) {
+                sendEvent(res, 'error', { type: error.name || 'Error', message: error.message, status: statusOf(error) });
+            }
+        } finally {
+            res.end();
+        }
+    };
+
+    /**
+     * Request listener of the gateway, usable with an existing http server
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @returns {Promise<void>}
+     */
+    const handler = async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+
+            if (url.pathname === '/v1/agents') {
+                if (req.method !== 'GET') {
+                    throw new GatewayError(405, 'MethodNotAllowed', `${req.method} is not allowed on ${url.pathname}`);
+                }
+                sendJson(res, 200, { agents: targets.listAgents() });
+                return;
+            }
+
+            const route = QUERY_ROUTE.exec(url.pathname);
+            if (!route) {
+                throw new GatewayError(404, 'NotFound', `No route for ${url.pathname}`);
+            }
+            if (req.method !== 'POST') {
+                throw new GatewayError(405, 'MethodNotAllowed', `${req.method} is not allowed on ${url.pathname}`);
+            }
+
+            const [namespace, name] = route.slice(1).map(decodeURIComponent);
+            const target = targets.resolve(namespace, name);
+            const message = toMessage(await readJson(req, maxBodyBytes), traceContextOf(req.headers));
+
+            if (wantsStream(req, url)) {
+                await streamQuery(req, res, target, message);
+                return;
+            }
+
+            const response = await target.query(message);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(response.serialize());
+        } catch (error) {
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendError(res, error, 'HTTP gateway');
+        }
+    };
+
+    const server = http.createServer(handler);
+
+    /**
+     * Start the gateway, and the discovery of agents if the IO interface has a discovery topic
+     * @param {number} port - The port, 0 for a random one
+     * @param {string} host - The host
+     * @returns {Promise<Object>} - The server address { address, port }
+     */
+    const listen = async (port = config.port ?? DEFAULT_PORT, host = config.host) => {
+        await targets.start();
+        const address = await startServer(server, port, host);
+        logger.info(`HTTP gateway listening on port ${address.port}`);
+        return address;
+    };
+
+    /**
+     * Stop accepting requests, close the open streams and stop the discovery
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        await stopServer(server);
+        await targets.stop();
+    };
+
+    return { server, handler, listen, close, listAgents: targets.listAgents };
+}
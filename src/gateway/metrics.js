@@ -0,0 +1,82 @@
+/**
+ * Metrics listener
+ *
+ * Serves the agentnet metrics in the Prometheus text exposition format, with the Node http module:
+ *   GET /metrics - The metrics of the agents running in the process
+ */
+import http from 'http';
+import { metricsRegistry } from '../utils/metrics.js';
+import { startServer, stopServer } from './server.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_PORT = Number(process.env.AGENTNET_METRICS_PORT) || 9464;
+const DEFAULT_PATH = '/metrics';
+
+/**
+ * Creates the metrics listener
+ * @param {Object} config - Listener configuration
+ * @param {Object} config.registry - The prom-client registry, the agentnet one by default
+ * @param {string} config.path - The path of the metrics (default /metrics)
+ * @param {number} config.port - The default port (AGENTNET_METRICS_PORT, 9464)
+ * @param {string} config.host - The default host
+ * @returns {Object} - The listener { server, handler, listen, close }
+ */
+export function MetricsServer(config = {}) {
+    const registry = config.registry || metricsRegistry;
+    const path = config.path || DEFAULT_PATH;
+
+    /**
+     * Request listener of the metrics, usable with an existing http server
+     * @param {http.IncomingMessage} req - The request
+     * @param {http.ServerResponse} res - The response
+     * @returns {Promise<void>}
+     */
+    const handler = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== path) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end(`No route for ${url.pathname}`);
+            return;
+        }
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET' });
+            res.end(`${req.method} is not allowed on ${url.pathname}`);
+            return;
+        }
+
+        try {
+            const body = await registry.metrics();
+            res.writeHead(200, { 'Content-Type': registry.contentType });
+            res.end(body);
+        } catch (error) {
+            logger.error(`Failed to collect the metrics: ${error.message}`, { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(error.message);
+        }
+    };
+
+    const server = http.createServer(handler);
+
+    /**
+     * Start serving the metrics
+     * @param {number} port - The port, 0 for a random one
+     * @param {string} host - The host
+     * @returns {Promise<Object>} - The server address { address, port }
+     */
+    const listen = async (port = config.port ?? DEFAULT_PORT, host = config.host) => {
+        const address = await startServer(server, port, host);
+        logger.info(`Metrics listening on port ${address.port}${path}`);
+        return address;
+    };
+
+    /**
+     * Stop serving the metrics
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        await stopServer(server);
+    };
+
+    return { server, handler, listen, close };
+}
@@ -0,0 +1,91 @@
+/**
+ * HTTP server helpers
+ *
+ * Request bodies, JSON replies and the server lifecycle, shared by the HTTP gateway
+ * and the MCP and A2A servers.
+ */
+import { GatewayError, statusOf } from './targets.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+export const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - The request
+ * @param {number} maxBytes - The maximum body size
+ * @returns {Promise<Object>} - The parsed body
+ * @throws {GatewayError} - PayloadTooLarge (413) past maxBytes, InvalidJSON (400) if the body is not valid JSON
+ */
+export async function readJson(req, maxBytes = DEFAULT_MAX_BODY_BYTES) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new GatewayError(413, 'PayloadTooLarge', `Request body exceeds ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new GatewayError(400, 'InvalidJSON', `Invalid JSON body: ${error.message}`);
+    }
+}
+
+/**
+ * Reply with a JSON payload
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The status code
+ * @param {Object} payload - The payload
+ */
+export function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Reply with an error { error: { type, message } }, its status given by statusOf
+ * @param {http.ServerResponse} res - The response
+ * @param {Error} error - The error
+ * @param {string} server - Server name in the logs of the server errors
+ */
+export function sendError(res, error, server) {
+    const status = statusOf(error);
+    if (status >= 500) {
+        logger.error(`${server} request failed: ${error.message}`, { error });
+    }
+    sendJson(res, status, { error: { type: error.name || 'Error', message: error.message } });
+}
+
+/**
+ * Start an http server
+ * @param {http.Server} server - The server
+ * @param {number} port - The port, 0 for a random one
+ * @param {string} host - The host
+ * @returns {Promise<Object>} - The server address { address, port }
+ */
+export async function startServer(server, port, host) {
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    return server.address();
+}
+
+/**
+ * Stop accepting requests and close the open connections of an http server
+ * @param {http.Server} server - The server
+ * @returns {Promise<void>}
+ */
+export async function stopServer(server) {
+    if (server?.listening) {
+        const closing = new Promise(resolve => server.close(() => resolve()));
+        server.closeAllConnections();
+        await closing;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Gateway targets
+ *
+ * Shared by the gateways: resolves the agent answering a network, a compiled agent or an agent
+ * reached through an IO interface, and lists the agents discovered on that interface.
+ */
+import { Message } from '../index.js';
+import { AgentClient } from '../agent/client.js';
+import { createTransport, transportTypeOf, safeConnect, DEFAULT_DISCOVERY_TTL } from '../transport/index.js';
+import { ValidationError, TransportError, AgentStoppedError, BudgetExceededError } from '../errors/index.js';
+
+// The gateways listen to discovery as an agent that is never announced
+const GATEWAY_NAMESPACE = 'agentnet';
+const GATEWAY_NAME = 'gateway';
+
+/**
+ * Errors of a gateway request with their own status code, e.g. unknown routes
+ */
+export class GatewayError extends Error {
+    constructor(status, type, message) {
+        super(message);
+        this.name = type;
+        this.status = status;
+    }
+}
+
+/**
+ * HTTP status of a failed query
+ * @param {Error} error - The query error
+ * @returns {number} - The status code
+ */
+export function statusOf(error) {
+    const errorName = error.details?.errorName || error.name;
+    if (error instanceof GatewayError) {
+        return error.status;
+    }
+    if (error.isNoResponders?.() || errorName === 'NoRoute') {
+        return 404;
+    }
+    if (errorName === 'TimeoutError') {
+        return 504;
+    }
+    if (error instanceof ValidationError || error instanceof SyntaxError) {
+        return 400;
+    }
+    if (error instanceof AgentStoppedError) {
+        return 503;
+    }
+    // Exhausted budgets, of this agent or of an agent queried over a transport
+    if (error instanceof BudgetExceededError || error.details?.type === 'BudgetExceededError') {
+        return 429;
+    }
+    if (error instanceof TransportError) {
+        return 502;
+    }
+    return 500;
+}
+
+/**
+ * Build the Message of a request body
+ * @param {Object} body - The parsed body, in the Message shape { content, session }
+ * @param {Object|null} trace - The trace context of the request { traceparent, tracestate }
+ * @returns {Message} - The message
+ */
+export function toMessage(body, trace = null) {
+    if (!body || typeof body !== 'object' || body.content === undefined) {
+        throw new ValidationError('The request body must be a Message: { content, session }');
+    }
+    if (body.session !== undefined && (typeof body.session !== 'object' || body.session === null)) {
+        throw new ValidationError('The message session must be an object');
+    }
+    return new Message({ content: body.content, session: body.session, trace });
+}
+
+/**
+ * Creates the targets of a gateway
+ * @param {Object} config - Gateway configuration
+ * @param {Object} config.agents - Compiled agents served directly, by network (namespace.name)
+ * @param {Object} config.io - IO interface the other agents are queried through, e.g. NatsIO()
+ * @param {Object} config.bindings - Discovery bindings of the IO interface { discoveryTopic, acceptedNetworks, discoveryTtlMs }
+ * @param {number} config.requestTimeout - Timeout of the queries forwarded through the IO interface
+ * @returns {Object} - The targets { resolve, listAgents, start, stop }
+ */
+export function AgentTargets(config = {}) {
+    const { agents = {}, io = null, bindings = {}, requestTimeout } = config;
+    const client = AgentClient({ requestTimeout });
+    const discoveredAgents = {};
+    let discovery = null;
+
+    /**
+     * Start listening to the agents announced on the IO interface, if it has a discovery topic
+     * @returns {Promise<void>}
+     */
+    const start = async () => {
+        if (!io || !bindings.discoveryTopic || discovery) {
+            return;
+        }
+        const transport = createTransport(transportTypeOf(io));
+        try {
+            await safeConnect(transport, { instance: io });
+            await transport.setupDiscoverySubscription(
+                bindings.discoveryTopic,
+                GATEWAY_NAMESPACE,
+                GATEWAY_NAME,
+                discoveredAgents,
+                bindings.acceptedNetworks || ['*.*']
+            );
+            transport.setupDiscoveryExpiry(discoveredAgents, GATEWAY_NAME, bindings.discoveryTtlMs || DEFAULT_DISCOVERY_TTL);
+            discovery = transport;
+        } catch (error) {
+            await transport.disconnect();
+            throw error;
+        }
+    };
+
+    /**
+     * Stop the discovery and release the connections of the client
+     * @returns {Promise<void>}
+     */
+    const stop = async () => {
+        await discovery?.disconnect();
+        discovery = null;
+        await client.close();
+    };
+
+    /**
+     * The agents reachable through the gateway
+     * @returns {Array} - [{ network, namespace, name, local, capabilities, instances }]
+     */
+    const listAgents = () => {
+        const listed = new Map();
+        const entry = (network) => {
+            if (!listed.has(network)) {
+                const [namespace, name] = network.split('.');
+                listed.set(network, { network, namespace, name, local: false, capabilities: [], instances: 0 });
+            }
+            return listed.get(network);
+        };
+
+        for (const network of Object.keys(agents)) {
+            entry(network).local = true;
+        }
+        for (const discovered of Object.values(discoveredAgents)) {
+            const agent = entry(discovered.network);
+            agent.capabilities.push(discovered.schema);
+            agent.instances = Math.max(agent.instances, Object.keys(discovered.instances).length);
+        }
+        return [...listed.values()];
+    };
+
+    /**
+     * The agent answering queries to a network
+     * @param {string} namespace - The agent namespace
+     * @param {string} name - The agent name
+     * @returns {Object} - { query, stream } of the compiled agent, or of the IO interface
+     * @throws {GatewayError} - If the agent is not local and there is no IO interface
+     */
+    const resolve = (namespace, name) => {
+        const agent = agents[`${namespace}.${name}`];
+        if (agent) {
+            return {
+                query: (message) => client.queryAgent(agent, message),
+                stream: (message) => client.queryAgent.stream(agent, message)
+            };
+        }
+        if (!io) {
+            throw new GatewayError(404, 'AgentNotFound', `Agent ${namespace}.${name} is not served by this gateway`);
+        }
+        return {
+            query: (message) => client.queryIo(io, namespace, name, message),
+            stream: (message) => client.queryIo.stream(io, namespace, name, message)
+        };
+    };
+
+    return { resolve, listAgents, start, stop };
+}
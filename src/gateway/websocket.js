@@ -0,0 +1,233 @@
+/**
+ * WebSocket Gateway
+ *
+ * Interactive chat sessions over WebSocket: each socket connects to
+ *   /v1/agents/:namespace/:name/sessions/:sessionId
+ * and is bound to that session. User messages are forwarded to the agent one turn at a time, and
+ * the stream events of each turn (text deltas, tools started, handoffs) are pushed back before the
+ * response. A socket reconnecting to a session takes it over, and resumes it from the store.
+ */
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { AgentTargets, GatewayError, statusOf, toMessage } from './targets.js';
+import { startServer, stopServer } from './server.js';
+import { SessionStore } from '../index.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_PORT = Number(process.env.AGENTNET_WS_PORT) || 8081;
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024;
+const SESSION_ROUTE = /^\/v1\/agents\/([^/]+)\/([^/]+)\/sessions\/([^/]+)$/;
+// Close code of a socket whose session was resumed on another socket
+const CLOSE_TAKEN_OVER = 4000;
+// Conversation entries sent back when a session is resumed
+const HISTORY_TYPES = ['user_input', 'model_response'];
+
+/**
+ * Frame pushed for a stream event of a turn
+ * @param {Object} event - The stream event
+ * @returns {Object} - The frame
+ */
+function toFrame(event) {
+    if (event.type === 'tool_call' && event.handoff) {
+        return { type: 'handoff', to: event.name, args: event.args, run: event.run };
+    }
+    if (event.type === 'tool_call') {
+        return { type: 'tool_started', id: event.id, name: event.name, args: event.args, run: event.run };
+    }
+    return event;
+}
+
+/**
+ * Public session state, without the private (_) keys
+ * @param {Object} state - The session state
+ * @returns {Object} - The public state
+ */
+function publicState(state) {
+    return Object.fromEntries(Object.entries(state || {}).filter(([key]) => !key.startsWith('_')));
+}
+
+/**
+ * Reject an upgrade request with an HTTP error
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}`);
+}
+
+/**
+ * Creates a WebSocket gateway in front of agents
+ * @param {Object} config - Gateway configuration
+ * @param {Object} config.agents - Compiled agents served directly, by network (namespace.name)
+ * @param {Object} config.io - IO interface the other agents are queried through, e.g. NatsIO()
+ * @param {Object} config.bindings - Discovery bindings of the IO interface { discoveryTopic, acceptedNetworks, discoveryTtlMs }
+ * @param {number} config.requestTimeout - Timeout of the queries forwarded through the IO interface
+ * @param {Object} config.store - Session store of the agents (e.g. RedisStore()), to resume sessions
+ * @param {http.Server} config.server - Existing server to accept the sockets on, e.g. the HTTP gateway server
+ * @param {number} config.maxPayload - Maximum size of a user message
+ * @returns {Object} - The gateway { server, wss, listen, close, sessions }
+ */
+export function WebSocketGateway(config = {}) {
+    const { store = null, maxPayload = DEFAULT_MAX_PAYLOAD } = config;
+    const targets = AgentTargets(config);
+    const ownServer = !config.server;
+    const server = config.server || http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Upgrade Required');
+    });
+    const wss = new WebSocketServer({ noServer: true, maxPayload });
+    // Socket bound to each session, by namespace.name.sessionId
+    const sessions = new Map();
+
+    /**
+     * Load the state and history of a session from the store
+     * @returns {Promise<Object>} - { resumed, state, history }
+     */
+    const loadSession = async (key) => {
+        if (!store) {
+            return { resumed: false, state: {}, history: [] };
+        }
+        await store.connect();
+        const { state, conversation } = await new SessionStore(key).load(store);
+        const history = conversation.getMessages()
+            .filter(message => HISTORY_TYPES.includes(message.metadata.type))
+            .map(message => ({ type: message.metadata.type, content: message.content, timestamp: message.metadata.timestamp }));
+        return { resumed: history.length > 0 || Object.keys(state).length > 0, state: publicState(state), history };
+    };
+
+    /**
+     * Serve a session on a socket
+     * @param {WebSocket} ws - The socket
+     * @param {Object} target - The agent answering the session { query, stream }
+     * @param {string} key - The session key, namespace.name.sessionId
+     * @param {string} sessionId - The session id
+     */
+    const serve = (ws, target, key, sessionId) => {
+        const send = (frame) => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(JSON.stringify(frame));
+            }
+        };
+        const sendError = (error) => {
+            const status = statusOf(error);
+            if (status >= 500) {
+                logger.error(`WebSocket gateway turn failed: ${error.message}`, { error, sessionId });
+            }
+            send({ type: 'error', error: { type: error.name || 'Error', message: error.message }, status });
+        };
+
+        // The previous socket of the session is replaced
+        sessions.get(key)?.close(CLOSE_TAKEN_OVER, 'Session resumed on another connection');
+        sessions.set(key, ws);
+
+        let session = { id: sessionId };
+        // User messages are queued while the session is loaded and while a turn is running
+        let turns = loadSession(key)
+            .then(({ resumed, state, history }) => {
+                session = { ...state, ...session };
+                send({ type: 'session', session, resumed, history });
+            })
+            .catch((error) => {
+                logger.warn(`Session ${key} could not be resumed from the store`, { error: error.message });
+                send({ type: 'session', session, resumed: false, history: [] });
+            });
+
+        const runTurn = async (message) => {
+            for await (const event of target.stream(message)) {
+                // Leaving the loop stops the agent stream
+                if (ws.readyState !== ws.OPEN) {
+                    break;
+                }
+                if (typeof event.serialize === 'function') {
+                    session = { ...session, ...publicState(event.getSession()), id: sessionId };
+                    send({ type: 'response', content: event.getContent(), session });
+                } else {
+                    send(toFrame(event));
+                }
+            }
+        };
+
+        ws.on('message', (data) => {
+            let frame;
+            try {
+                frame = JSON.parse(data.toString());
+                if (frame?.type !== undefined && frame.type !== 'message') {
+                    throw new GatewayError(400, 'UnsupportedFrame', `Unsupported frame type: ${frame.type}`);
+                }
+                toMessage(frame);
+            } catch (error) {
+                sendError(error instanceof SyntaxError ? new GatewayError(400, 'InvalidJSON', `Invalid JSON frame: ${error.message}`) : error);
+                return;
+            }
+            // The session is read when the turn starts, with the state left by the previous turns
+            turns = turns
+                .then(() => runTurn(toMessage({ content: frame.content, session: { ...session, ...frame.session, id: sessionId } })))
+                .catch(sendError);
+        });
+
+        ws.on('close', () => {
+            if (sessions.get(key) === ws) {
+                sessions.delete(key);
+            }
+        });
+    };
+
+    const onUpgrade = (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = SESSION_ROUTE.exec(url.pathname);
+        if (!route) {
+            // Other upgrades of a shared server are left to their own handlers
+            if (ownServer) {
+                rejectUpgrade(socket, 404, `No route for ${url.pathname}`);
+            }
+            return;
+        }
+
+        const [namespace, name, sessionId] = route.slice(1).map(decodeURIComponent);
+        let target;
+        try {
+            target = targets.resolve(namespace, name);
+        } catch (error) {
+            rejectUpgrade(socket, statusOf(error), error.message);
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            serve(ws, target, `${namespace}.${name}.${sessionId}`, sessionId);
+        });
+    };
+    server.on('upgrade', onUpgrade);
+
+    /**
+     * Start the gateway, and the discovery of agents if the IO interface has a discovery topic
+     * The server is only started if the gateway created it.
+     * @param {number} port - The port, 0 for a random one
+     * @param {string} host - The host
+     * @returns {Promise<Object>} - The server address { address, port }
+     */
+    const listen = async (port = config.port ?? DEFAULT_PORT, host = config.host) => {
+        await targets.start();
+        if (ownServer) {
+            await startServer(server, port, host);
+            logger.info(`WebSocket gateway listening on port ${server.address().port}`);
+        }
+        return server.address();
+    };
+
+    /**
+     * Close the sockets, the server if the gateway created it, and stop the discovery
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        server.off('upgrade', onUpgrade);
+        for (const ws of wss.clients) {
+            ws.close(1001, 'Gateway shutting down');
+        }
+        await new Promise(resolve => wss.close(() => resolve()));
+        if (ownServer) {
+            await stopServer(server);
+        }
+        await targets.stop();
+    };
+
+    return { server, wss, listen, close, sessions };
+}
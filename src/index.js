@@ -3,6 +3,9 @@ import * as _AgentLoader from "./agent/agent-loader.js";
 import * as _AgentClient from "./agent/client.js";
 import _Gemini from "./llm/gemini.js";
 import _GPT from "./llm/gpt.js";
+import _Claude from "./llm/claude.js";
+import _ChatCompletions from "./llm/chat-completions.js";
+import { MockLLM as _MockLLM } from "./llm/mock.js";
 import { 
     redisStore, 
     postgresStore, 
@@ -10,6 +13,20 @@ import {
     session 
 } from "./store/store.js";
 import { Conversation } from "./utils/conversation.js";
+import { createClient } from "redis";
+import { createRedisTransport } from "./transport/redis.js";
+import { Kafka } from "kafkajs";
+import { createKafkaTransport } from "./transport/kafka.js";
+import amqp from "amqplib";
+import { createRabbitMQTransport } from "./transport/rabbitmq.js";
+import { InProcessBus } from "./transport/inprocess.js";
+import { HttpGateway as _HttpGateway } from "./gateway/http.js";
+import { WebSocketGateway as _WebSocketGateway } from "./gateway/websocket.js";
+import { McpAgentServer as _McpAgentServer } from "./mcp/server.js";
+import { A2AServer as _A2AServer } from "./a2a/server.js";
+import { MetricsServer as _MetricsServer } from "./gateway/metrics.js";
+import { metricsRegistry } from "./utils/metrics.js";
+import { logger } from "./utils/logger.js";
 
 export const AgentLoaderFile = _AgentLoader.AgentLoaderFile
 export const AgentLoaderJSON = _AgentLoader.AgentLoaderJSON
@@ -18,30 +35,62 @@ export const Agent = _Agent.Agent
 export const AgentClient = _AgentClient.AgentClient
 export const LLMRuntime = {
     GPT: _GPT,
-    Gemini: _Gemini
+    Gemini: _Gemini,
+    Claude: _Claude,
+    ChatCompletions: _ChatCompletions
 }
 
 export const Gemini = _Gemini
 export const GPT = _GPT
+export const Claude = _Claude
+export const ChatCompletions = _ChatCompletions
+export const MockLLM = _MockLLM
 
 export const PostgresStore = postgresStore
 export const RedisStore = redisStore
 export const MemoryStore = memoryStore
 export const SessionStore = session
 
+export const HttpGateway = _HttpGateway
+export const WebSocketGateway = _WebSocketGateway
+export const McpAgentServer = _McpAgentServer
+export const A2AServer = _A2AServer
+export const MetricsServer = _MetricsServer
+export const MetricsRegistry = metricsRegistry
+
 import { connect } from "@nats-io/transport-node"
 export const NatsIO = (config) => {
-    let connected = false
-    let nc = null
+    let connecting = null
+    // Agents sharing this interface share the connection, the last one to release it closes it;
+    // AgentClient holds it until the client is closed
+    let users = 0
     return {
         type: 'NatsIO',
         connect: async () => {
-            if (connected) {
-                return nc
+            users++
+            connecting ||= connect(config).catch((error) => {
+                connecting = null
+                throw error
+            })
+            try {
+                return await connecting
+            } catch (error) {
+                users--
+                throw error
+            }
+        },
+        release: async () => {
+            users = Math.max(0, users - 1)
+            if (users > 0 || !connecting) {
+                return
+            }
+            // A connect during the drain opens a new connection
+            const draining = connecting
+            connecting = null
+            const nc = await draining.catch(() => null)
+            if (nc && !nc.isClosed()) {
+                await nc.drain()
             }
-            nc = await connect(config)
-            connected = true
-            return nc
         },
         query: async (target, message) => {
             const nc = await this.connect()
@@ -49,22 +98,214 @@ export const NatsIO = (config) => {
         }
     }
 }
+export const RedisIO = (config) => {
+    let connecting = null
+    let client = null
+    let requester = null
+    // Agents sharing this interface share the command connection, the last one to release it closes it
+    let users = 0
+    const io = {
+        type: 'RedisIO',
+        connect: async () => {
+            users++
+            connecting ||= (async () => {
+                client = createClient(config || { url: 'redis://localhost:6379' })
+                client.on('error', (error) => logger.error('Redis IO error', { error: error.message }))
+                await client.connect()
+                return client
+            })().catch((error) => {
+                connecting = null
+                throw error
+            })
+            try {
+                return await connecting
+            } catch (error) {
+                users--
+                throw error
+            }
+        },
+        release: async () => {
+            users = Math.max(0, users - 1)
+            // Only the request transport is left, it releases the connection in turn
+            if (users === 1 && requester) {
+                const transport = await requester.catch(() => null)
+                requester = null
+                await transport?.disconnect()
+                return
+            }
+            if (users > 0 || !connecting) {
+                return
+            }
+            connecting = null
+            if (client?.isOpen) {
+                await client.close()
+            }
+            client = null
+        },
+        // Request/reply for clients that are not agents, e.g. AgentClient.queryIo
+        request: async (target, payload, options = {}) => {
+            requester ||= (async () => {
+                const transport = createRedisTransport()
+                await transport.connect({ instance: io })
+                return transport
+            })().catch((error) => {
+                requester = null
+                throw error
+            })
+            return await (await requester).request(target, payload, options)
+        }
+    }
+    return io
+}
+export const KafkaIO = (config) => {
+    let connecting = null
+    let connection = null
+    let requester = null
+    // Agents sharing this interface share the client and the producer, the last one to release them disconnects
+    let users = 0
+    const io = {
+        type: 'KafkaIO',
+        connect: async () => {
+            users++
+            connecting ||= (async () => {
+                const kafka = new Kafka(config || { clientId: 'agentnet', brokers: ['localhost:9092'] })
+                const producer = kafka.producer()
+                await producer.connect()
+                connection = { kafka, producer }
+                return connection
+            })().catch((error) => {
+                connecting = null
+                throw error
+            })
+            try {
+                return await connecting
+            } catch (error) {
+                users--
+                throw error
+            }
+        },
+        release: async () => {
+            users = Math.max(0, users - 1)
+            // Only the request transport is left, it releases the connection in turn
+            if (users === 1 && requester) {
+                const transport = await requester.catch(() => null)
+                requester = null
+                await transport?.disconnect()
+                return
+            }
+            if (users > 0 || !connecting) {
+                return
+            }
+            connecting = null
+            await connection?.producer.disconnect()
+            connection = null
+        },
+        // Request/reply for clients that are not agents, e.g. AgentClient.queryIo
+        request: async (target, payload, options = {}) => {
+            requester ||= (async () => {
+                const transport = createKafkaTransport()
+                await transport.connect({ instance: io })
+                return transport
+            })().catch((error) => {
+                requester = null
+                throw error
+            })
+            return await (await requester).request(target, payload, options)
+        }
+    }
+    return io
+}
+export const RabbitMQIO = (config) => {
+    let connecting = null
+    let connection = null
+    let requester = null
+    // Agents sharing this interface share the connection, each one opens its own channel
+    let users = 0
+    const io = {
+        type: 'RabbitMQIO',
+        connect: async () => {
+            users++
+            connecting ||= (async () => {
+                const { url = 'amqp://localhost', ...socketOptions } = config || {}
+                connection = await amqp.connect(url, socketOptions)
+                connection.on('error', (error) => logger.error('RabbitMQ IO error', { error: error.message }))
+                return connection
+            })().catch((error) => {
+                connecting = null
+                throw error
+            })
+            try {
+                return await connecting
+            } catch (error) {
+                users--
+                throw error
+            }
+        },
+        release: async () => {
+            users = Math.max(0, users - 1)
+            // Only the request transport is left, it releases the connection in turn
+            if (users === 1 && requester) {
+                const transport = await requester.catch(() => null)
+                requester = null
+                await transport?.disconnect()
+                return
+            }
+            if (users > 0 || !connecting) {
+                return
+            }
+            connecting = null
+            await connection?.close()
+            connection = null
+        },
+        // Request/reply for clients that are not agents, e.g. AgentClient.queryIo
+        request: async (target, payload, options = {}) => {
+            requester ||= (async () => {
+                const transport = createRabbitMQTransport()
+                await transport.connect({ instance: io })
+                return transport
+            })().catch((error) => {
+                requester = null
+                throw error
+            })
+            return await (await requester).request(target, payload, options)
+        }
+    }
+    return io
+}
+// In-memory bus for agents living in the same process, agents sharing the binding see each other
+export const InProcessIO = () => {
+    const bus = new InProcessBus()
+    return {
+        type: 'InProcessIO',
+        bus,
+        connect: async () => bus,
+        release: async () => {}
+    }
+}
 export const Bindings = {
     NatsIO: 'NatsIO',
+    RedisIO: 'RedisIO',
+    KafkaIO: 'KafkaIO',
+    RabbitMQIO: 'RabbitMQIO',
+    InProcessIO: 'InProcessIO',
     Postgres: 'Postgres',
     Redis: 'Redis',
-    Memory: 'Memory'
+    Memory: 'Memory',
+    Mock: 'Mock'
 }
 
 export class Message {
     #content 
-    #session
+    #session = {}
+    #trace = null
     constructor(input) {
         if (typeof input === 'string') {
             this.#content = input
         } else {
             this.#content = input.content 
             this.#session = input.session || {}
+            // W3C trace context of the sender { traceparent, tracestate }
+            this.#trace = input.trace || null
         }
     }
     getContent() {
@@ -76,25 +317,36 @@ export class Message {
     getSession() {
         return this.#session
     }
+    getTrace() {
+        return this.#trace
+    }
     serialize() {
         return JSON.stringify({
             content: this.#content,
-            session: this.#session
+            session: this.#session,
+            ...(this.#trace ? { trace: this.#trace } : {})
         })
     }
     deserialize(data) {
         const parsed = JSON.parse(data)
         this.#content = parsed.content 
         this.#session = parsed.session || {}
+        this.#trace = parsed.trace || null
     }
 }
 
 export class Response {
     #content
     #session
+    #instance
+    #usage
     constructor(output) {
         this.#content = output.content
         this.#session = output.session
+        // Set when the serving instance claimed the session (session affinity)
+        this.#instance = output.instance || null
+        // Token usage and cost of the query, including its handoffs, when the models reported it
+        this.#usage = output.usage || null
     }
     getContent() {
         return this.#content
@@ -102,16 +354,26 @@ export class Response {
     getSession() {
         return this.#session
     }
+    getInstance() {
+        return this.#instance
+    }
+    getUsage() {
+        return this.#usage
+    }
     serialize() {
         return JSON.stringify({
             content: this.#content,
-            session: this.#session
+            session: this.#session,
+            ...(this.#instance ? { instance: this.#instance } : {}),
+            ...(this.#usage ? { usage: this.#usage } : {})
         })
     }
     deserialize(data) {
         const parsed = JSON.parse(data)
         this.#content = parsed.content
         this.#session = parsed.session
+        this.#instance = parsed.instance || null
+        this.#usage = parsed.usage || null
     }
 }
 
@@ -1,6 +1,10 @@
 import { logger } from '../utils/logger.js'
-import { LLMError } from '../errors/index.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
+import { validateToolInput } from '../utils/validation.js'
 import { Conversation } from '../utils/conversation.js'
+import { withSpan, SpanKind } from '../utils/tracing.js'
+import { usageTrackerOf } from '../agent/usage.js'
+import { metrics, timed } from '../utils/metrics.js'
 
 /**
  * Base class for LLM implementations
@@ -16,10 +20,11 @@ export class BaseLLM {
 
   /**
    * Initialize and get the LLM client
+   * @param {Object} config - LLM-specific configuration of the agent
    * @returns {Promise<any>} Initialized LLM client
    * @throws {LLMError} If initialization fails
    */
-  async getClient() {
+  async getClient(config) {
     throw new Error('getClient() must be implemented by subclasses');
   }
 
@@ -34,6 +39,22 @@ export class BaseLLM {
     throw new Error('callModel() must be implemented by subclasses');
   }
 
+  /**
+   * Call the LLM model in streaming mode
+   * Yields { type: 'text', delta } and { type: 'tool_call', id, name, args } events while
+   * the model is generating, and always ends with { type: 'response', response } carrying
+   * the aggregated response accepted by onResponse.
+   * The default implementation does not stream and yields the full response at once.
+   * @param {Object} config - LLM-specific configuration
+   * @param {Object} context - Context containing client, tools map and conversation
+   * @returns {AsyncGenerator<Object>} Stream events
+   * @throws {LLMError} If the API call fails
+   */
+  async *callModelStream(config, context) {
+    const response = await this.callModel(config, context);
+    yield { type: 'response', response };
+  }
+
   /**
    * Process the model response, handling text responses and function calls
    * @param {Object} state - Current application state
@@ -67,6 +88,15 @@ export class BaseLLM {
     // Removed logic for plain arrays
   }
 
+  /**
+   * Instructions asking for a JSON reply, for providers or requests without a native JSON mode
+   * @param {Object} output - Structured output configuration ({ schema })
+   * @returns {string} The instructions
+   */
+  outputInstructions(output) {
+    return `Reply only with a JSON value matching this JSON Schema, without any other text:\n${JSON.stringify(output.schema)}`;
+  }
+
   /**
    * Check if required API key is set in environment variables
    * @param {string} keyName - Environment variable name for the API key
@@ -82,6 +112,51 @@ export class BaseLLM {
     }
   }
 
+  /**
+   * Run the tool calls of one model turn, in parallel up to toolsAndHandoffsMap.toolConcurrency
+   * Tools flagged as sequential wait for the running calls and run alone.
+   * @param {Array} toolCalls - The tool calls, in the order requested by the model
+   * @param {Function} getName - Returns the tool name of a tool call
+   * @param {Object} toolsAndHandoffsMap - Map of available tools
+   * @param {Function} handler - Executes a tool call and returns its conversation entries
+   * @returns {Promise<Array>} The handler results, in the original call order
+   */
+  async runToolCalls(toolCalls, getName, toolsAndHandoffsMap, handler) {
+    const concurrency = Math.max(1, toolsAndHandoffsMap.toolConcurrency || 1);
+    const results = new Array(toolCalls.length);
+    const running = new Set();
+    const failures = [];
+
+    const settle = async () => {
+      await Promise.all(running);
+      if (failures.length > 0) {
+        throw failures[0];
+      }
+    };
+
+    for (let index = 0; index < toolCalls.length && failures.length === 0; index++) {
+      const toolCall = toolCalls[index];
+
+      if (toolsAndHandoffsMap[getName(toolCall)]?.sequential === true) {
+        await settle();
+        results[index] = await handler(toolCall);
+        continue;
+      }
+
+      if (running.size >= concurrency) {
+        await Promise.race(running);
+      }
+
+      const execution = handler(toolCall)
+        .then(result => { results[index] = result; }, error => { failures.push(error); })
+        .finally(() => running.delete(execution));
+      running.add(execution);
+    }
+
+    await settle();
+    return results;
+  }
+
   /**
    * Execute a tool call from the model response
    * @param {Object} toolCall - The tool call to execute
@@ -93,32 +168,118 @@ export class BaseLLM {
   async executeToolCall(toolCall, name, args, state, toolsAndHandoffsMap) {
     logger.info(`Executing tool from ${this.type} - Tool: ${name} - Args: ${JSON.stringify(args).substring(0, 100)}`);
 
-    try {
-      if (!toolsAndHandoffsMap[name] || !toolsAndHandoffsMap[name].function) {
-        throw new Error(`Tool "${name}" not found or has no function implementation`);
+    const handoff = toolsAndHandoffsMap[name]?.type === 'handoff';
+    const span = [handoff ? `handoff ${name}` : `execute_tool ${name}`, {
+      kind: handoff ? SpanKind.CLIENT : SpanKind.INTERNAL,
+      attributes: {
+        'gen_ai.operation.name': 'execute_tool',
+        'gen_ai.tool.name': name,
+        'agentnet.tool.type': handoff ? 'handoff' : 'tool'
       }
+    }];
+    // Tool latency per tool, handoff latency per target agent
+    const agent = toolsAndHandoffsMap.agentName || 'unknown';
+    const [histogram, labels] = handoff
+      ? [metrics.handoffDuration, { agent, target: toolsAndHandoffsMap[name].target || name }]
+      : [metrics.toolDuration, { agent, tool: name }];
+    const countError = handoff ? null : () => metrics.toolErrors.inc({ agent, tool: name });
+    // The trace context of the handoff span travels in the handoff Message
+    return await withSpan(...span, () => timed(histogram, labels, async () => {
+      try {
+        if (!toolsAndHandoffsMap[name] || !toolsAndHandoffsMap[name].function) {
+          throw new Error(`Tool "${name}" not found or has no function implementation`);
+        }
+
+        const invalidArguments = this.validateToolArguments(name, args, toolsAndHandoffsMap);
+        if (invalidArguments) {
+          return invalidArguments;
+        }
 
-      let result = null;
-      if (toolsAndHandoffsMap[name].type === 'handoff') {
-        result = await toolsAndHandoffsMap[name].function(state, args);
-        // Process handoff results if needed
-        this.processHandoffResult(result, state);
-      } else {
-        result = await toolsAndHandoffsMap[name].function(state, args);
+        let result = null;
+        if (handoff) {
+          result = await toolsAndHandoffsMap[name].function(state, args);
+          // Process handoff results if needed
+          result = this.processHandoffResult(result, state);
+        } else {
+          result = await toolsAndHandoffsMap[name].function(state, args);
+        }
+        
+        logger.debug('Tool execution successful', { toolName: name });
+        return result;
+      } catch (error) {
+        logger.error(`Error executing tool "${name}"`, error.message);
+        throw error;
       }
-      
-      logger.debug('Tool execution successful', { toolName: name });
-      return result;
-    } catch (error) {
-      logger.error(`Error executing tool "${name}"`, error.message);
-      throw error;
+    }, countError));
+  }
+
+  /**
+   * Read the token usage of a model response
+   * Reads the usage of the Responses and Chat Completions APIs; providers with another shape
+   * override it. Input tokens include the cached ones, output tokens the reasoning ones.
+   * @param {Object} response - The model response
+   * @returns {Object|null} { inputTokens, outputTokens, cachedTokens, reasoningTokens, totalTokens }, null if the response has no usage
+   */
+  readUsage(response) {
+    const usage = response?.usage;
+    if (!usage) {
+      return null;
     }
+    const inputTokens = usage.input_tokens ?? usage.prompt_tokens ?? 0;
+    const outputTokens = usage.output_tokens ?? usage.completion_tokens ?? 0;
+    const inputDetails = usage.input_tokens_details || usage.prompt_tokens_details || {};
+    const outputDetails = usage.output_tokens_details || usage.completion_tokens_details || {};
+    return {
+      inputTokens,
+      outputTokens,
+      cachedTokens: inputDetails.cached_tokens || 0,
+      reasoningTokens: outputDetails.reasoning_tokens || 0,
+      totalTokens: usage.total_tokens ?? inputTokens + outputTokens
+    };
   }
   
+  /**
+   * Validate the arguments of a tool call against the tool parameters schema
+   * Depending on toolsAndHandoffsMap.toolValidation ('feedback', 'throw' or 'off'), invalid
+   * arguments either produce an error result that is fed back to the model so it can correct
+   * the call, or throw a ToolValidationError that stops the run.
+   * @param {string} name - The tool name
+   * @param {Object} args - The arguments produced by the model
+   * @param {Object} toolsAndHandoffsMap - Map of available tools
+   * @returns {Object|null} The error result to feed back, or null if the arguments are valid
+   * @throws {ToolValidationError} If the arguments are invalid and validation is set to 'throw'
+   */
+  validateToolArguments(name, args, toolsAndHandoffsMap) {
+    const mode = toolsAndHandoffsMap.toolValidation || 'feedback';
+    if (mode === 'off') {
+      return null;
+    }
+
+    const validation = validateToolInput(toolsAndHandoffsMap[name].schema, args);
+    if (validation.valid) {
+      return null;
+    }
+
+    const message = `Invalid arguments for tool "${name}"`;
+    logger.warn(message, { errors: validation.errors });
+
+    if (mode === 'throw') {
+      throw new ToolValidationError(message, name, validation.errors);
+    }
+
+    return {
+      error: `${message}, fix them and call the tool again`,
+      validationErrors: validation.errors
+    };
+  }
+
   /**
    * Process the result of a handoff operation
+   * The session is merged into the state and the usage rolled up into the usage of the query,
+   * the model gets the result without the usage
    * @param {string} result - The JSON string result from handoff
    * @param {Object} state - The state to update
+   * @returns {string} The result given to the model
    */
   processHandoffResult(result, state) {
     try {
@@ -128,8 +289,14 @@ export class BaseLLM {
           state[key] = value;
         });
       }
+      if (resultParsed.usage) {
+        usageTrackerOf(state)?.addHandoff(resultParsed.usage);
+        delete resultParsed.usage;
+        return JSON.stringify(resultParsed);
+      }
     } catch (error) {
       logger.error('Failed to process handoff result', { error });
     }
+    return result;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,371 @@
+import OpenAI from 'openai'
+import { logger } from '../utils/logger.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
+import { BaseLLM } from './base.js'
+import { Conversation } from '../utils/conversation.js'
+
+/**
+ * Configuration keys used to build the client, never sent to the endpoint
+ */
+const CLIENT_CONFIG_KEYS = ['baseURL', 'apiKeyEnv', 'headers', 'timeout', 'instructions'];
+
+/**
+ * OpenAI-compatible Chat Completions implementation (/v1/chat/completions)
+ * Works with OpenAI and self-hosted servers such as vLLM, Ollama or llama.cpp server
+ */
+class ChatCompletionsLLM extends BaseLLM {
+	constructor() {
+		super('chat-completions');
+	}
+
+	/**
+	 * Initializes and returns an OpenAI client bound to the configured endpoint
+	 * @param {Object} llmClientConfig - LLM configuration
+	 * @param {string} llmClientConfig.baseURL - Endpoint base URL (e.g. http://localhost:8000/v1)
+	 * @param {string} llmClientConfig.apiKeyEnv - Environment variable holding the API key
+	 * @param {Object} llmClientConfig.headers - Extra headers sent with every request
+	 * @returns {Promise<OpenAI>} The initialized client
+	 * @throws {LLMError} If initialization fails
+	 */
+	async getClient(llmClientConfig = {}) {
+		const { baseURL, apiKeyEnv, headers } = llmClientConfig;
+
+		// Self-hosted endpoints usually don't need a key, OpenAI itself does
+		let apiKey = 'not-needed';
+		if (apiKeyEnv || !baseURL) {
+			this.checkApiKey(apiKeyEnv || 'OPENAI_API_KEY');
+			apiKey = process.env[apiKeyEnv || 'OPENAI_API_KEY'];
+		} else if (process.env.OPENAI_API_KEY) {
+			apiKey = process.env.OPENAI_API_KEY;
+		}
+
+		try {
+			logger.debug('Initializing Chat Completions client', { baseURL });
+			return new OpenAI({
+				apiKey,
+				baseURL,
+				defaultHeaders: headers
+			});
+		} catch (error) {
+			logger.error('Failed to initialize Chat Completions client', { error });
+			throw new LLMError(
+				`Failed to initialize Chat Completions client: ${error.message}`,
+				this.type,
+				{ originalError: error, baseURL }
+			);
+		}
+	}
+
+	/**
+	 * Calls the model with the provided configuration and context
+	 * @param {Object} llmClientConfig - Configuration for the model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Promise<Object>} The chat completion
+	 * @throws {LLMError} If the API call fails
+	 */
+	async callModel(llmClientConfig, context) {
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+
+		try {
+			const response = await client.chat.completions.create(input);
+			logger.debug('Chat Completions response received', {
+				finishReason: response.choices?.[0]?.finish_reason
+			});
+			return response;
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+	}
+
+	/**
+	 * Calls the model in streaming mode
+	 * @param {Object} llmClientConfig - Configuration for the model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {AsyncGenerator<Object>} Text deltas, tool calls and the final response
+	 * @throws {LLMError} If the API call fails
+	 */
+	async *callModelStream(llmClientConfig, context) {
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+		input.stream = true;
+		// The last chunk carries the usage of the whole reply
+		input.stream_options = { include_usage: true, ...input.stream_options };
+
+		const message = { role: 'assistant', content: null, tool_calls: [] };
+		let finishReason = null;
+		let usage = null;
+		try {
+			const stream = await client.chat.completions.create(input);
+			for await (const chunk of stream) {
+				if (chunk.usage) {
+					usage = chunk.usage;
+				}
+				const choice = chunk.choices?.[0];
+				if (!choice) {
+					continue;
+				}
+
+				if (choice.delta?.content) {
+					message.content = (message.content || '') + choice.delta.content;
+					yield { type: 'text', delta: choice.delta.content };
+				}
+
+				// Tool calls arrive in fragments keyed by index
+				for (const fragment of choice.delta?.tool_calls || []) {
+					const toolCall = message.tool_calls[fragment.index] ||= {
+						id: fragment.id,
+						type: 'function',
+						function: { name: '', arguments: '' }
+					};
+					if (fragment.id) toolCall.id = fragment.id;
+					if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+					if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+				}
+
+				if (choice.finish_reason) {
+					finishReason = choice.finish_reason;
+				}
+			}
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+
+		message.tool_calls = message.tool_calls.filter(Boolean);
+		for (const toolCall of message.tool_calls) {
+			yield {
+				type: 'tool_call',
+				id: toolCall.id,
+				name: toolCall.function.name,
+				args: parseArguments(toolCall.function.arguments)
+			};
+		}
+		if (message.tool_calls.length === 0) {
+			delete message.tool_calls;
+		}
+
+		logger.debug('Chat Completions stream completed', { finishReason });
+		yield {
+			type: 'response',
+			response: { choices: [{ index: 0, message, finish_reason: finishReason }], ...(usage ? { usage } : {}) }
+		};
+	}
+
+	/**
+	 * Builds the Chat Completions request from the LLM configuration and context
+	 * @param {Object} llmClientConfig - Configuration for the model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Object} The request body
+	 */
+	buildInput(llmClientConfig, context) {
+		const { toolsAndHandoffsMap, conversation } = context;
+		const input = { ...llmClientConfig };
+		for (const key of CLIENT_CONFIG_KEYS) {
+			delete input[key];
+		}
+
+		// conversation is always a Conversation object
+		input.messages = conversation.getRawConversation();
+		if (llmClientConfig.instructions) {
+			input.messages = [{ role: 'system', content: llmClientConfig.instructions }, ...input.messages];
+		}
+
+		if (toolsAndHandoffsMap.tools.length > 0) {
+			input.tools = toolsAndHandoffsMap.tools.map(tool => this.toChatTool(tool));
+		}
+
+		// Structured output: ask for a JSON reply matching the output schema
+		if (context.output) {
+			input.response_format = {
+				type: 'json_schema',
+				json_schema: {
+					name: context.output.name,
+					schema: context.output.schema,
+					strict: context.output.strict === true
+				}
+			};
+		}
+
+		logger.debug('Calling Chat Completions model', {
+			model: input.model,
+			conversationLength: input.messages.length,
+			toolsCount: toolsAndHandoffsMap.tools.length
+		});
+
+		return input;
+	}
+
+	/**
+	 * Converts a tool or handoff schema ({ name, description, parameters }) to a Chat Completions tool
+	 * @param {Object} tool - The tool schema
+	 * @returns {Object} The Chat Completions tool definition
+	 */
+	toChatTool(tool) {
+		if (tool.function) {
+			return tool;
+		}
+
+		return {
+			type: 'function',
+			function: {
+				name: tool.name,
+				description: tool.description,
+				parameters: tool.parameters || { type: 'object', properties: {} }
+			}
+		};
+	}
+
+	/**
+	 * Wraps an OpenAI SDK error into an LLMError
+	 * @param {Error} error - The original error
+	 * @param {string} modelName - The model that was called
+	 * @returns {LLMError} The wrapped error
+	 */
+	toLLMError(error, modelName) {
+		if (error instanceof LLMError) {
+			return error;
+		}
+
+		logger.error('Chat Completions API error', {
+			error: error.message,
+			modelName
+		});
+
+		return new LLMError(
+			`Chat Completions API error: ${error.message}`,
+			this.type,
+			{
+				statusCode: error.status || error.statusCode,
+				modelName
+			}
+		);
+	}
+
+	/**
+	 * Handle a tool call from the assistant message
+	 * @param {Object} toolCall - The tool call to process
+	 * @param {Object} state - Current application state
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @returns {Promise<Object>} The tool message to add to the conversation
+	 */
+	async handleToolCall(toolCall, state, toolsAndHandoffsMap) {
+		const name = toolCall.function.name;
+
+		try {
+			const args = JSON.parse(toolCall.function.arguments || '{}');
+			const result = await super.executeToolCall(toolCall, name, args, state, toolsAndHandoffsMap);
+			const resultString = typeof result === 'string' ? result : JSON.stringify(result);
+
+			logger.debug('Tool execution successful', {
+				toolName: name,
+				resultPreview: resultString.substring(0, 100)
+			});
+
+			return {
+				role: 'tool',
+				tool_call_id: toolCall.id,
+				content: resultString
+			};
+		} catch (error) {
+			if (error instanceof ToolValidationError) {
+				throw error;
+			}
+			logger.error(`Error executing tool "${name}"`, { error });
+
+			return {
+				role: 'tool',
+				tool_call_id: toolCall.id,
+				content: JSON.stringify({ error: error.message })
+			};
+		}
+	}
+
+	/**
+	 * Processes the model response, handling text responses and tool calls
+	 * @param {Object} state - Current application state
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @param {Object} response - The model response to process
+	 * @returns {Promise<string|null>} Text response or null if processing tool calls
+	 */
+	async onResponse(state, conversation, toolsAndHandoffsMap, response) {
+		const message = response.choices?.[0]?.message;
+		if (!message) {
+			logger.warn('Chat Completions response has no message');
+			return null;
+		}
+
+		const toolCalls = message.tool_calls || [];
+		logger.debug('Chat Completions response processing', {
+			finishReason: response.choices[0].finish_reason,
+			toolCallCount: toolCalls.length
+		});
+
+		if (toolCalls.length === 0) {
+			if (typeof message.content !== 'string' || message.content.length === 0) {
+				return null;
+			}
+
+			conversation.addModelResponse({
+				role: 'assistant',
+				content: message.content
+			});
+			return message.content;
+		}
+
+		// The assistant message must precede the tool messages answering its calls
+		conversation.addFunctionCall({
+			role: 'assistant',
+			content: message.content ?? null,
+			tool_calls: toolCalls
+		});
+
+		const toolMessages = await this.runToolCalls(
+			toolCalls,
+			toolCall => toolCall.function.name,
+			toolsAndHandoffsMap,
+			toolCall => this.handleToolCall(toolCall, state, toolsAndHandoffsMap)
+		);
+		for (const toolMessage of toolMessages) {
+			conversation.addFunctionResult(toolMessage);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Adds a user prompt to the conversation
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {string} formattedPrompt - The formatted user prompt
+	 * @returns {Promise<void>}
+	 */
+	async prompt(conversation, formattedPrompt) {
+		await super.prompt(conversation, formattedPrompt);
+	}
+}
+
+/**
+ * Parses the JSON arguments of a tool call, keeping the raw string if malformed
+ * @param {string} args - The raw arguments string
+ * @returns {Object|string} The parsed arguments
+ */
+function parseArguments(args) {
+	try {
+		return JSON.parse(args || '{}');
+	} catch {
+		return args;
+	}
+}
+
+// Create a singleton instance
+const chatCompletionsLLM = new ChatCompletionsLLM();
+
+export default {
+	type: chatCompletionsLLM.type,
+	getClient: chatCompletionsLLM.getClient.bind(chatCompletionsLLM),
+	prompt: chatCompletionsLLM.prompt.bind(chatCompletionsLLM),
+	callModel: chatCompletionsLLM.callModel.bind(chatCompletionsLLM),
+	callModelStream: chatCompletionsLLM.callModelStream.bind(chatCompletionsLLM),
+	onResponse: chatCompletionsLLM.onResponse.bind(chatCompletionsLLM),
+	readUsage: chatCompletionsLLM.readUsage.bind(chatCompletionsLLM)
+}
@@ -0,0 +1,317 @@
+import Anthropic from '@anthropic-ai/sdk'
+import { logger } from '../utils/logger.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
+import { BaseLLM } from './base.js'
+import { Conversation } from '../utils/conversation.js'
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Anthropic Claude LLM implementation (Messages API)
+ */
+class ClaudeLLM extends BaseLLM {
+	constructor() {
+		super('anthropic');
+	}
+
+	/**
+	 * Initializes and returns an Anthropic client
+	 * @returns {Promise<Anthropic>} The initialized Anthropic client
+	 * @throws {LLMError} If initialization fails
+	 */
+	async getClient() {
+		this.checkApiKey('ANTHROPIC_API_KEY');
+
+		try {
+			logger.debug('Initializing Anthropic client');
+			return new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+		} catch (error) {
+			logger.error('Failed to initialize Anthropic client', { error });
+			throw new LLMError(
+				`Failed to initialize Anthropic client: ${error.message}`,
+				this.type,
+				{ originalError: error }
+			);
+		}
+	}
+
+	/**
+	 * Calls the Claude model with the provided configuration and context
+	 * @param {Object} llmClientConfig - Configuration for the Claude model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Promise<Object>} The model response
+	 * @throws {LLMError} If the API call fails
+	 */
+	async callModel(llmClientConfig, context) {
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+
+		try {
+			const response = await client.messages.create(input);
+			logger.debug('Anthropic response received', { stopReason: response.stop_reason });
+			return response;
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+	}
+
+	/**
+	 * Calls the Claude model in streaming mode
+	 * @param {Object} llmClientConfig - Configuration for the Claude model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {AsyncGenerator<Object>} Text deltas, tool calls and the final response
+	 * @throws {LLMError} If the API call fails
+	 */
+	async *callModelStream(llmClientConfig, context) {
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+
+		let response;
+		try {
+			const stream = client.messages.stream(input);
+			for await (const event of stream) {
+				if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+					yield { type: 'text', delta: event.delta.text };
+				}
+			}
+			response = await stream.finalMessage();
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+
+		for (const block of response.content) {
+			if (block.type === 'tool_use') {
+				yield { type: 'tool_call', id: block.id, name: block.name, args: block.input };
+			}
+		}
+
+		logger.debug('Anthropic stream completed', { stopReason: response.stop_reason });
+		yield { type: 'response', response };
+	}
+
+	/**
+	 * Builds the Messages API request from the LLM configuration and context
+	 * @param {Object} llmClientConfig - Configuration for the Claude model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Object} The request body
+	 */
+	buildInput(llmClientConfig, context) {
+		const { toolsAndHandoffsMap, conversation } = context;
+		const input = {
+			max_tokens: DEFAULT_MAX_TOKENS,
+			...llmClientConfig
+		};
+		delete input.timeout;
+
+		// conversation is always a Conversation object
+		input.messages = conversation.getRawConversation();
+
+		if (toolsAndHandoffsMap.tools.length > 0) {
+			input.tools = toolsAndHandoffsMap.tools.map(tool => this.toClaudeTool(tool));
+		}
+
+		// Structured output: the Messages API has no JSON mode, the schema is given in the system prompt
+		if (context.output) {
+			const instructions = this.outputInstructions(context.output);
+			if (Array.isArray(input.system)) {
+				input.system = [...input.system, { type: 'text', text: instructions }];
+			} else {
+				input.system = [input.system, instructions].filter(Boolean).join('\n\n');
+			}
+		}
+
+		logger.debug('Calling Anthropic model', {
+			model: input.model,
+			conversationLength: input.messages.length,
+			toolsCount: toolsAndHandoffsMap.tools.length
+		});
+
+		return input;
+	}
+
+	/**
+	 * Converts a tool or handoff schema ({ name, description, parameters }) to a Claude tool
+	 * @param {Object} tool - The tool schema
+	 * @returns {Object} The Claude tool definition
+	 */
+	toClaudeTool(tool) {
+		return {
+			name: tool.name,
+			description: tool.description,
+			input_schema: tool.input_schema || tool.parameters || { type: 'object', properties: {} }
+		};
+	}
+
+	/**
+	 * Converts response content blocks to request content blocks, dropping response-only fields
+	 * @param {Array} content - The response content blocks
+	 * @returns {Array} Content blocks that can be sent back to the API
+	 */
+	toContentBlocks(content) {
+		return content.map(block => {
+			if (block.type === 'text') {
+				return { type: 'text', text: block.text };
+			}
+			if (block.type === 'tool_use') {
+				return { type: 'tool_use', id: block.id, name: block.name, input: block.input };
+			}
+			return block;
+		});
+	}
+
+	/**
+	 * Wraps an Anthropic SDK error into an LLMError
+	 * @param {Error} error - The original error
+	 * @param {string} modelName - The model that was called
+	 * @returns {LLMError} The wrapped error
+	 */
+	toLLMError(error, modelName) {
+		if (error instanceof LLMError) {
+			return error;
+		}
+
+		logger.error('Anthropic API error', {
+			error: error.message,
+			modelName
+		});
+
+		return new LLMError(
+			`Anthropic API error: ${error.message}`,
+			this.type,
+			{
+				statusCode: error.status || error.statusCode,
+				modelName
+			}
+		);
+	}
+
+	/**
+	 * Reads the token usage of a Claude response
+	 * Anthropic reports cache reads and writes apart from input_tokens, they are added back so
+	 * input tokens are comparable with the other providers
+	 * @param {Object} response - The model response
+	 * @returns {Object|null} { inputTokens, outputTokens, cachedTokens, reasoningTokens, totalTokens }, null if the response has no usage
+	 */
+	readUsage(response) {
+		const usage = response?.usage;
+		if (!usage) {
+			return null;
+		}
+		const cachedTokens = usage.cache_read_input_tokens || 0;
+		const inputTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+		const outputTokens = usage.output_tokens || 0;
+		return {
+			inputTokens,
+			outputTokens,
+			cachedTokens,
+			reasoningTokens: 0,
+			totalTokens: inputTokens + outputTokens
+		};
+	}
+
+	/**
+	 * Handle a tool_use block from the Claude response
+	 * @param {Object} toolUse - The tool_use content block
+	 * @param {Object} state - Current application state
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @returns {Promise<Object>} The tool_result content block
+	 */
+	async handleToolCall(toolUse, state, toolsAndHandoffsMap) {
+		try {
+			const result = await super.executeToolCall(toolUse, toolUse.name, toolUse.input, state, toolsAndHandoffsMap);
+			const resultString = typeof result === 'string' ? result : JSON.stringify(result);
+
+			logger.debug('Tool execution successful', {
+				toolName: toolUse.name,
+				resultPreview: resultString.substring(0, 100)
+			});
+
+			return {
+				type: 'tool_result',
+				tool_use_id: toolUse.id,
+				content: resultString
+			};
+		} catch (error) {
+			if (error instanceof ToolValidationError) {
+				throw error;
+			}
+			logger.error(`Error executing tool "${toolUse.name}"`, { error });
+
+			return {
+				type: 'tool_result',
+				tool_use_id: toolUse.id,
+				content: JSON.stringify({ error: error.message }),
+				is_error: true
+			};
+		}
+	}
+
+	/**
+	 * Processes the model response, handling text responses and tool_use turns
+	 * @param {Object} state - Current application state
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @param {Object} response - The model response to process
+	 * @returns {Promise<string|null>} Text response or null if processing tool calls
+	 */
+	async onResponse(state, conversation, toolsAndHandoffsMap, response) {
+		const toolUses = response.content.filter(block => block.type === 'tool_use');
+		const assistantMessage = {
+			role: 'assistant',
+			content: this.toContentBlocks(response.content)
+		};
+
+		logger.debug('Anthropic response processing', {
+			stopReason: response.stop_reason,
+			toolUseCount: toolUses.length
+		});
+
+		if (toolUses.length === 0) {
+			conversation.addModelResponse(assistantMessage);
+			return response.content
+				.filter(block => block.type === 'text')
+				.map(block => block.text)
+				.join('');
+		}
+
+		// The assistant turn with tool_use blocks must be followed by a single user turn with all the results
+		conversation.addFunctionCall(assistantMessage);
+
+		const toolResults = await this.runToolCalls(
+			toolUses,
+			toolUse => toolUse.name,
+			toolsAndHandoffsMap,
+			toolUse => this.handleToolCall(toolUse, state, toolsAndHandoffsMap)
+		);
+
+		conversation.addFunctionResult({
+			role: 'user',
+			content: toolResults
+		});
+
+		return null;
+	}
+
+	/**
+	 * Adds a user prompt to the conversation
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {string} formattedPrompt - The formatted user prompt
+	 * @returns {Promise<void>}
+	 */
+	async prompt(conversation, formattedPrompt) {
+		await super.prompt(conversation, formattedPrompt);
+	}
+}
+
+// Create a singleton instance
+const claudeLLM = new ClaudeLLM();
+
+export default {
+	type: claudeLLM.type,
+	getClient: claudeLLM.getClient.bind(claudeLLM),
+	prompt: claudeLLM.prompt.bind(claudeLLM),
+	callModel: claudeLLM.callModel.bind(claudeLLM),
+	callModelStream: claudeLLM.callModelStream.bind(claudeLLM),
+	onResponse: claudeLLM.onResponse.bind(claudeLLM),
+	readUsage: claudeLLM.readUsage.bind(claudeLLM)
+}
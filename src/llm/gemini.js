@@ -1,6 +1,6 @@
 import { GoogleGenAI } from '@google/genai'
 import { logger } from '../utils/logger.js'
-import { LLMError } from '../errors/index.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
 import { BaseLLM } from './base.js'
 import { Conversation } from '../utils/conversation.js'
 
@@ -41,7 +41,75 @@ class GeminiLLM extends BaseLLM {
    * @throws {LLMError} If the API call fails
    */
   async callModel(llmClientConfig, context) {
-    const { client, toolsAndHandoffsMap, conversation } = context;
+    const { client } = context;
+    const input = this.buildInput(llmClientConfig, context);
+    
+    try {
+      const res = await client.models.generateContent(input);
+      logger.debug('Gemini response', res)
+      logger.debug('Gemini response received', {
+        responseType: res.response?.candidates ? 'candidates' : 'unknown',
+        hasContent: !!res.response?.candidates?.[0]?.content
+      });
+
+      return res;
+    } catch (error) {
+      console.log(new Date().toISOString(), error)
+      throw this.toLLMError(error, input.model);
+    }
+  }
+
+  /**
+   * Calls the Gemini model in streaming mode
+   * @param {Object} llmClientConfig - Configuration for the Gemini model
+   * @param {Object} context - Context containing client, tools map and conversation
+   * @returns {AsyncGenerator<Object>} Text deltas, tool calls and the final response
+   * @throws {LLMError} If the API call fails
+   */
+  async *callModelStream(llmClientConfig, context) {
+    const { client } = context;
+    const input = this.buildInput(llmClientConfig, context);
+
+    // Aggregated response exposing the same text/functionCalls shape as generateContent
+    const response = { text: undefined, functionCalls: [] };
+    try {
+      const stream = await client.models.generateContentStream(input);
+      for await (const chunk of stream) {
+        const text = chunk.text;
+        if (text !== undefined && text.length > 0) {
+          response.text = (response.text || '') + text;
+          yield { type: 'text', delta: text };
+        }
+
+        // The last chunks carry the usage of the whole reply
+        if (chunk.usageMetadata) {
+          response.usageMetadata = chunk.usageMetadata;
+        }
+
+        for (const functionCall of chunk.functionCalls || []) {
+          response.functionCalls.push(functionCall);
+          yield { type: 'tool_call', id: functionCall.id, name: functionCall.name, args: functionCall.args };
+        }
+      }
+    } catch (error) {
+      throw this.toLLMError(error, input.model);
+    }
+
+    logger.debug('Gemini stream completed', {
+      hasText: response.text !== undefined,
+      functionCallCount: response.functionCalls.length
+    });
+    yield { type: 'response', response };
+  }
+
+  /**
+   * Builds the generateContent request from the LLM configuration and context
+   * @param {Object} llmClientConfig - Configuration for the Gemini model
+   * @param {Object} context - Context containing client, tools map and conversation
+   * @returns {Object} The request parameters
+   */
+  buildInput(llmClientConfig, context) {
+    const { toolsAndHandoffsMap, conversation } = context;
     
     // conversation is always a Conversation object
     const input = { ...llmClientConfig, contents: conversation.getRawConversation() };
@@ -54,47 +122,90 @@ class GeminiLLM extends BaseLLM {
       input.config.tools = [{ functionDeclarations: toolsAndHandoffsMap.tools }];
     }
 
+    // Structured output: Gemini doesn't support JSON mode together with function calling,
+    // so with tools the schema is given as instructions and the reply is validated anyway
+    if (context.output) {
+      if (toolsAndHandoffsMap.tools.length === 0) {
+        input.config = {
+          ...input.config,
+          responseMimeType: 'application/json',
+          responseSchema: context.output.schema
+        };
+      } else if (input.config?.systemInstruction === undefined || typeof input.config.systemInstruction === 'string') {
+        input.config = {
+          ...input.config,
+          systemInstruction: [input.config?.systemInstruction, this.outputInstructions(context.output)]
+            .filter(Boolean)
+            .join('\n\n')
+        };
+      }
+    }
+
     logger.debug('Calling Gemini model', { 
       model: input.model,
       conversationLength: conversation.getRawConversation().length,
       toolsCount: toolsAndHandoffsMap.tools.length
     });
+
+    return input;
+  }
+
+  /**
+   * Wraps a Gemini SDK error into an LLMError
+   * @param {Error} error - The original error
+   * @param {string} modelName - The model that was called
+   * @returns {LLMError} The wrapped error
+   */
+  toLLMError(error, modelName) {
+    if (error instanceof LLMError) {
+      return error;
+    }
+
+    logger.error('Gemini API error', { 
+      error,
+      modelName
+    });
     
-    try {
-      const res = await client.models.generateContent(input);
-      logger.debug('Gemini response', res)
-      logger.debug('Gemini response received', {
-        responseType: res.response?.candidates ? 'candidates' : 'unknown',
-        hasContent: !!res.response?.candidates?.[0]?.content
-      });
+    return new LLMError(
+      `Gemini API error: ${error.message}`,
+      this.type,
+      {
+        statusCode: error.status || error.statusCode,
+        modelName
+      }
+    );
+  }
 
-      return res;
-    } catch (error) {
-      console.log(new Date().toISOString(), error)
-      logger.error('Gemini API error', { 
-        error,
-        modelName: input.model
-      });
-      
-      throw new LLMError(
-        `Gemini API error: ${error.message}`,
-        this.type,
-        {
-          statusCode: error.status || error.statusCode,
-          modelName: input.model
-        }
-      );
+  /**
+   * Reads the token usage of a Gemini response
+   * @param {Object} response - The model response
+   * Thinking tokens are counted as output tokens, like the reasoning tokens of the other providers
+   * @returns {Object|null} { inputTokens, outputTokens, cachedTokens, reasoningTokens, totalTokens }, null if the response has no usage
+   */
+  readUsage(response) {
+    const usage = response?.usageMetadata;
+    if (!usage) {
+      return null;
     }
+    const inputTokens = usage.promptTokenCount || 0;
+    const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+    return {
+      inputTokens,
+      outputTokens,
+      cachedTokens: usage.cachedContentTokenCount || 0,
+      reasoningTokens: usage.thoughtsTokenCount || 0,
+      totalTokens: usage.totalTokenCount ?? inputTokens + outputTokens
+    };
   }
 
   /**
    * Handle a specific tool call from Gemini response
    * @param {Object} toolCall - The tool call to process
    * @param {Object} state - Current application state
-   * @param {Conversation} conversation - The conversation history
    * @param {Object} toolsAndHandoffsMap - Map of available tools
+   * @returns {Promise<Object>} The function call and response messages, to add to the conversation
    */
-  async handleToolCall(toolCall, state, conversation, toolsAndHandoffsMap) {
+  async handleToolCall(toolCall, state, toolsAndHandoffsMap) {
     const args = toolCall.args;
     const name = toolCall.name;
     
@@ -109,10 +220,11 @@ class GeminiLLM extends BaseLLM {
       const functionCallMessage = { role: 'model', parts: [{ functionCall: toolCall }] };
       const functionResponseMessage = { role: 'user', parts: [{ functionResponse: function_response_part }] };
       
-      conversation.addFunctionCall(functionCallMessage);
-      conversation.addFunctionResult(functionResponseMessage);
-      
+      return { call: functionCallMessage, result: functionResponseMessage };
     } catch (error) {
+      if (error instanceof ToolValidationError) {
+        throw error;
+      }
       const errorResponse = {
         name: name,
         response: { error: error.message }
@@ -121,8 +233,7 @@ class GeminiLLM extends BaseLLM {
       const functionCallMessage = { role: 'model', parts: [{ functionCall: toolCall }] };
       const functionResponseMessage = { role: 'user', parts: [{ functionResponse: errorResponse }] };
       
-      conversation.addFunctionCall(functionCallMessage);
-      conversation.addFunctionResult(functionResponseMessage);
+      return { call: functionCallMessage, result: functionResponseMessage };
     }
   }
 
@@ -155,10 +266,17 @@ class GeminiLLM extends BaseLLM {
       functionCallCount: response.functionCalls?.length || 0
     });
     
-    // Process all tool calls sequentially
+    // Process tool calls in parallel, keeping the model's call order in the conversation
     if (response.functionCalls?.length) {
-      for (const toolCall of response.functionCalls) {
-        await this.handleToolCall(toolCall, state, conversation, toolsAndHandoffsMap);
+      const entries = await this.runToolCalls(
+        response.functionCalls,
+        toolCall => toolCall.name,
+        toolsAndHandoffsMap,
+        toolCall => this.handleToolCall(toolCall, state, toolsAndHandoffsMap)
+      );
+      for (const { call, result } of entries) {
+        conversation.addFunctionCall(call);
+        conversation.addFunctionResult(result);
       }
     }
     
@@ -191,5 +309,7 @@ export default {
   getClient: geminiLLM.getClient.bind(geminiLLM),
   prompt: geminiLLM.prompt.bind(geminiLLM),
   callModel: geminiLLM.callModel.bind(geminiLLM),
-  onResponse: geminiLLM.onResponse.bind(geminiLLM)
+  callModelStream: geminiLLM.callModelStream.bind(geminiLLM),
+  onResponse: geminiLLM.onResponse.bind(geminiLLM),
+  readUsage: geminiLLM.readUsage.bind(geminiLLM)
 }
\ No newline at end of file
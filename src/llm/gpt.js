@@ -1,9 +1,22 @@
 import OpenAI from 'openai'
 import { logger } from '../utils/logger.js'
-import { LLMError } from '../errors/index.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
 import { BaseLLM } from './base.js'
 import { Conversation } from '../utils/conversation.js'
 
+/**
+ * Parses the JSON arguments of a function call, keeping the raw string if malformed
+ * @param {string} args - The raw arguments string
+ * @returns {Object|string} The parsed arguments
+ */
+function parseArguments(args) {
+	try {
+		return JSON.parse(args);
+	} catch {
+		return args;
+	}
+}
+
 /**
  * OpenAI LLM implementation
  */
@@ -41,48 +54,140 @@ class OpenAILLM extends BaseLLM {
 	 * @throws {LLMError} If the API call fails
 	 */
 	async callModel(llmClientConfig, context) {
-		const { client, toolsAndHandoffsMap, conversation } = context;
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+		
+		//console.log(JSON.stringify(input, null, 2))
+		try {
+			const response = await client.responses.create(input);
+			logger.debug('OpenAI response received');
+			return response;
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+	}
+
+	/**
+	 * Calls the OpenAI model in streaming mode
+	 * @param {Object} llmClientConfig - Configuration for the OpenAI model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {AsyncGenerator<Object>} Text deltas, tool calls and the final response
+	 * @throws {LLMError} If the API call fails
+	 */
+	async *callModelStream(llmClientConfig, context) {
+		const { client } = context;
+		const input = this.buildInput(llmClientConfig, context);
+		input.stream = true;
+
+		let response = null;
+		try {
+			const stream = await client.responses.create(input);
+			for await (const event of stream) {
+				if (event.type === 'response.output_text.delta') {
+					yield { type: 'text', delta: event.delta };
+				} else if (event.type === 'response.output_item.done' && event.item?.type === 'function_call') {
+					yield {
+						type: 'tool_call',
+						id: event.item.call_id,
+						name: event.item.name,
+						args: parseArguments(event.item.arguments)
+					};
+				} else if (event.type === 'response.completed') {
+					response = event.response;
+				} else if (event.type === 'response.failed' || event.type === 'error') {
+					throw new Error(event.response?.error?.message || event.message || 'stream failed');
+				}
+			}
+		} catch (error) {
+			throw this.toLLMError(error, input.model);
+		}
+
+		if (response === null) {
+			throw new LLMError('OpenAI stream ended without a completed response', this.type, { modelName: input.model });
+		}
+
+		// Streamed responses don't carry the SDK output_text helper
+		response.output_text = response.output
+			.filter(item => item.type === 'message')
+			.flatMap(item => item.content || [])
+			.filter(content => content.type === 'output_text')
+			.map(content => content.text)
+			.join('');
+
+		logger.debug('OpenAI stream completed');
+		yield { type: 'response', response };
+	}
+
+	/**
+	 * Builds the Responses API request from the LLM configuration and context
+	 * @param {Object} llmClientConfig - Configuration for the OpenAI model
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Object} The request body
+	 */
+	buildInput(llmClientConfig, context) {
+		const { toolsAndHandoffsMap, conversation } = context;
 		const input = { ...llmClientConfig };
 		input.tools = toolsAndHandoffsMap.tools;
 		
 		// conversation is always a Conversation object
 		input.input = conversation.getRawConversation();
 		
+		// Structured output: ask for a JSON reply matching the output schema
+		if (context.output) {
+			input.text = {
+				...input.text,
+				format: {
+					type: 'json_schema',
+					name: context.output.name,
+					schema: context.output.schema,
+					strict: context.output.strict === true
+				}
+			};
+		}
+		
 		logger.debug('Calling OpenAI model', { 
 			model: input.model,
 			conversationLength: conversation.getRawConversation().length,
 			toolsCount: toolsAndHandoffsMap.tools.length
 		});
-		//console.log(JSON.stringify(input, null, 2))
-		try {
-			const response = await client.responses.create(input);
-			logger.debug('OpenAI response received');
-			return response;
-		} catch (error) {
-			logger.error('OpenAI API error', { 
-				error: error.message,
-				modelName: input.model
-			});
-			
-			throw new LLMError(
-				`OpenAI API error: ${error.message}`,
-				this.type,
-				{
-					statusCode: error.status || error.statusCode,
-					modelName: input.model
-				}
-			);
+
+		return input;
+	}
+
+	/**
+	 * Wraps an OpenAI SDK error into an LLMError
+	 * @param {Error} error - The original error
+	 * @param {string} modelName - The model that was called
+	 * @returns {LLMError} The wrapped error
+	 */
+	toLLMError(error, modelName) {
+		if (error instanceof LLMError) {
+			return error;
 		}
+
+		logger.error('OpenAI API error', { 
+			error: error.message,
+			modelName
+		});
+		
+		return new LLMError(
+			`OpenAI API error: ${error.message}`,
+			this.type,
+			{
+				statusCode: error.status || error.statusCode,
+				modelName
+			}
+		);
 	}
 
 	/**
 	 * Handle a specific tool call from OpenAI response
 	 * @param {Object} toolCall - The tool call to process
 	 * @param {Object} state - Current application state
-	 * @param {Conversation} conversation - The conversation history
 	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @returns {Promise<Object>} The function call and its output, to add to the conversation
 	 */
-	async handleToolCall(toolCall, state, conversation, toolsAndHandoffsMap) {
+	async handleToolCall(toolCall, state, toolsAndHandoffsMap) {
 		try {
 			const args = JSON.parse(toolCall.arguments);
 			const name = toolCall.name;
@@ -95,9 +200,6 @@ class OpenAILLM extends BaseLLM {
 			
 			const result = await super.executeToolCall(toolCall, name, args, state, toolsAndHandoffsMap);
 			
-			// Add function call to conversation
-			conversation.addFunctionCall(toolCall);
-			
 			const resultString = typeof result === 'string' ? result : JSON.stringify(result);
 			
 			logger.debug('Tool execution successful', { 
@@ -111,21 +213,21 @@ class OpenAILLM extends BaseLLM {
 				output: resultString
 			};
 			
-			// Add function result to conversation
-			conversation.addFunctionResult(functionOutput);
+			return { call: toolCall, result: functionOutput };
 		} catch (error) {
+			if (error instanceof ToolValidationError) {
+				throw error;
+			}
 			logger.error(`Error executing tool "${toolCall.name}"`, { error });
 			
 			// Add error as function output
-			conversation.addFunctionCall(toolCall);
-			
 			const errorOutput = {
 				type: "function_call_output",
 				call_id: toolCall.call_id,
 				output: JSON.stringify({ error: error.message })
 			};
 			
-			conversation.addFunctionResult(errorOutput);
+			return { call: toolCall, result: errorOutput };
 		}
 	}
 
@@ -163,9 +265,16 @@ class OpenAILLM extends BaseLLM {
 			conversation.addModelResponse(res);
 		}
 
-		// Process all tool calls sequentially
-		for (const toolCall of functionCalls) {
-			await this.handleToolCall(toolCall, state, conversation, toolsAndHandoffsMap);
+		// Process tool calls in parallel, keeping the model's call order in the conversation
+		const entries = await this.runToolCalls(
+			functionCalls,
+			toolCall => toolCall.name,
+			toolsAndHandoffsMap,
+			toolCall => this.handleToolCall(toolCall, state, toolsAndHandoffsMap)
+		);
+		for (const { call, result } of entries) {
+			conversation.addFunctionCall(call);
+			conversation.addFunctionResult(result);
 		}
 		
 		return null;
@@ -190,5 +299,7 @@ export default {
 	getClient: openaiLLM.getClient.bind(openaiLLM),
 	prompt: openaiLLM.prompt.bind(openaiLLM),
 	callModel: openaiLLM.callModel.bind(openaiLLM),
-	onResponse: openaiLLM.onResponse.bind(openaiLLM)
+	callModelStream: openaiLLM.callModelStream.bind(openaiLLM),
+	onResponse: openaiLLM.onResponse.bind(openaiLLM),
+	readUsage: openaiLLM.readUsage.bind(openaiLLM)
 }
\ No newline at end of file
@@ -0,0 +1,279 @@
+import { logger } from '../utils/logger.js'
+import { LLMError, ToolValidationError } from '../errors/index.js'
+import { BaseLLM } from './base.js'
+import { Conversation } from '../utils/conversation.js'
+
+/**
+ * Deterministic LLM implementation replaying scripted turns, for offline tests
+ *
+ * Each turn describes one model reply:
+ *   { text: 'Hello' }                                    - final text reply
+ *   { toolCalls: [{ name: 'getRoomsTool', args: {} }] }  - tool calls, executed by the runner
+ *   { handoff: { name: 'pricing_query', args: {} } }     - call to a discovered agent
+ *   { error: 'Rate limited' }                            - the call fails with an LLMError
+ *   { delayMs: 500, ... }                                - wait before replying
+ *   { usage: { inputTokens: 120, outputTokens: 8, cachedTokens: 100 }, ... } - token usage reported for the reply
+ *
+ * A turn is picked for each callModel, in this order:
+ *   1. the first unused turn with `turn` equal to the call index (0-based)
+ *   2. the first unused turn whose `match` (string, RegExp or function) matches the last user prompt
+ *   3. the first unused turn with neither `turn` nor `match`
+ * Turns are used once, unless they set `repeat: true`.
+ */
+class MockLLMProvider extends BaseLLM {
+	/**
+	 * @param {Object} options - Mock options
+	 * @param {Array} options.turns - Scripted turns
+	 */
+	constructor(options = {}) {
+		super('mock');
+		this.turns = options.turns || [];
+		this.used = new Set();
+		this.calls = [];
+	}
+
+	/**
+	 * Returns a placeholder client, no API key is required
+	 * @returns {Promise<Object>} The mock client
+	 */
+	async getClient() {
+		return { mock: true };
+	}
+
+	/**
+	 * Records the call and replays the matching scripted turn
+	 * @param {Object} llmClientConfig - LLM configuration
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {Promise<Object>} The scripted response { index, text, toolCalls }
+	 * @throws {LLMError} If no turn matches or the turn scripts an error
+	 */
+	async callModel(llmClientConfig, context) {
+		const { toolsAndHandoffsMap, conversation } = context;
+		const index = this.calls.length;
+		const prompt = this.lastUserPrompt(conversation);
+
+		this.calls.push({
+			index,
+			config: llmClientConfig,
+			prompt,
+			conversation: JSON.parse(JSON.stringify(conversation.getRawConversation())),
+			tools: toolsAndHandoffsMap.tools.map(tool => tool.name),
+			output: context.output || null
+		});
+
+		const turn = this.pickTurn(index, prompt, conversation);
+		if (!turn) {
+			throw new LLMError(
+				`No scripted turn for call ${index}`,
+				this.type,
+				{ index, prompt }
+			);
+		}
+
+		logger.debug('Replaying scripted turn', { index, prompt: prompt.substring(0, 100) });
+
+		if (turn.delayMs) {
+			await new Promise(resolve => setTimeout(resolve, turn.delayMs));
+		}
+
+		if (turn.error) {
+			throw turn.error instanceof Error
+				? turn.error
+				: new LLMError(turn.error, this.type, { index });
+		}
+
+		const toolCalls = [...(turn.toolCalls || [])];
+		if (turn.handoff) {
+			toolCalls.push({ ...turn.handoff, handoff: true });
+		}
+
+		return {
+			index,
+			text: turn.text,
+			...(turn.usage ? { usage: {
+				input_tokens: turn.usage.inputTokens || 0,
+				output_tokens: turn.usage.outputTokens || 0,
+				input_tokens_details: { cached_tokens: turn.usage.cachedTokens || 0 },
+				output_tokens_details: { reasoning_tokens: turn.usage.reasoningTokens || 0 }
+			} } : {}),
+			toolCalls: toolCalls.map((toolCall, position) => ({
+				id: toolCall.id || `mock_call_${index}_${position}`,
+				name: toolCall.name,
+				args: toolCall.args || {},
+				handoff: toolCall.handoff === true
+			}))
+		};
+	}
+
+	/**
+	 * Replays the matching turn in streaming mode, one word per text delta
+	 * @param {Object} llmClientConfig - LLM configuration
+	 * @param {Object} context - Context containing client, tools map and conversation
+	 * @returns {AsyncGenerator<Object>} Text deltas, tool calls and the final response
+	 */
+	async *callModelStream(llmClientConfig, context) {
+		const response = await this.callModel(llmClientConfig, context);
+
+		for (const delta of (response.text || '').match(/\S+\s*/g) || []) {
+			yield { type: 'text', delta };
+		}
+		for (const toolCall of response.toolCalls) {
+			yield { type: 'tool_call', id: toolCall.id, name: toolCall.name, args: toolCall.args };
+		}
+
+		yield { type: 'response', response };
+	}
+
+	/**
+	 * Finds the scripted turn for a call
+	 * @param {number} index - The call index
+	 * @param {string} prompt - The last user prompt
+	 * @param {Conversation} conversation - The conversation history
+	 * @returns {Object|null} The turn, or null if none matches
+	 */
+	pickTurn(index, prompt, conversation) {
+		const available = this.turns
+			.map((turn, position) => ({ turn, position }))
+			.filter(({ position }) => !this.used.has(position));
+
+		const candidate =
+			available.find(({ turn }) => turn.turn === index) ||
+			available.find(({ turn }) => turn.turn === undefined && turn.match !== undefined &&
+				this.matches(turn.match, prompt, conversation, index)) ||
+			available.find(({ turn }) => turn.turn === undefined && turn.match === undefined);
+
+		if (!candidate) {
+			return null;
+		}
+
+		if (candidate.turn.repeat !== true) {
+			this.used.add(candidate.position);
+		}
+		return candidate.turn;
+	}
+
+	/**
+	 * Checks a turn matcher against the last user prompt
+	 * @param {string|RegExp|Function} matcher - Substring, regular expression or predicate
+	 * @param {string} prompt - The last user prompt
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {number} index - The call index
+	 * @returns {boolean} Whether the turn matches
+	 */
+	matches(matcher, prompt, conversation, index) {
+		if (typeof matcher === 'function') {
+			return matcher(prompt, conversation, index) === true;
+		}
+		if (matcher instanceof RegExp) {
+			return matcher.test(prompt);
+		}
+		return prompt.includes(String(matcher));
+	}
+
+	/**
+	 * Extracts the text of the last user prompt
+	 * @param {Conversation} conversation - The conversation history
+	 * @returns {string} The prompt text, empty if none
+	 */
+	lastUserPrompt(conversation) {
+		const userMessages = conversation.getMessages().filter(message => message.metadata.type === 'user_input');
+		const last = userMessages[userMessages.length - 1];
+		if (!last) {
+			return '';
+		}
+		return typeof last.content.content === 'string' ? last.content.content : JSON.stringify(last.content);
+	}
+
+	/**
+	 * Executes a scripted tool call
+	 * @param {Object} toolCall - The tool call to execute
+	 * @param {Object} state - Current application state
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @returns {Promise<string>} The function output
+	 */
+	async handleToolCall(toolCall, state, toolsAndHandoffsMap) {
+		try {
+			if (toolCall.handoff && toolsAndHandoffsMap[toolCall.name]?.type !== 'handoff') {
+				throw new Error(`"${toolCall.name}" is not a discovered agent`);
+			}
+			const result = await super.executeToolCall(toolCall, toolCall.name, toolCall.args, state, toolsAndHandoffsMap);
+			return typeof result === 'string' ? result : JSON.stringify(result);
+		} catch (error) {
+			if (error instanceof ToolValidationError) {
+				throw error;
+			}
+			return JSON.stringify({ error: error.message });
+		}
+	}
+
+	/**
+	 * Processes the scripted response, executing its tool calls
+	 * @param {Object} state - Current application state
+	 * @param {Conversation} conversation - The conversation history
+	 * @param {Object} toolsAndHandoffsMap - Map of available tools
+	 * @param {Object} response - The scripted response
+	 * @returns {Promise<string|null>} Text response or null if processing tool calls
+	 */
+	async onResponse(state, conversation, toolsAndHandoffsMap, response) {
+		if (response.toolCalls.length === 0) {
+			conversation.addModelResponse({
+				role: 'assistant',
+				content: response.text ?? ''
+			});
+			return response.text ?? '';
+		}
+
+		const outputs = await this.runToolCalls(
+			response.toolCalls,
+			toolCall => toolCall.name,
+			toolsAndHandoffsMap,
+			toolCall => this.handleToolCall(toolCall, state, toolsAndHandoffsMap)
+		);
+
+		response.toolCalls.forEach((toolCall, position) => {
+			conversation.addFunctionCall({
+				type: 'function_call',
+				call_id: toolCall.id,
+				name: toolCall.name,
+				arguments: JSON.stringify(toolCall.args)
+			});
+			conversation.addFunctionResult({
+				type: 'function_call_output',
+				call_id: toolCall.id,
+				output: outputs[position]
+			});
+		});
+
+		return null;
+	}
+
+	/**
+	 * Forgets the recorded calls and makes every turn available again
+	 */
+	reset() {
+		this.used.clear();
+		this.calls.length = 0;
+	}
+}
+
+/**
+ * Creates a mock LLM provider
+ * @param {Object} options - Mock options
+ * @param {Array} options.turns - Scripted turns
+ * @returns {Object} LLM provider, exposing the recorded `calls` and `reset()`
+ */
+export function MockLLM(options = {}) {
+	const mockLLM = new MockLLMProvider(options);
+
+	return {
+		type: mockLLM.type,
+		calls: mockLLM.calls,
+		getClient: mockLLM.getClient.bind(mockLLM),
+		prompt: mockLLM.prompt.bind(mockLLM),
+		callModel: mockLLM.callModel.bind(mockLLM),
+		callModelStream: mockLLM.callModelStream.bind(mockLLM),
+		onResponse: mockLLM.onResponse.bind(mockLLM),
+		readUsage: mockLLM.readUsage.bind(mockLLM),
+		reset: mockLLM.reset.bind(mockLLM)
+	}
+}
@@ -0,0 +1,222 @@
+/**
+ * MCP client
+ *
+ * Mounts the Model Context Protocol servers of an agent (spec.mcpServers). Each server is reached
+ * over stdio (a subprocess) or streamable HTTP; its tools are listed when the agent is compiled,
+ * filtered by the allow/deny lists of the server, and exposed to the model next to the agent tools.
+ * Their calls are sent to the server through the MCP client.
+ */
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ConfigurationError, TransportError } from '../errors/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Transports of the MCP servers declared in YAML
+ */
+export const MCP_TRANSPORTS = ['stdio', 'http'];
+
+const CLIENT_INFO = { name: 'agentnet', version: '1.0.0' };
+
+// JSON Schema keys the Gemini function declarations don't accept
+const GEMINI_UNSUPPORTED_KEYS = ['$schema', 'additionalProperties'];
+
+/**
+ * Whether a tool name matches a pattern, where * matches any characters
+ * @param {string} name - The tool name
+ * @param {string} pattern - The pattern, e.g. read_*
+ * @returns {boolean}
+ */
+function matches(name, pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Whether a tool of an MCP server is exposed to the model
+ * @param {string} name - The tool name on the server
+ * @param {Object} server - The server definition { allow, deny }
+ * @returns {boolean} - True if allowed (or no allow list) and not denied
+ */
+export function isToolAllowed(name, { allow, deny } = {}) {
+    if (allow && !allow.some(pattern => matches(name, pattern))) {
+        return false;
+    }
+    return !(deny || []).some(pattern => matches(name, pattern));
+}
+
+/**
+ * Remove JSON Schema keys recursively
+ * @param {*} schema - The schema
+ * @param {Array} keys - The keys to remove
+ * @returns {*} - A copy of the schema without the keys
+ */
+function omitKeys(schema, keys) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => omitKeys(item, keys));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => !keys.includes(key))
+        .map(([key, value]) => [key, omitKeys(value, keys)]));
+}
+
+/**
+ * Converts an MCP tool ({ name, description, inputSchema }) to the tool schema of a provider
+ * @param {string} llmType - The LLM provider type (e.g. 'openai', 'gemini')
+ * @param {Object} mcpTool - The MCP tool, named as exposed to the model
+ * @returns {Object} - The provider tool schema
+ */
+export function toProviderToolSchema(llmType, mcpTool) {
+    const { $schema, ...parameters } = mcpTool.inputSchema || { type: 'object', properties: {} };
+    const schema = {
+        name: mcpTool.name,
+        description: mcpTool.description || mcpTool.title || '',
+        parameters
+    };
+
+    if (llmType === 'openai') {
+        // MCP input schemas don't follow the strict mode rules (every property required, no additional properties)
+        return { type: 'function', ...schema, strict: false };
+    }
+    if (llmType === 'gemini') {
+        return { ...schema, parameters: omitKeys(parameters, GEMINI_UNSUPPORTED_KEYS) };
+    }
+    return schema;
+}
+
+/**
+ * Converts the result of an MCP tool call to a tool result
+ * Structured content is returned as it is, text content as a string
+ * @param {Object} result - The MCP CallToolResult { content, structuredContent, isError }
+ * @returns {*} - The tool result
+ * @throws {Error} - If the server reported a tool error
+ */
+export function toToolResult(result) {
+    const content = result.content || [];
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+    if (result.isError) {
+        throw new Error(text || 'MCP tool call failed');
+    }
+    if (result.structuredContent !== undefined) {
+        return result.structuredContent;
+    }
+    if (content.every(block => block.type === 'text')) {
+        return text;
+    }
+    return content;
+}
+
+/**
+ * Create the client transport of an MCP server
+ * @param {Object} server - The server definition
+ * @returns {Object} - The MCP transport
+ */
+function createMcpTransport(server) {
+    // Transports created in JavaScript (e.g. an InMemoryTransport) are used as they are
+    if (server.transport && typeof server.transport === 'object') {
+        return server.transport;
+    }
+    if (server.transport === 'stdio') {
+        return new StdioClientTransport({
+            command: server.command,
+            args: server.args || [],
+            env: { ...getDefaultEnvironment(), ...server.env },
+            cwd: server.cwd,
+            stderr: 'inherit'
+        });
+    }
+    return new StreamableHTTPClientTransport(new URL(server.url), {
+        requestInit: { headers: server.headers || {} }
+    });
+}
+
+/**
+ * Connect to an MCP server and list the tools exposed to the agent
+ * @param {Object} server - The server definition
+ * @param {string} agentName - The agent name, for logging
+ * @returns {Promise<Object>} - { client, tools }
+ */
+async function mountMcpServer(server, agentName) {
+    const client = new Client(CLIENT_INFO);
+    try {
+        await client.connect(createMcpTransport(server));
+
+        const listed = [];
+        let cursor;
+        do {
+            const page = await client.listTools(cursor ? { cursor } : undefined);
+            listed.push(...page.tools);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        const requestOptions = server.timeoutMs ? { timeout: server.timeoutMs } : undefined;
+        const tools = listed
+            .filter(tool => isToolAllowed(tool.name, server))
+            .map(tool => {
+                const name = (server.toolPrefix || '') + tool.name;
+                return {
+                    name,
+                    // Converted to the provider tool schema in makeToolsAndHandoffsMap
+                    mcp: { ...tool, name, server: server.name },
+                    function: async (state, input) => toToolResult(
+                        await client.callTool({ name: tool.name, arguments: input || {} }, undefined, requestOptions)
+                    ),
+                    sequential: server.sequential === true
+                };
+            });
+
+        logger.info(`Agent ${agentName} mounted MCP server ${server.name} with ${tools.length}/${listed.length} tools`, {
+            tools: tools.map(tool => tool.name)
+        });
+        return { client, tools };
+    } catch (error) {
+        await client.close().catch(() => {});
+        throw new TransportError(
+            `Failed to mount MCP server ${server.name}: ${error.message}`,
+            'MCP',
+            { agentName, server: server.name }
+        );
+    }
+}
+
+/**
+ * Mount the MCP servers of an agent
+ * @param {Array} servers - The server definitions
+ * @param {string} agentName - The agent name
+ * @param {Array} reservedNames - Names of the agent tools, MCP tools can't shadow them
+ * @returns {Promise<Object>} - { tools, close }
+ * @throws {TransportError|ConfigurationError} - If a server can't be mounted or tool names collide
+ */
+export async function mountMcpServers(servers, agentName, reservedNames = []) {
+    const mounted = [];
+    const close = () => Promise.all(mounted.map(({ client }) => client.close().catch((error) => {
+        logger.warn(`Error closing an MCP client of agent ${agentName}`, { error: error.message });
+    })));
+
+    try {
+        for (const server of servers) {
+            mounted.push(await mountMcpServer(server, agentName));
+        }
+
+        const tools = mounted.flatMap(({ tools }) => tools);
+        const names = new Set(reservedNames);
+        for (const tool of tools) {
+            if (names.has(tool.name)) {
+                throw new ConfigurationError(
+                    `MCP tool ${tool.name} of server ${tool.mcp.server} conflicts with another tool of agent ${agentName}, use toolPrefix or deny`,
+                    { agentName, server: tool.mcp.server, tool: tool.name }
+                );
+            }
+            names.add(tool.name);
+        }
+        return { tools, close };
+    } catch (error) {
+        await close();
+        throw error;
+    }
+}
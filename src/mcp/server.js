@@ -0,0 +1,257 @@
+/**
+ * MCP server
+ *
+ * Publishes agents to MCP clients: every compiled agent given to the server, and every capability
+ * discovered on its IO interface, is an MCP tool. A capability tool takes the discovery schema as
+ * input schema and is called like a handoff; an agent without discovery schemas gets a tool taking
+ * the message content. Calls are sent as Messages to the agent query or through the transport,
+ * and the Response content and session come back as the tool result.
+ * The server is reached over stdio or streamable HTTP, one MCP session per client.
+ */
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { ListToolsRequestSchema, CallToolRequestSchema, isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { Message } from '../index.js';
+import { AgentTargets, GatewayError } from '../gateway/targets.js';
+import { DEFAULT_MAX_BODY_BYTES, readJson, sendJson, startServer, stopServer } from '../gateway/server.js';
+import { logger } from '../utils/logger.js';
+
+// Constants
+const DEFAULT_PORT = Number(process.env.AGENTNET_MCP_PORT) || 8082;
+const MCP_PATH = '/mcp';
+const SESSION_HEADER = 'mcp-session-id';
+// JSON-RPC error codes of the endpoint
+const PARSE_ERROR = -32700;
+const SERVER_ERROR = -32000;
+
+// Input of the tools of agents without discovery schemas
+const CONTENT_INPUT_SCHEMA = {
+    type: 'object',
+    properties: { content: { type: 'string', description: 'The message to the agent' } },
+    required: ['content']
+};
+
+function sendRpcError(res, status, code, message) {
+    sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+/**
+ * Creates an MCP server publishing agents as tools
+ * @param {Object} config - Server configuration
+ * @param {Array} config.agents - Compiled agents published as tools
+ * @param {Object} config.io - IO interface of the network, its discovered capabilities are published too
+ * @param {Object} config.bindings - Discovery bindings of the IO interface { discoveryTopic, acceptedNetworks, discoveryTtlMs }
+ * @param {number} config.requestTimeout - Timeout of the calls forwarded through the IO interface
+ * @param {string} config.name - Server name announced to the clients
+ * @param {string} config.version - Server version announced to the clients
+ * @param {number} config.maxBodyBytes - Maximum size of a request body
+ * @returns {Object} - The server { listTools, callTool, createServer, connect, serveStdio, listen, handler, close }
+ */
+export function McpAgentServer(config = {}) {
+    const { agents = [], name = 'agentnet', version = '1.0.0', maxBodyBytes = DEFAULT_MAX_BODY_BYTES } = config;
+    const networkOf = (agent) => `${agent.metadata.namespace}.${agent.metadata.name}`;
+    const targets = AgentTargets({
+        ...config,
+        agents: Object.fromEntries(agents.map(agent => [networkOf(agent), agent]))
+    });
+    // Sessions of the streamable HTTP clients, by MCP session id
+    const sessions = new Map();
+    let httpServer = null;
+    const connected = new Set();
+
+    /**
+     * The published tools, agents given to the server first
+     * @returns {Map} - Tool name -> { network, capability, tool }
+     */
+    const publishedTools = () => {
+        const tools = new Map();
+        const publish = (network, capability) => {
+            const toolName = capability ? capability.name : network.replace('.', '_');
+            if (tools.has(toolName)) {
+                logger.debug(`MCP tool ${toolName} of ${network} is already published by ${tools.get(toolName).network}`);
+                return;
+            }
+            tools.set(toolName, {
+                network,
+                capability,
+                tool: {
+                    name: toolName,
+                    description: capability?.description || `Sends a message to the agent ${network}`,
+                    inputSchema: capability ? { type: 'object', ...capability.parameters } : CONTENT_INPUT_SCHEMA
+                }
+            });
+        };
+
+        for (const agent of agents) {
+            if (agent.discoverySchemas?.length > 0) {
+                agent.discoverySchemas.forEach(schema => publish(networkOf(agent), schema));
+            } else {
+                publish(networkOf(agent), null);
+            }
+        }
+        for (const listed of targets.listAgents()) {
+            listed.capabilities.forEach(capability => publish(listed.network, capability));
+        }
+        return tools;
+    };
+
+    /**
+     * @returns {Array} - The MCP tools
+     */
+    const listTools = () => [...publishedTools().values()].map(({ tool }) => tool);
+
+    /**
+     * Call a published tool
+     * @param {string} toolName - The tool name
+     * @param {Object} args - The tool arguments
+     * @param {string} sessionId - The MCP session, used as the agent session
+     * @returns {Promise<Object>} - The MCP CallToolResult
+     */
+    const callTool = async (toolName, args = {}, sessionId = null) => {
+        const published = publishedTools().get(toolName);
+        if (!published) {
+            return { isError: true, content: [{ type: 'text', text: `Unknown tool: ${toolName}` }] };
+        }
+
+        const [namespace, agentName] = published.network.split('.');
+        // Capabilities get their arguments as content, like handoffs
+        const message = new Message({
+            content: published.capability ? args : args.content,
+            session: sessionId ? { id: sessionId } : {}
+        });
+
+        try {
+            const response = await targets.resolve(namespace, agentName).query(message);
+            const content = response.getContent();
+            return {
+                content: [{ type: 'text', text: typeof content === 'string' ? content : JSON.stringify(content) }],
+                structuredContent: JSON.parse(response.serialize())
+            };
+        } catch (error) {
+            logger.error(`MCP call to ${published.network} failed: ${error.message}`, { error, tool: toolName });
+            return { isError: true, content: [{ type: 'text', text: error.message }] };
+        }
+    };
+
+    /**
+     * Create an MCP server instance, one per connected client
+     * @returns {Server} - The MCP server
+     */
+    const createServer = () => {
+        const server = new Server({ name, version }, { capabilities: { tools: {} } });
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+        server.setRequestHandler(CallToolRequestSchema, async (request, extra) =>
+            callTool(request.params.name, request.params.arguments, extra.sessionId));
+        return server;
+    };
+
+    /**
+     * Connect a server instance to a transport
+     * @param {Object} transport - The MCP server transport
+     * @returns {Promise<Server>} - The connected server
+     */
+    const connect = async (transport) => {
+        const server = createServer();
+        await server.connect(transport);
+        connected.add(server);
+        server.onclose = () => connected.delete(server);
+        return server;
+    };
+
+    /**
+     * Serve a single client on stdin/stdout
+     * @returns {Promise<Server>} - The connected server
+     */
+    const serveStdio = async () => {
+        await targets.start();
+        return await connect(new StdioServerTransport());
+    };
+
+    /**
+     * Streamable HTTP endpoint, sessions are created by the initialize requests
+     */
+    const handler = async (req, res) => {
+        try {
+            if (new URL(req.url, 'http://localhost').pathname !== MCP_PATH) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end(`No route for ${req.url}`);
+                return;
+            }
+
+            // POST bodies are read here to apply maxBodyBytes, then handed to the transport
+            let body;
+            if (req.method === 'POST') {
+                try {
+                    body = await readJson(req, maxBodyBytes);
+                } catch (error) {
+                    if (!(error instanceof GatewayError)) {
+                        throw error;
+                    }
+                    sendRpcError(res, error.status, error.name === 'InvalidJSON' ? PARSE_ERROR : SERVER_ERROR, error.message);
+                    return;
+                }
+            }
+
+            const sessionId = req.headers[SESSION_HEADER];
+            if (sessionId) {
+                const transport = sessions.get(sessionId);
+                if (!transport) {
+                    sendRpcError(res, 404, SERVER_ERROR, 'Session not found');
+                    return;
+                }
+                await transport.handleRequest(req, res, body);
+                return;
+            }
+
+            // Without a session, only initialize requests are accepted
+            if (!isInitializeRequest(body)) {
+                sendRpcError(res, 400, SERVER_ERROR, 'Bad Request: no valid session ID provided');
+                return;
+            }
+            const transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (id) => sessions.set(id, transport)
+            });
+            transport.onclose = () => sessions.delete(transport.sessionId);
+            await connect(transport);
+            await transport.handleRequest(req, res, body);
+        } catch (error) {
+            logger.error(`MCP request failed: ${error.message}`, { error });
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end(error.message);
+            }
+        }
+    };
+
+    /**
+     * Serve streamable HTTP clients on /mcp
+     * @param {number} port - The port, 0 for a random one
+     * @param {string} host - The host
+     * @returns {Promise<Object>} - The server address { address, port }
+     */
+    const listen = async (port = config.port ?? DEFAULT_PORT, host = config.host) => {
+        await targets.start();
+        httpServer = http.createServer(handler);
+        const address = await startServer(httpServer, port, host);
+        logger.info(`MCP server listening on port ${address.port}${MCP_PATH}`);
+        return address;
+    };
+
+    /**
+     * Close the client sessions, the HTTP server and stop the discovery
+     * @returns {Promise<void>}
+     */
+    const close = async () => {
+        await Promise.all([...connected].map(server => server.close().catch(() => {})));
+        sessions.clear();
+        await stopServer(httpServer);
+        httpServer = null;
+        await targets.stop();
+    };
+
+    return { listTools, callTool, createServer, connect, serveStdio, listen, handler, close };
+}
@@ -94,6 +94,15 @@ export function redisStore (_config = null) {
 		},
 		get: async function (key) {
 			return await client.get(key)
+		},
+		// Counters are kept in a hash, incremented with HINCRBYFLOAT
+		increment: async function (key, counters) {
+			const transaction = client.multi()
+			for (const [field, value] of Object.entries(counters)) {
+				transaction.hIncrByFloat(key, field, value)
+			}
+			const replies = await transaction.hGetAll(key).exec()
+			return Object.fromEntries(Object.entries(replies.at(-1)).map(([field, value]) => [field, Number(value)]))
 		}
 	}
 }
@@ -186,6 +195,32 @@ export function postgresStore(config = null) {
 				console.error('Error retrieving state:', error);
 				throw error;
 			}
+		},
+		
+		// Counters are kept as a JSON object in the state, added up in the upsert under the row lock
+		increment: async function(key, counters) {
+			try {
+				if (Object.keys(counters).length === 0) {
+					const result = await db.oneOrNone(
+						'SELECT state FROM $1:name.$2:name WHERE state_id = $3',
+						[connectionConfig.schema, connectionConfig.table, key]
+					);
+					return result ? JSON.parse(result.state) : {};
+				}
+				const result = await db.one(`
+					INSERT INTO $1:name.$2:name AS saved_row (state_id, state, id) VALUES ($3, $4, $5)
+					ON CONFLICT (state_id) DO UPDATE SET state = (
+						SELECT jsonb_object_agg(key, COALESCE(saved.value::numeric, 0) + COALESCE(added.value::numeric, 0))::text
+						FROM jsonb_each_text(saved_row.state::jsonb) AS saved
+						FULL OUTER JOIN jsonb_each_text(EXCLUDED.state::jsonb) AS added USING (key)
+					), updated_at=CURRENT_TIMESTAMP
+					RETURNING state
+				`, [connectionConfig.schema, connectionConfig.table, key, JSON.stringify(counters), uuid()]);
+				return JSON.parse(result.state);
+			} catch (error) {
+				console.error('Error incrementing counters:', error);
+				throw error;
+			}
 		}
 	};
 }
@@ -202,6 +237,16 @@ export function memoryStore () {
 		},
 		get: async function (key) {
 			return state[key] || null
-		}	
+		},
+		increment: async function (key, counters) {
+			const totals = state[key] ? JSON.parse(state[key]) : {}
+			for (const [field, value] of Object.entries(counters)) {
+				totals[field] = (totals[field] || 0) + value
+			}
+			if (Object.keys(counters).length > 0) {
+				state[key] = JSON.stringify(totals)
+			}
+			return totals
+		}
 	}
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+import { MockLLM, Message, A2AServer } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const pricingSchema = {
+  name: 'pricing_query',
+  description: 'Answers pricing questions',
+  parameters: { type: 'object', properties: { room: { type: 'string' } }, required: ['room'] }
+};
+
+const rpc = async (url, method, params) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  return res.json();
+};
+
+describe('A2A', () => {
+  // Agents without IO, served over A2A only
+  const { start } = agentNetwork({ io: null });
+  let server;
+  let baseUrl;
+
+  const serve = async (published) => {
+    server = A2AServer({ agents: published });
+    const { port } = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+  };
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  it('should serve the Agent Card and answer message/send with a completed task', async () => {
+    const llm = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    await serve([await start('pricing', llm, { discoverySchemas: [pricingSchema] })]);
+
+    const card = await (await fetch(`${baseUrl}/.well-known/agent-card.json`)).json();
+    expect(card).toEqual(expect.objectContaining({
+      name: 'pricing',
+      url: `${baseUrl}/a2a/hotel/pricing`,
+      capabilities: expect.objectContaining({ streaming: true }),
+      skills: [{ id: 'pricing_query', name: 'pricing_query', description: 'Answers pricing questions', tags: ['hotel'] }]
+    }));
+
+    const { result: task } = await rpc(card.url, 'message/send', {
+      message: { kind: 'message', role: 'user', messageId: 'm1', contextId: 'guest-1', parts: [{ kind: 'data', data: { room: 'double' } }] }
+    });
+    expect(task).toEqual(expect.objectContaining({ kind: 'task', contextId: 'guest-1' }));
+    expect(task.status.state).toBe('completed');
+    expect(task.artifacts[0].parts).toEqual([{ kind: 'text', text: 'The double room costs 200€' }]);
+    // Data parts are the message content, like handoff arguments
+    expect(JSON.parse(llm.calls[0].prompt)).toEqual({ room: 'double' });
+
+    expect((await rpc(card.url, 'tasks/get', { id: task.id })).result.status.state).toBe('completed');
+    expect((await rpc(card.url, 'tasks/cancel', { id: task.id })).error.code).toBe(-32002);
+    expect((await rpc(card.url, 'tasks/get', { id: 'unknown' })).error.code).toBe(-32001);
+    expect((await rpc(card.url, 'tasks/resubscribe', {})).error.code).toBe(-32601);
+    const post = async (body) => (await fetch(card.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body })).json();
+    expect((await post('{"jsonrpc": "2.0",')).error.code).toBe(-32700);
+    expect((await post('null')).error.code).toBe(-32600);
+    expect((await fetch(`${baseUrl}/a2a/hotel/nobody/.well-known/agent-card.json`)).status).toBe(404);
+  });
+
+  it('should stream the response text as artifact updates', async () => {
+    await serve([await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome to the hotel', repeat: true }] }))]);
+
+    const res = await fetch(`${baseUrl}/a2a/hotel/frontDesk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'message/stream',
+        params: { message: { kind: 'message', role: 'user', messageId: 'm1', parts: [{ kind: 'text', text: 'Hello' }] } }
+      })
+    });
+    expect(res.headers.get('content-type')).toBe('text/event-stream');
+    const events = (await res.text()).split('\n\n').filter(Boolean).map(chunk => JSON.parse(chunk.slice('data: '.length)).result);
+
+    expect(events[0]).toEqual(expect.objectContaining({ kind: 'task', status: expect.objectContaining({ state: 'working' }) }));
+    expect(events.at(-2)).toEqual(expect.objectContaining({
+      kind: 'artifact-update',
+      lastChunk: true,
+      artifact: expect.objectContaining({ parts: [{ kind: 'text', text: 'Welcome to the hotel' }] })
+    }));
+    expect(events.at(-1)).toEqual(expect.objectContaining({ kind: 'status-update', final: true, status: expect.objectContaining({ state: 'completed' }) }));
+  });
+
+  it('should hand off to the skills of the remote agents declared in spec.a2aAgents', async () => {
+    await serve([await start('pricing', MockLLM({ turns: [{ text: '200€', repeat: true }] }), { discoverySchemas: [pricingSchema] })]);
+    const frontDeskLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { content: 'How much is the double room?' } } },
+        { text: 'The double room costs 200€' }
+      ]
+    });
+    const frontDesk = await start('frontDesk', frontDeskLLM, {
+      a2aAgents: [{ name: 'pricing', url: `${baseUrl}/a2a/hotel/pricing` }]
+    });
+
+    const response = await frontDesk.query(new Message('Is the double room expensive?'));
+
+    expect(response.getContent()).toBe('The double room costs 200€');
+    expect(frontDeskLLM.calls[0].tools).toEqual(['pricing_query']);
+    const output = frontDeskLLM.calls[1].conversation.find(entry => entry.type === 'function_call_output');
+    expect(JSON.parse(output.output)).toEqual({ content: '200€', session: {} });
+  });
+});
@@ -0,0 +1,111 @@
+import http from 'http'
+
+import { AgentLoaderJSON, Message } from '../index.js';
+
+/**
+ * Minimal OpenAI-compatible server replaying scripted completions
+ */
+function startStubServer(completions) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const message = completions[requests.length - 1];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        created: 0,
+        model: 'stub-model',
+        choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }]
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+describe('ChatCompletions provider', () => {
+  let stub;
+
+  beforeEach(async () => {
+    stub = await startStubServer([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: 'call_1',
+          type: 'function',
+          function: { name: 'getRoomsTool', arguments: '{"guests":2}' }
+        }]
+      },
+      { role: 'assistant', content: 'We have a double room.' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  it('should run the tool loop against an OpenAI-compatible endpoint', async () => {
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'stubAgent', namespace: 'test' },
+      spec: {
+        llm: {
+          provider: 'ChatCompletions',
+          baseURL: `http://127.0.0.1:${stub.port}/v1`,
+          headers: { 'x-tenant': 'acme' },
+          model: 'stub-model',
+          instructions: 'You are a hotel assistant.'
+        },
+        tools: [{
+          name: 'getRoomsTool',
+          description: 'Lists the rooms',
+          parameters: { type: 'object', properties: { guests: { type: 'integer' } } }
+        }]
+      }
+    });
+
+    const toolInputs = [];
+    agents.stubAgent.tools.getRoomsTool.bind(async (state, input) => {
+      toolInputs.push(input);
+      return { rooms: ['double'] };
+    });
+    const agent = await agents.stubAgent.compile();
+
+    const response = await agent.query(new Message('Which rooms do you have?'));
+
+    expect(response.getContent()).toBe('We have a double room.');
+    expect(toolInputs).toEqual([{ guests: 2 }]);
+    expect(stub.requests).toHaveLength(2);
+    expect(stub.requests[0].url).toBe('/v1/chat/completions');
+    expect(stub.requests[0].headers['x-tenant']).toBe('acme');
+    expect(stub.requests[0].body).not.toHaveProperty('baseURL');
+    expect(stub.requests[0].body.messages).toEqual([
+      { role: 'system', content: 'You are a hotel assistant.' },
+      { role: 'user', content: 'Which rooms do you have?' }
+    ]);
+    expect(stub.requests[0].body.tools[0]).toEqual({
+      type: 'function',
+      function: {
+        name: 'getRoomsTool',
+        description: 'Lists the rooms',
+        parameters: { type: 'object', properties: { guests: { type: 'integer' } } }
+      }
+    });
+    expect(stub.requests[1].body.messages.slice(2)).toEqual([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'getRoomsTool', arguments: '{"guests":2}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"rooms":["double"]}' }
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+import { AgentLoaderJSON, Claude, Message, Response } from '../index.js';
+
+/**
+ * Stream of the Messages API replaying a message, one text delta per word
+ */
+function streamOf(message) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      yield { type: 'message_start', message: { ...message, content: [] } };
+      for (const [index, block] of message.content.entries()) {
+        yield { type: 'content_block_start', index, content_block: { ...block, ...(block.type === 'text' ? { text: '' } : { input: {} }) } };
+        if (block.type === 'text') {
+          for (const text of block.text.match(/\S+\s*/g)) {
+            yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text } };
+          }
+        } else {
+          yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } };
+        }
+        yield { type: 'content_block_stop', index };
+      }
+      yield { type: 'message_stop' };
+    },
+    finalMessage: async () => message
+  };
+}
+
+/**
+ * Anthropic client stub replaying scripted messages, recording the requests
+ */
+function stubClient(messages) {
+  const requests = [];
+  const next = (input) => {
+    requests.push(structuredClone(input));
+    return messages[requests.length - 1];
+  };
+  return {
+    requests,
+    messages: {
+      create: async (input) => next(input),
+      stream: (input) => streamOf(next(input))
+    }
+  };
+}
+
+const message = (content, usage = { input_tokens: 10, output_tokens: 5 }) => ({
+  id: 'msg_1',
+  type: 'message',
+  role: 'assistant',
+  model: 'claude-sonnet-4-5',
+  content,
+  stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+  usage
+});
+
+describe('Claude provider', () => {
+  let client;
+
+  const load = async () => {
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'claudeAgent', namespace: 'test' },
+      spec: {
+        llm: { provider: 'Claude', model: 'claude-sonnet-4-5', system: 'You are a hotel assistant.' },
+        tools: [
+          {
+            name: 'getRoomsTool',
+            description: 'Lists the rooms',
+            parameters: { type: 'object', properties: { guests: { type: 'integer' } } }
+          },
+          { name: 'getPolicyTool', description: 'Returns the cancellation policy' },
+          // Tool schemas already in the Claude format keep their input_schema
+          {
+            name: 'bookRoomTool',
+            description: 'Books a room',
+            input_schema: { type: 'object', properties: { room: { type: 'string' } }, required: ['room'] }
+          }
+        ]
+      }
+    }, {
+      bindings: { Claude: { ...Claude, getClient: async () => client } }
+    });
+    agents.claudeAgent.tools.getRoomsTool.bind(async (state, input) => ({ rooms: ['double'], guests: input.guests }));
+    agents.claudeAgent.tools.getPolicyTool.bind(async () => { throw new Error('Policy service unavailable'); });
+    agents.claudeAgent.tools.bookRoomTool.bind(async () => ({ booked: true }));
+    return await agents.claudeAgent.compile();
+  };
+
+  it('should map the tools and send the tool results back in a single user turn', async () => {
+    client = stubClient([
+      message([
+        { type: 'text', text: 'Let me check.', citations: null },
+        { type: 'tool_use', id: 'toolu_1', name: 'getRoomsTool', input: { guests: 2 }, caller: null },
+        { type: 'tool_use', id: 'toolu_2', name: 'getPolicyTool', input: {} }
+      ]),
+      message([{ type: 'text', text: 'We have a double room.' }])
+    ]);
+    const agent = await load();
+
+    const response = await agent.query(new Message('Do you have a room for two?'));
+
+    expect(response.getContent()).toBe('We have a double room.');
+    const [first, second] = client.requests;
+    expect(first).toEqual(expect.objectContaining({ model: 'claude-sonnet-4-5', system: 'You are a hotel assistant.', max_tokens: 4096 }));
+    expect(first.tools).toEqual([
+      {
+        name: 'getRoomsTool',
+        description: 'Lists the rooms',
+        input_schema: { type: 'object', properties: { guests: { type: 'integer' } } }
+      },
+      { name: 'getPolicyTool', description: 'Returns the cancellation policy', input_schema: { type: 'object', properties: {} } },
+      {
+        name: 'bookRoomTool',
+        description: 'Books a room',
+        input_schema: { type: 'object', properties: { room: { type: 'string' } }, required: ['room'] }
+      }
+    ]);
+    expect(first.tools[0]).not.toHaveProperty('parameters');
+
+    expect(second.messages).toEqual([
+      { role: 'user', content: 'Do you have a room for two?' },
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'getRoomsTool', input: { guests: 2 } },
+          { type: 'tool_use', id: 'toolu_2', name: 'getPolicyTool', input: {} }
+        ]
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'toolu_1', content: JSON.stringify({ rooms: ['double'], guests: 2 }) },
+          { type: 'tool_result', tool_use_id: 'toolu_2', content: expect.stringContaining('Policy service unavailable'), is_error: true }
+        ]
+      }
+    ]);
+  });
+
+  it('should stream the text deltas and tool calls, and count the cache tokens as input tokens', async () => {
+    client = stubClient([
+      message([{ type: 'tool_use', id: 'toolu_1', name: 'getRoomsTool', input: { guests: 2 } }]),
+      message([{ type: 'text', text: 'We have a double room.' }], {
+        input_tokens: 10,
+        cache_read_input_tokens: 100,
+        cache_creation_input_tokens: 20,
+        output_tokens: 5
+      })
+    ]);
+    const agent = await load();
+
+    const events = [];
+    for await (const event of agent.query.stream(new Message('Do you have a room for two?'))) {
+      events.push(event);
+    }
+
+    const response = events.pop();
+    expect(events[0]).toEqual(expect.objectContaining({ type: 'tool_call', id: 'toolu_1', name: 'getRoomsTool', args: { guests: 2 }, run: 0 }));
+    expect(events.slice(1).map(event => event.delta)).toEqual(['We ', 'have ', 'a ', 'double ', 'room.']);
+    expect(response).toBeInstanceOf(Response);
+    expect(response.getContent()).toBe('We have a double room.');
+    expect(response.getUsage()).toEqual(expect.objectContaining({
+      inputTokens: 10 + 130,
+      cachedTokens: 100,
+      outputTokens: 10,
+      totalTokens: 150,
+      calls: 2
+    }));
+  });
+});
@@ -0,0 +1,248 @@
+import { AgentLoaderJSON, AgentClient, InProcessIO, MockLLM, Message, Response, Bindings } from '../index.js';
+import { Transport, DiscoveryMessage, orderInstances } from '../transport/index.js';
+import { TimeoutError, TransportError } from '../errors/index.js';
+
+class TestTransport extends Transport {
+  constructor(answer = async (network, instanceId) => `${network}:${instanceId}`) {
+    super('Test');
+    this.answer = answer;
+    this.requests = [];
+  }
+
+  async handoffRequest(network, instanceId, message) {
+    this.requests.push(instanceId);
+    return await this.answer(network, instanceId, message);
+  }
+}
+
+const capability = (name) => ({ name, description: `${name} capability`, parameters: { type: 'object', properties: {} } });
+
+describe('Discovery liveness and routing', () => {
+  const context = (discoveredAgents) => ({
+    namespace: 'hotel',
+    agentName: 'frontDesk',
+    discoveredAgents,
+    acceptedNetworks: ['hotel.*'],
+    nonAcceptedNetworks: {}
+  });
+
+  it('should refresh, drop and forget discovered capabilities from heartbeats and goodbyes', () => {
+    const transport = new TestTransport();
+    const discoveredAgents = {};
+    const discovery = context(discoveredAgents);
+
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'pricing', [capability('price'), capability('quote')]), discovery);
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'rooms', [capability('rooms')]), discovery);
+    transport.processDiscoveryMessage(new DiscoveryMessage('other', 'spam', [capability('spam')]), discovery);
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'frontDesk', [capability('self')]), discovery);
+    expect(Object.keys(discoveredAgents)).toEqual(['hotel.pricing-price', 'hotel.pricing-quote', 'hotel.rooms-rooms']);
+    expect(discoveredAgents['hotel.rooms-rooms']).toEqual(expect.objectContaining({ network: 'hotel.rooms', lastSeen: expect.any(Number) }));
+
+    // A heartbeat without a capability drops it
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'pricing', [capability('price')]), discovery);
+    expect(Object.keys(discoveredAgents)).toEqual(['hotel.pricing-price', 'hotel.rooms-rooms']);
+
+    // A goodbye forgets the agent
+    const goodbye = DiscoveryMessage.fromString(DiscoveryMessage.goodbye('hotel', 'rooms').serialize());
+    expect(goodbye.isGoodbye).toBe(true);
+    transport.processDiscoveryMessage(goodbye, discovery);
+    expect(Object.keys(discoveredAgents)).toEqual(['hotel.pricing-price']);
+  });
+
+  it('should expire agents without a heartbeat within the TTL', () => {
+    const transport = new TestTransport();
+    const discoveredAgents = {};
+    const discovery = context(discoveredAgents);
+
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'pricing', [capability('price')]), discovery);
+    transport.processDiscoveryMessage(new DiscoveryMessage('hotel', 'rooms', [capability('rooms')]), discovery);
+    Object.values(discoveredAgents['hotel.rooms-rooms'].instances).forEach(instance => { instance.lastSeen -= 20000; });
+
+    transport.expireDiscoveredAgents(discoveredAgents, 'frontDesk', 10000);
+
+    expect(Object.keys(discoveredAgents)).toEqual(['hotel.pricing-price']);
+  });
+
+  it('should rebuild the tools offered to the model on every query', async () => {
+    const llm = MockLLM({ turns: [{ text: 'One' }, { text: 'Two' }] });
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'rebuildAgent', namespace: 'test' },
+      spec: {
+        llm: { provider: 'Mock' },
+        tools: [{ name: 'roomsTool', description: 'Lists the rooms' }]
+      }
+    }, { bindings: { [Bindings.Mock]: llm } });
+    agents.rebuildAgent.tools.roomsTool.bind(async () => []);
+    const agent = await agents.rebuildAgent.compile();
+
+    await agent.query(new Message('Hi'));
+    await agent.query(new Message('Hi again'));
+
+    expect(llm.calls[0].tools).toEqual(['roomsTool']);
+    expect(llm.calls[1].tools).toEqual(['roomsTool']);
+  });
+
+  it('should order instances by load, in turn or by session, unhealthy ones last', () => {
+    const instances = [
+      { id: 'a', inFlight: 3, queueDepth: 2, errorRate: 0 },
+      { id: 'b', inFlight: 1, queueDepth: 0, errorRate: 0 },
+      { id: 'c', inFlight: 0, queueDepth: 0, errorRate: 0.9 }
+    ];
+    const ids = (ordered) => ordered.map(instance => instance.id);
+
+    expect(ids(orderInstances(instances, { strategy: 'least-loaded' }))).toEqual(['b', 'a', 'c']);
+    expect(ids(orderInstances(instances, { strategy: 'round-robin', cursor: 1 }))).toEqual(['b', 'a', 'c']);
+    expect(ids(orderInstances(instances, { strategy: 'round-robin', cursor: 2 }))).toEqual(['a', 'b', 'c']);
+
+    const sticky = ids(orderInstances(instances, { strategy: 'sticky-session', sessionId: 'session-1' }));
+    const withoutOther = ids(orderInstances(instances.filter(instance => instance.id !== sticky[1]), { strategy: 'sticky-session', sessionId: 'session-1' }));
+    expect(withoutOther[0]).toBe(sticky[0]);
+  });
+
+  it('should announce instances in heartbeats and fail over to the next instance when one is gone', async () => {
+    const slow = new Set();
+    const transport = new TestTransport(async (network, instanceId) => {
+      if (slow.has(instanceId)) {
+        throw new TimeoutError('Request timed out', 'handoff', 10);
+      }
+      if (instanceId === 'idle') {
+        throw new TransportError(`Request to ${network}.${instanceId} failed: no responders`, 'Test', { errorName: 'NoResponders' });
+      }
+      return `${network}:${instanceId}`;
+    });
+    const discoveredAgents = {};
+    const discovery = context(discoveredAgents);
+
+    const heartbeat = (id, inFlight) => DiscoveryMessage.fromString(new DiscoveryMessage(
+      'hotel', 'pricing', [capability('price')], 'discovery', { id, inFlight, queueDepth: 0, errorRate: 0 }
+    ).serialize());
+    transport.processDiscoveryMessage(heartbeat('idle', 0), discovery);
+    transport.processDiscoveryMessage(heartbeat('busy', 4), discovery);
+
+    const discovered = discoveredAgents['hotel.pricing-price'];
+    expect(Object.keys(discovered.instances)).toEqual(['idle', 'busy']);
+    await expect(discovered.function({}, {})).resolves.toBe('hotel.pricing:busy');
+    expect(transport.requests).toEqual(['idle', 'busy']);
+
+    // A timed out instance may still be processing the handoff, it is not sent to the next one
+    slow.add('busy');
+    transport.processDiscoveryMessage(heartbeat('other', 9), discovery);
+    await expect(discovered.function({}, {})).rejects.toMatchObject({ name: 'HandoffError' });
+    expect(transport.requests.slice(2)).toEqual(['idle', 'busy']);
+
+    // The goodbye of one instance keeps the others
+    transport.processDiscoveryMessage(DiscoveryMessage.goodbye('hotel', 'pricing', 'idle'), discovery);
+    expect(Object.keys(discovered.instances)).toEqual(['busy', 'other']);
+    expect(new TestTransport().instanceStats()).toEqual(expect.objectContaining({ inFlight: 0, queueDepth: 0, errorRate: 0 }));
+  });
+
+  it('should keep a session on the instance that claimed it, until the instance is gone', async () => {
+    const transport = new TestTransport(async (network, instanceId) => JSON.stringify({
+      content: `served by ${instanceId}`,
+      session: { id: 'session-1' },
+      instance: { id: instanceId }
+    }));
+    const discoveredAgents = {};
+    const discovery = context(discoveredAgents);
+    const heartbeat = (id, inFlight) => new DiscoveryMessage(
+      'hotel', 'pricing', [capability('price')], 'discovery', { id, inFlight, queueDepth: 0, errorRate: 0 }
+    );
+    transport.processDiscoveryMessage(heartbeat('first', 0), discovery);
+    transport.processDiscoveryMessage(heartbeat('second', 5), discovery);
+    const handoff = discoveredAgents['hotel.pricing-price'].function;
+
+    expect(JSON.parse(await handoff({ id: 'session-1' }, {}))).toEqual({ content: 'served by first', session: { id: 'session-1' } });
+    // The claimed instance is now the busiest one
+    transport.processDiscoveryMessage(heartbeat('first', 9), discovery);
+    await handoff({ id: 'session-1' }, {});
+    await handoff({ id: 'session-2' }, {});
+    expect(transport.requests).toEqual(['first', 'first', 'second']);
+
+    transport.processDiscoveryMessage(DiscoveryMessage.goodbye('hotel', 'pricing', 'first'), discovery);
+    await handoff({ id: 'session-1' }, {});
+    expect(transport.requests[3]).toBe('second');
+    expect(transport.affinities.get('hotel.pricing', 'session-1')).toBe('second');
+
+    // Serving instances only claim sessions when affinity is on
+    const served = new Response({ content: 'ok', session: {} });
+    const request = new Message({ content: 'hi', session: { id: 'session-1' } });
+    expect(transport.claimSession(served, request).getInstance()).toBeNull();
+    transport.affinity = true;
+    expect(transport.claimSession(served, request).getInstance()).toEqual({ id: transport.instanceId });
+  });
+
+  it('should send AgentClient queries to the claimed instance, and fall back when it is gone', async () => {
+    const targets = [];
+    const alive = new Set(['hotel.pricing', 'hotel.pricing.first']);
+    const slow = new Set();
+    const connection = {
+      request: async (target) => {
+        targets.push(target);
+        if (slow.has(target)) {
+          throw new TimeoutError(`Request to ${target} timed out`, 'request', 10);
+        }
+        if (!alive.has(target)) {
+          const error = new Error(`no responders: '${target}'`);
+          error.isNoResponders = () => true;
+          throw error;
+        }
+        return { string: () => JSON.stringify({ content: target, session: {}, instance: { id: 'first' } }) };
+      }
+    };
+    const io = { connect: async () => connection };
+    const client = AgentClient();
+    const message = new Message({ content: 'hi', session: { id: 'session-1' } });
+
+    await client.queryIo(io, 'hotel', 'pricing', message);
+    const second = await client.queryIo(io, 'hotel', 'pricing', message);
+    alive.delete('hotel.pricing.first');
+    await client.queryIo(io, 'hotel', 'pricing', message);
+
+    expect(second.getInstance()).toEqual({ id: 'first' });
+    expect(targets).toEqual(['hotel.pricing', 'hotel.pricing.first', 'hotel.pricing.first', 'hotel.pricing']);
+
+    // A timed out instance may still be processing the query: it is not sent again, the next query is routed again
+    alive.add('hotel.pricing.first');
+    slow.add('hotel.pricing.first');
+    await expect(client.queryIo(io, 'hotel', 'pricing', message)).rejects.toMatchObject({ name: 'TimeoutError' });
+    await client.queryIo(io, 'hotel', 'pricing', message);
+    expect(targets.slice(4)).toEqual(['hotel.pricing.first', 'hotel.pricing']);
+  });
+
+  it('should stream the next turns of a session from the claimed instance, and fall back when it is gone', async () => {
+    const io = InProcessIO();
+    const subjects = [];
+    // Instance 'first' serves the shared subject and its own one, streaming a text event then the Response
+    const serve = async (subscription) => {
+      for await (const m of subscription) {
+        subjects.push(m.subject);
+        m.respond(JSON.stringify({ type: 'text', delta: 'served' }));
+        m.respond(JSON.stringify({ type: 'response', content: 'served', session: { id: 'session-1' }, instance: { id: 'first' } }));
+      }
+    };
+    serve(io.bus.subscribe('hotel.pricing'));
+    const own = io.bus.subscribe('hotel.pricing.first');
+    serve(own);
+    const client = AgentClient({ requestTimeout: 1000 });
+    const message = new Message({ content: 'hi', session: { id: 'session-1' } });
+    const stream = async () => {
+      const events = [];
+      for await (const event of client.queryIo.stream(io, 'hotel', 'pricing', message)) {
+        events.push(event);
+      }
+      return events;
+    };
+
+    await stream();
+    const second = await stream();
+    expect(second.at(-1).getInstance()).toEqual({ id: 'first' });
+    expect(subjects).toEqual(['hotel.pricing', 'hotel.pricing.first']);
+
+    own.unsubscribe();
+    expect((await stream()).at(-1).getContent()).toBe('served');
+    expect(subjects).toEqual(['hotel.pricing', 'hotel.pricing.first', 'hotel.pricing']);
+    await client.close();
+  });
+});
@@ -0,0 +1,27 @@
+// MCP server over stdio used by the MCP client tests
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const server = new Server({ name: 'rooms', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    {
+      name: 'getRoom',
+      description: 'Returns the price of a room',
+      inputSchema: { type: 'object', properties: { room: { type: 'string' } }, required: ['room'] }
+    },
+    {
+      name: 'deleteRoom',
+      description: 'Deletes a room',
+      inputSchema: { type: 'object', properties: { room: { type: 'string' } } }
+    }
+  ]
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+  content: [{ type: 'text', text: `The ${request.params.arguments.room} room costs 200€` }]
+}));
+
+await server.connect(new StdioServerTransport());
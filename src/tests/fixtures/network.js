@@ -0,0 +1,100 @@
+// Agent networks used by the tests: agents with a Mock LLM on a shared IO interface
+import { AgentLoaderJSON, InProcessIO, Bindings } from '../../index.js';
+
+/**
+ * Sets up an agent network for the tests of a describe block
+ * Before each test the IO interface, the store and the other bindings are created again;
+ * after each test the agents started on the network are stopped.
+ * @param {Object} options - Network options
+ * @param {string} options.namespace - The namespace of the agents (default 'hotel')
+ * @param {Object|null} options.io - The IO interface { type, create, bindings }, null for agents without IO (default InProcessIO)
+ * @param {Object} options.spec - Spec entries of every agent, e.g. the llm or the store
+ * @param {Function} options.store - Creates the store bound as Memory, e.g. MemoryStore
+ * @param {Function} options.bindings - Creates the other bindings
+ * @param {Object} options.stop - Stop options of the agents (default { drainTimeoutMs: 1000 })
+ * @returns {Object} - The network { io, store, bindings, discovery, definition, start, stop }, with the
+ *                     IO interface, store and bindings of the running test
+ */
+export function agentNetwork(options = {}) {
+  const {
+    namespace = 'hotel',
+    io = { type: Bindings.InProcessIO, create: InProcessIO },
+    spec: defaults = {},
+    store = null,
+    bindings = () => ({}),
+    stop = { drainTimeoutMs: 1000 }
+  } = options;
+  let agents = [];
+
+  const network = {
+    io: null,
+    store: null,
+    bindings: {},
+    // IO bindings of the agents, also used by the gateways querying them
+    discovery: { discoveryTopic: `${namespace}.discovery`, acceptedNetworks: [`${namespace}.*`], ...io?.bindings },
+
+    /**
+     * Definition of an agent of the network
+     * @param {string} name - The agent name
+     * @param {Object} spec - Spec entries, over the defaults of the network
+     * @param {string} agentNamespace - The agent namespace, the namespace of the network by default
+     * @returns {Object} - The agent definition
+     */
+    definition: (name, spec = {}, agentNamespace = namespace) => ({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name, namespace: agentNamespace },
+      spec: {
+        llm: { provider: 'Mock' },
+        ...(io ? { io: [{ type: io.type, bindings: network.discovery }] } : {}),
+        ...defaults,
+        ...spec
+      }
+    }),
+
+    /**
+     * Loads and compiles an agent on the network, stopped after the test
+     * @param {string} name - The agent name
+     * @param {Object} llm - The Mock LLM
+     * @param {Object} spec - Spec entries, over the defaults of the network
+     * @param {Object} agentOptions - { namespace, tools }, tools are bound by name before compiling
+     * @returns {Promise<Object>} - The compiled agent
+     */
+    start: async (name, llm, spec = {}, { namespace: agentNamespace = namespace, tools = {} } = {}) => {
+      const loaded = await AgentLoaderJSON(network.definition(name, spec, agentNamespace), {
+        bindings: {
+          ...(io ? { [io.type]: network.io } : {}),
+          ...(network.store ? { [Bindings.Memory]: network.store } : {}),
+          ...network.bindings,
+          [Bindings.Mock]: llm
+        }
+      });
+      for (const [tool, implementation] of Object.entries(tools)) {
+        loaded[name].tools[tool].bind(implementation);
+      }
+      const agent = await loaded[name].compile();
+      agents.push(agent);
+      return agent;
+    },
+
+    /**
+     * Stops the agents started on the network
+     * @returns {Promise<void>}
+     */
+    stop: async () => {
+      const running = agents;
+      agents = [];
+      await Promise.all(running.map(agent => agent.stop(stop)));
+    }
+  };
+
+  beforeEach(() => {
+    network.io = io ? io.create() : null;
+    network.store = store ? store() : null;
+    network.bindings = bindings();
+  });
+
+  afterEach(() => network.stop());
+
+  return network;
+}
@@ -0,0 +1,86 @@
+import { MockLLM, HttpGateway } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+/**
+ * Parses a Server-Sent Events body into [{ event, data }]
+ */
+const parseEvents = (body) => body.trim().split('\n\n').map(block => {
+  const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 1).trim());
+  return { event, data: JSON.parse(data) };
+});
+
+describe('HTTP gateway', () => {
+  const network = agentNetwork();
+  const { start } = network;
+  let gateway;
+  let baseUrl;
+
+  const post = (path, body, headers = {}) => fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  afterEach(async () => {
+    await gateway?.close();
+  });
+
+  it('should query compiled agents and stream their answer as Server-Sent Events', async () => {
+    const frontDesk = await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome to the hotel', repeat: true }] }));
+    gateway = HttpGateway({ agents: { 'hotel.frontDesk': frontDesk } });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    const res = await post('/v1/agents/hotel/frontDesk/query', { content: 'Hello', session: { id: 'guest-1' } });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe('application/json');
+    expect(await res.json()).toEqual({ content: 'Welcome to the hotel', session: {} });
+
+    const stream = await post('/v1/agents/hotel/frontDesk/query', { content: 'Hello' }, { Accept: 'text/event-stream' });
+    expect(stream.headers.get('content-type')).toBe('text/event-stream');
+    const events = parseEvents(await stream.text());
+    expect(events.filter(({ event }) => event === 'text').map(({ data }) => data.delta).join('')).toBe('Welcome to the hotel');
+    expect(events.at(-1)).toEqual({ event: 'response', data: expect.objectContaining({ content: 'Welcome to the hotel' }) });
+  });
+
+  it('should list discovered agents and forward queries through the IO interface', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }), {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    gateway = HttpGateway({ io: network.io, bindings: network.discovery, requestTimeout: 1000 });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const list = await (await fetch(`${baseUrl}/v1/agents`)).json();
+    expect(list.agents).toEqual([expect.objectContaining({
+      network: 'hotel.pricing',
+      local: false,
+      capabilities: [expect.objectContaining({ name: 'pricing_query' })],
+      instances: 1
+    })]);
+
+    const res = await post('/v1/agents/hotel/pricing/query', { content: 'How much is the double room?' });
+    expect((await res.json()).content).toBe('The double room costs 200€');
+
+    const missing = await post('/v1/agents/hotel/nobody/query', { content: 'Hello' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should reject malformed requests', async () => {
+    gateway = HttpGateway({ io: network.io });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    expect((await post('/v1/agents/hotel/frontDesk/query', '{not json')).status).toBe(400);
+    expect((await post('/v1/agents/hotel/frontDesk/query', { session: {} })).status).toBe(400);
+    expect((await fetch(`${baseUrl}/v1/agents/hotel/frontDesk/query`)).status).toBe(405);
+    expect((await fetch(`${baseUrl}/v2/agents`)).status).toBe(404);
+
+    const res = await post('/v1/agents', {});
+    expect(res.status).toBe(405);
+    expect((await res.json()).error.type).toBe('MethodNotAllowed');
+  });
+});
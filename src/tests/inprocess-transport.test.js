@@ -0,0 +1,103 @@
+import { AgentClient, MockLLM, Message } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const pricingSchema = { name: 'pricing_query', description: 'Answers pricing questions' };
+
+// Heartbeats are sent every second
+const waitForHeartbeat = () => new Promise(resolve => setTimeout(resolve, 1200));
+
+describe('In-process transport', () => {
+  const network = agentNetwork();
+  const { start } = network;
+
+  it('should discover accepted agents and hand off to them', async () => {
+    const frontLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'Our double room costs 200€' }
+      ]
+    });
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }), {
+      discoverySchemas: [pricingSchema]
+    });
+    await start('massage', MockLLM({ turns: [] }), {
+      discoverySchemas: [{ name: 'massage_query', description: 'Books massages' }]
+    }, { namespace: 'spa' });
+    const frontDesk = await start('frontDesk', frontLLM);
+    await waitForHeartbeat();
+
+    const response = await frontDesk.query(new Message('How much is the double room?'));
+
+    expect(response.getContent()).toBe('Our double room costs 200€');
+    // spa.massage is not an accepted network
+    expect(frontLLM.calls[0].tools).toEqual(['pricing_query']);
+    expect(JSON.parse(frontLLM.calls[1].conversation.find(entry => entry.type === 'function_call_output').output))
+      .toEqual(expect.objectContaining({ content: 'The double room costs 200€' }));
+  });
+
+  it('should deliver each task to one instance of the agent', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: 'first', repeat: true }] }));
+    await start('pricing', MockLLM({ turns: [{ text: 'second', repeat: true }] }));
+
+    const client = AgentClient({ requestTimeout: 1000 });
+    const answers = [];
+    for (let i = 0; i < 4; i++) {
+      answers.push((await client.queryIo(network.io, 'hotel', 'pricing', new Message('Price?'))).getContent());
+    }
+
+    expect(answers.sort()).toEqual(['first', 'first', 'second', 'second']);
+  });
+
+  it('should fail the compilation of an agent that can not consume its tasks', async () => {
+    const { bus } = network.io;
+    const refusing = Object.create(bus);
+    refusing.subscribe = (subject, options) => {
+      if (subject === 'hotel.pricing') {
+        throw new Error('Subscription refused');
+      }
+      return bus.subscribe(subject, options);
+    };
+    network.io = { ...network.io, connect: async () => refusing };
+
+    await expect(start('pricing', MockLLM({ turns: [] }))).rejects.toThrow('Subscription refused');
+    // The agent was stopped: its task and discovery subscriptions are gone
+    expect([...bus.subscriptions.keys()]).toEqual([]);
+  });
+
+  it('should fail requests without responders or past their timeout', async () => {
+    const bus = await network.io.connect();
+    const silent = bus.subscribe('hotel.silent');
+
+    await expect(bus.request('hotel.nobody', 'Hello')).rejects.toMatchObject({ name: 'NoResponders' });
+    await expect(bus.request('hotel.silent', 'Hello', { timeout: 50 })).rejects.toThrow('timed out after 50ms');
+    expect(silent.getPending()).toBe(1);
+    silent.unsubscribe();
+  });
+
+  it('should hold one connection across client queries, released when the client is closed', async () => {
+    // Counts the users of the connection, like NatsIO
+    const { bus } = network.io;
+    let users = 0;
+    let connects = 0;
+    const io = { ...network.io, connect: async () => { users++; connects++; return bus; }, release: async () => { users--; } };
+    network.io = io;
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }));
+
+    const client = AgentClient({ requestTimeout: 1000 });
+    await client.queryIo(io, 'hotel', 'pricing', new Message('Price?'));
+    const events = [];
+    for await (const event of client.queryIo.stream(io, 'hotel', 'pricing', new Message('Price?'))) {
+      events.push(event);
+    }
+    expect(events.at(-1).getContent()).toBe('The double room costs 200€');
+    await expect(client.queryIo(io, 'hotel', 'nobody', new Message('Hello'))).rejects.toThrow();
+    // The agent and the client
+    expect(users).toBe(2);
+    expect(connects).toBe(2);
+
+    await client.close();
+    expect(users).toBe(1);
+    await network.stop();
+    expect(users).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+import { Kafka, logLevel } from 'kafkajs';
+
+import { AgentClient, MockLLM, Message, KafkaIO, Bindings } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const KAFKA_BROKERS = (process.env.KAFKA_BROKERS || 'localhost:9092').split(',');
+
+/**
+ * Checks that a Kafka broker answers, the integration tests are skipped otherwise
+ */
+async function kafkaAvailable() {
+  const admin = new Kafka({
+    brokers: KAFKA_BROKERS,
+    connectionTimeout: 500,
+    retry: { retries: 0 },
+    logLevel: logLevel.NOTHING
+  }).admin();
+  try {
+    await admin.connect();
+    await admin.disconnect();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const describeKafka = (await kafkaAvailable()) ? describe : describe.skip;
+
+describeKafka('Kafka transport', () => {
+  const network = agentNetwork({
+    namespace: 'kafkatest',
+    io: { type: Bindings.KafkaIO, create: () => KafkaIO({ clientId: 'agentnet-test', brokers: KAFKA_BROKERS, logLevel: logLevel.ERROR }) },
+    stop: { drainTimeoutMs: 5000 }
+  });
+
+  it('should discover agents, hand off over task topics and answer AgentClient queries', async () => {
+    const pricingLLM = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    const frontLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'Our double room costs 200€' }
+      ]
+    });
+    await network.start('pricing', pricingLLM, {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await network.start('frontDesk', frontLLM);
+
+    // Wait for the consumer groups to join and for the pricing heartbeat
+    await new Promise(resolve => setTimeout(resolve, 8000));
+
+    const response = await frontDesk.query(new Message('How much is the double room?'));
+    expect(response.getContent()).toBe('Our double room costs 200€');
+    expect(JSON.parse(frontLLM.calls[1].conversation.find(entry => entry.type === 'function_call_output').output))
+      .toEqual(expect.objectContaining({ content: 'The double room costs 200€' }));
+
+    const client = AgentClient({ requestTimeout: 15000 });
+    const direct = await client.queryIo(network.io, 'kafkatest', 'pricing', new Message('Price?'));
+    expect(direct.getContent()).toBe('The double room costs 200€');
+  }, 60000);
+});
@@ -0,0 +1,128 @@
+import { fileURLToPath } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { Agent, AgentLoaderJSON, MockLLM, Message } from '../index.js';
+import { toProviderToolSchema } from '../mcp/client.js';
+
+/**
+ * In-memory MCP server, returns the client side transport and the received calls
+ */
+const crmServer = async () => {
+  const calls = [];
+  const server = new Server({ name: 'crm', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [
+      { name: 'lookupGuest', description: 'Finds a guest', inputSchema: { type: 'object', properties: { email: { type: 'string' } } } },
+      { name: 'deleteGuest', description: 'Deletes a guest', inputSchema: { type: 'object', properties: {} } }
+    ]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    calls.push(request.params);
+    return { content: [], structuredContent: { name: 'Ada', visits: 3 } };
+  });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  return { transport: clientTransport, calls };
+};
+
+const functionOutputs = (call) => call.conversation
+  .filter(entry => entry.type === 'function_call_output')
+  .map(entry => JSON.parse(entry.output));
+
+describe('MCP client', () => {
+  let agents = [];
+
+  afterEach(async () => {
+    await Promise.all(agents.map(agent => agent.stop({ drainTimeoutMs: 1000 })));
+    agents = [];
+  });
+
+  it('should expose the allowed tools of an MCP server and route their calls to it', async () => {
+    const crm = await crmServer();
+    const llm = MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'crm_lookupGuest', args: { email: 'ada@example.com' } }] },
+        { text: 'Welcome back Ada' }
+      ]
+    });
+    const agent = await Agent()
+      .setMetadata({ name: 'frontDesk', namespace: 'hotel' })
+      .withLLM(llm)
+      .addMcpServer({ name: 'crm', transport: crm.transport, toolPrefix: 'crm_', deny: ['delete*'] })
+      .compile();
+    agents.push(agent);
+
+    const response = await agent.query(new Message('Hello, I am ada@example.com'));
+
+    expect(response.getContent()).toBe('Welcome back Ada');
+    expect(llm.calls[0].tools).toEqual(['crm_lookupGuest']);
+    expect(crm.calls).toEqual([{ name: 'lookupGuest', arguments: { email: 'ada@example.com' } }]);
+    expect(functionOutputs(llm.calls[1])).toEqual([{ name: 'Ada', visits: 3 }]);
+  });
+
+  it('should mount stdio servers declared in spec.mcpServers', async () => {
+    const agentsMap = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'pricing', namespace: 'hotel' },
+      spec: {
+        llm: {
+          provider: 'Mock',
+          turns: [
+            { toolCalls: [{ name: 'getRoom', args: { room: 'double' } }] },
+            { text: 'The double room costs 200€' }
+          ]
+        },
+        mcpServers: [{
+          name: 'rooms',
+          transport: 'stdio',
+          command: process.execPath,
+          args: [fileURLToPath(new URL('./fixtures/mcp-server.js', import.meta.url))],
+          allow: ['get*']
+        }]
+      }
+    });
+    const agent = await agentsMap.pricing.compile();
+    agents.push(agent);
+
+    const response = await agent.query(new Message('How much is the double room?'));
+
+    expect(response.getContent()).toBe('The double room costs 200€');
+  });
+
+  it('should reject invalid MCP server definitions', async () => {
+    const definition = (server) => ({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'pricing', namespace: 'hotel' },
+      spec: { llm: { provider: 'Mock' }, mcpServers: [server] }
+    });
+
+    // Agents with an invalid definition are not loaded
+    expect((await AgentLoaderJSON(definition({ name: 'rooms', transport: 'ws' }))).pricing).toBeUndefined();
+    expect((await AgentLoaderJSON(definition({ name: 'rooms', transport: 'http' }))).pricing).toBeUndefined();
+    expect(() => Agent().addMcpServer({ name: 'rooms', transport: 'stdio' })).toThrow('must have a command');
+    expect(() => Agent().addMcpServer({ name: 'rooms', transport: 'ws' })).toThrow('transport must be one of: stdio, http');
+  });
+
+  it('should convert MCP tool schemas to the provider tool schemas', () => {
+    const tool = {
+      name: 'lookupGuest',
+      description: 'Finds a guest',
+      inputSchema: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: { email: { type: 'string' } },
+        additionalProperties: false
+      }
+    };
+    const parameters = { type: 'object', properties: { email: { type: 'string' } }, additionalProperties: false };
+
+    expect(toProviderToolSchema('openai', tool)).toEqual({
+      type: 'function', name: 'lookupGuest', description: 'Finds a guest', parameters, strict: false
+    });
+    expect(toProviderToolSchema('gemini', tool).parameters).toEqual({ type: 'object', properties: { email: { type: 'string' } } });
+    expect(toProviderToolSchema('anthropic', tool)).toEqual({ name: 'lookupGuest', description: 'Finds a guest', parameters });
+  });
+});
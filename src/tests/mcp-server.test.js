@@ -0,0 +1,107 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { MockLLM, McpAgentServer } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const pricingSchema = {
+  name: 'pricing_query',
+  description: 'Answers pricing questions',
+  parameters: { type: 'object', properties: { room: { type: 'string' } }, required: ['room'] }
+};
+
+describe('MCP server', () => {
+  const network = agentNetwork();
+  const { start } = network;
+  let clients = [];
+  let mcp;
+
+  const connectClient = async (transport) => {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  };
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    clients = [];
+    await mcp?.close();
+  });
+
+  it('should publish compiled agents as tools and answer calls with their response', async () => {
+    const pricingLLM = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    const pricing = await start('pricing', pricingLLM, { discoverySchemas: [pricingSchema] });
+    const frontDesk = await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome', repeat: true }] }));
+
+    mcp = McpAgentServer({ agents: [pricing, frontDesk] });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await mcp.connect(serverTransport);
+    const client = await connectClient(clientTransport);
+
+    const { tools } = await client.listTools();
+    expect(tools).toEqual([
+      { name: 'pricing_query', description: 'Answers pricing questions', inputSchema: pricingSchema.parameters },
+      expect.objectContaining({ name: 'hotel_frontDesk', inputSchema: expect.objectContaining({ required: ['content'] }) })
+    ]);
+
+    const result = await client.callTool({ name: 'pricing_query', arguments: { room: 'double' } });
+    expect(result.content).toEqual([{ type: 'text', text: 'The double room costs 200€' }]);
+    expect(result.structuredContent).toEqual({ content: 'The double room costs 200€', session: {} });
+    // Capabilities get their arguments as the message content, like handoffs
+    expect(JSON.parse(pricingLLM.calls[0].prompt)).toEqual({ room: 'double' });
+
+    const welcome = await client.callTool({ name: 'hotel_frontDesk', arguments: { content: 'Hello' } });
+    expect(welcome.content[0].text).toBe('Welcome');
+
+    const unknown = await client.callTool({ name: 'spa_query', arguments: {} });
+    expect(unknown.isError).toBe(true);
+  });
+
+  it('should publish the capabilities discovered on the network over streamable HTTP', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }), {
+      discoverySchemas: [pricingSchema]
+    });
+    mcp = McpAgentServer({ io: network.io, bindings: network.discovery, requestTimeout: 1000 });
+    const { port } = await mcp.listen(0, '127.0.0.1');
+
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const client = await connectClient(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${port}/mcp`)));
+    expect((await client.listTools()).tools.map(tool => tool.name)).toEqual(['pricing_query']);
+
+    const result = await client.callTool({ name: 'pricing_query', arguments: { room: 'double' } });
+    expect(result.content).toEqual([{ type: 'text', text: 'The double room costs 200€' }]);
+
+    const orphan = await fetch(`http://127.0.0.1:${port}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    expect(orphan.status).toBe(400);
+  });
+
+  it('should reject request bodies over maxBodyBytes and invalid JSON bodies', async () => {
+    const frontDesk = await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome', repeat: true }] }));
+    mcp = McpAgentServer({ agents: [frontDesk], maxBodyBytes: 1024 });
+    const { port } = await mcp.listen(0, '127.0.0.1');
+    const post = (body) => fetch(`http://127.0.0.1:${port}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body
+    });
+
+    const large = await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: { padding: 'x'.repeat(2048) } }));
+    expect(large.status).toBe(413);
+    expect((await large.json()).error).toEqual(expect.objectContaining({ message: expect.stringContaining('1024 bytes') }));
+
+    const invalid = await post('{"jsonrpc": "2.0",');
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error.code).toBe(-32700);
+
+    // Smaller bodies reach the MCP sessions
+    const client = await connectClient(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${port}/mcp`)));
+    expect((await client.listTools()).tools.map(tool => tool.name)).toEqual(['hotel_frontDesk']);
+  });
+});
@@ -0,0 +1,83 @@
+import { MockLLM, Message, MetricsServer, MetricsRegistry } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+describe('Metrics', () => {
+  const { start } = agentNetwork({ spec: { llm: { provider: 'Mock', model: 'mock-1' } } });
+  let metricsServer;
+
+  const valueOf = async (name, labels) => {
+    const metric = await MetricsRegistry.getSingleMetric(name).get();
+    const matching = metric.values.find(value => Object.entries(labels).every(([key, label]) => String(value.labels[key]) === label));
+    return matching?.value;
+  };
+
+  beforeEach(() => {
+    MetricsRegistry.resetMetrics();
+  });
+
+  afterEach(async () => {
+    await metricsServer?.close();
+  });
+
+  it('should record queries, executor runs, tools and handoffs, and serve them on /metrics', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: '200€', repeat: true }] }), {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await start('frontDesk', MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'getRoomTool', args: { room: 'double' } }] },
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'The double room is free and costs 200€' }
+      ]
+    }), {
+      tools: [{ name: 'getRoomTool', description: 'Returns the availability of a room', parameters: { type: 'object' } }]
+    }, {
+      tools: { getRoomTool: async () => { throw new Error('Rooms service unavailable'); } }
+    });
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    await frontDesk.query(new Message({ content: 'Is the double room free?', session: { id: 'guest-1' } }));
+
+    expect(await valueOf('agentnet_query_duration_seconds', { agent: 'frontDesk', outcome: 'success', le: '+Inf' })).toBe(1);
+    expect(await valueOf('agentnet_executor_runs', { agent: 'frontDesk', le: '3' })).toBe(1);
+    expect(await valueOf('agentnet_executor_runs', { agent: 'frontDesk', le: '2' })).toBe(0);
+    expect(await valueOf('agentnet_tool_errors_total', { agent: 'frontDesk', tool: 'getRoomTool' })).toBe(1);
+    expect(await valueOf('agentnet_handoff_duration_seconds', { agent: 'frontDesk', target: 'hotel.pricing', outcome: 'success', le: '+Inf' })).toBe(1);
+    expect(await valueOf('agentnet_llm_request_duration_seconds', { agent: 'pricing', provider: 'mock', outcome: 'success', le: '+Inf' })).toBe(1);
+    expect(await valueOf('agentnet_discovered_agents', { agent: 'frontDesk' })).toBe(1);
+    expect(await valueOf('agentnet_discovery_heartbeat_lag_seconds', { agent: 'frontDesk', network: 'hotel.pricing' })).toBeLessThan(2);
+
+    metricsServer = MetricsServer();
+    const { port } = await metricsServer.listen(0);
+    const res = await fetch(`http://localhost:${port}/metrics`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toContain('text/plain');
+    const text = await res.text();
+    expect(text).toContain('# TYPE agentnet_query_duration_seconds histogram');
+    expect(text).toContain('agentnet_query_duration_seconds_count{namespace="hotel",agent="frontDesk",outcome="success"} 1');
+    expect((await fetch(`http://localhost:${port}/other`)).status).toBe(404);
+  });
+
+  it('should count the queries stopped by the maximum number of runs and the failed queries', async () => {
+    const agent = await start('frontDesk', MockLLM({
+      turns: [{ toolCalls: [{ name: 'getRoomTool', args: {} }], repeat: true }]
+    }), {
+      tools: [{ name: 'getRoomTool', description: 'Returns the availability of a room', parameters: { type: 'object' } }],
+      runner: { maxRuns: 2 }
+    }, {
+      tools: { getRoomTool: async () => ({ available: false }) }
+    });
+
+    await agent.query(new Message({ content: 'Is the double room free?' }));
+    expect(await valueOf('agentnet_executor_max_runs_total', { agent: 'frontDesk' })).toBe(1);
+    expect(await valueOf('agentnet_executor_runs', { agent: 'frontDesk', le: '2' })).toBe(1);
+
+    const failing = await start('concierge', MockLLM({ turns: [{ text: 'not json', repeat: true }] }), {
+      output: { schema: { type: 'object', required: ['available'] }, maxRetries: 0 }
+    });
+    await expect(failing.query(new Message({ content: 'Hello' }))).rejects.toThrow();
+    expect(await valueOf('agentnet_query_errors_total', { agent: 'concierge', type: 'ValidationError' })).toBe(1);
+    expect(await valueOf('agentnet_query_duration_seconds', { agent: 'concierge', outcome: 'error', le: '+Inf' })).toBe(1);
+  });
+});
@@ -0,0 +1,163 @@
+import { Agent, AgentLoaderJSON, MockLLM, Message, Response, Bindings } from '../index.js';
+
+describe('MockLLM provider', () => {
+  it('should replay text turns in order and record every call from the Agent() builder', async () => {
+    const llm = MockLLM({
+      turns: [
+        { text: 'First answer' },
+        { text: 'Second answer' }
+      ]
+    });
+    const agent = await Agent()
+      .setMetadata({ name: 'mockAgent', namespace: 'test' })
+      .withLLM(llm, { model: 'mock-model' })
+      .compile();
+
+    const first = await agent.query(new Message('Hello'));
+    const second = await agent.query(new Message('Hello again'));
+
+    expect(first.getContent()).toBe('First answer');
+    expect(second.getContent()).toBe('Second answer');
+    expect(llm.calls).toHaveLength(2);
+    expect(llm.calls[0]).toEqual(expect.objectContaining({
+      index: 0,
+      prompt: 'Hello',
+      config: { model: 'mock-model' },
+      conversation: [{ role: 'user', content: 'Hello' }]
+    }));
+    expect(llm.calls[1].prompt).toBe('Hello again');
+  });
+
+  it('should execute scripted tool calls from a YAML `provider: Mock` definition', async () => {
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'yamlMockAgent', namespace: 'test' },
+      spec: {
+        llm: {
+          provider: 'Mock',
+          turns: [
+            { toolCalls: [{ name: 'getPriceTool', args: { room: 'double' } }] },
+            { text: 'The double room costs 200€.' }
+          ]
+        },
+        tools: [{
+          name: 'getPriceTool',
+          description: 'Returns the price of a room',
+          parameters: { type: 'object', properties: { room: { type: 'string' } } }
+        }]
+      }
+    });
+
+    const inputs = [];
+    agents.yamlMockAgent.tools.getPriceTool.bind(async (state, input) => {
+      inputs.push(input);
+      return { price: 200 };
+    });
+    const agent = await agents.yamlMockAgent.compile();
+
+    const response = await agent.query(new Message('How much is the double room?'));
+
+    expect(response.getContent()).toBe('The double room costs 200€.');
+    expect(inputs).toEqual([{ room: 'double' }]);
+  });
+
+  it('should match turns by index and prompt content, and surface scripted errors', async () => {
+    const llm = MockLLM({
+      turns: [
+        { match: /price/, text: 'Pricing answer' },
+        { turn: 0, error: 'Rate limited' },
+        { text: 'Fallback answer', repeat: true }
+      ]
+    });
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'boundMockAgent', namespace: 'test' },
+      spec: { llm: { provider: 'Mock' } }
+    }, { bindings: { [Bindings.Mock]: llm } });
+    const agent = await agents.boundMockAgent.compile();
+
+    // Call 0 fails, the runner retries with call 1 which matches on content
+    const priced = await agent.query(new Message('What is the price?'));
+    const other = await agent.query(new Message('Anything else?'));
+    const again = await agent.query(new Message('And now?'));
+
+    expect(priced.getContent()).toBe('Pricing answer');
+    expect(other.getContent()).toBe('Fallback answer');
+    expect(again.getContent()).toBe('Fallback answer');
+    expect(llm.calls.map(call => call.index)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should run tool calls in parallel and keep the call order in the conversation', async () => {
+    const llm = MockLLM({
+      turns: [
+        {
+          toolCalls: [
+            { name: 'slowTool', args: { id: 1 } },
+            { name: 'fastTool', args: { id: 2 } },
+            { name: 'lockedTool', args: { id: 3 } }
+          ]
+        },
+        { text: 'Done' }
+      ]
+    });
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'parallelToolsAgent', namespace: 'test' },
+      spec: {
+        llm: { provider: 'Mock' },
+        runner: { toolConcurrency: 2 },
+        tools: [
+          { name: 'slowTool', description: 'Slow tool' },
+          { name: 'fastTool', description: 'Fast tool' },
+          { name: 'lockedTool', description: 'Must run alone', sequential: true }
+        ]
+      }
+    }, { bindings: { [Bindings.Mock]: llm } });
+
+    const log = [];
+    const tool = (name, delayMs) => async () => {
+      log.push(`${name}:start`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      log.push(`${name}:end`);
+      return name;
+    };
+    agents.parallelToolsAgent.tools.slowTool.bind(tool('slow', 30));
+    agents.parallelToolsAgent.tools.fastTool.bind(tool('fast', 5));
+    agents.parallelToolsAgent.tools.lockedTool.bind(tool('locked', 1));
+    const agent = await agents.parallelToolsAgent.compile();
+
+    const response = await agent.query(new Message('Go'));
+
+    expect(response.getContent()).toBe('Done');
+    expect(log).toEqual([
+      'slow:start', 'fast:start', 'fast:end', 'slow:end',
+      'locked:start', 'locked:end'
+    ]);
+    expect(llm.calls[1].tools).toEqual(['slowTool', 'fastTool', 'lockedTool']);
+    const outputs = llm.calls[1].conversation
+      .filter(entry => entry.type === 'function_call_output')
+      .map(entry => entry.output);
+    expect(outputs).toEqual(['slow', 'fast', 'locked']);
+  });
+
+  it('should stream scripted text word by word', async () => {
+    const llm = MockLLM({ turns: [{ text: 'Streaming works fine' }] });
+    const agent = await Agent()
+      .setMetadata({ name: 'streamAgent', namespace: 'test' })
+      .withLLM(llm, {})
+      .compile();
+
+    const events = [];
+    for await (const event of agent.query.stream(new Message('Hi'))) {
+      events.push(event);
+    }
+
+    const last = events.pop();
+    expect(events.map(event => event.delta)).toEqual(['Streaming ', 'works ', 'fine']);
+    expect(last).toBeInstanceOf(Response);
+    expect(last.getContent()).toBe('Streaming works fine');
+  });
+});
@@ -0,0 +1,45 @@
+import { AgentClient, MockLLM, Message, InProcessIO, Bindings } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+describe('Multiple IO interfaces', () => {
+  // Two separate buses, the NatsIO binding stands for a second broker
+  const network = agentNetwork({
+    io: null,
+    bindings: () => ({ [Bindings.InProcessIO]: InProcessIO(), [Bindings.NatsIO]: InProcessIO() })
+  });
+  const { start } = network;
+
+  const io = (type) => ({ type, bindings: network.discovery });
+
+  it('should serve on every interface and hand off through the interface of the target', async () => {
+    const { [Bindings.InProcessIO]: internal, [Bindings.NatsIO]: legacy } = network.bindings;
+
+    const pricingLLM = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    const bridgeLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'Our double room costs 200€', repeat: true }
+      ]
+    });
+
+    // pricing is only reachable on the legacy bus, the bridge is on both
+    await start('pricing', pricingLLM, {
+      io: [io('NatsIO')],
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    await start('bridge', bridgeLLM, { io: [io('InProcessIO'), io('NatsIO')] });
+
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const client = AgentClient({ requestTimeout: 1000 });
+    const response = await client.queryIo(internal, 'hotel', 'bridge', new Message('How much is the double room?'));
+
+    expect(response.getContent()).toBe('Our double room costs 200€');
+    expect(bridgeLLM.calls[0].tools).toEqual(['pricing_query']);
+    expect(pricingLLM.calls).toHaveLength(1);
+
+    const legacyResponse = await client.queryIo(legacy, 'hotel', 'bridge', new Message('And the single room?'));
+    expect(legacyResponse.getContent()).toBe('Our double room costs 200€');
+  });
+});
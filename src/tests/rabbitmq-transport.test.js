@@ -0,0 +1,59 @@
+import amqp from 'amqplib';
+
+import { AgentClient, MockLLM, Message, RabbitMQIO, Bindings } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost';
+
+/**
+ * Checks that a RabbitMQ broker answers, the integration tests are skipped otherwise
+ */
+async function rabbitMQAvailable() {
+  try {
+    const connection = await amqp.connect(RABBITMQ_URL, { timeout: 500 });
+    await connection.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const describeRabbitMQ = (await rabbitMQAvailable()) ? describe : describe.skip;
+
+describeRabbitMQ('RabbitMQ transport', () => {
+  const network = agentNetwork({
+    namespace: 'rabbitmqtest',
+    io: { type: Bindings.RabbitMQIO, create: () => RabbitMQIO({ url: RABBITMQ_URL }), bindings: { maxDeliveries: 2 } },
+    stop: { drainTimeoutMs: 2000 }
+  });
+
+  it('should discover agents, hand off over work queues and answer AgentClient queries', async () => {
+    const pricingLLM = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    const frontLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'Our double room costs 200€' }
+      ]
+    });
+    await network.start('pricing', pricingLLM, {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await network.start('frontDesk', frontLLM);
+
+    // Wait for the pricing heartbeat
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    const response = await frontDesk.query(new Message('How much is the double room?'));
+    expect(response.getContent()).toBe('Our double room costs 200€');
+    expect(JSON.parse(frontLLM.calls[1].conversation.find(entry => entry.type === 'function_call_output').output))
+      .toEqual(expect.objectContaining({ content: 'The double room costs 200€' }));
+
+    const client = AgentClient({ requestTimeout: 5000 });
+    const direct = await client.queryIo(network.io, 'rabbitmqtest', 'pricing', new Message('Price?'));
+    expect(direct.getContent()).toBe('The double room costs 200€');
+
+    // Requests that no queue takes fail without waiting for the timeout
+    await expect(client.queryIo(network.io, 'rabbitmqtest', 'nobody', new Message('Hello')))
+      .rejects.toMatchObject({ details: { errorName: 'NoRoute' } });
+  }, 15000);
+});
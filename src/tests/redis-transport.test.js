@@ -0,0 +1,58 @@
+import { createClient } from 'redis';
+
+import { AgentClient, MockLLM, Message, RedisIO, Bindings } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+/**
+ * Checks that a redis-server answers, the integration tests are skipped otherwise
+ */
+async function redisAvailable() {
+  const client = createClient({ url: REDIS_URL, socket: { connectTimeout: 500, reconnectStrategy: false } });
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await client.ping();
+    await client.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const describeRedis = (await redisAvailable()) ? describe : describe.skip;
+
+describeRedis('Redis transport', () => {
+  const network = agentNetwork({
+    namespace: 'redistest',
+    io: { type: Bindings.RedisIO, create: () => RedisIO({ url: REDIS_URL }) },
+    stop: { drainTimeoutMs: 2000 }
+  });
+
+  it('should discover agents, hand off over task lists and answer AgentClient queries', async () => {
+    const pricingLLM = MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] });
+    const frontLLM = MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'Our double room costs 200€' }
+      ]
+    });
+    await network.start('pricing', pricingLLM, {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await network.start('frontDesk', frontLLM);
+
+    // Wait for the pricing heartbeat
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    const response = await frontDesk.query(new Message('How much is the double room?'));
+    expect(response.getContent()).toBe('Our double room costs 200€');
+    expect(JSON.parse(frontLLM.calls[1].conversation.find(entry => entry.type === 'function_call_output').output))
+      .toEqual(expect.objectContaining({ content: 'The double room costs 200€' }));
+
+    const client = AgentClient({ requestTimeout: 5000 });
+    const direct = await client.queryIo(network.io, 'redistest', 'pricing', new Message('Price?'));
+    expect(direct.getContent()).toBe('The double room costs 200€');
+  }, 15000);
+});
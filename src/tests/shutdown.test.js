@@ -0,0 +1,44 @@
+import { Agent, MockLLM, Message, MemoryStore } from '../index.js';
+
+describe('Graceful shutdown', () => {
+  it('should wait for in-flight queries, disconnect the store and reject new queries', async () => {
+    const llm = MockLLM({ turns: [{ text: 'Slow answer', delayMs: 50 }] });
+    const store = MemoryStore();
+    const disconnects = [];
+    store.disconnect = async () => { disconnects.push(Date.now()); };
+
+    const agent = await Agent()
+      .setMetadata({ name: 'stoppingAgent', namespace: 'test' })
+      .withLLM(llm, {})
+      .withStore(store)
+      .compile();
+
+    const pending = agent.query(new Message({ content: 'Hi', session: { id: 'session-1' } }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await agent.stop({ drainTimeoutMs: 1000 });
+
+    const response = await pending;
+    expect(response.getContent()).toBe('Slow answer');
+    expect(disconnects).toHaveLength(1);
+    await expect(agent.query(new Message('Hello again'))).rejects.toThrow('Agent stoppingAgent is stopped');
+
+    // Stopping again is a no-op
+    await agent.stop();
+    expect(disconnects).toHaveLength(1);
+  });
+
+  it('should give up waiting after the drain timeout', async () => {
+    const llm = MockLLM({ turns: [{ text: 'Too slow', delayMs: 200 }] });
+    const agent = await Agent()
+      .setMetadata({ name: 'timeoutAgent', namespace: 'test' })
+      .withLLM(llm, {})
+      .compile();
+
+    const pending = agent.query(new Message('Hi'));
+    const startedAt = Date.now();
+    await agent.stop({ drainTimeoutMs: 20 });
+
+    expect(Date.now() - startedAt).toBeLessThan(150);
+    await expect(pending).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,117 @@
+import { AgentClient, MockLLM, Message, Response } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+// Collects the events of a stream, with the error ending it
+const collect = async (stream) => {
+  const events = [];
+  try {
+    for await (const event of stream) {
+      events.push(event);
+    }
+  } catch (error) {
+    return { events, error };
+  }
+  return { events, error: null };
+};
+
+describe('Streaming', () => {
+  const network = agentNetwork({ spec: { llm: { provider: 'Mock', timeout: 200 } } });
+  const { start } = network;
+
+  it('should stream the tool calls and text deltas of every run, then the Response', async () => {
+    const agent = await start('frontDesk', MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'getRoomTool', args: { room: 'double' } }] },
+        { text: 'The double room is free' }
+      ]
+    }), {
+      tools: [{ name: 'getRoomTool', description: 'Returns the availability of a room', parameters: { type: 'object' } }]
+    }, {
+      tools: { getRoomTool: async () => ({ available: true }) }
+    });
+
+    const { events, error } = await collect(agent.query.stream(new Message('Is the double room free?')));
+
+    expect(error).toBeNull();
+    expect(events[0]).toEqual(expect.objectContaining({ type: 'tool_call', name: 'getRoomTool', handoff: false, run: 0 }));
+    expect(events.slice(1, -1).map(event => [event.delta, event.run]))
+      .toEqual([['The ', 1], ['double ', 1], ['room ', 1], ['is ', 1], ['free', 1]]);
+    expect(events.at(-1)).toBeInstanceOf(Response);
+    expect(events.at(-1).getContent()).toBe('The double room is free');
+  });
+
+  it('should retry a model stream that stalls before its first event', async () => {
+    const llm = MockLLM({
+      turns: [
+        { text: 'Too late', delayMs: 500 },
+        { text: 'Welcome' }
+      ]
+    });
+    const agent = await start('frontDesk', llm);
+
+    const { events, error } = await collect(agent.query.stream(new Message('Hello')));
+
+    expect(error).toBeNull();
+    expect(llm.calls).toHaveLength(2);
+    expect(events.filter(event => event.type === 'text').map(event => event.delta)).toEqual(['Welcome']);
+    expect(events.at(-1).getContent()).toBe('Welcome');
+  });
+
+  it('should fail the stream, without running again, when the model fails or stalls after streaming', async () => {
+    const failing = MockLLM({ turns: [{ text: 'Welcome', repeat: true }] });
+    failing.callModelStream = async function* () {
+      yield { type: 'text', delta: 'Wel' };
+      throw new Error('Connection reset');
+    };
+    const stalling = MockLLM({ turns: [{ text: 'Welcome', repeat: true }] });
+    let calls = 0;
+    stalling.callModelStream = async function* () {
+      calls++;
+      yield { type: 'text', delta: 'Wel' };
+      await new Promise(() => {});
+    };
+
+    const failed = await collect((await start('frontDesk', failing)).query.stream(new Message('Hello')));
+    expect(failed.events.map(event => event.delta)).toEqual(['Wel']);
+    expect(failed.error).toMatchObject({ name: 'LLMError', message: expect.stringContaining('Connection reset') });
+
+    const stalled = await collect((await start('concierge', stalling)).query.stream(new Message('Hello')));
+    expect(stalled.events.map(event => event.delta)).toEqual(['Wel']);
+    expect(stalled.error).toMatchObject({ name: 'TimeoutError' });
+    expect(calls).toBe(1);
+  });
+
+  it('should stream a query over IO to the client, and fail with the error of the agent', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }));
+    await start('broken', MockLLM({ turns: [{ error: 'Rate limited', repeat: true }] }), {
+      runner: { maxRuns: 1 }
+    });
+    const client = AgentClient({ requestTimeout: 300 });
+
+    const { events, error } = await collect(client.queryIo.stream(network.io, 'hotel', 'pricing', new Message('How much is the double room?')));
+    expect(error).toBeNull();
+    expect(events.slice(0, -1).map(event => event.delta).join('')).toBe('The double room costs 200€');
+    expect(events.at(-1)).toBeInstanceOf(Response);
+    expect(events.at(-1).getContent()).toBe('The double room costs 200€');
+
+    const broken = await collect(client.queryIo.stream(network.io, 'hotel', 'broken', new Message('Hello')));
+    expect(broken.error).toMatchObject({ name: 'TransportError', message: expect.stringContaining('Rate limited') });
+
+    const unanswered = await collect(client.queryIo.stream(network.io, 'hotel', 'nobody', new Message('Hello')));
+    expect(unanswered.error).toMatchObject({ name: 'TimeoutError' });
+  });
+
+  it('should yield the Response as the only event over IO bindings without streaming', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: 'The double room costs 200€', repeat: true }] }));
+    // Request/reply only, like RedisIO
+    const requestIo = { type: 'RequestIO', request: (target, payload, options) => network.io.bus.request(target, payload, options) };
+    const client = AgentClient({ requestTimeout: 300 });
+
+    const { events, error } = await collect(client.queryIo.stream(requestIo, 'hotel', 'pricing', new Message('How much is the double room?')));
+
+    expect(error).toBeNull();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toBeInstanceOf(Response);
+    expect(events[0].getContent()).toBe('The double room costs 200€');
+  });
+});
@@ -0,0 +1,54 @@
+import { Agent, AgentLoaderJSON, MockLLM, Message, Bindings } from '../index.js';
+
+const QUOTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    room: { type: 'string', enum: ['single', 'double'] },
+    price: { type: 'number', minimum: 0 },
+    checkIn: { type: 'string', format: 'date' }
+  },
+  required: ['room', 'price'],
+  additionalProperties: false
+};
+
+describe('Structured output', () => {
+  it('should return the parsed object after feeding validation errors back to the model', async () => {
+    const llm = MockLLM({
+      turns: [
+        { text: 'The double room costs 200€' },
+        { text: '```json\n{"room": "double", "price": -1}\n```' },
+        { text: '{"room": "double", "price": 200, "checkIn": "2025-06-01"}' }
+      ]
+    });
+    const agent = await Agent()
+      .setMetadata({ name: 'quoteAgent', namespace: 'test' })
+      .withLLM(llm, {})
+      .withOutputSchema(QUOTE_SCHEMA, { name: 'quote' })
+      .compile();
+
+    const response = await agent.query(new Message('Quote the double room'));
+
+    expect(response.getContent()).toEqual({ room: 'double', price: 200, checkIn: '2025-06-01' });
+    expect(llm.calls[0].output).toEqual({ schema: QUOTE_SCHEMA, name: 'quote', maxRetries: 2, strict: false });
+    expect(llm.calls[1].prompt).toContain('(root): Reply is not valid JSON');
+    expect(llm.calls[2].prompt).toContain('price: Must be >= 0');
+  });
+
+  it('should fail once the corrections allowed by a YAML `spec.output` are exhausted', async () => {
+    const llm = MockLLM({ turns: [{ text: '{"room": "suite"}', repeat: true }] });
+    const agents = await AgentLoaderJSON({
+      apiVersion: 'agentnet/v1alpha1',
+      kind: 'AgentDefinition',
+      metadata: { name: 'strictQuoteAgent', namespace: 'test' },
+      spec: {
+        llm: { provider: 'Mock' },
+        output: { schema: QUOTE_SCHEMA, maxRetries: 1 }
+      }
+    }, { bindings: { [Bindings.Mock]: llm } });
+    const agent = await agents.strictQuoteAgent.compile();
+
+    await expect(agent.query(new Message('Quote the suite')))
+      .rejects.toThrow('Structured output of agent strictQuoteAgent does not match the output schema');
+    expect(llm.calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,78 @@
+import { AgentLoaderJSON, MockLLM, Message, Bindings } from '../index.js';
+
+const definition = (name, runner) => ({
+  apiVersion: 'agentnet/v1alpha1',
+  kind: 'AgentDefinition',
+  metadata: { name, namespace: 'test' },
+  spec: {
+    llm: { provider: 'Mock' },
+    runner,
+    tools: [{
+      name: 'bookRoomTool',
+      description: 'Book a room',
+      parameters: {
+        type: 'object',
+        properties: {
+          room: { type: 'string', enum: ['single', 'double'] },
+          nights: { type: 'integer' },
+          guest: {
+            type: 'object',
+            properties: { email: { type: 'string' } },
+            required: ['email']
+          }
+        },
+        required: ['room', 'nights']
+      }
+    }]
+  }
+});
+
+describe('Tool argument validation', () => {
+  it('should feed validation errors back to the model and execute the corrected call', async () => {
+    const llm = MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'bookRoomTool', args: { room: 'suite', nights: 1.5, guest: {} } }] },
+        { toolCalls: [{ name: 'bookRoomTool', args: { room: 'double', nights: 2 } }] },
+        { text: 'Booked' }
+      ]
+    });
+    const agents = await AgentLoaderJSON(definition('feedbackAgent'), { bindings: { [Bindings.Mock]: llm } });
+    const inputs = [];
+    agents.feedbackAgent.tools.bookRoomTool.bind(async (state, input) => {
+      inputs.push(input);
+      return { booked: true };
+    });
+    const agent = await agents.feedbackAgent.compile();
+
+    const response = await agent.query(new Message('Book a room'));
+
+    expect(response.getContent()).toBe('Booked');
+    expect(inputs).toEqual([{ room: 'double', nights: 2 }]);
+
+    const feedback = JSON.parse(llm.calls[1].conversation
+      .find(entry => entry.type === 'function_call_output').output);
+    expect(feedback.error).toContain('Invalid arguments for tool "bookRoomTool"');
+    expect(feedback.validationErrors.map(error => error.field)).toEqual(['room', 'nights', 'guest.email']);
+  });
+
+  it('should stop the run when validation is set to throw', async () => {
+    const llm = MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'bookRoomTool', args: { room: 'double' } }] },
+        { text: 'Should not be reached' }
+      ]
+    });
+    const agents = await AgentLoaderJSON(definition('throwingAgent', { toolValidation: 'throw' }), {
+      bindings: { [Bindings.Mock]: llm }
+    });
+    const inputs = [];
+    agents.throwingAgent.tools.bookRoomTool.bind(async (state, input) => {
+      inputs.push(input);
+    });
+    const agent = await agents.throwingAgent.compile();
+
+    await expect(agent.query(new Message('Book a room'))).rejects.toThrow('Invalid arguments for tool "bookRoomTool"');
+    expect(inputs).toEqual([]);
+    expect(llm.calls).toHaveLength(1);
+  });
+});
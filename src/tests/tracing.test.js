@@ -0,0 +1,85 @@
+import { trace, context, propagation } from '@opentelemetry/api';
+import { BasicTracerProvider, SimpleSpanProcessor, InMemorySpanExporter } from '@opentelemetry/sdk-trace-base';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import { W3CTraceContextPropagator } from '@opentelemetry/core';
+import { MockLLM, Message } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+describe('Tracing', () => {
+  const exporter = new InMemorySpanExporter();
+  const { start } = agentNetwork({ spec: { llm: { provider: 'Mock', model: 'mock-1' } } });
+
+  const spanNamed = (name) => exporter.getFinishedSpans().find(span => span.name === name);
+
+  beforeAll(() => {
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+    propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+    trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+  });
+
+  afterAll(() => {
+    trace.disable();
+    propagation.disable();
+    context.disable();
+  });
+
+  beforeEach(() => {
+    exporter.reset();
+  });
+
+  it('should trace a query, its runs, model calls, tools and handoffs as a single trace', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: '200€', repeat: true }] }), {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await start('frontDesk', MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'getRoomTool', args: { room: 'double' } }], usage: { inputTokens: 120, outputTokens: 8 } },
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'The double room is free and costs 200€' }
+      ]
+    }), {
+      tools: [{ name: 'getRoomTool', description: 'Returns the availability of a room', parameters: { type: 'object' } }]
+    }, {
+      tools: { getRoomTool: async () => ({ available: true }) }
+    });
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    await frontDesk.query(new Message({ content: 'Is the double room free?', session: { id: 'guest-1' } }));
+
+    const query = spanNamed('invoke_agent frontDesk');
+    const handoff = spanNamed('handoff pricing_query');
+    const remote = spanNamed('invoke_agent pricing');
+    const model = spanNamed('chat mock-1');
+
+    expect(query.attributes).toEqual(expect.objectContaining({ 'agentnet.session.id': 'guest-1', 'agentnet.namespace': 'hotel' }));
+    expect(model.attributes).toEqual(expect.objectContaining({
+      'gen_ai.system': 'mock',
+      'gen_ai.request.model': 'mock-1',
+      'gen_ai.usage.input_tokens': 120,
+      'gen_ai.usage.output_tokens': 8
+    }));
+    expect(spanNamed('execute_tool getRoomTool').parentSpanContext.spanId).toBe(model.parentSpanContext.spanId);
+    expect(spanNamed('run frontDesk').parentSpanContext.spanId).toBe(query.spanContext().spanId);
+    // The receiving agent continues the trace of the handoff span, sent in the Message envelope
+    expect(remote.parentSpanContext.spanId).toBe(handoff.spanContext().spanId);
+    expect(new Set(exporter.getFinishedSpans().map(span => span.spanContext().traceId))).toEqual(new Set([query.spanContext().traceId]));
+  });
+
+  it('should continue the trace context of a received message in streamed queries', async () => {
+    const agent = await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome', repeat: true }] }));
+    const traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    const message = new Message({ content: 'Hello', trace: { traceparent } });
+    expect(JSON.parse(message.serialize()).trace).toEqual({ traceparent });
+    for await (const event of agent.query.stream(message)) {
+      expect(event).toBeDefined();
+    }
+
+    const query = spanNamed('invoke_agent frontDesk');
+    expect(query.spanContext().traceId).toBe('0af7651916cd43dd8448eb211c80319c');
+    expect(query.parentSpanContext.spanId).toBe('b7ad6b7169203331');
+    expect(spanNamed('chat mock-1').spanContext().traceId).toBe('0af7651916cd43dd8448eb211c80319c');
+    expect(spanNamed('run frontDesk').parentSpanContext.spanId).toBe(query.spanContext().spanId);
+  });
+});
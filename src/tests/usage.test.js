@@ -0,0 +1,101 @@
+import { MockLLM, MemoryStore, Message } from '../index.js';
+import { costOf, priceOf } from '../agent/usage.js';
+import { agentNetwork } from './fixtures/network.js';
+
+describe('Usage', () => {
+  const network = agentNetwork({
+    spec: { llm: { provider: 'Mock', model: 'mock-1' }, store: { type: 'Memory' } },
+    store: MemoryStore,
+    stop: { drainTimeoutMs: 1000, disconnectStore: false }
+  });
+  const { start } = network;
+
+  it('should price model calls by exact model name or longest prefix', () => {
+    const pricing = { 'gpt-4o': { input: 2.5, output: 10, cached: 1.25 }, 'gpt-4o-mini': { input: 0.15, output: 0.6 } };
+
+    expect(priceOf(pricing, 'gpt-4o-mini-2024-07-18')).toBe(pricing['gpt-4o-mini']);
+    expect(priceOf(pricing, 'claude-sonnet-4')).toBeNull();
+    // 600 uncached and 400 cached input tokens, 100 output tokens
+    expect(costOf({ inputTokens: 1000, cachedTokens: 400, outputTokens: 100 }, pricing['gpt-4o'])).toBe(0.003);
+  });
+
+  it('should roll up the usage of handoffs into the Response and save it per session', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: '200€', usage: { inputTokens: 50, outputTokens: 5 }, repeat: true }] }), {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDesk = await start('frontDesk', MockLLM({
+      turns: [
+        { handoff: { name: 'pricing_query', args: { room: 'double' } }, usage: { inputTokens: 100, outputTokens: 10, cachedTokens: 40 } },
+        { text: 'The double room costs 200€', usage: { inputTokens: 150, outputTokens: 20 } }
+      ]
+    }), {
+      usage: { pricing: { 'mock-1': { input: 1, output: 2, cached: 0.5 } } }
+    });
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    const response = await frontDesk.query(new Message({ content: 'How much is the double room?', session: { id: 'guest-1' } }));
+
+    expect(response.getUsage()).toEqual(expect.objectContaining({
+      inputTokens: 300,
+      outputTokens: 35,
+      cachedTokens: 40,
+      totalTokens: 335,
+      calls: 3,
+      // The pricing agent has no pricing table
+      cost: (60 * 1 + 40 * 0.5 + 10 * 2 + 150 * 1 + 20 * 2) / 1e6
+    }));
+    expect(response.getUsage().agents['hotel.pricing']).toEqual(expect.objectContaining({ totalTokens: 55, calls: 1 }));
+    expect(response.getUsage().agents['hotel.frontDesk']).toEqual(expect.objectContaining({ totalTokens: 280, calls: 2 }));
+    // The usage of the handoff is rolled up, not merged into the session
+    expect(JSON.stringify(response.getSession())).not.toContain('usage');
+
+    const saved = JSON.parse(await network.store.get('hotel.frontDesk.guest-1.usage'));
+    expect(saved).toEqual(expect.objectContaining({ totalTokens: 335, calls: 3 }));
+  });
+
+  it('should stop the run loop when the session or tenant budget is exhausted', async () => {
+    const tenantSpec = { usage: { budgets: { tenant: { tokens: 500 } }, period: 'total' } };
+    const frontDesk = await start('frontDesk', MockLLM({
+      turns: [{ text: 'Welcome', usage: { inputTokens: 200, outputTokens: 100 }, repeat: true }]
+    }), {
+      usage: { budgets: { session: { tokens: 250 } } }
+    });
+
+    const first = await frontDesk.query(new Message({ content: 'Hello', session: { id: 'guest-1' } }));
+    expect(first.getContent()).toBe('Welcome');
+    await expect(frontDesk.query(new Message({ content: 'Hello again', session: { id: 'guest-1' } })))
+      .rejects.toMatchObject({ name: 'BudgetExceededError', scope: 'session', details: { limit: 250, used: 300 } });
+    // Other sessions have their own budget
+    await expect(frontDesk.query(new Message({ content: 'Hello', session: { id: 'guest-2' } }))).resolves.toBeDefined();
+
+    const concierge = await start('concierge', MockLLM({
+      turns: [{ text: 'Welcome', usage: { inputTokens: 200, outputTokens: 100 }, repeat: true }]
+    }), tenantSpec);
+    await concierge.query(new Message({ content: 'Hello', session: { id: 'guest-3', tenantId: 'acme' } }));
+    await concierge.query(new Message({ content: 'Hello', session: { id: 'guest-4', tenantId: 'acme' } }));
+    await expect(concierge.query(new Message({ content: 'Hello', session: { id: 'guest-5', tenantId: 'acme' } })))
+      .rejects.toMatchObject({ name: 'BudgetExceededError', scope: 'tenant', details: { tenantId: 'acme', limit: 500, used: 600 } });
+    expect(JSON.parse(await network.store.get('agentnet.usage.tenant.acme'))).toEqual(expect.objectContaining({ totalTokens: 600, calls: 2 }));
+  });
+
+  it('should add up the usage of concurrent queries, for the tenant bound by the agent', async () => {
+    const concierge = await start('concierge', MockLLM({
+      turns: [{ text: 'Welcome', usage: { inputTokens: 200, outputTokens: 100 }, delayMs: 50, repeat: true }]
+    }), {
+      usage: { period: 'total', tenant: (state, session) => session.token === 'acme-token' ? 'acme' : null }
+    });
+
+    await Promise.all(['guest-1', 'guest-1', 'guest-2'].map(id =>
+      concierge.query(new Message({ content: 'Hello', session: { id, token: 'acme-token', tenantId: 'other' } }))
+    ));
+
+    expect(JSON.parse(await network.store.get('hotel.concierge.guest-1.usage'))).toEqual(expect.objectContaining({ totalTokens: 600, calls: 2 }));
+    expect(JSON.parse(await network.store.get('agentnet.usage.tenant.acme'))).toEqual(expect.objectContaining({
+      totalTokens: 900,
+      calls: 3,
+      'agents.hotel.concierge.calls': 3
+    }));
+    expect(await network.store.get('agentnet.usage.tenant.other')).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { validateObject, validateToolInput } from '../utils/validation.js';
+import { ValidationError } from '../errors/index.js';
+
+const fieldsOf = (schema, value) => {
+  const result = validateToolInput({ parameters: schema }, value);
+  return result.valid ? [] : result.errors.map(error => `${error.field}:${error.keyword}`);
+};
+
+describe('validateObject', () => {
+  it('should report precise paths for nested objects, arrays and $ref definitions', () => {
+    const schema = {
+      type: 'object',
+      $defs: {
+        guest: {
+          type: 'object',
+          properties: {
+            email: { type: 'string', format: 'email' },
+            age: { type: 'integer', minimum: 18 }
+          },
+          required: ['email'],
+          additionalProperties: false
+        }
+      },
+      properties: {
+        checkIn: { type: 'string', format: 'date' },
+        guests: { type: 'array', items: { $ref: '#/$defs/guest' }, minItems: 1, uniqueItems: true }
+      },
+      required: ['checkIn', 'guests']
+    };
+
+    expect(fieldsOf(schema, {
+      checkIn: '2024-02-30',
+      guests: [{ email: 'nope', age: 17.5, vip: true }, { email: 'a@b.io' }, { email: 'a@b.io' }]
+    })).toEqual([
+      'checkIn:format',
+      'guests[0].email:format',
+      'guests[0].age:type',
+      'guests[0].vip:additionalProperties',
+      'guests[2]:uniqueItems'
+    ]);
+    expect(fieldsOf(schema, { guests: [] })).toEqual(['checkIn:required', 'guests:minItems']);
+    expect(fieldsOf(schema, { checkIn: '2024-02-29', guests: [{ email: 'a@b.io', age: 30 }] })).toEqual([]);
+  });
+
+  it('should support combinators, numeric and string limits, const and tuples', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        room: { anyOf: [{ const: 'single' }, { const: 'double' }] },
+        amount: { oneOf: [{ type: 'integer' }, { type: 'number', multipleOf: 0.5 }] },
+        price: { type: 'number', exclusiveMinimum: 0, maximum: 1000 },
+        code: { type: 'string', minLength: 2, maxLength: 4, not: { pattern: '^x' } },
+        point: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false },
+        note: { type: ['string', 'null'] }
+      }
+    };
+
+    expect(fieldsOf(schema, {
+      room: 'suite',
+      amount: 2,
+      price: 0,
+      code: 'xyzzy',
+      point: [1, '2', 3],
+      note: null
+    })).toEqual([
+      'room:anyOf',
+      'amount:oneOf',
+      'price:exclusiveMinimum',
+      'code:maxLength',
+      'code:not',
+      'point[1]:type',
+      'point[2]:false'
+    ]);
+    expect(fieldsOf(schema, { room: 'double', amount: 2.5, price: 1000, code: 'ab', point: [1, 2] })).toEqual([]);
+  });
+
+  it('should throw a ValidationError listing every failing path', () => {
+    expect(() => validateObject({ nights: '2' }, {
+      type: 'object',
+      properties: { nights: { type: 'integer' } },
+      required: ['room']
+    }, 'booking')).toThrow(new ValidationError(
+      'Validation failed for booking: room: Required field is missing, nights: Expected integer, got string'
+    ));
+  });
+});
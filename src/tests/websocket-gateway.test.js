@@ -0,0 +1,132 @@
+import WebSocket from 'ws';
+import { MockLLM, MemoryStore, WebSocketGateway } from '../index.js';
+import { agentNetwork } from './fixtures/network.js';
+
+/**
+ * Opens a socket and collects its frames, next(type) waits for the next frame of a type
+ */
+const connect = (url) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(url);
+  const frames = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    frames.push(JSON.parse(data.toString()));
+    waiting.splice(0).forEach(check => check());
+  });
+  ws.on('open', () => resolve({
+    ws,
+    frames,
+    send: (frame) => ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame)),
+    next: (type) => new Promise(resolveFrame => {
+      const check = () => {
+        const index = frames.findIndex(frame => frame.type === type);
+        if (index === -1) {
+          waiting.push(check);
+          return;
+        }
+        resolveFrame(frames.splice(0, index + 1).at(-1));
+      };
+      check();
+    })
+  }));
+  ws.on('error', reject);
+});
+
+describe('WebSocket gateway', () => {
+  const network = agentNetwork({ store: MemoryStore });
+  const { start } = network;
+  let sockets = [];
+  let gateway;
+  let baseUrl;
+
+  const open = async (path) => {
+    const client = await connect(baseUrl + path);
+    sockets.push(client.ws);
+    return client;
+  };
+
+  afterEach(async () => {
+    sockets.forEach(ws => ws.terminate());
+    sockets = [];
+    await gateway?.close();
+  });
+
+  it('should push the tools started, the handoffs and the response of each turn', async () => {
+    await start('pricing', MockLLM({ turns: [{ text: '200€', repeat: true }] }), {
+      discoverySchemas: [{ name: 'pricing_query', description: 'Answers pricing questions' }]
+    });
+    const frontDeskLLM = MockLLM({
+      turns: [
+        { toolCalls: [{ name: 'getRoomTool', args: { room: 'double' } }] },
+        { handoff: { name: 'pricing_query', args: { room: 'double' } } },
+        { text: 'The double room is free and costs 200€' }
+      ]
+    });
+    const frontDesk = await start('frontDesk', frontDeskLLM, {
+      store: { type: 'Memory' },
+      tools: [{
+        name: 'getRoomTool',
+        description: 'Returns the availability of a room',
+        parameters: { type: 'object', properties: { room: { type: 'string' } } }
+      }]
+    }, {
+      tools: { getRoomTool: async () => ({ available: true }) }
+    });
+    // Heartbeats are sent every second
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    gateway = WebSocketGateway({ agents: { 'hotel.frontDesk': frontDesk }, store: network.store });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `ws://127.0.0.1:${port}`;
+
+    const client = await open('/v1/agents/hotel/frontDesk/sessions/guest-1');
+    expect(await client.next('session')).toEqual({ type: 'session', session: { id: 'guest-1' }, resumed: false, history: [] });
+
+    client.send({ type: 'message', content: 'Is the double room free?' });
+    expect(await client.next('tool_started')).toEqual(expect.objectContaining({ name: 'getRoomTool', args: { room: 'double' } }));
+    expect(await client.next('handoff')).toEqual(expect.objectContaining({ to: 'pricing_query', args: { room: 'double' } }));
+    expect(await client.next('response')).toEqual({
+      type: 'response',
+      content: 'The double room is free and costs 200€',
+      session: { id: 'guest-1' }
+    });
+  });
+
+  it('should resume the session from the store on a new socket, which takes it over', async () => {
+    const agent = await start('frontDesk', MockLLM({ turns: [{ text: 'Welcome back', repeat: true }] }), {
+      store: { type: 'Memory' }
+    });
+    gateway = WebSocketGateway({ agents: { 'hotel.frontDesk': agent }, store: network.store });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `ws://127.0.0.1:${port}`;
+
+    const first = await open('/v1/agents/hotel/frontDesk/sessions/guest-2');
+    await first.next('session');
+    first.send({ content: 'Hello', session: { language: 'it' } });
+    expect((await first.next('response')).session).toEqual({ id: 'guest-2', language: 'it' });
+
+    const closed = new Promise(resolve => first.ws.on('close', code => resolve(code)));
+    const second = await open('/v1/agents/hotel/frontDesk/sessions/guest-2');
+    const resumed = await second.next('session');
+
+    expect(await closed).toBe(4000);
+    expect(resumed).toEqual(expect.objectContaining({ resumed: true, session: { id: 'guest-2', language: 'it' } }));
+    expect(resumed.history.map(entry => entry.type)).toEqual(['user_input', 'model_response']);
+    expect(gateway.sessions.get('hotel.frontDesk.guest-2')).toBeDefined();
+  });
+
+  it('should report invalid frames and refuse unknown agents', async () => {
+    const agent = await start('frontDesk', MockLLM({ turns: [{ text: 'Hi', repeat: true }] }));
+    gateway = WebSocketGateway({ agents: { 'hotel.frontDesk': agent } });
+    const { port } = await gateway.listen(0, '127.0.0.1');
+    baseUrl = `ws://127.0.0.1:${port}`;
+
+    const client = await open('/v1/agents/hotel/frontDesk/sessions/guest-3');
+    client.send('{not json');
+    expect(await client.next('error')).toEqual(expect.objectContaining({ status: 400, error: expect.objectContaining({ type: 'InvalidJSON' }) }));
+    client.send({ session: {} });
+    expect((await client.next('error')).status).toBe(400);
+
+    await expect(open('/v1/agents/hotel/nobody/sessions/guest-3')).rejects.toThrow('404');
+  });
+});
@@ -2,8 +2,32 @@
  * Base Transport Interface
  * Defines common functionality across different transport implementations (NATS, Kafka, RabbitMQ, Redis, etc.)
  */
-import { TransportError } from '../errors/index.js';
+import { randomUUID } from 'crypto';
+import { TransportError, HandoffError, withTimeout } from '../errors/index.js';
+import { Message, Response } from '../index.js';
 import { logger } from '../utils/logger.js';
+import { injectTraceContext } from '../utils/tracing.js';
+import { orderInstances, checkRoutingStrategy, isInstanceGone, DEFAULT_ROUTING_STRATEGY, SessionAffinities } from './routing.js';
+
+/**
+ * Default time a stopping agent waits for its in-flight tasks
+ */
+export const DEFAULT_DRAIN_TIMEOUT = Number(process.env.AGENTNET_DRAIN_TIMEOUT) || 30000;
+
+/**
+ * Default time after which a discovered agent that stopped sending heartbeats is forgotten
+ */
+export const DEFAULT_DISCOVERY_TTL = Number(process.env.AGENTNET_DISCOVERY_TTL) || 10000;
+
+/**
+ * Default time a handoff waits for the answer of an instance
+ */
+export const DEFAULT_HANDOFF_TIMEOUT = Number(process.env.AGENTNET_HANDOFF_TIMEOUT) || 120000;
+
+/**
+ * Number of recent tasks used to compute the error rate announced in heartbeats
+ */
+const ERROR_RATE_WINDOW = 100;
 
 /**
  * Base TransportMessage class that can be extended by specific transport implementations
@@ -31,22 +55,53 @@ export class TransportMessage {
     }
 }
 
+/**
+ * Discovery message types: heartbeats announcing capabilities, and departures
+ */
+export const DISCOVERY_MESSAGE_TYPES = ['discovery', 'goodbye'];
+
 /**
  * Discovery Message format for agent discovery
  */
 export class DiscoveryMessage extends TransportMessage {
-    constructor(namespace, agentName, schemas) {
+    /**
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
+     * @param {Array} schemas - The agent capability schemas
+     * @param {string} type - 'discovery' for heartbeats, 'goodbye' for departures
+     * @param {Object} instance - The sending instance { id, inFlight, queueDepth, errorRate }
+     */
+    constructor(namespace, agentName, schemas, type = 'discovery', instance = null) {
         if (!namespace) throw new Error('Namespace is required');
         if (!agentName) throw new Error('Agent name is required');
         if (!Array.isArray(schemas)) throw new Error('Schemas must be an array');
+        if (!DISCOVERY_MESSAGE_TYPES.includes(type)) throw new Error(`Invalid discovery message type: ${type}`);
         
         const payload = {
             network: `${namespace}.${agentName}`,
             agentName: agentName,
             schemas: schemas
         };
+        if (instance) {
+            payload.instance = instance;
+        }
         
-        super('discovery', payload);
+        super(type, payload);
+    }
+    
+    /**
+     * Creates the departure message an agent publishes when it stops
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
+     * @param {string} instanceId - The departing instance, all instances if not set
+     * @returns {DiscoveryMessage} - The goodbye message
+     */
+    static goodbye(namespace, agentName, instanceId = null) {
+        return new DiscoveryMessage(namespace, agentName, [], 'goodbye', instanceId ? { id: instanceId } : null);
+    }
+    
+    get isGoodbye() {
+        return this.type === 'goodbye';
     }
     
     get network() {
@@ -61,10 +116,14 @@ export class DiscoveryMessage extends TransportMessage {
         return this.payload.schemas;
     }
     
+    get instance() {
+        return this.payload.instance || null;
+    }
+    
     static fromString(data) {
         const message = TransportMessage.fromString(data);
         
-        if (message.type !== 'discovery') {
+        if (!DISCOVERY_MESSAGE_TYPES.includes(message.type)) {
             throw new Error('Not a discovery message');
         }
         
@@ -78,7 +137,9 @@ export class DiscoveryMessage extends TransportMessage {
         return new DiscoveryMessage(
             namespace, 
             message.payload.agentName, 
-            message.payload.schemas
+            message.payload.schemas,
+            message.type,
+            message.payload.instance
         );
     }
     
@@ -86,14 +147,31 @@ export class DiscoveryMessage extends TransportMessage {
         return (
             payload &&
             typeof payload === 'object' &&
-            payload.type === 'discovery' &&
+            DISCOVERY_MESSAGE_TYPES.includes(payload.type) &&
             typeof payload.payload.network === 'string' &&
             typeof payload.payload.agentName === 'string' &&
-            Array.isArray(payload.payload.schemas)
+            Array.isArray(payload.payload.schemas) &&
+            (payload.payload.instance === undefined || typeof payload.payload.instance?.id === 'string')
         );
     }
 }
 
+/**
+ * Encodes a streaming event as a reply frame
+ * Intermediate events are sent as they are, the final Response becomes a { type: 'response' } frame
+ * @param {Object|Response} event - Event yielded by the agent stream
+ * @returns {string} - The serialized frame
+ */
+export function encodeStreamFrame(event) {
+    if (event instanceof Response) {
+        return JSON.stringify({
+            type: 'response',
+            ...JSON.parse(event.serialize())
+        });
+    }
+    return JSON.stringify(event);
+}
+
 /**
  * Base Transport Interface - all transport implementations should implement this interface
  */
@@ -105,7 +183,15 @@ export class Transport {
     constructor(transportType) {
         this.transportType = transportType;
         this.connected = false;
+        this.stopping = false;
         this.intervals = [];
+        this.inFlight = new Set();
+        this.instanceId = randomUUID();
+        this.taskOutcomes = [];
+        this.routing = { strategy: DEFAULT_ROUTING_STRATEGY, handoffTimeoutMs: DEFAULT_HANDOFF_TIMEOUT };
+        // Session affinity: responses claim their session for this instance
+        this.affinity = false;
+        this.affinities = new SessionAffinities();
     }
     
     /**
@@ -172,7 +258,7 @@ export class Transport {
     setupHeartbeat(topic, namespace, agentName, schemas, interval = 1000) {
         const heartbeatInterval = setInterval(async () => {
             try {
-                const discoveryMessage = new DiscoveryMessage(namespace, agentName, schemas);
+                const discoveryMessage = new DiscoveryMessage(namespace, agentName, schemas, 'discovery', this.instanceStats());
                 await this.publish(topic, discoveryMessage.serialize());
             } catch (error) {
                 logger.error(`Failed to publish heartbeat for ${agentName}`, {
@@ -183,22 +269,469 @@ export class Transport {
         }, interval);
         
         this.intervals.push(heartbeatInterval);
+        this.heartbeatInterval = heartbeatInterval;
         return heartbeatInterval;
     }
     
+    /**
+     * Stop publishing heartbeats
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatInterval);
+        this.intervals = this.intervals.filter(interval => interval !== this.heartbeatInterval);
+        this.heartbeatInterval = null;
+    }
+    
+    /**
+     * Check whether a network (namespace.name) matches the accepted networks
+     * Accepted networks support wildcards: `*.*`, `*.name` and `namespace.*`.
+     * @param {string} network - The network of the discovered agent
+     * @param {Array} acceptedNetworks - List of accepted networks
+     * @returns {boolean} - Whether the network is accepted
+     */
+    isAcceptedNetwork(network, acceptedNetworks) {
+        const [networkNamespace, networkName] = network.split('.');
+        
+        return acceptedNetworks.some(acceptedNetwork => {
+            const [acceptedNamespace, acceptedName] = acceptedNetwork.split('.');
+            return (acceptedNamespace === '*' || acceptedNamespace === networkNamespace) &&
+                (acceptedName === '*' || acceptedName === networkName);
+        });
+    }
+    
+    /**
+     * Create the handoff function calling a discovered agent capability
+     * The instances of the agent are ordered by the routing strategy and tried in turn:
+     * an instance that is gone is skipped for the next one. A handoff that gets no answer
+     * within handoffTimeoutMs fails, the instance may still be processing it.
+     * The instance that claimed the session, if still discovered, is tried first.
+     * @param {string} network - The network of the discovered agent (namespace.name)
+     * @param {Object} schema - The discovered capability schema
+     * @param {Object} discovered - The discovered agent entry, holding the live instances
+     * @returns {Function} - The handoff function (state, input) => Promise<string>
+     */
+    createHandoffFunction(network, schema, discovered) {
+        return async (state, input) => {
+            // Sent from the handoff span, the receiving agent continues its trace
+            const message = new Message({ 
+                session: state,
+                content: input,
+                trace: injectTraceContext()
+            });
+            const { strategy, handoffTimeoutMs } = this.routing;
+            const sessionId = state?.id || null;
+            let instances = orderInstances(Object.values(discovered.instances), {
+                strategy,
+                sessionId,
+                cursor: discovered.routed++
+            });
+            
+            const claimed = this.affinities.get(network, sessionId);
+            if (claimed) {
+                const owner = instances.find(instance => instance.id === claimed);
+                if (owner) {
+                    instances = [owner, ...instances.filter(instance => instance !== owner)];
+                } else {
+                    logger.info(`Instance ${claimed} of ${network} is gone, session ${sessionId} is routed again`);
+                    this.affinities.release(network, sessionId);
+                }
+            }
+            
+            let lastError = null;
+            for (const instance of instances) {
+                try {
+                    const result = await withTimeout(
+                        async () => this.handoffRequest(network, instance.id, message, handoffTimeoutMs),
+                        handoffTimeoutMs,
+                        `handoff to ${network}`
+                    );
+                    return this.recordClaim(network, sessionId, result);
+                } catch (error) {
+                    lastError = error;
+                    if (instance.id === claimed) {
+                        this.affinities.release(network, sessionId);
+                    }
+                    if (!this.isFailoverError(error)) {
+                        break;
+                    }
+                    logger.warn(`Handoff to ${network} instance ${instance.id} failed, trying the next instance`, {
+                        error: error.message,
+                        schema: schema.name
+                    });
+                }
+            }
+            
+            const error = new HandoffError(
+                `Handoff to agent ${network} failed: ${lastError ? lastError.message : 'no instance available'}`,
+                network,
+                { schemaName: schema.name, instances: instances.length }
+            );
+            logger.error(`Handoff error to ${network}`, {
+                error,
+                schema: schema.name
+            });
+            throw error;
+        };
+    }
+    
+    /**
+     * Remember the instance that claimed a session in a handoff response
+     * @param {string} network - The network of the discovered agent (namespace.name)
+     * @param {string|null} sessionId - The session id
+     * @param {string} result - The serialized handoff response
+     * @returns {string} - The response, without the instance claim
+     */
+    recordClaim(network, sessionId, result) {
+        let parsed;
+        try {
+            parsed = JSON.parse(result);
+        } catch {
+            return result;
+        }
+        if (!parsed?.instance) {
+            return result;
+        }
+        
+        this.affinities.claim(network, sessionId, parsed.instance.id);
+        delete parsed.instance;
+        return JSON.stringify(parsed);
+    }
+    
+    /**
+     * Claim the session of a served request for this instance, when session affinity is on
+     * @param {Response} response - The response to the request
+     * @param {Message} message - The served request
+     * @returns {Response} - The response, carrying this instance if it claimed the session
+     */
+    claimSession(response, message) {
+        if (!this.affinity || !message.getSessionId() || !(response instanceof Response)) {
+            return response;
+        }
+        return new Response({
+            content: response.getContent(),
+            session: response.getSession(),
+            instance: { id: this.instanceId },
+            usage: response.getUsage()
+        });
+    }
+    
+    /**
+     * Send a handoff request to an instance of a discovered agent
+     * Instances receive their own requests on `namespace.name.instanceId`.
+     * @param {string} network - The network of the discovered agent (namespace.name)
+     * @param {string|null} instanceId - The instance, null for agents that don't announce instances
+     * @param {Message} message - The handoff message
+     * @param {number} timeoutMs - The request timeout
+     * @returns {Promise<string>} - The serialized response
+     */
+    async handoffRequest(network, instanceId, message, timeoutMs) {
+        const target = instanceId ? `${network}.${instanceId}` : network;
+        const req = await this.request(target, message.serialize(), { timeout: timeoutMs });
+        return req.string();
+    }
+    
+    /**
+     * Whether a failed handoff should be retried on another instance
+     * @param {Error} error - The handoff error
+     * @returns {boolean} - True when the instance is gone, not on timeouts
+     */
+    isFailoverError(error) {
+        return isInstanceGone(error);
+    }
+    
+    /**
+     * Apply the routing and session affinity options of the IO bindings
+     * @param {Object} bindings - The IO bindings
+     * @param {number} handoffTimeoutMs - The default handoff timeout of the transport
+     */
+    configureRouting(bindings, handoffTimeoutMs = DEFAULT_HANDOFF_TIMEOUT) {
+        this.routing = {
+            strategy: checkRoutingStrategy(bindings.routing || DEFAULT_ROUTING_STRATEGY),
+            handoffTimeoutMs: bindings.handoffTimeoutMs || handoffTimeoutMs
+        };
+        this.affinity = bindings.affinity === true;
+    }
+    
+    /**
+     * Apply a discovery message to the discovered agents
+     * Heartbeats add the announced capabilities, or refresh the last-seen timestamp of the sending
+     * instance, and remove the instance from the capabilities it no longer announces. Goodbye
+     * messages remove the instance. Capabilities without instances are dropped.
+     * @param {DiscoveryMessage} discoveryMessage - The received discovery message
+     * @param {Object} context - The discovery context
+     * @param {string} context.namespace - The namespace of the receiving agent
+     * @param {string} context.agentName - The name of the receiving agent
+     * @param {Object} context.discoveredAgents - Map of discovered agents to update
+     * @param {Array} context.acceptedNetworks - List of accepted networks
+     * @param {Object} context.nonAcceptedNetworks - Cache of the rejected networks
+     */
+    processDiscoveryMessage(discoveryMessage, { namespace, agentName, discoveredAgents, acceptedNetworks, nonAcceptedNetworks }) {
+        const network = discoveryMessage.network;
+        
+        // Skip self and networks already rejected
+        if (network === `${namespace}.${agentName}` || nonAcceptedNetworks[network] === true) {
+            return;
+        }
+        
+        if (!this.isAcceptedNetwork(network, acceptedNetworks)) {
+            logger.warn(`Agent ${agentName} does not accept network ${network}`);
+            nonAcceptedNetworks[network] = true;
+            return;
+        }
+        
+        // Agents that don't announce instances are reached through their shared address
+        const instanceId = discoveryMessage.instance?.id || null;
+        
+        if (discoveryMessage.isGoodbye) {
+            this.forgetInstances(discoveredAgents, agentName, 'departed',
+                (discovered, id) => discovered.network === network && (instanceId === null || id === String(instanceId)));
+            return;
+        }
+        
+        const instance = {
+            inFlight: 0,
+            queueDepth: 0,
+            errorRate: 0,
+            ...discoveryMessage.instance,
+            id: instanceId,
+            lastSeen: Date.now()
+        };
+        const announced = new Set();
+        for (const schema of discoveryMessage.schemas) {
+            // Skip invalid schemas
+            if (!schema || !schema.name) {
+                logger.warn('Invalid schema in discovery payload', { schema });
+                continue;
+            }
+            
+            const agentKey = `${network}-${schema.name}`;
+            announced.add(agentKey);
+            
+            if (!discoveredAgents[agentKey]) {
+                logger.info(`${agentName} discovered agent capability: ${discoveryMessage.agentName} with capability ${schema.name}`);
+                const discovered = {
+                    name: schema.name,
+                    schema: schema,
+                    network: network,
+                    instances: {},
+                    routed: 0
+                };
+                discovered.function = this.createHandoffFunction(network, schema, discovered);
+                discoveredAgents[agentKey] = discovered;
+            }
+            
+            const discovered = discoveredAgents[agentKey];
+            discovered.instances[String(instanceId)] = instance;
+            discovered.lastSeen = instance.lastSeen;
+        }
+        
+        this.forgetInstances(discoveredAgents, agentName, 'capability no longer announced',
+            (discovered, id, agentKey) => discovered.network === network && id === String(instanceId) && !announced.has(agentKey));
+    }
+    
+    /**
+     * Remove instances from the discovered agents, and the capabilities left without instances
+     * @param {Object} discoveredAgents - Map of discovered agents
+     * @param {string} agentName - The name of the receiving agent
+     * @param {string} reason - Why the instances are removed, for logging
+     * @param {Function} predicate - (discovered, instanceKey, agentKey) => whether to remove the instance
+     */
+    forgetInstances(discoveredAgents, agentName, reason, predicate) {
+        for (const [agentKey, discovered] of Object.entries(discoveredAgents)) {
+            for (const [id, instance] of Object.entries(discovered.instances)) {
+                if (predicate(discovered, id, agentKey, instance)) {
+                    delete discovered.instances[id];
+                    logger.debug(`${agentName} removed instance ${id} of ${discovered.network} (${reason})`);
+                }
+            }
+            
+            if (Object.keys(discovered.instances).length === 0) {
+                delete discoveredAgents[agentKey];
+                logger.info(`${agentName} forgot capability ${discovered.name} of ${discovered.network} (${reason})`);
+            }
+        }
+    }
+    
+    /**
+     * Remove the instances whose last heartbeat is older than the TTL
+     * @param {Object} discoveredAgents - Map of discovered agents
+     * @param {string} agentName - The name of the receiving agent
+     * @param {number} ttlMs - Time to live of an instance since its last heartbeat
+     */
+    expireDiscoveredAgents(discoveredAgents, agentName, ttlMs) {
+        const expiredBefore = Date.now() - ttlMs;
+        this.forgetInstances(discoveredAgents, agentName, `no heartbeat for ${ttlMs}ms`,
+            (discovered, id, agentKey, instance) => instance.lastSeen < expiredBefore);
+    }
+    
+    /**
+     * Periodically expire the discovered agents that stopped sending heartbeats
+     * @param {Object} discoveredAgents - Map of discovered agents
+     * @param {string} agentName - The name of the receiving agent
+     * @param {number} ttlMs - Time to live of a discovered agent since its last heartbeat
+     * @returns {number} - The interval ID
+     */
+    setupDiscoveryExpiry(discoveredAgents, agentName, ttlMs = DEFAULT_DISCOVERY_TTL) {
+        const expiryInterval = setInterval(
+            () => this.expireDiscoveredAgents(discoveredAgents, agentName, ttlMs),
+            Math.max(100, Math.floor(ttlMs / 2))
+        );
+        
+        this.intervals.push(expiryInterval);
+        return expiryInterval;
+    }
+    
+    /**
+     * Load and health figures of this instance, announced in heartbeats
+     * @returns {Object} - { id, inFlight, queueDepth, errorRate }
+     */
+    instanceStats() {
+        const failures = this.taskOutcomes.filter(success => !success).length;
+        return {
+            id: this.instanceId,
+            inFlight: this.inFlight.size,
+            queueDepth: this.queueDepth(),
+            errorRate: this.taskOutcomes.length > 0 ? failures / this.taskOutcomes.length : 0
+        };
+    }
+    
+    /**
+     * Number of tasks received but not processed yet
+     * @returns {number} - The queue depth
+     */
+    queueDepth() {
+        return 0;
+    }
+    
+    /**
+     * Record the outcome of a processed task, for the announced error rate
+     * @param {boolean} success - Whether the task succeeded
+     */
+    recordTaskOutcome(success) {
+        this.taskOutcomes.push(success);
+        if (this.taskOutcomes.length > ERROR_RATE_WINDOW) {
+            this.taskOutcomes.shift();
+        }
+    }
+    
+    /**
+     * Publish a goodbye message so that other agents drop this agent from their handoffs
+     * @param {string} topic - The discovery topic
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
+     * @returns {Promise<void>}
+     */
+    async announceDeparture(topic, namespace, agentName) {
+        try {
+            await this.publish(topic, DiscoveryMessage.goodbye(namespace, agentName, this.instanceId).serialize());
+            logger.info(`Agent ${agentName} announced its departure on ${topic}`);
+        } catch (error) {
+            logger.warn(`Failed to announce departure of ${agentName}`, {
+                error: error.message,
+                transportType: this.transportType
+            });
+        }
+    }
+    
+    /**
+     * Track a task being processed, so that shutdown can wait for it
+     * @param {Promise<any>} task - The task promise
+     * @returns {Promise<any>} - The task promise
+     */
+    trackTask(task) {
+        this.inFlight.add(task);
+        const untrack = () => this.inFlight.delete(task);
+        task.then(untrack, untrack);
+        return task;
+    }
+    
+    /**
+     * Wait for the tasks being processed
+     * @param {number} timeoutMs - Maximum time to wait
+     * @returns {Promise<boolean>} - False if tasks were still running after the timeout
+     */
+    async waitForInFlight(timeoutMs) {
+        return await waitForAll(this.inFlight, timeoutMs);
+    }
+    
+    /**
+     * Stop receiving new tasks, tasks already delivered are still processed
+     * Implementations drain their task subscriptions here.
+     * @returns {Promise<void>}
+     */
+    async stopConsuming() {
+    }
+    
+    /**
+     * Gracefully stop an agent runtime: stop the heartbeat, announce the departure,
+     * stop receiving tasks, wait for the in-flight ones and disconnect
+     * @param {string} topic - The discovery topic
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
+     * @param {Object} options - Shutdown options
+     * @param {number} options.drainTimeoutMs - Maximum time to wait for in-flight tasks
+     * @returns {Promise<void>}
+     */
+    async shutdown(topic, namespace, agentName, options = {}) {
+        const { drainTimeoutMs = DEFAULT_DRAIN_TIMEOUT } = options;
+        const deadline = Date.now() + drainTimeoutMs;
+        
+        this.stopping = true;
+        this.stopHeartbeat();
+        await this.announceDeparture(topic, namespace, agentName);
+        
+        await waitForAll([this.stopConsuming()], drainTimeoutMs);
+        if (!(await this.waitForInFlight(deadline - Date.now()))) {
+            logger.warn(`Agent ${agentName} stopped with ${this.inFlight.size} tasks still in flight`, {
+                transportType: this.transportType,
+                drainTimeoutMs
+            });
+        }
+        
+        await this.disconnect();
+        logger.info(`Agent ${agentName} disconnected from ${this.transportType}`);
+    }
+    
     /**
      * Creates a runtime for agent communication
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Array} discoverySchemas - The agent capability schemas for discovery
      * @param {Object} config - Additional configuration
-     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
      */
     async createRuntime(namespace, agentName, discoverySchemas, config = {}) {
         throw new Error('Method createRuntime() must be implemented by subclass');
     }
 }
 
+/**
+ * Wait for a set of promises to settle, up to a timeout
+ * @param {Set<Promise>|Array<Promise>} promises - The promises to wait for
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} - False if some promises were still pending after the timeout
+ */
+export async function waitForAll(promises, timeoutMs) {
+    const pending = [...promises];
+    if (pending.length === 0) {
+        return true;
+    }
+    
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+    });
+    
+    try {
+        return await Promise.race([
+            Promise.allSettled(pending).then(() => true),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 /**
  * Safely connect to a transport with retry logic
  * @param {Transport} transport - The transport instance
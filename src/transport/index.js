@@ -7,6 +7,7 @@ import { createNatsTransport, NatsIOAgentRuntime } from './nats.js';
 import { createKafkaTransport, KafkaIOAgentRuntime } from './kafka.js';
 import { createRedisTransport, RedisIOAgentRuntime } from './redis.js';
 import { createRabbitMQTransport, RabbitMQIOAgentRuntime } from './rabbitmq.js';
+import { createInProcessTransport, InProcessIOAgentRuntime } from './inprocess.js';
 import { TransportError } from '../errors/index.js';
 import { logger } from '../utils/logger.js';
 
@@ -16,6 +17,7 @@ const transportFactories = {
     'kafka': createKafkaTransport,
     'redis': createRedisTransport,
     'rabbitmq': createRabbitMQTransport,
+    'inprocess': createInProcessTransport,
 };
 
 // Map of transport types to their runtime functions
@@ -24,6 +26,7 @@ const runtimeFactories = {
     'kafka': KafkaIOAgentRuntime,
     'redis': RedisIOAgentRuntime,
     'rabbitmq': RabbitMQIOAgentRuntime,
+    'inprocess': InProcessIOAgentRuntime,
 };
 
 /**
@@ -53,7 +56,7 @@ export function createTransport(type) {
  * @param {string} agentName - The agent name
  * @param {Array} ioInterfaces - The IO interfaces
  * @param {Array} discoverySchemas - The agent capability schemas for discovery
- * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
  * @throws {TransportError} - If the transport type is not supported
  */
 export async function createAgentRuntime(type, namespace, agentName, ioInterfaces, discoverySchemas) {
@@ -75,10 +78,67 @@ export async function createAgentRuntime(type, namespace, agentName, ioInterface
     }
 }
 
+/**
+ * Transport type of an IO interface, e.g. NatsIO -> nats
+ * @param {Object} io - The IO interface { type, instance, config }
+ * @returns {string} - The transport type
+ */
+export function transportTypeOf(io) {
+    return io.type.replace('IO', '').toLowerCase();
+}
+
+/**
+ * Create the transport runtimes of an agent, one per IO interface
+ * Without interfaces, a passive NATS runtime is created.
+ * @param {string} namespace - The agent namespace
+ * @param {string} agentName - The agent name
+ * @param {Array} ioInterfaces - The IO interfaces
+ * @param {Array} discoverySchemas - The agent capability schemas for discovery
+ * @returns {Promise<Array>} - The runtimes [{ type, handleTask, discoveredAgents, stop }]
+ */
+export async function createAgentRuntimes(namespace, agentName, ioInterfaces, discoverySchemas) {
+    if (ioInterfaces.length === 0) {
+        return [{ type: 'nats', ...await createAgentRuntime('nats', namespace, agentName, [], discoverySchemas) }];
+    }
+
+    const runtimes = [];
+    try {
+        for (const io of ioInterfaces) {
+            const type = transportTypeOf(io);
+            runtimes.push({ type, ...await createAgentRuntime(type, namespace, agentName, [io], discoverySchemas) });
+        }
+    } catch (error) {
+        // Leave no interface half-started
+        await Promise.all(runtimes.map(runtime => runtime.stop({ drainTimeoutMs: 0 })));
+        throw error;
+    }
+    return runtimes;
+}
+
+/**
+ * Merge the agents discovered on every transport of an agent
+ * Each entry keeps the handoff function of the transport it was discovered on; a capability
+ * discovered on several transports is reached through the first interface of the agent.
+ * @param {Array} runtimes - The transport runtimes
+ * @returns {Array} - The discovered agent entries
+ */
+export function listDiscoveredAgents(runtimes) {
+    const merged = new Map();
+    for (const { discoveredAgents } of runtimes) {
+        for (const discovered of Object.values(discoveredAgents)) {
+            if (!merged.has(discovered.name)) {
+                merged.set(discovered.name, discovered);
+            }
+        }
+    }
+    return [...merged.values()];
+}
+
 /**
  * Export base classes and interfaces for extensibility
  */
 export * from './base.js';
+export * from './routing.js';
 
 /**
  * Export specific transport implementations
@@ -86,4 +146,5 @@ export * from './base.js';
 export * from './nats.js';
 export * from './kafka.js';
 export * from './redis.js';
-export * from './rabbitmq.js'; 
\ No newline at end of file
+export * from './rabbitmq.js';
+export * from './inprocess.js'; 
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * In-process Transport implementation
+ *
+ * An in-memory bus for agent networks living in one Node process, e.g. in tests.
+ * The bus mirrors the subset of the NATS connection API used by the NATS transport
+ * (publish, subscribe with queue groups, request/reply, drain), so the in-process
+ * transport reuses its discovery, task handling, streaming and shutdown.
+ */
+import { randomUUID } from 'crypto';
+import { safeConnect } from './base.js';
+import { NatsTransport } from './nats.js';
+import { logger } from '../utils/logger.js';
+import { TransportError, TimeoutError } from '../errors/index.js';
+
+// Constants
+const TIMEOUT_REQUEST = Number(process.env.AGENTNET_INPROCESS_TIMEOUT_REQUEST) || 120000;
+
+/**
+ * A message delivered by the bus
+ */
+class InProcessMessage {
+    /**
+     * @param {InProcessBus} bus - The bus
+     * @param {string} subject - The subject the message was published on
+     * @param {string} data - The message data
+     * @param {string|null} reply - The subject to respond on
+     */
+    constructor(bus, subject, data, reply) {
+        this.bus = bus;
+        this.subject = subject;
+        this.data = data;
+        this.reply = reply;
+    }
+
+    string() {
+        return this.data;
+    }
+
+    json() {
+        return JSON.parse(this.data);
+    }
+
+    /**
+     * Respond to a request
+     * @param {string} data - The response data
+     * @returns {boolean} - False if the message expects no response
+     */
+    respond(data) {
+        if (!this.reply) {
+            return false;
+        }
+        this.bus.publish(this.reply, data);
+        return true;
+    }
+}
+
+/**
+ * A subscription to a bus subject, iterated with for await
+ */
+class InProcessSubscription {
+    /**
+     * @param {InProcessBus} bus - The bus
+     * @param {string} subject - The subject
+     * @param {string|null} queue - The queue group, each message goes to one member of a group
+     */
+    constructor(bus, subject, queue) {
+        this.bus = bus;
+        this.subject = subject;
+        this.queue = queue;
+        this.messages = [];
+        this.wakeUp = null;
+        this.draining = false;
+        this.closed = false;
+        this.done = new Promise(resolve => { this.resolveDone = resolve; });
+    }
+
+    /**
+     * Buffer a message until the subscriber reads it
+     * @param {InProcessMessage} message - The message
+     */
+    push(message) {
+        this.messages.push(message);
+        this.notify();
+    }
+
+    notify() {
+        const wakeUp = this.wakeUp;
+        this.wakeUp = null;
+        wakeUp?.();
+    }
+
+    async *[Symbol.asyncIterator]() {
+        try {
+            while (!this.closed) {
+                if (this.messages.length > 0) {
+                    yield this.messages.shift();
+                } else if (this.draining) {
+                    return;
+                } else {
+                    await new Promise(resolve => { this.wakeUp = resolve; });
+                }
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    close() {
+        this.bus.remove(this);
+        this.closed = true;
+        this.messages = [];
+        this.notify();
+        this.resolveDone();
+    }
+
+    unsubscribe() {
+        this.close();
+    }
+
+    /**
+     * Stop receiving messages, the buffered ones are still delivered
+     * @returns {Promise<void>} - Resolves once the subscriber has read every buffered message
+     */
+    drain() {
+        this.bus.remove(this);
+        this.draining = true;
+        this.notify();
+        return this.done;
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+
+    getPending() {
+        return this.messages.length;
+    }
+}
+
+/**
+ * In-memory message bus
+ */
+export class InProcessBus {
+    constructor() {
+        this.subscriptions = new Map(); // Map of subjects to subscriptions
+        this.cursors = new Map(); // Round-robin position of each queue group
+        this.closed = false;
+    }
+
+    /**
+     * Subscribe to a subject
+     * @param {string} subject - The subject
+     * @param {Object} options - Subscription options
+     * @param {string} options.queue - The queue group
+     * @returns {InProcessSubscription} - The subscription
+     */
+    subscribe(subject, options = {}) {
+        const subscription = new InProcessSubscription(this, subject, options.queue || null);
+        if (!this.subscriptions.has(subject)) {
+            this.subscriptions.set(subject, new Set());
+        }
+        this.subscriptions.get(subject).add(subscription);
+        return subscription;
+    }
+
+    /**
+     * @param {InProcessSubscription} subscription - The subscription to stop delivering to
+     */
+    remove(subscription) {
+        const subscriptions = this.subscriptions.get(subscription.subject);
+        subscriptions?.delete(subscription);
+        if (subscriptions?.size === 0) {
+            this.subscriptions.delete(subscription.subject);
+        }
+    }
+
+    /**
+     * Publish a message, delivered to every plain subscriber and to one member of each queue group
+     * @param {string} subject - The subject
+     * @param {string} data - The message data
+     * @param {Object} options - Publish options
+     * @param {string} options.reply - The subject to respond on
+     * @returns {number} - The number of subscriptions the message was delivered to
+     */
+    publish(subject, data, options = {}) {
+        if (this.closed) {
+            throw new TransportError('Cannot publish: the in-process bus is closed', 'InProcess', { subject });
+        }
+
+        const groups = new Map();
+        const receivers = [];
+        for (const subscription of this.subscriptions.get(subject) || []) {
+            if (subscription.queue === null) {
+                receivers.push(subscription);
+            } else {
+                groups.set(subscription.queue, [...(groups.get(subscription.queue) || []), subscription]);
+            }
+        }
+        for (const [queue, members] of groups) {
+            const key = `${subject}:${queue}`;
+            const cursor = this.cursors.get(key) || 0;
+            this.cursors.set(key, cursor + 1);
+            receivers.push(members[cursor % members.length]);
+        }
+
+        for (const subscription of receivers) {
+            subscription.push(new InProcessMessage(this, subject, String(data), options.reply || null));
+        }
+        return receivers.length;
+    }
+
+    /**
+     * Send a request and wait for the first response
+     * @param {string} subject - The subject
+     * @param {string} data - The request data
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - The request timeout
+     * @returns {Promise<InProcessMessage>} - The response
+     * @throws {Error} - With isNoResponders() if nobody listens on the subject, or a TimeoutError
+     */
+    async request(subject, data, options = {}) {
+        const timeout = options.timeout || TIMEOUT_REQUEST;
+        const inbox = `_INBOX.${randomUUID()}`;
+        const subscription = this.subscribe(inbox);
+
+        if (this.publish(subject, data, { reply: inbox }) === 0) {
+            subscription.unsubscribe();
+            const error = new Error(`No responders on ${subject}`);
+            error.name = 'NoResponders';
+            error.isNoResponders = () => true;
+            throw error;
+        }
+
+        let timeoutId;
+        try {
+            return await Promise.race([
+                subscription[Symbol.asyncIterator]().next().then(({ value }) => value),
+                new Promise((_, reject) => {
+                    timeoutId = setTimeout(() => reject(new TimeoutError(
+                        `Request to ${subject} timed out after ${timeout}ms`,
+                        `request to ${subject}`,
+                        timeout
+                    )), timeout);
+                })
+            ]);
+        } finally {
+            clearTimeout(timeoutId);
+            subscription.unsubscribe();
+        }
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+
+    /**
+     * Close the bus, subscribers finish reading their buffered messages
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        this.closed = true;
+        const subscriptions = [...this.subscriptions.values()].flatMap(set => [...set]);
+        await Promise.all(subscriptions.map(subscription => subscription.drain()));
+    }
+}
+
+/**
+ * In-process implementation of the Transport interface, the NATS transport over an in-memory bus
+ */
+export class InProcessTransport extends NatsTransport {
+    constructor() {
+        super();
+        this.transportType = 'InProcess';
+    }
+}
+
+/**
+ * Factory function to create an in-process transport instance
+ * @returns {InProcessTransport} - An in-process transport instance
+ */
+export function createInProcessTransport() {
+    return new InProcessTransport();
+}
+
+/**
+ * Adapter function to create an in-process runtime for agent communication
+ * @param {string} namespace - The agent namespace
+ * @param {string} agentName - The agent name
+ * @param {Array} ioInterfaces - The IO interfaces (only the first one is used)
+ * @param {Array} discoverySchemas - The agent capability schemas for discovery
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
+ */
+export async function InProcessIOAgentRuntime(namespace, agentName, ioInterfaces, discoverySchemas) {
+    if (ioInterfaces.length > 1) {
+        throw new TransportError(
+            'Only one IO InProcess interface is supported',
+            'InProcess',
+            { agentName, interfacesCount: ioInterfaces.length }
+        );
+    }
+
+    if (ioInterfaces.length === 0) {
+        logger.warn(`No in-process interfaces provided for agent ${agentName}, creating passive runtime`);
+        return { handleTask: async () => {}, discoveredAgents: {}, stop: async () => {} };
+    }
+
+    const io = ioInterfaces[0];
+    const transport = createInProcessTransport();
+
+    try {
+        await safeConnect(transport, { instance: io.instance });
+
+        // Create runtime with the transport
+        return await transport.createRuntime(namespace, agentName, discoverySchemas, io.config);
+    } catch (error) {
+        // Make sure to clean up if initialization fails
+        await transport.disconnect();
+        throw error;
+    }
+}
@@ -1,20 +1,42 @@
 /**
  * Kafka Transport implementation
+ *
+ * Discovery heartbeats are produced on the discovery topic. Tasks are produced on the topic
+ * `namespace.name`, consumed by the consumer group `namespace.name` so that each task reaches
+ * one instance, and on `namespace.name.instanceId` for the tasks routed to one instance.
+ * Replies are produced on the reply topic of the requesting instance, with the correlation id
+ * of the request in the headers. The offset of a task is committed once its reply is sent.
  */
-import { Transport, DiscoveryMessage, safeConnect } from './base.js';
+import { randomUUID } from 'crypto';
+import { Transport, DiscoveryMessage, safeConnect, DEFAULT_DISCOVERY_TTL } from './base.js';
 import { Message } from '../index.js';
 import { logger } from '../utils/logger.js';
-import { 
-  TransportError, 
-  DiscoveryError, 
-  HandoffError, 
+import {
+  TransportError,
+  DiscoveryError,
   TimeoutError,
   withTimeout
 } from '../errors/index.js';
 
 // Constants
-const HEARTBEAT_INTERVAL = 1000;
-const TIMEOUT_TASK_REQUEST = 60000;
+const HEARTBEAT_INTERVAL = process.env.AGENTNET_KAFKA_HEARTBEAT_INTERVAL || 1000;
+const TIMEOUT_TASK_REQUEST = process.env.AGENTNET_KAFKA_TIMEOUT_TASK_REQUEST || 120000;
+// Partitions of the task topics created by the transport, the most instances consuming in parallel
+const DEFAULT_PARTITIONS = Number(process.env.AGENTNET_KAFKA_PARTITIONS) || 3;
+const REPLY_TOPIC_PREFIX = process.env.AGENTNET_KAFKA_REPLY_TOPIC_PREFIX || 'agentnet.replies';
+// Interval of the consumer group heartbeats sent while a task runs, below the session timeout (30s)
+const TASK_HEARTBEAT_INTERVAL = Number(process.env.AGENTNET_KAFKA_TASK_HEARTBEAT_INTERVAL) || 3000;
+
+/**
+ * Read a Kafka header as a string
+ * @param {Object} headers - The message headers
+ * @param {string} name - The header name
+ * @returns {string|null} - The header value
+ */
+function header(headers, name) {
+    const value = headers?.[name];
+    return value === undefined || value === null ? null : value.toString();
+}
 
 /**
  * Kafka implementation of the Transport interface
@@ -22,36 +44,48 @@ const TIMEOUT_TASK_REQUEST = 60000;
 export class KafkaTransport extends Transport {
     constructor() {
         super('Kafka');
+        this.kafka = null;
         this.producer = null;
-        this.consumer = null;
         this.admin = null;
-        this.requestMap = new Map(); // For request-response pattern
+        // Discovery, replies and instance tasks: a group of its own, every instance receives all of them
+        this.consumer = null;
+        // Shared tasks: the consumer group of the agent
+        this.taskConsumer = null;
+        this.handlers = new Map(); // Map of topics to handlers
+        this.requestMap = new Map(); // Pending requests by correlation id
+        this.replyTopic = `${REPLY_TOPIC_PREFIX}.${this.instanceId}`;
+        this.replySubscription = null;
+        this.privateTopics = [];
+        this.consumerRunning = false;
+        this.consumerRestart = Promise.resolve();
     }
-    
+
     /**
      * Connect to Kafka
-     * @param {Object} config - Kafka connection configuration
+     * The client and the producer are shared through the KafkaIO binding, consumers belong to the transport
+     * @param {Object} config - Kafka connection configuration { instance }
      * @returns {Promise<any>} - The Kafka connection objects
      */
     async connect(config) {
-        if (this.connected) {
+        if (this.connected && this.producer) {
             return { producer: this.producer, consumer: this.consumer };
         }
-        
+
         try {
-            // Implementation will depend on the Kafka client library used
-            // For example, with KafkaJS:
-            // this.producer = kafka.producer();
-            // this.consumer = kafka.consumer({ groupId: config.groupId });
-            // this.admin = kafka.admin();
-            
-            // await this.producer.connect();
-            // await this.consumer.connect();
-            // await this.admin.connect();
-            
+            this.instance = config.instance;
+            const { kafka, producer } = await config.instance.connect();
+            this.kafka = kafka;
+            this.producer = producer;
+
+            this.admin = kafka.admin();
+            await this.admin.connect();
+            this.consumer = kafka.consumer({ groupId: `agentnet.${this.instanceId}` });
+            await this.consumer.connect();
+
             this.connected = true;
             return { producer: this.producer, consumer: this.consumer };
         } catch (error) {
+            await this.closeClients();
             throw new TransportError(
                 `Failed to connect to Kafka: ${error.message}`,
                 this.transportType,
@@ -59,48 +93,89 @@ export class KafkaTransport extends Transport {
             );
         }
     }
-    
+
     /**
-     * Disconnect from Kafka
+     * Disconnect from Kafka, deleting the topics of this instance
      * @returns {Promise<void>}
      */
     async disconnect() {
         await super.disconnect();
-        
+
+        for (const [correlationId, pending] of this.requestMap) {
+            clearTimeout(pending.timeoutId);
+            pending.reject(new TransportError('Kafka transport disconnected', this.transportType, { correlationId }));
+        }
+        this.requestMap.clear();
+
         try {
-            // Disconnect all clients
-            if (this.producer) await this.producer.disconnect();
+            if (this.taskConsumer) await this.taskConsumer.disconnect();
             if (this.consumer) await this.consumer.disconnect();
-            if (this.admin) await this.admin.disconnect();
-            
-            this.producer = null;
-            this.consumer = null;
-            this.admin = null;
+            if (this.admin && this.privateTopics.length > 0) {
+                await this.admin.deleteTopics({ topics: this.privateTopics });
+            }
         } catch (error) {
             logger.warn('Error disconnecting from Kafka', { error });
         }
+        await this.closeClients();
+
+        this.handlers.clear();
+        this.privateTopics = [];
+        this.replySubscription = null;
+    }
+
+    /**
+     * Close the admin client and release the shared connection
+     * @returns {Promise<void>}
+     */
+    async closeClients() {
+        try {
+            if (this.admin) await this.admin.disconnect();
+            if (this.producer) await this.instance?.release?.();
+        } catch (error) {
+            logger.warn('Error releasing the Kafka connection', { error });
+        }
+
+        this.producer = null;
+        this.consumer = null;
+        this.taskConsumer = null;
+        this.admin = null;
+        this.kafka = null;
+    }
+
+    /**
+     * Create topics that do not exist yet
+     * @param {Array} topics - The topic names
+     * @param {number} numPartitions - The partitions of the new topics
+     * @returns {Promise<void>}
+     */
+    async ensureTopics(topics, numPartitions = 1) {
+        await this.admin.createTopics({
+            waitForLeaders: true,
+            topics: topics.map(topic => ({ topic, numPartitions }))
+        });
     }
-    
+
     /**
      * Publish a message to a Kafka topic
      * @param {string} topic - The topic to publish to
      * @param {string} message - The message to publish
+     * @param {Object} options - Publish options
+     * @param {Object} options.headers - The message headers
      * @returns {Promise<void>}
      */
-    async publish(topic, message) {
+    async publish(topic, message, options = {}) {
         if (!this.connected || !this.producer) {
             throw new TransportError(
                 'Cannot publish: not connected to Kafka',
                 this.transportType
             );
         }
-        
+
         try {
-            // Example with KafkaJS:
-            // await this.producer.send({
-            //     topic,
-            //     messages: [{ value: message }]
-            // });
+            await this.producer.send({
+                topic,
+                messages: [{ value: message, headers: options.headers }]
+            });
         } catch (error) {
             throw new TransportError(
                 `Failed to publish to topic ${topic}: ${error.message}`,
@@ -109,28 +184,50 @@ export class KafkaTransport extends Transport {
             );
         }
     }
-    
+
     /**
-     * Subscribe to a Kafka topic
+     * Subscribe the instance consumer to a Kafka topic
+     * A running consumer cannot subscribe, it is stopped and run again with the new topic.
      * @param {string} topic - The topic to subscribe to
      * @param {Object} options - Subscription options
-     * @returns {Promise<any>} - The subscription identifier
+     * @param {boolean} options.fromBeginning - Read the messages produced before the consumer joined
+     * @param {Function} handler - Called with (topic, message) for every message
+     * @returns {Promise<string>} - The subscription identifier
      */
-    async subscribe(topic, options = {}) {
+    async subscribe(topic, options = {}, handler = null) {
         if (!this.connected || !this.consumer) {
             throw new TransportError(
                 'Cannot subscribe: not connected to Kafka',
                 this.transportType
             );
         }
-        
+
+        const restart = this.consumerRestart.then(async () => {
+            if (handler) {
+                this.handlers.set(topic, handler);
+            }
+            if (this.consumerRunning) {
+                await this.consumer.stop();
+                this.consumerRunning = false;
+            }
+            await this.consumer.subscribe({ topic, fromBeginning: options.fromBeginning === true });
+            await this.consumer.run({
+                eachMessage: async ({ topic, message }) => {
+                    const topicHandler = this.handlers.get(topic);
+                    if (topicHandler) {
+                        await topicHandler(topic, message);
+                    }
+                }
+            });
+            this.consumerRunning = true;
+        });
+        this.consumerRestart = restart.catch(() => {});
+
         try {
-            // Example with KafkaJS:
-            // await this.consumer.subscribe({ topic, fromBeginning: false });
-            // Create a unique subscription ID
-            const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-            return subscriptionId;
+            await restart;
+            return topic; // Return the topic as the subscription ID
         } catch (error) {
+            this.handlers.delete(topic);
             throw new TransportError(
                 `Failed to subscribe to topic ${topic}: ${error.message}`,
                 this.transportType,
@@ -138,41 +235,33 @@ export class KafkaTransport extends Transport {
             );
         }
     }
-    
+
     /**
-     * Start consuming messages
-     * @param {Function} messageHandler - Function to handle incoming messages
+     * Subscribe once to the reply topic of this instance
      * @returns {Promise<void>}
      */
-    async startConsumer(messageHandler) {
-        if (!this.connected || !this.consumer) {
-            throw new TransportError(
-                'Cannot start consumer: not connected to Kafka',
-                this.transportType
-            );
-        }
-        
-        try {
-            // Example with KafkaJS:
-            // await this.consumer.run({
-            //     eachMessage: async ({ topic, partition, message }) => {
-            //         messageHandler(topic, message.value.toString());
-            //     },
-            // });
-        } catch (error) {
-            throw new TransportError(
-                `Failed to start Kafka consumer: ${error.message}`,
-                this.transportType
-            );
-        }
+    async ensureReplySubscription() {
+        this.replySubscription ||= (async () => {
+            await this.ensureTopics([this.replyTopic]);
+            this.privateTopics.push(this.replyTopic);
+            // The topic is new, reading it from the beginning keeps the replies produced while the consumer joins
+            await this.subscribe(this.replyTopic, { fromBeginning: true }, (topic, message) => this.processResponseMessage(topic, message));
+        })().catch(error => {
+            this.replySubscription = null;
+            throw error;
+        });
+
+        await this.replySubscription;
     }
-    
+
     /**
-     * Send a request and wait for a response (implement request-response pattern on Kafka)
-     * @param {string} target - The target topic
+     * Send a request and wait for a response
+     * The request is produced on the topic of the target, the reply arrives on the reply topic
+     * @param {string} target - The target topic (namespace.name or namespace.name.instanceId)
      * @param {string} message - The message to send
      * @param {Object} options - Request options
-     * @returns {Promise<any>} - The response
+     * @param {number} options.timeout - The request timeout
+     * @returns {Promise<any>} - The response, exposing string()
      */
     async request(target, message, options = {}) {
         if (!this.connected || !this.producer) {
@@ -181,61 +270,46 @@ export class KafkaTransport extends Transport {
                 this.transportType
             );
         }
-        
-        const correlationId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-        const replyTo = `${target}_replies`;
+
+        const correlationId = randomUUID();
         const timeout = options.timeout || TIMEOUT_TASK_REQUEST;
-        
+
         try {
-            // Create a promise that will be resolved when the response is received
-            const responsePromise = new Promise((resolve, reject) => {
-                // Set a timeout
+            await this.ensureReplySubscription();
+
+            return await new Promise((resolve, reject) => {
                 const timeoutId = setTimeout(() => {
                     this.requestMap.delete(correlationId);
-                    reject(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`));
+                    reject(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`, `request to ${target}`, timeout));
                 }, timeout);
-                
-                // Store the resolver and timeout
-                this.requestMap.set(correlationId, {
-                    resolve,
-                    reject,
-                    timeoutId
+                this.requestMap.set(correlationId, { resolve, reject, timeoutId });
+
+                // Requests still in the topic after their deadline are dropped by the consumers
+                this.producer.send({
+                    topic: target,
+                    messages: [{
+                        value: message,
+                        headers: {
+                            'correlation-id': correlationId,
+                            'reply-to': this.replyTopic,
+                            'deadline': String(Date.now() + timeout)
+                        }
+                    }]
+                }).catch(error => {
+                    clearTimeout(timeoutId);
+                    this.requestMap.delete(correlationId);
+                    reject(error);
                 });
             });
-            
-            // Make sure we're subscribed to the reply topic
-            // const replySubscription = await this.subscribe(replyTo);
-            
-            // Send the request with correlation ID and reply topic
-            // await this.producer.send({
-            //     topic: target,
-            //     messages: [{
-            //         value: message,
-            //         headers: {
-            //             'correlation-id': correlationId,
-            //             'reply-to': replyTo
-            //         }
-            //     }]
-            // });
-            
-            // Wait for the response
-            return await responsePromise;
         } catch (error) {
-            // Clean up
-            const requestData = this.requestMap.get(correlationId);
-            if (requestData) {
-                clearTimeout(requestData.timeoutId);
-                this.requestMap.delete(correlationId);
-            }
-            
             throw new TransportError(
                 `Request to ${target} failed: ${error.message}`,
                 this.transportType,
-                { target }
+                { target, errorName: error.name }
             );
         }
     }
-    
+
     /**
      * Process incoming response messages
      * @param {string} topic - The topic the message was received on
@@ -243,55 +317,61 @@ export class KafkaTransport extends Transport {
      */
     processResponseMessage(topic, message) {
         try {
-            const headers = message.headers || {};
-            const correlationId = headers['correlation-id'];
-            
-            if (correlationId && this.requestMap.has(correlationId)) {
-                const { resolve, timeoutId } = this.requestMap.get(correlationId);
-                clearTimeout(timeoutId);
+            const correlationId = header(message.headers, 'correlation-id');
+            const pending = this.requestMap.get(correlationId);
+
+            if (pending) {
+                clearTimeout(pending.timeoutId);
                 this.requestMap.delete(correlationId);
-                resolve({ 
-                    string: () => message.value.toString() 
+                pending.resolve({
+                    string: () => message.value.toString()
                 });
             }
         } catch (error) {
             logger.error('Error processing response message', { error, topic });
         }
     }
-    
+
     /**
      * Set up discovery subscription
-     * This is a template implementation that would need to be adapted for Kafka's message model
+     * @param {string} discoveryTopic - The topic for discovery messages
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
+     * @param {Object} discoveredAgents - Map to store discovered agents
+     * @param {Array} acceptedNetworks - List of accepted networks
+     * @returns {Promise<void>}
      */
     async setupDiscoverySubscription(discoveryTopic, namespace, agentName, discoveredAgents, acceptedNetworks) {
+        const nonAcceptedNetworks = {};
+
         try {
-            // Subscribe to discovery topic
-            await this.subscribe(discoveryTopic);
-            logger.info(`Agent ${agentName} subscribed to discovery topic ${discoveryTopic}`);
-            
-            // Set up message handler for discovery messages
-            const messageHandler = async (topic, message) => {
-                if (topic !== discoveryTopic) return;
-                
+            const discoveryHandler = (topic, message) => {
                 try {
                     // Parse and validate the discovery message
                     let discoveryMessage;
                     try {
-                        discoveryMessage = DiscoveryMessage.fromString(message);
+                        discoveryMessage = DiscoveryMessage.fromString(message.value.toString());
                     } catch (parseError) {
                         logger.warn('Invalid discovery message format', { error: parseError.message });
                         return;
                     }
-                    
-                    // Process discovery message...
-                    // The implementation would be similar to the NATS version but adapted for Kafka's async model
+
+                    this.processDiscoveryMessage(discoveryMessage, {
+                        namespace,
+                        agentName,
+                        discoveredAgents,
+                        acceptedNetworks,
+                        nonAcceptedNetworks
+                    });
                 } catch (error) {
                     logger.error('Error processing discovery message', { error });
                 }
             };
-            
-            // Start listening for messages
-            // You would need to integrate this with your Kafka consumer implementation
+
+            // Subscribe to discovery topic
+            await this.ensureTopics([discoveryTopic]);
+            await this.subscribe(discoveryTopic, {}, discoveryHandler);
+            logger.info(`Agent ${agentName} subscribed to discovery topic ${discoveryTopic}`);
         } catch (error) {
             throw new DiscoveryError(
                 `Failed to set up discovery subscription on topic ${discoveryTopic}`,
@@ -300,67 +380,56 @@ export class KafkaTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Set up task handler for processing incoming requests
-     * @param {string} agentName - The agent name (used as the topic)
+     * Shared tasks are consumed by the consumer group of the agent, their offset is committed
+     * once the reply is sent; tasks routed to this instance come through the instance consumer.
+     * A partition delivers its tasks one at a time, so an instance processes at most one shared task
+     * per partition it is assigned; the group heartbeat is sent while a task runs, so that tasks
+     * longer than the session timeout do not trigger a rebalance.
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
      * @param {Function} processingFunction - The function to process requests
+     * @param {number} partitions - The partitions of the shared task topic, when it is created
      * @returns {Promise<void>}
      */
-    async setupTaskHandler(agentName, processingFunction) {
+    async setupTaskHandler(namespace, agentName, processingFunction, partitions = DEFAULT_PARTITIONS) {
+        const topic = `${namespace}.${agentName}`;
+        const instanceTopic = `${topic}.${this.instanceId}`;
+
         try {
-            // Subscribe to agent's topic
-            await this.subscribe(agentName);
-            logger.info(`Agent ${agentName} subscribed for task handling`);
-            
-            // Set up message handler for task requests
-            const messageHandler = async (topic, message, headers) => {
-                if (topic !== agentName) return;
-                
-                try {
-                    // Parse and validate the payload
-                    const payload = JSON.parse(message);
-                    if (!payload || typeof payload !== 'object') {
-                        throw new Error('Invalid payload: not a JSON object');
-                    }
-                    
-                    const replyTo = headers['reply-to'];
-                    const correlationId = headers['correlation-id'];
-                    
-                    // Process the message using the Message class
-                    const msg = new Message(payload);
-                    
-                    // Process the task with timeout
-                    const response = await withTimeout(
-                        async () => processingFunction(msg),
-                        TIMEOUT_TASK_REQUEST * 2,
-                        `task processing for ${agentName}`
-                    );
-                    
-                    // Send response back if reply information is available
-                    if (replyTo && correlationId) {
-                        await this.publish(replyTo, response.serialize(), {
-                            headers: { 'correlation-id': correlationId }
-                        });
-                    }
-                } catch (error) {
-                    logger.error("Error processing task", { error, agentName });
-                    
-                    // Send error response back if reply information is available
-                    if (replyTo && correlationId) {
-                        await this.publish(replyTo, JSON.stringify({
-                            error: true,
-                            message: error.message,
-                            type: error.name || 'Error'
-                        }), { 
-                            headers: { 'correlation-id': correlationId } 
-                        });
+            await this.ensureTopics([topic], partitions);
+            await this.ensureTopics([instanceTopic]);
+            this.privateTopics.push(instanceTopic);
+            this.instanceTopic = instanceTopic;
+
+            // Not awaited: the instance consumer also delivers the replies to the handoffs of the task
+            await this.subscribe(instanceTopic, { fromBeginning: true }, (_, message) => {
+                this.trackTask(this.processTask(message, agentName, processingFunction));
+            });
+
+            this.taskConsumer = this.kafka.consumer({ groupId: topic });
+            await this.taskConsumer.connect();
+            // Tasks produced before the group first joined are read too, expired ones are dropped
+            await this.taskConsumer.subscribe({ topic, fromBeginning: true });
+            await this.taskConsumer.run({
+                autoCommit: false,
+                eachMessage: async ({ topic, partition, message, heartbeat }) => {
+                    const heartbeats = setInterval(() => {
+                        heartbeat().catch(error => logger.warn(`Failed to send the heartbeat of ${topic}: ${error.message}`));
+                    }, TASK_HEARTBEAT_INTERVAL);
+                    try {
+                        await this.trackTask(this.processTask(message, agentName, processingFunction));
+                    } finally {
+                        clearInterval(heartbeats);
                     }
+                    await this.taskConsumer.commitOffsets([
+                        { topic, partition, offset: (BigInt(message.offset) + 1n).toString() }
+                    ]);
                 }
-            };
-            
-            // Start listening for messages
-            // You would need to integrate this with your Kafka consumer implementation
+            });
+            logger.info(`Agent ${agentName} consuming tasks from ${topic} and ${instanceTopic}`);
         } catch (error) {
             throw new TransportError(
                 `Failed to set up task handler for ${agentName}: ${error.message}`,
@@ -369,18 +438,94 @@ export class KafkaTransport extends Transport {
             );
         }
     }
-    
+
+    /**
+     * Stop consuming tasks, the tasks being processed are completed
+     * Replies to the handoffs of the queries in flight keep arriving until disconnect.
+     * @returns {Promise<void>}
+     */
+    async stopConsuming() {
+        if (this.instanceTopic && this.consumerRunning) {
+            this.consumer.pause([{ topic: this.instanceTopic }]);
+        }
+        await this.taskConsumer?.stop();
+    }
+
+    /**
+     * Process a task request and produce the result or an error on the reply topic
+     * @param {Object} message - The Kafka message
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>}
+     */
+    async processTask(message, agentName, processingFunction) {
+        const replyTo = header(message.headers, 'reply-to');
+        const correlationId = header(message.headers, 'correlation-id');
+        const deadline = Number(header(message.headers, 'deadline'));
+
+        const reply = async (body) => {
+            if (replyTo && correlationId) {
+                await this.publish(replyTo, body, {
+                    headers: { 'correlation-id': correlationId }
+                });
+            }
+        };
+
+        try {
+            if (deadline && Date.now() > deadline) {
+                logger.warn(`Dropping expired task request for ${agentName}`, { correlationId });
+                return;
+            }
+
+            // Parse and validate the payload
+            const payload = JSON.parse(message.value.toString());
+            if (!payload || typeof payload !== 'object') {
+                throw new Error('Invalid payload: not a JSON object');
+            }
+            if (payload.stream === true) {
+                throw new TransportError('Streaming requests are not supported over Kafka', this.transportType, { agentName });
+            }
+            const msg = new Message(payload);
+
+            // Process the task with timeout
+            const response = await withTimeout(
+                async () => processingFunction(msg),
+                TIMEOUT_TASK_REQUEST * 2,
+                `task processing for ${agentName}`
+            );
+
+            await reply(this.claimSession(response, msg).serialize());
+            this.recordTaskOutcome(true);
+
+            logger.debug(`Completed task request for ${agentName}`);
+        } catch (error) {
+            this.recordTaskOutcome(false);
+            logger.error("Error processing task", { error, agentName });
+
+            // Send error response back
+            try {
+                await reply(JSON.stringify({
+                    error: true,
+                    message: error.message,
+                    type: error.name || 'Error'
+                }));
+            } catch (replyError) {
+                logger.error("Failed to send error response", { error: replyError });
+            }
+        }
+    }
+
     /**
      * Creates a runtime for agent communication using Kafka
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Array} discoverySchemas - The agent capability schemas for discovery
      * @param {Object} config - Additional configuration
-     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
      */
     async createRuntime(namespace, agentName, discoverySchemas, config) {
         const discoveredAgents = {};
-        
+
         try {
             // Verify configuration
             if (!config || !config.bindings || !config.bindings.discoveryTopic) {
@@ -390,26 +535,33 @@ export class KafkaTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             const discoveryTopic = config.bindings.discoveryTopic;
             const acceptedNetworks = config.bindings.acceptedNetworks || [];
+            const discoveryTtl = config.bindings.discoveryTtlMs || DEFAULT_DISCOVERY_TTL;
+            const partitions = config.bindings.partitions || DEFAULT_PARTITIONS;
+            this.configureRouting(config.bindings, TIMEOUT_TASK_REQUEST);
             logger.info(`Agent ${agentName} initialized with discovery topic ${discoveryTopic}`);
-            
-            // Step 1: Subscribe to discovery topic
+
+            // Step 1: Subscribe to discovery topic, forgetting agents that stop sending heartbeats
             await this.setupDiscoverySubscription(discoveryTopic, namespace, agentName, discoveredAgents, acceptedNetworks);
-            
+            this.setupDiscoveryExpiry(discoveredAgents, agentName, discoveryTtl);
+
             // Step 2: Set up heartbeat
             this.setupHeartbeat(discoveryTopic, namespace, agentName, discoverySchemas, HEARTBEAT_INTERVAL);
-            
+
             // Step 3: Create task handler function
             const handleTask = async (fn) => {
                 if (typeof fn !== 'function') {
                     throw new Error('Task handler must be a function');
                 }
-                await this.setupTaskHandler(agentName, fn);
+                await this.setupTaskHandler(namespace, agentName, fn, partitions);
             };
-            
-            return { handleTask, discoveredAgents };
+
+            // Step 4: Graceful shutdown
+            const stop = (options) => this.shutdown(discoveryTopic, namespace, agentName, options);
+
+            return { handleTask, discoveredAgents, stop };
         } catch (error) {
             // Enhance the error with context if it's not already a TransportError
             if (!(error instanceof TransportError)) {
@@ -419,7 +571,7 @@ export class KafkaTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             logger.error("Kafka runtime initialization failed", { error, agentName });
             throw error;
         }
@@ -440,7 +592,7 @@ export function createKafkaTransport() {
  * @param {string} agentName - The agent name
  * @param {Array} ioInterfaces - The IO interfaces (only the first one is used)
  * @param {Array} discoverySchemas - The agent capability schemas for discovery
- * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
  */
 export async function KafkaIOAgentRuntime(namespace, agentName, ioInterfaces, discoverySchemas) {
     if (ioInterfaces.length > 1) {
@@ -450,20 +602,20 @@ export async function KafkaIOAgentRuntime(namespace, agentName, ioInterfaces, di
             { agentName, interfacesCount: ioInterfaces.length }
         );
     }
-    
+
     if (ioInterfaces.length === 0) {
         logger.warn(`No Kafka interfaces provided for agent ${agentName}, creating passive runtime`);
-        return { handleTask: async () => {}, discoveredAgents: {} };
+        return { handleTask: async () => {}, discoveredAgents: {}, stop: async () => {} };
     }
-    
+
     const io = ioInterfaces[0];
     const transport = createKafkaTransport();
-    
+
     try {
         // Connect to Kafka with retry logic
         logger.info(`Connecting to Kafka for agent ${agentName}`);
-        await safeConnect(transport, io.config);
-        
+        await safeConnect(transport, { instance: io.instance });
+
         // Create runtime with the transport
         return await transport.createRuntime(namespace, agentName, discoverySchemas, io.config);
     } catch (error) {
@@ -471,4 +623,4 @@ export async function KafkaIOAgentRuntime(namespace, agentName, ioInterfaces, di
         await transport.disconnect();
         throw error;
     }
-} 
\ No newline at end of file
+}
@@ -1,13 +1,12 @@
 /**
  * NATS Transport implementation
  */
-import { Transport, DiscoveryMessage, safeConnect } from './base.js';
+import { Transport, DiscoveryMessage, safeConnect, encodeStreamFrame, DEFAULT_DISCOVERY_TTL } from './base.js';
 import { Message } from '../index.js';
 import { logger } from '../utils/logger.js';
 import { 
   TransportError, 
   DiscoveryError, 
-  HandoffError, 
   TimeoutError,
   withTimeout
 } from '../errors/index.js';
@@ -36,6 +35,7 @@ export class NatsTransport extends Transport {
         }
         
         try {
+            this.instance = config.instance;
             this.connection = await config.instance.connect();
             this.connected = true;
             return this.connection;
@@ -57,7 +57,13 @@ export class NatsTransport extends Transport {
         
         if (this.connection) {
             try {
-                await this.connection.drain();
+                this.discoverySub?.unsubscribe();
+                // A shared NatsIO connection is only closed by its last user
+                if (typeof this.instance?.release === 'function') {
+                    await this.instance.release();
+                } else if (!this.connection.isClosed()) {
+                    await this.connection.drain();
+                }
                 this.connection = null;
             } catch (error) {
                 logger.warn('Error disconnecting from NATS', { error });
@@ -136,7 +142,7 @@ export class NatsTransport extends Transport {
             throw new TransportError(
                 `Request to ${target} failed: ${error.message}`,
                 this.transportType,
-                { target }
+                { target, errorName: error.cause?.name || error.name }
             );
         }
     }
@@ -155,6 +161,7 @@ export class NatsTransport extends Transport {
         
         try {
             discoverySub = await this.subscribe(discoveryTopic);
+            this.discoverySub = discoverySub;
             logger.info(`Agent ${agentName} subscribed to discovery topic ${discoveryTopic}`);
         } catch (error) {
             throw new DiscoveryError(
@@ -178,116 +185,13 @@ export class NatsTransport extends Transport {
                             continue;
                         }
 
-                        const network = discoveryMessage.network;
-                        const networkNamespace = network.split(".")[0];
-                        const networkName = network.split(".")[1];
-
-                        // Skip self
-                        if (network === `${namespace}.${agentName}`) {
-                            continue;
-                        }
-
-                        // Skip if already processed
-                        if (nonAcceptedNetworks[network] === true) {
-                            continue;
-                        }
-
-                        let isAccepted = false;
-                        for (const acceptedNetwork of acceptedNetworks) {
-                            const acceptedNetworkNamespace = acceptedNetwork.split(".")[0];
-                            const acceptedNetworkName = acceptedNetwork.split(".")[1];
-
-                            if (acceptedNetworkNamespace === networkNamespace && acceptedNetworkName === networkName) {
-                                isAccepted = true;
-                                continue;
-                            }
-                            // Check for wildcard patterns in accepted networks
-                            
-                            if (acceptedNetworkNamespace === '*' && acceptedNetworkName === '*') {
-                                // Both namespace and name are wildcards, accept any network
-                                logger.debug(`Agent ${agentName} accepting network ${network} due to wildcard pattern *.*`);
-                                isAccepted = true;
-                                continue;
-                            }
-                            
-                            if (acceptedNetworkNamespace === '*' && acceptedNetworkName === networkName) {
-                                // Namespace is wildcard, but name matches
-                                logger.debug(`Agent ${agentName} accepting network ${network} due to wildcard pattern *.${networkName}`);
-                                isAccepted = true;
-                                continue;
-                            }
-                            
-                            if (acceptedNetworkNamespace === networkNamespace && acceptedNetworkName === '*') {
-                                // Name is wildcard, but namespace matches
-                                logger.debug(`Agent ${agentName} accepting network ${network} due to wildcard pattern ${networkNamespace}.*`);
-                                isAccepted = true;
-                                continue;
-                            }
-                        }
-                        
-
-                        // Skip if not accepted
-                        if (!isAccepted) {
-                            logger.warn(`Agent ${agentName} does not accept network ${network}`);
-                            nonAcceptedNetworks[network] = true;
-                            continue;
-                        }               
-                        
-                        // Process the schemas from the discovery message
-                        for (const schema of discoveryMessage.schemas) {
-                            // Skip invalid schemas
-                            if (!schema || !schema.name) {
-                                logger.warn('Invalid schema in discovery payload', { schema });
-                                continue;
-                            }
-                            
-                            const agentKey = `${network}-${schema.name}`;
-                            if (discoveryMessage.agentName !== agentName && !discoveredAgents[agentKey]) {
-                                logger.info(`${agentName} discovered agent capability: ${discoveryMessage.agentName} with capability ${schema.name}`);
-                                
-                                const handoffFunction = async (state, input) => {
-                                    try {
-                                        // Use withTimeout to ensure handoffs don't hang
-                                        return await withTimeout(
-                                            async () => {
-                                                try {
-                                                    const message = new Message({ 
-                                                        session: state,
-                                                        content: input
-                                                    });
-                                                    const req = await this.request(
-                                                        network, 
-                                                        message.serialize(), 
-                                                        { timeout: TIMEOUT_TASK_REQUEST }
-                                                    );
-                                                    return req.string();
-                                                } catch (error) {
-                                                    throw new HandoffError(
-                                                        `Handoff to agent ${network} failed: ${error.message}`,
-                                                        network,
-                                                        { schemaName: schema.name }
-                                                    );
-                                                }
-                                            },
-                                            TIMEOUT_TASK_REQUEST,
-                                            `handoff to ${network}`
-                                        );
-                                    } catch (error) {
-                                        logger.error(`Handoff error to ${network}`, {
-                                            error,
-                                            schema: schema.name
-                                        });
-                                        throw error;
-                                    }
-                                };
-                                
-                                discoveredAgents[agentKey] = {
-                                    name: schema.name, 
-                                    schema: schema, 
-                                    function: handoffFunction
-                                };
-                            }
-                        }
+                        this.processDiscoveryMessage(discoveryMessage, {
+                            namespace,
+                            agentName,
+                            discoveredAgents,
+                            acceptedNetworks,
+                            nonAcceptedNetworks
+                        });
                     } catch (error) {
                         logger.error('Error processing discovery message', { error });
                     }
@@ -296,10 +200,11 @@ export class NatsTransport extends Transport {
                 logger.error("Discovery subscription error", { error });
                 
                 // Attempt to resubscribe if the connection is still active
-                if (this.connected) {
+                if (this.connected && !this.stopping) {
                     logger.info('Attempting to resubscribe to discovery topic');
                     try {
                         discoverySub = await this.subscribe(discoveryTopic);
+                        this.discoverySub = discoverySub;
                         handleDiscovery(); // Restart the handling process
                     } catch (resubError) {
                         logger.error('Failed to resubscribe to discovery topic', { error: resubError });
@@ -314,17 +219,36 @@ export class NatsTransport extends Transport {
     
     /**
      * Set up task handler for processing incoming requests
+     * Tasks for any instance are load balanced by the agent queue group, tasks routed
+     * to this instance by a handoff arrive on its own subject.
+     * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Function} processingFunction - The function to process requests
      * @returns {Promise<void>}
      */
     async setupTaskHandler(namespace, agentName, processingFunction) {
+        const topic = `${namespace}.${agentName}`;
+        // Resolves once subscribed, the tasks are then processed in the background
+        await Promise.all([
+            this.consumeTasks(topic, { queue: topic }, agentName, processingFunction),
+            this.consumeTasks(`${topic}.${this.instanceId}`, {}, agentName, processingFunction)
+        ]);
+    }
+    
+    /**
+     * Subscribe to a task subject and process its requests one at a time
+     * @param {string} topic - The task subject
+     * @param {Object} options - Subscription options
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>} - Resolves once subscribed
+     */
+    async consumeTasks(topic, options, agentName, processingFunction) {
         let taskSub;
         
         try {
-            const topic = `${namespace}.${agentName}`;
-            taskSub = await this.subscribe(topic, { queue: topic });
-            logger.info(`Agent ${agentName} subscribed for task handling`);
+            taskSub = await this.subscribe(topic, options);
+            logger.info(`Agent ${agentName} subscribed for task handling on ${topic}`);
         } catch (error) {
             throw new TransportError(
                 `Failed to subscribe for task handling: ${error.message}`,
@@ -333,69 +257,33 @@ export class NatsTransport extends Transport {
             );
         }
         
+        this.taskSubs = [...(this.taskSubs || []).filter(sub => !sub.isClosed()), taskSub];
+        this.processTasks(taskSub, topic, options, agentName, processingFunction)
+            .catch(error => logger.error(`Agent ${agentName} stopped handling tasks on ${topic}`, { error }));
+    }
+    
+    /**
+     * Process the requests of a task subscription one at a time, subscribing again on errors
+     * @param {Object} taskSub - The task subscription
+     * @param {string} topic - The task subject
+     * @param {Object} options - Subscription options
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>}
+     */
+    async processTasks(taskSub, topic, options, agentName, processingFunction) {
         try {
             for await (const m of taskSub) {
-                let payload;
-                
-                try {
-                    // Parse and validate the payload
-                    payload = m.json();
-                    if (!payload || typeof payload !== 'object') {
-                        throw new Error('Invalid payload: not a JSON object');
-                    }
-
-                    const message = new Message(payload);
-                    const input = message.getContent();
-                    const session = message.getSession();
-
-                    logger.debug(`Received task request for ${agentName}`, {
-                        inputPreview: typeof input === 'string' 
-                            ? input.substring(0, 100) 
-                            : 'Non-string input'
-                    });
-                    
-                    // Process the task with timeout
-                    const response = await withTimeout(
-                        async () => processingFunction(message),
-                        TIMEOUT_TASK_REQUEST * 2, // Double the timeout for processing
-                        `task processing for ${agentName}`
-                    );
-                    
-                    // Respond with the result
-                    await m.respond(response.serialize());
-                    
-                    logger.debug(`Completed task request for ${agentName}`);
-                } catch (error) {
-                    logger.error("Error processing task", {
-                        error,
-                        agentName,
-                        inputPreview: payload && payload.content 
-                            ? (typeof payload.content === 'string' 
-                                ? payload.content.substring(0, 100) 
-                                : 'Non-string input')
-                            : 'No input' 
-                    });
-                    
-                    // Send error response back
-                    try {
-                        await m.respond(JSON.stringify({
-                            error: true,
-                            message: error.message,
-                            type: error.name || 'Error'
-                        }));
-                    } catch (respondError) {
-                        logger.error("Failed to send error response", { error: respondError });
-                    }
-                }
+                await this.trackTask(this.processTask(m, agentName, processingFunction));
             }
         } catch (error) {
             logger.error("Task subscription error", { error, agentName });
             
             // Attempt to resubscribe if the connection is still active
-            if (this.connected) {
+            if (this.connected && !this.stopping) {
                 logger.info('Attempting to resubscribe for task handling');
                 try {
-                    await this.setupTaskHandler(namespace, agentName, processingFunction);
+                    await this.consumeTasks(topic, options, agentName, processingFunction);
                 } catch (resubError) {
                     logger.error('Failed to resubscribe for task handling', { error: resubError });
                     throw new TransportError(
@@ -404,7 +292,7 @@ export class NatsTransport extends Transport {
                         { agentName, originalError: error.message, resubError: resubError.message }
                     );
                 }
-            } else {
+            } else if (!this.stopping) {
                 throw new TransportError(
                     "NATS connection lost during task handling",
                     this.transportType,
@@ -414,13 +302,132 @@ export class NatsTransport extends Transport {
         }
     }
     
+    /**
+     * Drain the task subscriptions: no new tasks are delivered, pending ones are still processed
+     * @returns {Promise<void>}
+     */
+    async stopConsuming() {
+        await Promise.all((this.taskSubs || [])
+            .filter(sub => !sub.isClosed())
+            .map(sub => sub.drain()));
+    }
+    
+    /**
+     * Number of task requests received but not processed yet
+     * @returns {number} - The queue depth
+     */
+    queueDepth() {
+        return (this.taskSubs || []).reduce((depth, sub) => depth + sub.getPending(), 0);
+    }
+    
+    /**
+     * Process a task request and respond with the result or an error
+     * @param {Object} m - The NATS request message
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>}
+     */
+    async processTask(m, agentName, processingFunction) {
+        let payload;
+        
+        try {
+            // Parse and validate the payload
+            payload = m.json();
+            if (!payload || typeof payload !== 'object') {
+                throw new Error('Invalid payload: not a JSON object');
+            }
+
+            const message = new Message(payload);
+            const input = message.getContent();
+            const session = message.getSession();
+
+            logger.debug(`Received task request for ${agentName}`, {
+                inputPreview: typeof input === 'string' 
+                    ? input.substring(0, 100) 
+                    : 'Non-string input',
+                stream: payload.stream === true
+            });
+            
+            // Streaming requests get every event forwarded to the reply inbox
+            if (payload.stream === true) {
+                await this.streamTask(m, message, processingFunction, agentName);
+                this.recordTaskOutcome(true);
+                logger.debug(`Completed streaming task request for ${agentName}`);
+                return;
+            }
+            
+            // Process the task with timeout
+            const response = await withTimeout(
+                async () => processingFunction(message),
+                TIMEOUT_TASK_REQUEST * 2, // Double the timeout for processing
+                `task processing for ${agentName}`
+            );
+            
+            // Respond with the result
+            await m.respond(this.claimSession(response, message).serialize());
+            this.recordTaskOutcome(true);
+            
+            logger.debug(`Completed task request for ${agentName}`);
+        } catch (error) {
+            this.recordTaskOutcome(false);
+            logger.error("Error processing task", {
+                error,
+                agentName,
+                inputPreview: payload && payload.content 
+                    ? (typeof payload.content === 'string' 
+                        ? payload.content.substring(0, 100) 
+                        : 'Non-string input')
+                    : 'No input' 
+            });
+            
+            // Send error response back
+            try {
+                await m.respond(JSON.stringify({
+                    error: true,
+                    message: error.message,
+                    type: error.name || 'Error'
+                }));
+            } catch (respondError) {
+                logger.error("Failed to send error response", { error: respondError });
+            }
+        }
+    }
+    
+    /**
+     * Process a streaming task request, responding once per stream event
+     * @param {Object} m - The NATS request message
+     * @param {Message} message - The parsed task message
+     * @param {Function} processingFunction - The function to process requests, exposing stream()
+     * @param {string} agentName - The agent name
+     * @returns {Promise<void>}
+     */
+    async streamTask(m, message, processingFunction, agentName) {
+        if (typeof processingFunction.stream !== 'function') {
+            throw new TransportError(
+                `Agent ${agentName} does not support streaming`,
+                this.transportType,
+                { agentName }
+            );
+        }
+        
+        await withTimeout(
+            async () => {
+                for await (const event of processingFunction.stream(message)) {
+                    m.respond(encodeStreamFrame(this.claimSession(event, message)));
+                }
+            },
+            TIMEOUT_TASK_REQUEST * 2,
+            `streaming task processing for ${agentName}`
+        );
+    }
+    
     /**
      * Creates a runtime for agent communication using NATS
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Array} discoverySchemas - The agent capability schemas for discovery
      * @param {Object} config - Additional configuration
-     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
      */
     async createRuntime(namespace, agentName, discoverySchemas, config) {
         const discoveredAgents = {};
@@ -437,10 +444,13 @@ export class NatsTransport extends Transport {
             
             const discoveryTopic = config.bindings.discoveryTopic;
             const acceptedNetworks = config.bindings.acceptedNetworks || [];
+            const discoveryTtl = config.bindings.discoveryTtlMs || DEFAULT_DISCOVERY_TTL;
+            this.configureRouting(config.bindings, TIMEOUT_TASK_REQUEST);
             logger.info(`Agent ${agentName} initialized with discovery topic ${discoveryTopic}`);
 
-            // Step 1: Subscribe to discovery topic
+            // Step 1: Subscribe to discovery topic, forgetting agents that stop sending heartbeats
             await this.setupDiscoverySubscription(discoveryTopic, namespace, agentName, discoveredAgents, acceptedNetworks);
+            this.setupDiscoveryExpiry(discoveredAgents, agentName, discoveryTtl);
 
             // Step 2: Set up heartbeat
             this.setupHeartbeat(discoveryTopic, namespace, agentName, discoverySchemas, HEARTBEAT_INTERVAL);
@@ -453,7 +463,10 @@ export class NatsTransport extends Transport {
                 await this.setupTaskHandler(namespace, agentName, fn);
             };
 
-            return { handleTask, discoveredAgents };
+            // Step 4: Graceful shutdown
+            const stop = (options) => this.shutdown(discoveryTopic, namespace, agentName, options);
+
+            return { handleTask, discoveredAgents, stop };
         } catch (error) {
             // Enhance the error with context if it's not already a TransportError
             if (!(error instanceof TransportError)) {
@@ -486,7 +499,7 @@ export function createNatsTransport() {
  * @param {string} agentName - The agent name
  * @param {Array} ioInterfaces - The IO interfaces (only the first one is used)
  * @param {Array} discoverySchemas - The agent capability schemas for discovery
- * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
  */
 export async function NatsIOAgentRuntime(namespace, agentName, ioInterfaces, discoverySchemas) {
     if (ioInterfaces.length > 1) {
@@ -499,7 +512,7 @@ export async function NatsIOAgentRuntime(namespace, agentName, ioInterfaces, dis
     
     if (ioInterfaces.length === 0) {
         logger.warn(`No NATS interfaces provided for agent ${agentName}, creating passive runtime`);
-        return { handleTask: async () => {}, discoveredAgents: {} };
+        return { handleTask: async () => {}, discoveredAgents: {}, stop: async () => {} };
     }
     
     const io = ioInterfaces[0];
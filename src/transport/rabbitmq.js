@@ -1,20 +1,36 @@
 /**
  * RabbitMQ Transport implementation
+ *
+ * Discovery heartbeats are published on a topic exchange with the agent network (namespace.name)
+ * as routing key; each instance binds an exclusive queue with its accepted networks as patterns.
+ * Tasks are sent to the durable work queue `namespace.name`, shared by the instances of an agent,
+ * and to the exclusive queue `namespace.name.instanceId` for the tasks routed to one instance.
+ * Replies use direct reply-to. Tasks that keep failing are dead-lettered to `namespace.name.dead-letter`.
  */
-import { Transport, DiscoveryMessage, safeConnect } from './base.js';
+import { randomUUID } from 'crypto';
+import { Transport, DiscoveryMessage, safeConnect, DEFAULT_DISCOVERY_TTL } from './base.js';
 import { Message } from '../index.js';
 import { logger } from '../utils/logger.js';
-import { 
-  TransportError, 
-  DiscoveryError, 
-  HandoffError, 
+import {
+  TransportError,
+  DiscoveryError,
   TimeoutError,
   withTimeout
 } from '../errors/index.js';
 
 // Constants
-const HEARTBEAT_INTERVAL = 1000;
-const TIMEOUT_TASK_REQUEST = 60000;
+const HEARTBEAT_INTERVAL = process.env.AGENTNET_RABBITMQ_HEARTBEAT_INTERVAL || 1000;
+const TIMEOUT_TASK_REQUEST = process.env.AGENTNET_RABBITMQ_TIMEOUT_TASK_REQUEST || 120000;
+// Refresh interval of the work queue depth reported in the heartbeats
+const QUEUE_DEPTH_INTERVAL = Number(process.env.AGENTNET_RABBITMQ_QUEUE_DEPTH_INTERVAL) || HEARTBEAT_INTERVAL;
+// Unacknowledged tasks an instance processes at the same time
+const DEFAULT_PREFETCH = Number(process.env.AGENTNET_RABBITMQ_PREFETCH) || 10;
+// Deliveries of a failing task before it is dead-lettered
+const DEFAULT_MAX_DELIVERIES = Number(process.env.AGENTNET_RABBITMQ_MAX_DELIVERIES) || 3;
+const DEAD_LETTER_EXCHANGE = process.env.AGENTNET_RABBITMQ_DEAD_LETTER_EXCHANGE || 'agentnet.dead-letter';
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+const ATTEMPTS_HEADER = 'x-agentnet-attempts';
+const DEADLINE_HEADER = 'x-agentnet-deadline';
 
 /**
  * RabbitMQ implementation of the Transport interface
@@ -24,41 +40,41 @@ export class RabbitMQTransport extends Transport {
         super('RabbitMQ');
         this.connection = null;
         this.channel = null;
-        this.subscriptions = new Map(); // Map of subscription queues to consumers
-        this.requestMap = new Map(); // For request-response pattern
+        this.depthChannel = null; // Channel of the queue depth checks
+        this.subscriptions = new Map(); // Map of subscription queues to consumer tags
+        this.requestMap = new Map(); // Pending requests by correlation id
+        this.replySubscription = null;
+        this.network = null;
+        this.taskQueues = [];
+        this.lastQueueDepth = 0;
     }
-    
+
     /**
      * Connect to RabbitMQ
-     * @param {Object} config - RabbitMQ connection configuration
+     * The connection is shared through the RabbitMQIO binding, each transport opens its own channel
+     * @param {Object} config - RabbitMQ connection configuration { instance }
      * @returns {Promise<any>} - The RabbitMQ connection
      */
     async connect(config) {
         if (this.connected && this.connection) {
             return this.connection;
         }
-        
+
         try {
-            // Implementation will depend on the RabbitMQ client library used
-            // For example, with amqplib:
-            // const amqp = require('amqplib');
-            // const { url, options } = config;
-            //
-            // this.connection = await amqp.connect(url, options);
-            // this.channel = await this.connection.createChannel();
-            //
-            // // Set prefetch to handle one message at a time
-            // await this.channel.prefetch(1);
-            //
-            // // Handle connection close events
-            // this.connection.on('close', () => {
-            //     this.connected = false;
-            //     logger.warn('RabbitMQ connection closed');
-            // });
-            
+            this.instance = config.instance;
+            this.connection = await config.instance.connect();
+            this.channel = await this.connection.createChannel();
+            this.channel.on('error', (error) => logger.error('RabbitMQ channel error', { error: error.message }));
+            // Requests sent to a queue that does not exist come back, they fail without waiting for the timeout
+            this.channel.on('return', (msg) => this.processReturnedMessage(msg));
+
             this.connected = true;
             return this.connection;
         } catch (error) {
+            if (this.connection) {
+                await this.instance.release?.();
+                this.connection = null;
+            }
             throw new TransportError(
                 `Failed to connect to RabbitMQ: ${error.message}`,
                 this.transportType,
@@ -66,27 +82,36 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Disconnect from RabbitMQ
      * @returns {Promise<void>}
      */
     async disconnect() {
         await super.disconnect();
-        
+
+        for (const [correlationId, pending] of this.requestMap) {
+            clearTimeout(pending.timeoutId);
+            pending.reject(new TransportError('RabbitMQ transport disconnected', this.transportType, { correlationId }));
+        }
+        this.requestMap.clear();
+
         try {
-            // Close the channel and connection
+            // Closing the channel requeues the tasks that were not acknowledged
             if (this.channel) await this.channel.close();
-            if (this.connection) await this.connection.close();
-            
-            this.channel = null;
-            this.connection = null;
-            this.subscriptions.clear();
+            if (this.depthChannel) await this.depthChannel.close();
+            if (this.connection) await this.instance?.release?.();
         } catch (error) {
             logger.warn('Error disconnecting from RabbitMQ', { error });
         }
+
+        this.channel = null;
+        this.depthChannel = null;
+        this.connection = null;
+        this.replySubscription = null;
+        this.subscriptions.clear();
     }
-    
+
     /**
      * Ensure exchange exists
      * @param {string} exchange - The exchange name
@@ -100,9 +125,9 @@ export class RabbitMQTransport extends Transport {
                 this.transportType
             );
         }
-        
+
         try {
-            // await this.channel.assertExchange(exchange, type, { durable: true });
+            await this.channel.assertExchange(exchange, type, { durable: true });
         } catch (error) {
             throw new TransportError(
                 `Failed to assert exchange ${exchange}: ${error.message}`,
@@ -111,10 +136,10 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Ensure queue exists
-     * @param {string} queue - The queue name
+     * @param {string} queue - The queue name, empty for a server-named queue
      * @param {Object} options - Queue options
      * @returns {Promise<Object>} - The queue information
      */
@@ -125,12 +150,12 @@ export class RabbitMQTransport extends Transport {
                 this.transportType
             );
         }
-        
+
         try {
-            // return await this.channel.assertQueue(queue, { 
-            //     durable: true,
-            //     ...options
-            // });
+            return await this.channel.assertQueue(queue, {
+                durable: true,
+                ...options
+            });
         } catch (error) {
             throw new TransportError(
                 `Failed to assert queue ${queue}: ${error.message}`,
@@ -139,7 +164,7 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Bind a queue to an exchange
      * @param {string} queue - The queue name
@@ -154,9 +179,9 @@ export class RabbitMQTransport extends Transport {
                 this.transportType
             );
         }
-        
+
         try {
-            // await this.channel.bindQueue(queue, exchange, routingKey);
+            await this.channel.bindQueue(queue, exchange, routingKey);
         } catch (error) {
             throw new TransportError(
                 `Failed to bind queue ${queue} to exchange ${exchange}: ${error.message}`,
@@ -165,34 +190,26 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Publish a message to a RabbitMQ exchange
      * @param {string} exchange - The exchange to publish to
-     * @param {string} routingKey - The routing key
      * @param {string} message - The message to publish
      * @param {Object} options - Publish options
+     * @param {string} options.routingKey - The routing key, the network of the agent by default
      * @returns {Promise<void>}
      */
-    async publish(exchange, routingKey, message, options = {}) {
+    async publish(exchange, message, options = {}) {
         if (!this.connected || !this.channel) {
             throw new TransportError(
                 'Cannot publish: not connected to RabbitMQ',
                 this.transportType
             );
         }
-        
+
+        const { routingKey = this.network || '', ...publishOptions } = options;
         try {
-            // Ensure the exchange exists
-            await this.ensureExchange(exchange);
-            
-            // Convert string to Buffer if needed
-            const content = Buffer.isBuffer(message) ? message : Buffer.from(message);
-            
-            // await this.channel.publish(exchange, routingKey, content, {
-            //     persistent: true,
-            //     ...options
-            // });
+            this.channel.publish(exchange, routingKey, Buffer.from(message), publishOptions);
         } catch (error) {
             throw new TransportError(
                 `Failed to publish to exchange ${exchange} with routing key ${routingKey}: ${error.message}`,
@@ -201,81 +218,48 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Subscribe to a RabbitMQ queue
      * @param {string} queue - The queue to subscribe to
-     * @param {string} exchange - The exchange (if binding is needed)
-     * @param {string} routingKey - The routing key (if binding is needed)
      * @param {Object} options - Subscription options
+     * @param {boolean} options.noAck - Whether messages are acknowledged on delivery
+     * @param {Function} handler - Called with (content, msg) for every message
      * @returns {Promise<string>} - The consumer tag
      */
-    async subscribe(queue, exchange = null, routingKey = null, options = {}) {
+    async subscribe(queue, options = {}, handler = null) {
         if (!this.connected || !this.channel) {
             throw new TransportError(
                 'Cannot subscribe: not connected to RabbitMQ',
                 this.transportType
             );
         }
-        
+
         try {
-            // Ensure the queue exists
-            await this.ensureQueue(queue, options.queue || {});
-            
-            // If exchange and routing key are provided, bind the queue
-            if (exchange && routingKey) {
-                await this.ensureExchange(exchange);
-                await this.bindQueue(queue, exchange, routingKey);
-            }
-            
-            // Create the consumer
-            // const { consumerTag } = await this.channel.consume(
-            //     queue,
-            //     (msg) => {
-            //         if (msg === null) {
-            //             // Consumer cancelled by server
-            //             logger.warn(`Consumer for queue ${queue} was cancelled by the server`);
-            //             this.subscriptions.delete(queue);
-            //             return;
-            //         }
-            //         
-            //         const content = msg.content.toString();
-            //         const handler = options.messageHandler;
-            //         
-            //         if (handler) {
-            //             Promise.resolve(handler(content, msg)).then(() => {
-            //                 // Acknowledge message after successful processing
-            //                 this.channel.ack(msg);
-            //             }).catch((error) => {
-            //                 logger.error(`Error processing message from queue ${queue}`, { error });
-            //                 // Reject the message and requeue it
-            //                 this.channel.nack(msg, false, true);
-            //             });
-            //         } else {
-            //             // No handler, just acknowledge
-            //             this.channel.ack(msg);
-            //         }
-            //     },
-            //     { noAck: false }
-            // );
-            
-            // Store the consumer
-            // this.subscriptions.set(queue, consumerTag);
-            
-            const consumerTag = `consumer_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+            const { consumerTag } = await this.channel.consume(queue, (msg) => {
+                if (msg === null) {
+                    // Consumer cancelled by the server, e.g. the queue was deleted
+                    logger.warn(`Consumer for queue ${queue} was cancelled by the server`);
+                    this.subscriptions.delete(queue);
+                    return;
+                }
+                handler?.(msg.content.toString(), msg);
+            }, { noAck: options.noAck === true });
+
             this.subscriptions.set(queue, consumerTag);
             return consumerTag;
         } catch (error) {
             throw new TransportError(
                 `Failed to subscribe to queue ${queue}: ${error.message}`,
                 this.transportType,
-                { queue, exchange, routingKey }
+                { queue }
             );
         }
     }
-    
+
     /**
      * Unsubscribe from a RabbitMQ queue
+     * Messages already delivered can still be acknowledged
      * @param {string} queue - The queue to unsubscribe from
      * @returns {Promise<void>}
      */
@@ -283,111 +267,105 @@ export class RabbitMQTransport extends Transport {
         if (!this.connected || !this.channel) {
             return; // Already disconnected
         }
-        
+
         try {
             const consumerTag = this.subscriptions.get(queue);
             if (consumerTag) {
-                // await this.channel.cancel(consumerTag);
+                await this.channel.cancel(consumerTag);
                 this.subscriptions.delete(queue);
             }
         } catch (error) {
             logger.warn(`Error unsubscribing from queue ${queue}`, { error });
         }
     }
-    
+
+    /**
+     * Consume the direct reply-to pseudo-queue once, replies are dispatched by correlation id
+     * @returns {Promise<void>}
+     */
+    async ensureReplySubscription() {
+        this.replySubscription ||= this.subscribe(REPLY_QUEUE, { noAck: true }, (content, msg) => {
+            const pending = this.requestMap.get(msg.properties.correlationId);
+            if (pending) {
+                clearTimeout(pending.timeoutId);
+                this.requestMap.delete(msg.properties.correlationId);
+                pending.resolve({ string: () => content });
+            }
+        }).catch(error => {
+            this.replySubscription = null;
+            throw error;
+        });
+
+        await this.replySubscription;
+    }
+
+    /**
+     * Fail the request of a message returned by the broker because no queue could take it
+     * @param {Object} msg - The returned message
+     */
+    processReturnedMessage(msg) {
+        const correlationId = msg.properties.correlationId;
+        const pending = this.requestMap.get(correlationId);
+        if (pending) {
+            clearTimeout(pending.timeoutId);
+            this.requestMap.delete(correlationId);
+            const error = new Error(`No queue ${msg.fields.routingKey}`);
+            error.name = 'NoRoute';
+            pending.reject(error);
+        }
+    }
+
     /**
      * Send a request and wait for a response
-     * Implements request-response pattern using RabbitMQ and temp reply queues
-     * @param {string} exchange - The exchange to use
-     * @param {string} routingKey - The routing key (usually the service name)
+     * The request is sent to the work queue of the target, the reply comes through direct reply-to
+     * @param {string} target - The target queue (namespace.name or namespace.name.instanceId)
      * @param {string} message - The message to send
      * @param {Object} options - Request options
-     * @returns {Promise<any>} - The response
+     * @param {number} options.timeout - The request timeout
+     * @returns {Promise<any>} - The response, exposing string()
      */
-    async request(exchange, routingKey, message, options = {}) {
+    async request(target, message, options = {}) {
         if (!this.connected || !this.channel) {
             throw new TransportError(
                 'Cannot send request: not connected to RabbitMQ',
                 this.transportType
             );
         }
-        
-        const correlationId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+
+        const correlationId = randomUUID();
         const timeout = options.timeout || TIMEOUT_TASK_REQUEST;
-        
+
         try {
-            // Create a temporary exclusive queue for the response
-            // const { queue: replyQueue } = await this.channel.assertQueue('', {
-            //     exclusive: true,
-            //     autoDelete: true
-            // });
-            const replyQueue = `reply_${correlationId}`;
-            
-            // Create a promise that will be resolved when the response is received
-            const responsePromise = new Promise((resolve, reject) => {
-                // Set a timeout
+            await this.ensureReplySubscription();
+
+            return await new Promise((resolve, reject) => {
                 const timeoutId = setTimeout(() => {
-                    this.unsubscribe(replyQueue).catch(() => {});
                     this.requestMap.delete(correlationId);
-                    reject(new TimeoutError(`Request to ${routingKey} timed out after ${timeout}ms`));
+                    reject(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`, `request to ${target}`, timeout));
                 }, timeout);
-                
-                // Store the resolver and timeout
-                this.requestMap.set(correlationId, {
-                    resolve,
-                    reject,
-                    timeoutId
+                this.requestMap.set(correlationId, { resolve, reject, timeoutId });
+
+                // Requests still queued after their deadline are dropped by the consumers
+                this.channel.sendToQueue(target, Buffer.from(message), {
+                    correlationId,
+                    replyTo: REPLY_QUEUE,
+                    persistent: true,
+                    mandatory: true,
+                    headers: { [DEADLINE_HEADER]: Date.now() + timeout }
                 });
-                
-                // Set up handler for the reply
-                const messageHandler = (content, msg) => {
-                    const requestData = this.requestMap.get(correlationId);
-                    if (requestData && msg.properties.correlationId === correlationId) {
-                        clearTimeout(requestData.timeoutId);
-                        this.requestMap.delete(correlationId);
-                        this.unsubscribe(replyQueue).catch(() => {});
-                        resolve({ string: () => content });
-                        return true; // Handled the message
-                    }
-                    return false; // Not handled
-                };
-                
-                // Subscribe to the reply queue
-                this.subscribe(replyQueue, null, null, { 
-                    queue: { exclusive: true, autoDelete: true },
-                    messageHandler
-                }).catch(reject);
-                
-                // Publish the request
-                const content = Buffer.from(message);
-                // this.channel.publish(exchange, routingKey, content, {
-                //     persistent: true,
-                //     correlationId,
-                //     replyTo: replyQueue,
-                //     expiration: timeout.toString()
-                // });
             });
-            
-            // Wait for the response
-            return await responsePromise;
         } catch (error) {
-            // Clean up
-            const requestData = this.requestMap.get(correlationId);
-            if (requestData) {
-                clearTimeout(requestData.timeoutId);
-                this.requestMap.delete(correlationId);
-            }
-            
             throw new TransportError(
-                `Request to ${routingKey} failed: ${error.message}`,
+                `Request to ${target} failed: ${error.message}`,
                 this.transportType,
-                { exchange, routingKey }
+                { target, errorName: error.name }
             );
         }
     }
-    
+
     /**
      * Set up discovery subscription
+     * An exclusive queue of this instance is bound to the exchange with the accepted networks as patterns
      * @param {string} discoveryExchange - The exchange for discovery messages
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
@@ -396,11 +374,10 @@ export class RabbitMQTransport extends Transport {
      * @returns {Promise<void>}
      */
     async setupDiscoverySubscription(discoveryExchange, namespace, agentName, discoveredAgents, acceptedNetworks) {
-        const discoveryQueue = `discovery_${namespace}_${agentName}`;
-        
+        const nonAcceptedNetworks = {};
+
         try {
-            // Process discovery message handler
-            const messageHandler = async (content, msg) => {
+            const messageHandler = (content) => {
                 try {
                     // Parse and validate the discovery message
                     let discoveryMessage;
@@ -410,108 +387,27 @@ export class RabbitMQTransport extends Transport {
                         logger.warn('Invalid discovery message format', { error: parseError.message });
                         return;
                     }
-                    
-                    const network = discoveryMessage.network;
-                    const networkNamespace = network.split(".")[0];
-                    const networkName = network.split(".")[1];
-                    
-                    // Skip self
-                    if (network === `${namespace}.${agentName}`) {
-                        return;
-                    }
-                    
-                    // Check if network is accepted
-                    let isAccepted = false;
-                    for (const acceptedNetwork of acceptedNetworks) {
-                        const acceptedNetworkNamespace = acceptedNetwork.split(".")[0];
-                        const acceptedNetworkName = acceptedNetwork.split(".")[1];
-                        
-                        if (
-                            (acceptedNetworkNamespace === '*' || acceptedNetworkNamespace === networkNamespace) &&
-                            (acceptedNetworkName === '*' || acceptedNetworkName === networkName)
-                        ) {
-                            isAccepted = true;
-                            break;
-                        }
-                    }
-                    
-                    if (!isAccepted) {
-                        logger.warn(`Agent ${agentName} does not accept network ${network}`);
-                        return;
-                    }
-                    
-                    // Process the schemas from the discovery message
-                    for (const schema of discoveryMessage.schemas) {
-                        // Skip invalid schemas
-                        if (!schema || !schema.name) {
-                            logger.warn('Invalid schema in discovery payload', { schema });
-                            continue;
-                        }
-                        
-                        const agentKey = `${network}-${schema.name}`;
-                        
-                        if (discoveryMessage.agentName !== agentName && !discoveredAgents[agentKey]) {
-                            logger.info(`${agentName} discovered agent capability: ${discoveryMessage.agentName} with capability ${schema.name}`);
-                            
-                            const handoffFunction = async (conversation, state, input) => {
-                                try {
-                                    // Use withTimeout to ensure handoffs don't hang
-                                    return await withTimeout(
-                                        async () => {
-                                            try {
-                                                const message = new Message({ 
-                                                    session: state,
-                                                    content: input
-                                                });
-                                                // Exchange is set to direct for point-to-point communication
-                                                const req = await this.request(
-                                                    'direct', 
-                                                    discoveryMessage.agentName, 
-                                                    message.serialize(), 
-                                                    { timeout: TIMEOUT_TASK_REQUEST }
-                                                );
-                                                return req.string();
-                                            } catch (error) {
-                                                throw new HandoffError(
-                                                    `Handoff to agent ${discoveryMessage.agentName} failed: ${error.message}`,
-                                                    agentName,
-                                                    discoveryMessage.agentName,
-                                                    { schemaName: schema.name }
-                                                );
-                                            }
-                                        },
-                                        TIMEOUT_TASK_REQUEST,
-                                        `handoff to ${discoveryMessage.agentName}`
-                                    );
-                                } catch (error) {
-                                    logger.error(`Handoff error to ${discoveryMessage.agentName}`, {
-                                        error,
-                                        schema: schema.name
-                                    });
-                                    throw error;
-                                }
-                            };
-                            
-                            discoveredAgents[agentKey] = {
-                                name: schema.name, 
-                                schema: schema, 
-                                function: handoffFunction
-                            };
-                        }
-                    }
+
+                    this.processDiscoveryMessage(discoveryMessage, {
+                        namespace,
+                        agentName,
+                        discoveredAgents,
+                        acceptedNetworks,
+                        nonAcceptedNetworks
+                    });
                 } catch (error) {
                     logger.error('Error processing discovery message', { error });
                 }
             };
-            
-            // Subscribe to discovery queue with binding to the exchange
-            await this.subscribe(
-                discoveryQueue, 
-                discoveryExchange, 
-                '#', // Listen to all routing keys
-                { messageHandler }
-            );
-            
+
+            await this.ensureExchange(discoveryExchange, 'topic');
+            const { queue } = await this.ensureQueue('', { durable: false, exclusive: true, autoDelete: true });
+            // Accepted networks use the topic exchange wildcards: smartchat.* or *.*
+            for (const acceptedNetwork of acceptedNetworks) {
+                await this.bindQueue(queue, discoveryExchange, acceptedNetwork);
+            }
+            await this.subscribe(queue, { noAck: true }, messageHandler);
+
             logger.info(`Agent ${agentName} subscribed to discovery exchange ${discoveryExchange}`);
         } catch (error) {
             throw new DiscoveryError(
@@ -521,80 +417,43 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Set up task handler for processing incoming requests
-     * @param {string} agentName - The agent name (used as the routing key)
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
      * @param {Function} processingFunction - The function to process requests
+     * @param {Object} options - Task options
+     * @param {number} options.prefetch - Tasks processed at the same time
+     * @param {number} options.maxDeliveries - Deliveries of a failing task before it is dead-lettered
      * @returns {Promise<void>}
      */
-    async setupTaskHandler(agentName, processingFunction) {
-        const taskQueue = `tasks_${agentName}`;
-        
+    async setupTaskHandler(namespace, agentName, processingFunction, options = {}) {
+        const { prefetch = DEFAULT_PREFETCH, maxDeliveries = DEFAULT_MAX_DELIVERIES } = options;
+        const taskQueue = `${namespace}.${agentName}`;
+        const instanceQueue = `${taskQueue}.${this.instanceId}`;
+        const deadLetterQueue = `${taskQueue}.dead-letter`;
+
         try {
-            // Process task message handler
-            const messageHandler = async (content, msg) => {
-                try {
-                    // Parse and validate the payload
-                    const payload = JSON.parse(content);
-                    if (!payload || typeof payload !== 'object') {
-                        throw new Error('Invalid payload: not a JSON object');
-                    }
-                    
-                    // Process the message using the Message class
-                    const message = new Message(payload);
-                    
-                    // Process the task with timeout
-                    const response = await withTimeout(
-                        async () => processingFunction(message),
-                        TIMEOUT_TASK_REQUEST * 2,
-                        `task processing for ${agentName}`
-                    );
-                    
-                    // Send response back if reply information is available
-                    if (msg.properties.replyTo && msg.properties.correlationId) {
-                        const replyContent = Buffer.from(response.serialize());
-                        // await this.channel.sendToQueue(
-                        //     msg.properties.replyTo,
-                        //     replyContent,
-                        //     { correlationId: msg.properties.correlationId }
-                        // );
-                    }
-                } catch (error) {
-                    logger.error("Error processing task", {
-                        error,
-                        agentName,
-                        queue: taskQueue
-                    });
-                    
-                    // Send error response back if reply information is available
-                    if (msg.properties.replyTo && msg.properties.correlationId) {
-                        const errorContent = Buffer.from(JSON.stringify({
-                            error: true,
-                            message: error.message,
-                            type: error.name || 'Error'
-                        }));
-                        // await this.channel.sendToQueue(
-                        //     msg.properties.replyTo,
-                        //     errorContent,
-                        //     { correlationId: msg.properties.correlationId }
-                        // );
-                    }
-                }
+            // Failing tasks are rejected to the dead-letter exchange, which routes them by agent
+            await this.ensureExchange(DEAD_LETTER_EXCHANGE, 'direct');
+            await this.ensureQueue(deadLetterQueue);
+            await this.bindQueue(deadLetterQueue, DEAD_LETTER_EXCHANGE, taskQueue);
+
+            const deadLettering = { deadLetterExchange: DEAD_LETTER_EXCHANGE, deadLetterRoutingKey: taskQueue };
+            await this.ensureQueue(taskQueue, deadLettering);
+            await this.ensureQueue(instanceQueue, { ...deadLettering, durable: false, exclusive: true, autoDelete: true });
+
+            await this.channel.prefetch(prefetch);
+            this.taskQueues = [taskQueue, instanceQueue];
+            const handler = (queue) => (content, msg) => {
+                this.trackTask(this.processTask(queue, msg, agentName, processingFunction, maxDeliveries));
             };
-            
-            // Set up direct exchange for the agent
-            await this.ensureExchange('direct', 'direct');
-            
-            // Subscribe to the task queue with binding to the direct exchange
-            await this.subscribe(
-                taskQueue, 
-                'direct', 
-                agentName, 
-                { messageHandler }
-            );
-            
-            logger.info(`Agent ${agentName} subscribed for task handling`);
+            await this.subscribe(taskQueue, {}, handler(taskQueue));
+            await this.subscribe(instanceQueue, {}, handler(instanceQueue));
+            this.setupQueueDepth(taskQueue);
+
+            logger.info(`Agent ${agentName} consuming tasks from ${taskQueue} and ${instanceQueue}`);
         } catch (error) {
             throw new TransportError(
                 `Failed to set up task handler for ${agentName}: ${error.message}`,
@@ -603,18 +462,147 @@ export class RabbitMQTransport extends Transport {
             );
         }
     }
-    
+
+    /**
+     * Stop consuming tasks, the tasks being processed are completed and acknowledged
+     * @returns {Promise<void>}
+     */
+    async stopConsuming() {
+        await Promise.all(this.taskQueues.map(queue => this.unsubscribe(queue)));
+    }
+
+    /**
+     * Refresh the depth of the shared work queue on a timer
+     * The checks use their own channel: RabbitMQ closes the channel of a failed check,
+     * which must not be the channel consuming the tasks.
+     * @param {string} taskQueue - The shared work queue
+     */
+    setupQueueDepth(taskQueue) {
+        const refresh = async () => {
+            if (!this.connection) {
+                return;
+            }
+            try {
+                if (!this.depthChannel) {
+                    const channel = await this.connection.createChannel();
+                    // Failed checks are logged below
+                    channel.on('error', () => {});
+                    channel.on('close', () => {
+                        if (this.depthChannel === channel) {
+                            this.depthChannel = null;
+                        }
+                    });
+                    this.depthChannel = channel;
+                }
+                const { messageCount } = await this.depthChannel.checkQueue(taskQueue);
+                this.lastQueueDepth = messageCount;
+            } catch (error) {
+                logger.warn(`Failed to check the depth of the work queue ${taskQueue}`, { error: error.message });
+            }
+        };
+        this.intervals.push(setInterval(refresh, QUEUE_DEPTH_INTERVAL));
+    }
+
+    /**
+     * Number of tasks waiting in the shared work queue, as last observed
+     * @returns {number} - The queue depth
+     */
+    queueDepth() {
+        return this.lastQueueDepth;
+    }
+
+    /**
+     * Process a task and send the result or an error to the reply queue
+     * A failing task is put back in its queue until it has been delivered maxDeliveries times,
+     * it is then dead-lettered and the error is sent to the requester.
+     * @param {string} queue - The queue the task was consumed from
+     * @param {Object} msg - The task message
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @param {number} maxDeliveries - Deliveries before the task is dead-lettered
+     * @returns {Promise<void>}
+     */
+    async processTask(queue, msg, agentName, processingFunction, maxDeliveries) {
+        const { correlationId, replyTo } = msg.properties;
+        const headers = msg.properties.headers || {};
+        const attempts = Number(headers[ATTEMPTS_HEADER]) || 1;
+
+        const reply = (body) => {
+            if (replyTo && correlationId) {
+                this.channel.sendToQueue(replyTo, Buffer.from(body), { correlationId });
+            }
+        };
+
+        if (headers[DEADLINE_HEADER] && Date.now() > Number(headers[DEADLINE_HEADER])) {
+            logger.warn(`Dropping expired task request for ${agentName}`, { correlationId });
+            this.channel.ack(msg);
+            return;
+        }
+
+        try {
+            const payload = JSON.parse(msg.content.toString());
+            if (!payload || typeof payload !== 'object') {
+                throw new Error('Invalid payload: not a JSON object');
+            }
+            if (payload.stream === true) {
+                throw new TransportError('Streaming requests are not supported over RabbitMQ', this.transportType, { agentName });
+            }
+            const message = new Message(payload);
+
+            // Process the task with timeout
+            const response = await withTimeout(
+                async () => processingFunction(message),
+                TIMEOUT_TASK_REQUEST * 2,
+                `task processing for ${agentName}`
+            );
+
+            reply(this.claimSession(response, message).serialize());
+            this.channel.ack(msg);
+            this.recordTaskOutcome(true);
+
+            logger.debug(`Completed task request for ${agentName}`);
+        } catch (error) {
+            this.recordTaskOutcome(false);
+
+            // Malformed and unsupported requests fail the same way every time
+            const retryable = !(error instanceof SyntaxError || error instanceof TransportError);
+            if (retryable && attempts < maxDeliveries) {
+                logger.warn(`Task for ${agentName} failed, retrying`, { error: error.message, attempts, maxDeliveries });
+                this.channel.sendToQueue(queue, msg.content, {
+                    ...msg.properties,
+                    headers: { ...headers, [ATTEMPTS_HEADER]: attempts + 1 }
+                });
+                this.channel.ack(msg);
+                return;
+            }
+
+            logger.error("Error processing task, dead-lettering it", { error, agentName, attempts });
+            this.channel.nack(msg, false, false);
+
+            // Send error response back
+            try {
+                reply(JSON.stringify({
+                    error: true,
+                    message: error.message,
+                    type: error.name || 'Error'
+                }));
+            } catch (replyError) {
+                logger.error("Failed to send error response", { error: replyError });
+            }
+        }
+    }
+
     /**
      * Creates a runtime for agent communication using RabbitMQ
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Array} discoverySchemas - The agent capability schemas for discovery
      * @param {Object} config - Additional configuration
-     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
      */
     async createRuntime(namespace, agentName, discoverySchemas, config) {
         const discoveredAgents = {};
-        
+
         try {
             // Verify configuration
             if (!config || !config.bindings || !config.bindings.discoveryTopic) {
@@ -624,40 +612,34 @@ export class RabbitMQTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             const discoveryExchange = config.bindings.discoveryTopic;
             const acceptedNetworks = config.bindings.acceptedNetworks || [];
+            const discoveryTtl = config.bindings.discoveryTtlMs || DEFAULT_DISCOVERY_TTL;
+            const { prefetch, maxDeliveries } = config.bindings;
+            this.network = `${namespace}.${agentName}`;
+            this.configureRouting(config.bindings, TIMEOUT_TASK_REQUEST);
             logger.info(`Agent ${agentName} initialized with discovery exchange ${discoveryExchange}`);
-            
-            // Set up exchanges
-            await this.ensureExchange(discoveryExchange, 'topic');
-            
-            // Step 1: Subscribe to discovery exchange
+
+            // Step 1: Subscribe to discovery exchange, forgetting agents that stop sending heartbeats
             await this.setupDiscoverySubscription(discoveryExchange, namespace, agentName, discoveredAgents, acceptedNetworks);
-            
-            // Step 2: Set up heartbeat using the exchange
-            // For RabbitMQ we use the setup heartbeat with exchange and agent as the routing key
-            this.intervals.push(setInterval(async () => {
-                try {
-                    const discoveryMessage = new DiscoveryMessage(namespace, agentName, discoverySchemas);
-                    await this.publish(discoveryExchange, agentName, discoveryMessage.serialize());
-                } catch (error) {
-                    logger.error(`Failed to publish heartbeat for ${agentName}`, {
-                        error,
-                        transportType: this.transportType
-                    });
-                }
-            }, HEARTBEAT_INTERVAL));
-            
+            this.setupDiscoveryExpiry(discoveredAgents, agentName, discoveryTtl);
+
+            // Step 2: Set up heartbeat, published with the agent network as routing key
+            this.setupHeartbeat(discoveryExchange, namespace, agentName, discoverySchemas, HEARTBEAT_INTERVAL);
+
             // Step 3: Create task handler function
             const handleTask = async (fn) => {
                 if (typeof fn !== 'function') {
                     throw new Error('Task handler must be a function');
                 }
-                await this.setupTaskHandler(agentName, fn);
+                await this.setupTaskHandler(namespace, agentName, fn, { prefetch, maxDeliveries });
             };
-            
-            return { handleTask, discoveredAgents };
+
+            // Step 4: Graceful shutdown
+            const stop = (options) => this.shutdown(discoveryExchange, namespace, agentName, options);
+
+            return { handleTask, discoveredAgents, stop };
         } catch (error) {
             // Enhance the error with context if it's not already a TransportError
             if (!(error instanceof TransportError)) {
@@ -667,7 +649,7 @@ export class RabbitMQTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             logger.error("RabbitMQ runtime initialization failed", { error, agentName });
             throw error;
         }
@@ -688,7 +670,7 @@ export function createRabbitMQTransport() {
  * @param {string} agentName - The agent name
  * @param {Array} ioInterfaces - The IO interfaces (only the first one is used)
  * @param {Array} discoverySchemas - The agent capability schemas for discovery
- * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
  */
 export async function RabbitMQIOAgentRuntime(namespace, agentName, ioInterfaces, discoverySchemas) {
     if (ioInterfaces.length > 1) {
@@ -698,20 +680,20 @@ export async function RabbitMQIOAgentRuntime(namespace, agentName, ioInterfaces,
             { agentName, interfacesCount: ioInterfaces.length }
         );
     }
-    
+
     if (ioInterfaces.length === 0) {
         logger.warn(`No RabbitMQ interfaces provided for agent ${agentName}, creating passive runtime`);
-        return { handleTask: async () => {}, discoveredAgents: {} };
+        return { handleTask: async () => {}, discoveredAgents: {}, stop: async () => {} };
     }
-    
+
     const io = ioInterfaces[0];
     const transport = createRabbitMQTransport();
-    
+
     try {
         // Connect to RabbitMQ with retry logic
         logger.info(`Connecting to RabbitMQ for agent ${agentName}`);
-        await safeConnect(transport, io.config);
-        
+        await safeConnect(transport, { instance: io.instance });
+
         // Create runtime with the transport
         return await transport.createRuntime(namespace, agentName, discoverySchemas, io.config);
     } catch (error) {
@@ -719,4 +701,4 @@ export async function RabbitMQIOAgentRuntime(namespace, agentName, ioInterfaces,
         await transport.disconnect();
         throw error;
     }
-} 
\ No newline at end of file
+}
@@ -1,20 +1,29 @@
 /**
  * Redis Transport implementation
+ *
+ * Discovery heartbeats are published on a pub/sub channel. Tasks are pushed on lists:
+ * `agentnet:tasks:namespace.name`, shared by the instances of an agent, and
+ * `agentnet:tasks:namespace.name.instanceId` for the tasks routed to one instance.
+ * Replies are published on the pub/sub reply channel of the requesting instance,
+ * tagged with the correlation id of the request.
  */
-import { Transport, DiscoveryMessage, safeConnect } from './base.js';
+import { randomUUID } from 'crypto';
+import { Transport, DiscoveryMessage, safeConnect, DEFAULT_DISCOVERY_TTL } from './base.js';
 import { Message } from '../index.js';
 import { logger } from '../utils/logger.js';
-import { 
-  TransportError, 
-  DiscoveryError, 
-  HandoffError, 
+import {
+  TransportError,
+  DiscoveryError,
   TimeoutError,
   withTimeout
 } from '../errors/index.js';
 
 // Constants
-const HEARTBEAT_INTERVAL = 1000;
-const TIMEOUT_TASK_REQUEST = 60000;
+const HEARTBEAT_INTERVAL = process.env.AGENTNET_REDIS_HEARTBEAT_INTERVAL || 1000;
+const TIMEOUT_TASK_REQUEST = process.env.AGENTNET_REDIS_TIMEOUT_TASK_REQUEST || 120000;
+const KEY_PREFIX = process.env.AGENTNET_REDIS_KEY_PREFIX || 'agentnet:';
+// Seconds a consumer blocks waiting for a task, also the delay to notice a stop
+const TASK_POLL_TIMEOUT = 1;
 
 /**
  * Redis implementation of the Transport interface
@@ -23,40 +32,59 @@ export class RedisTransport extends Transport {
     constructor() {
         super('Redis');
         this.client = null;
-        this.pubClient = null;
         this.subClient = null;
-        this.subscriptions = new Map(); // Map of subscription patterns to handlers
-        this.requestMap = new Map(); // For request-response pattern
+        this.taskClient = null;
+        this.subscriptions = new Map(); // Map of channels to handlers
+        this.requestMap = new Map(); // Pending requests by correlation id
+        this.replyChannel = `${KEY_PREFIX}replies:${this.instanceId}`;
+        this.replySubscription = null;
+        this.consuming = null;
+        this.lastQueueDepth = 0;
     }
-    
+
+    /**
+     * Key of the task list of an agent or agent instance
+     * @param {string} target - The target (namespace.name or namespace.name.instanceId)
+     * @returns {string} - The list key
+     */
+    taskQueue(target) {
+        return `${KEY_PREFIX}tasks:${target}`;
+    }
+
+    /**
+     * Whether a target is a single agent instance (namespace.name.instanceId)
+     * @param {string} target - The target
+     * @returns {boolean}
+     */
+    isInstanceTarget(target) {
+        return target.split('.').length > 2;
+    }
+
     /**
      * Connect to Redis
-     * @param {Object} config - Redis connection configuration
+     * The command client is shared through the RedisIO binding, subscriptions use a dedicated connection
+     * @param {Object} config - Redis connection configuration { instance }
      * @returns {Promise<any>} - The Redis connection client
      */
     async connect(config) {
         if (this.connected && this.client) {
             return this.client;
         }
-        
+
         try {
-            // Implementation will depend on the Redis client library used
-            // For example, with ioredis:
-            // this.client = new Redis(config);
-            // this.pubClient = new Redis(config);
-            // this.subClient = new Redis(config);
-            
-            // Set up subscription handling
-            // this.subClient.on('message', (channel, message) => {
-            //     const handler = this.subscriptions.get(channel);
-            //     if (handler) {
-            //         handler(channel, message);
-            //     }
-            // });
-            
+            this.instance = config.instance;
+            this.client = await config.instance.connect();
+            this.subClient = this.client.duplicate();
+            this.subClient.on('error', (error) => logger.error('Redis subscriber error', { error: error.message }));
+            await this.subClient.connect();
+
             this.connected = true;
             return this.client;
         } catch (error) {
+            if (this.client) {
+                await this.instance.release?.();
+                this.client = null;
+            }
             throw new TransportError(
                 `Failed to connect to Redis: ${error.message}`,
                 this.transportType,
@@ -64,28 +92,36 @@ export class RedisTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Disconnect from Redis
      * @returns {Promise<void>}
      */
     async disconnect() {
         await super.disconnect();
-        
+
+        this.stopConsumer = true;
+        for (const [correlationId, pending] of this.requestMap) {
+            clearTimeout(pending.timeoutId);
+            pending.reject(new TransportError('Redis transport disconnected', this.transportType, { correlationId }));
+        }
+        this.requestMap.clear();
+
         try {
-            if (this.client) await this.client.quit();
-            if (this.pubClient) await this.pubClient.quit();
-            if (this.subClient) await this.subClient.quit();
-            
-            this.client = null;
-            this.pubClient = null;
-            this.subClient = null;
-            this.subscriptions.clear();
+            if (this.subClient?.isOpen) await this.subClient.close();
+            if (this.taskClient?.isOpen) this.taskClient.destroy();
+            if (this.client) await this.instance?.release?.();
         } catch (error) {
             logger.warn('Error disconnecting from Redis', { error });
         }
+
+        this.client = null;
+        this.subClient = null;
+        this.taskClient = null;
+        this.replySubscription = null;
+        this.subscriptions.clear();
     }
-    
+
     /**
      * Publish a message to a Redis channel
      * @param {string} channel - The channel to publish to
@@ -93,15 +129,15 @@ export class RedisTransport extends Transport {
      * @returns {Promise<void>}
      */
     async publish(channel, message) {
-        if (!this.connected || !this.pubClient) {
+        if (!this.connected || !this.client) {
             throw new TransportError(
                 'Cannot publish: not connected to Redis',
                 this.transportType
             );
         }
-        
+
         try {
-            // await this.pubClient.publish(channel, message);
+            await this.client.publish(channel, message);
         } catch (error) {
             throw new TransportError(
                 `Failed to publish to channel ${channel}: ${error.message}`,
@@ -110,11 +146,12 @@ export class RedisTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Subscribe to a Redis channel
      * @param {string} channel - The channel to subscribe to
      * @param {Object} options - Subscription options
+     * @param {Function} handler - Called with (channel, message) for every message
      * @returns {Promise<string>} - The subscription identifier
      */
     async subscribe(channel, options = {}, handler = null) {
@@ -124,16 +161,23 @@ export class RedisTransport extends Transport {
                 this.transportType
             );
         }
-        
+
         try {
-            // await this.subClient.subscribe(channel);
-            
+            const listener = (message) => {
+                const channelHandler = this.subscriptions.get(channel);
+                if (channelHandler) {
+                    channelHandler(channel, message);
+                }
+            };
+
             if (handler) {
                 this.subscriptions.set(channel, handler);
             }
-            
+            await this.subClient.subscribe(channel, listener);
+
             return channel; // Return the channel as the subscription ID
         } catch (error) {
+            this.subscriptions.delete(channel);
             throw new TransportError(
                 `Failed to subscribe to channel ${channel}: ${error.message}`,
                 this.transportType,
@@ -141,7 +185,7 @@ export class RedisTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Unsubscribe from a Redis channel
      * @param {string} channel - The channel to unsubscribe from
@@ -151,97 +195,105 @@ export class RedisTransport extends Transport {
         if (!this.connected || !this.subClient) {
             return; // Already disconnected
         }
-        
+
         try {
-            // await this.subClient.unsubscribe(channel);
+            await this.subClient.unsubscribe(channel);
             this.subscriptions.delete(channel);
         } catch (error) {
             logger.warn(`Error unsubscribing from channel ${channel}`, { error });
         }
     }
-    
+
+    /**
+     * Subscribe once to the reply channel of this instance
+     * @returns {Promise<void>}
+     */
+    async ensureReplySubscription() {
+        this.replySubscription ||= this.subscribe(this.replyChannel, {}, (channel, data) => {
+            let reply;
+            try {
+                reply = JSON.parse(data);
+            } catch (error) {
+                logger.warn('Invalid reply format', { error: error.message, channel });
+                return;
+            }
+
+            const pending = this.requestMap.get(reply.correlationId);
+            if (pending) {
+                clearTimeout(pending.timeoutId);
+                this.requestMap.delete(reply.correlationId);
+                pending.resolve({ string: () => reply.data });
+            }
+        }).catch(error => {
+            this.replySubscription = null;
+            throw error;
+        });
+
+        await this.replySubscription;
+    }
+
     /**
      * Send a request and wait for a response
-     * Implements request-response pattern using Redis PubSub and unique reply channels
-     * @param {string} target - The target channel
+     * The request is pushed on the task list of the target, the reply arrives on the reply channel
+     * @param {string} target - The target (namespace.name or namespace.name.instanceId)
      * @param {string} message - The message to send
      * @param {Object} options - Request options
-     * @returns {Promise<any>} - The response
+     * @param {number} options.timeout - The request timeout
+     * @returns {Promise<any>} - The response, exposing string()
      */
     async request(target, message, options = {}) {
-        if (!this.connected || !this.pubClient || !this.subClient) {
+        if (!this.connected || !this.client || !this.subClient) {
             throw new TransportError(
                 'Cannot send request: not connected to Redis',
                 this.transportType
             );
         }
-        
-        const correlationId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-        const replyChannel = `${target}_reply_${correlationId}`;
+
+        const correlationId = randomUUID();
         const timeout = options.timeout || TIMEOUT_TASK_REQUEST;
-        
+        const queue = this.taskQueue(target);
+
         try {
-            // Create a promise that will be resolved when the response is received
-            const responsePromise = new Promise((resolve, reject) => {
-                // Set a timeout
+            await this.ensureReplySubscription();
+
+            return await new Promise((resolve, reject) => {
                 const timeoutId = setTimeout(() => {
-                    this.unsubscribe(replyChannel).catch(() => {});
                     this.requestMap.delete(correlationId);
-                    reject(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`));
+                    reject(new TimeoutError(`Request to ${target} timed out after ${timeout}ms`, `request to ${target}`, timeout));
                 }, timeout);
-                
-                // Store the resolver and timeout
-                this.requestMap.set(correlationId, {
-                    resolve,
-                    reject,
-                    timeoutId
-                });
-                
-                // Set up a handler for the reply
-                const replyHandler = (channel, reply) => {
-                    const requestData = this.requestMap.get(correlationId);
-                    if (requestData) {
-                        clearTimeout(requestData.timeoutId);
-                        this.requestMap.delete(correlationId);
-                        this.unsubscribe(replyChannel).catch(() => {});
-                        resolve({ string: () => reply });
-                    }
-                };
-                
-                // Subscribe to the reply channel
-                this.subscribe(replyChannel, {}, replyHandler).catch(reject);
-                
-                // Send the request as JSON with correlation ID and reply channel
-                const requestData = JSON.stringify({
+                this.requestMap.set(correlationId, { resolve, reject, timeoutId });
+
+                // Requests left in the list after their deadline are dropped by the consumers.
+                // Only the lists of single instances expire, when the instance is gone: the shared
+                // list of an agent keeps the TTL it has, a short request must not cut the longer ones
+                const request = JSON.stringify({
                     data: message,
                     metadata: {
                         correlationId,
-                        replyChannel
+                        replyChannel: this.replyChannel,
+                        deadline: Date.now() + timeout
                     }
                 });
-                
-                this.publish(target, requestData).catch(reject);
+                const push = this.client.multi().lPush(queue, request);
+                if (this.isInstanceTarget(target)) {
+                    push.pExpire(queue, timeout);
+                }
+                push.exec()
+                    .catch(error => {
+                        clearTimeout(timeoutId);
+                        this.requestMap.delete(correlationId);
+                        reject(error);
+                    });
             });
-            
-            // Wait for the response
-            return await responsePromise;
         } catch (error) {
-            // Clean up
-            this.unsubscribe(replyChannel).catch(() => {});
-            const requestData = this.requestMap.get(correlationId);
-            if (requestData) {
-                clearTimeout(requestData.timeoutId);
-                this.requestMap.delete(correlationId);
-            }
-            
             throw new TransportError(
                 `Request to ${target} failed: ${error.message}`,
                 this.transportType,
-                { target }
+                { target, errorName: error.name }
             );
         }
     }
-    
+
     /**
      * Set up discovery subscription
      * @param {string} discoveryChannel - The channel for discovery messages
@@ -252,9 +304,10 @@ export class RedisTransport extends Transport {
      * @returns {Promise<void>}
      */
     async setupDiscoverySubscription(discoveryChannel, namespace, agentName, discoveredAgents, acceptedNetworks) {
+        const nonAcceptedNetworks = {};
+
         try {
-            // Process discovery message handler
-            const discoveryHandler = async (channel, message) => {
+            const discoveryHandler = (channel, message) => {
                 try {
                     // Parse and validate the discovery message
                     let discoveryMessage;
@@ -264,98 +317,19 @@ export class RedisTransport extends Transport {
                         logger.warn('Invalid discovery message format', { error: parseError.message });
                         return;
                     }
-                    
-                    const network = discoveryMessage.network;
-                    const networkNamespace = network.split(".")[0];
-                    const networkName = network.split(".")[1];
-                    
-                    // Skip self
-                    if (network === `${namespace}.${agentName}`) {
-                        return;
-                    }
-                    
-                    // Check if network is accepted
-                    let isAccepted = false;
-                    for (const acceptedNetwork of acceptedNetworks) {
-                        const acceptedNetworkNamespace = acceptedNetwork.split(".")[0];
-                        const acceptedNetworkName = acceptedNetwork.split(".")[1];
-                        
-                        if (
-                            (acceptedNetworkNamespace === '*' || acceptedNetworkNamespace === networkNamespace) &&
-                            (acceptedNetworkName === '*' || acceptedNetworkName === networkName)
-                        ) {
-                            isAccepted = true;
-                            break;
-                        }
-                    }
-                    
-                    if (!isAccepted) {
-                        logger.warn(`Agent ${agentName} does not accept network ${network}`);
-                        return;
-                    }
-                    
-                    // Process the schemas from the discovery message
-                    for (const schema of discoveryMessage.schemas) {
-                        // Skip invalid schemas
-                        if (!schema || !schema.name) {
-                            logger.warn('Invalid schema in discovery payload', { schema });
-                            continue;
-                        }
-                        
-                        const agentKey = `${network}-${schema.name}`;
-                        
-                        if (discoveryMessage.agentName !== agentName && !discoveredAgents[agentKey]) {
-                            logger.info(`${agentName} discovered agent capability: ${discoveryMessage.agentName} with capability ${schema.name}`);
-                            
-                            const handoffFunction = async (conversation, state, input) => {
-                                try {
-                                    // Use withTimeout to ensure handoffs don't hang
-                                    return await withTimeout(
-                                        async () => {
-                                            try {
-                                                const message = new Message({ 
-                                                    session: state,
-                                                    content: input
-                                                });
-                                                const req = await this.request(
-                                                    discoveryMessage.agentName, 
-                                                    message.serialize(), 
-                                                    { timeout: TIMEOUT_TASK_REQUEST }
-                                                );
-                                                return req.string();
-                                            } catch (error) {
-                                                throw new HandoffError(
-                                                    `Handoff to agent ${discoveryMessage.agentName} failed: ${error.message}`,
-                                                    agentName,
-                                                    discoveryMessage.agentName,
-                                                    { schemaName: schema.name }
-                                                );
-                                            }
-                                        },
-                                        TIMEOUT_TASK_REQUEST,
-                                        `handoff to ${discoveryMessage.agentName}`
-                                    );
-                                } catch (error) {
-                                    logger.error(`Handoff error to ${discoveryMessage.agentName}`, {
-                                        error,
-                                        schema: schema.name
-                                    });
-                                    throw error;
-                                }
-                            };
-                            
-                            discoveredAgents[agentKey] = {
-                                name: schema.name, 
-                                schema: schema, 
-                                function: handoffFunction
-                            };
-                        }
-                    }
+
+                    this.processDiscoveryMessage(discoveryMessage, {
+                        namespace,
+                        agentName,
+                        discoveredAgents,
+                        acceptedNetworks,
+                        nonAcceptedNetworks
+                    });
                 } catch (error) {
                     logger.error('Error processing discovery message', { error });
                 }
             };
-            
+
             // Subscribe to discovery channel
             await this.subscribe(discoveryChannel, {}, discoveryHandler);
             logger.info(`Agent ${agentName} subscribed to discovery channel ${discoveryChannel}`);
@@ -367,58 +341,25 @@ export class RedisTransport extends Transport {
             );
         }
     }
-    
+
     /**
      * Set up task handler for processing incoming requests
-     * @param {string} agentName - The agent name (used as the channel)
+     * Tasks routed to this instance are taken before the tasks shared by all instances.
+     * @param {string} namespace - The agent namespace
+     * @param {string} agentName - The agent name
      * @param {Function} processingFunction - The function to process requests
      * @returns {Promise<void>}
      */
-    async setupTaskHandler(agentName, processingFunction) {
+    async setupTaskHandler(namespace, agentName, processingFunction) {
+        const topic = `${namespace}.${agentName}`;
+        const queues = [this.taskQueue(`${topic}.${this.instanceId}`), this.taskQueue(topic)];
+
         try {
-            const taskHandler = async (channel, message) => {
-                try {
-                    // Parse the request message
-                    const request = JSON.parse(message);
-                    const payload = JSON.parse(request.data);
-                    const metadata = request.metadata || {};
-                    const replyChannel = metadata.replyChannel;
-                    
-                    // Process the message using the Message class
-                    const msg = new Message(payload);
-                    
-                    // Process the task with timeout
-                    const response = await withTimeout(
-                        async () => processingFunction(msg),
-                        TIMEOUT_TASK_REQUEST * 2,
-                        `task processing for ${agentName}`
-                    );
-                    
-                    // Send response back if reply channel is available
-                    if (replyChannel) {
-                        await this.publish(replyChannel, response.serialize());
-                    }
-                } catch (error) {
-                    logger.error("Error processing task", { error, agentName, channel });
-                    
-                    // Send error response back if reply channel is available
-                    const request = JSON.parse(message);
-                    const metadata = request.metadata || {};
-                    const replyChannel = metadata.replyChannel;
-                    
-                    if (replyChannel) {
-                        await this.publish(replyChannel, JSON.stringify({
-                            error: true,
-                            message: error.message,
-                            type: error.name || 'Error'
-                        }));
-                    }
-                }
-            };
-            
-            // Subscribe to the agent's channel for tasks
-            await this.subscribe(agentName, {}, taskHandler);
-            logger.info(`Agent ${agentName} subscribed for task handling`);
+            // Blocking pops need their own connection
+            this.taskClient = this.client.duplicate();
+            this.taskClient.on('error', (error) => logger.error('Redis task consumer error', { error: error.message }));
+            await this.taskClient.connect();
+            logger.info(`Agent ${agentName} consuming tasks from ${queues.join(', ')}`);
         } catch (error) {
             throw new TransportError(
                 `Failed to set up task handler for ${agentName}: ${error.message}`,
@@ -426,19 +367,136 @@ export class RedisTransport extends Transport {
                 { agentName }
             );
         }
+
+        // Resolves once connected, the tasks are then popped in the background
+        this.stopConsumer = false;
+        this.consuming = this.consumeTasks(queues, agentName, processingFunction)
+            .catch(error => logger.error(`Agent ${agentName} stopped handling tasks`, { error }));
     }
-    
+
+    /**
+     * Pop and process tasks one at a time until the consumer is stopped
+     * @param {Array} queues - The task lists, by priority
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>}
+     */
+    async consumeTasks(queues, agentName, processingFunction) {
+        while (!this.stopConsumer) {
+            let entry;
+            try {
+                entry = await this.taskClient.brPop(queues, TASK_POLL_TIMEOUT);
+            } catch (error) {
+                if (this.stopConsumer) {
+                    break;
+                }
+                logger.error("Task queue error", { error: error.message, agentName });
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                continue;
+            }
+
+            if (!entry) {
+                this.lastQueueDepth = 0;
+                continue;
+            }
+
+            this.client.lLen(queues[1])
+                .then(depth => { this.lastQueueDepth = depth; })
+                .catch(() => {});
+            await this.trackTask(this.processTask(entry.element, agentName, processingFunction));
+        }
+    }
+
+    /**
+     * Stop popping tasks, the task being processed is completed
+     * @returns {Promise<void>}
+     */
+    async stopConsuming() {
+        this.stopConsumer = true;
+        await this.consuming;
+    }
+
+    /**
+     * Number of tasks waiting in the shared task list, as last observed
+     * @returns {number} - The queue depth
+     */
+    queueDepth() {
+        return this.lastQueueDepth;
+    }
+
+    /**
+     * Process a task request and publish the result or an error on the reply channel
+     * @param {string} data - The raw task request
+     * @param {string} agentName - The agent name
+     * @param {Function} processingFunction - The function to process requests
+     * @returns {Promise<void>}
+     */
+    async processTask(data, agentName, processingFunction) {
+        let metadata = {};
+
+        const reply = async (body) => {
+            if (metadata.replyChannel) {
+                await this.publish(metadata.replyChannel, JSON.stringify({
+                    correlationId: metadata.correlationId,
+                    data: body
+                }));
+            }
+        };
+
+        try {
+            const request = JSON.parse(data);
+            metadata = request.metadata || {};
+
+            if (metadata.deadline && Date.now() > metadata.deadline) {
+                logger.warn(`Dropping expired task request for ${agentName}`, { correlationId: metadata.correlationId });
+                return;
+            }
+
+            const payload = JSON.parse(request.data);
+            if (payload.stream === true) {
+                throw new TransportError('Streaming requests are not supported over Redis', this.transportType, { agentName });
+            }
+            const message = new Message(payload);
+
+            // Process the task with timeout
+            const response = await withTimeout(
+                async () => processingFunction(message),
+                TIMEOUT_TASK_REQUEST * 2,
+                `task processing for ${agentName}`
+            );
+
+            await reply(this.claimSession(response, message).serialize());
+            this.recordTaskOutcome(true);
+
+            logger.debug(`Completed task request for ${agentName}`);
+        } catch (error) {
+            this.recordTaskOutcome(false);
+            logger.error("Error processing task", { error, agentName });
+
+            // Send error response back
+            try {
+                await reply(JSON.stringify({
+                    error: true,
+                    message: error.message,
+                    type: error.name || 'Error'
+                }));
+            } catch (replyError) {
+                logger.error("Failed to send error response", { error: replyError });
+            }
+        }
+    }
+
     /**
      * Creates a runtime for agent communication using Redis
      * @param {string} namespace - The agent namespace
      * @param {string} agentName - The agent name
      * @param {Array} discoverySchemas - The agent capability schemas for discovery
      * @param {Object} config - Additional configuration
-     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+     * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
      */
     async createRuntime(namespace, agentName, discoverySchemas, config) {
         const discoveredAgents = {};
-        
+
         try {
             // Verify configuration
             if (!config || !config.bindings || !config.bindings.discoveryTopic) {
@@ -448,26 +506,32 @@ export class RedisTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             const discoveryChannel = config.bindings.discoveryTopic;
             const acceptedNetworks = config.bindings.acceptedNetworks || [];
+            const discoveryTtl = config.bindings.discoveryTtlMs || DEFAULT_DISCOVERY_TTL;
+            this.configureRouting(config.bindings, TIMEOUT_TASK_REQUEST);
             logger.info(`Agent ${agentName} initialized with discovery channel ${discoveryChannel}`);
-            
-            // Step 1: Subscribe to discovery channel
+
+            // Step 1: Subscribe to discovery channel, forgetting agents that stop sending heartbeats
             await this.setupDiscoverySubscription(discoveryChannel, namespace, agentName, discoveredAgents, acceptedNetworks);
-            
+            this.setupDiscoveryExpiry(discoveredAgents, agentName, discoveryTtl);
+
             // Step 2: Set up heartbeat
             this.setupHeartbeat(discoveryChannel, namespace, agentName, discoverySchemas, HEARTBEAT_INTERVAL);
-            
+
             // Step 3: Create task handler function
             const handleTask = async (fn) => {
                 if (typeof fn !== 'function') {
                     throw new Error('Task handler must be a function');
                 }
-                await this.setupTaskHandler(agentName, fn);
+                await this.setupTaskHandler(namespace, agentName, fn);
             };
-            
-            return { handleTask, discoveredAgents };
+
+            // Step 4: Graceful shutdown
+            const stop = (options) => this.shutdown(discoveryChannel, namespace, agentName, options);
+
+            return { handleTask, discoveredAgents, stop };
         } catch (error) {
             // Enhance the error with context if it's not already a TransportError
             if (!(error instanceof TransportError)) {
@@ -477,7 +541,7 @@ export class RedisTransport extends Transport {
                     { agentName }
                 );
             }
-            
+
             logger.error("Redis runtime initialization failed", { error, agentName });
             throw error;
         }
@@ -498,7 +562,7 @@ export function createRedisTransport() {
  * @param {string} agentName - The agent name
  * @param {Array} ioInterfaces - The IO interfaces (only the first one is used)
  * @param {Array} discoverySchemas - The agent capability schemas for discovery
- * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents }
+ * @returns {Promise<Object>} - The runtime { handleTask, discoveredAgents, stop }
  */
 export async function RedisIOAgentRuntime(namespace, agentName, ioInterfaces, discoverySchemas) {
     if (ioInterfaces.length > 1) {
@@ -508,20 +572,20 @@ export async function RedisIOAgentRuntime(namespace, agentName, ioInterfaces, di
             { agentName, interfacesCount: ioInterfaces.length }
         );
     }
-    
+
     if (ioInterfaces.length === 0) {
         logger.warn(`No Redis interfaces provided for agent ${agentName}, creating passive runtime`);
-        return { handleTask: async () => {}, discoveredAgents: {} };
+        return { handleTask: async () => {}, discoveredAgents: {}, stop: async () => {} };
     }
-    
+
     const io = ioInterfaces[0];
     const transport = createRedisTransport();
-    
+
     try {
         // Connect to Redis with retry logic
         logger.info(`Connecting to Redis for agent ${agentName}`);
-        await safeConnect(transport, io.config);
-        
+        await safeConnect(transport, { instance: io.instance });
+
         // Create runtime with the transport
         return await transport.createRuntime(namespace, agentName, discoverySchemas, io.config);
     } catch (error) {
@@ -529,4 +593,4 @@ export async function RedisIOAgentRuntime(namespace, agentName, ioInterfaces, di
         await transport.disconnect();
         throw error;
     }
-} 
\ No newline at end of file
+}
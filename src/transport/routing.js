@@ -0,0 +1,172 @@
+/**
+ * Instance routing for handoffs
+ * Orders the discovered instances of an agent, the handoff tries them in turn and
+ * fails over to the next one when an instance is gone.
+ */
+import { ConfigurationError } from '../errors/index.js';
+
+/**
+ * Supported routing strategies
+ *   least-loaded     - the instance with the fewest in-flight and queued tasks first
+ *   round-robin      - instances in turn
+ *   sticky-session   - the same instance for a session id, least-loaded without session
+ */
+export const ROUTING_STRATEGIES = ['least-loaded', 'round-robin', 'sticky-session'];
+
+export const DEFAULT_ROUTING_STRATEGY = process.env.AGENTNET_ROUTING_STRATEGY || 'least-loaded';
+
+/**
+ * Instances at or above this error rate are only tried after the healthy ones
+ */
+export const UNHEALTHY_ERROR_RATE = Number(process.env.AGENTNET_UNHEALTHY_ERROR_RATE) || 0.5;
+
+/**
+ * Request errors of an instance that is gone: no responders (NATS, InProcess) and queues that no longer exist (RabbitMQ)
+ */
+const INSTANCE_GONE_ERRORS = ['NoResponders', 'NoRoute'];
+
+/**
+ * Whether a request failed because the instance is gone
+ * Timeouts are not: a slow instance may still be processing the request.
+ * @param {Error} error - The request error, raw or wrapped in a TransportError
+ * @returns {boolean}
+ */
+export function isInstanceGone(error) {
+    return Boolean(error?.isNoResponders?.()) || INSTANCE_GONE_ERRORS.includes(error?.details?.errorName);
+}
+
+/**
+ * Check a routing strategy name
+ * @param {string} strategy - The routing strategy
+ * @returns {string} - The routing strategy
+ * @throws {ConfigurationError} - If the strategy is not supported
+ */
+export function checkRoutingStrategy(strategy) {
+    if (!ROUTING_STRATEGIES.includes(strategy)) {
+        throw new ConfigurationError(`Unsupported routing strategy: ${strategy}`, {
+            strategy,
+            supportedStrategies: ROUTING_STRATEGIES
+        });
+    }
+    return strategy;
+}
+
+/**
+ * Order the instances of a discovered agent for a handoff
+ * @param {Array} instances - The instances { id, inFlight, queueDepth, errorRate }
+ * @param {Object} options - Routing options
+ * @param {string} options.strategy - The routing strategy
+ * @param {string} options.sessionId - The session id, for sticky-session
+ * @param {number} options.cursor - Handoffs routed so far, for round-robin
+ * @returns {Array} - The instances, in the order they should be tried
+ */
+export function orderInstances(instances, { strategy = DEFAULT_ROUTING_STRATEGY, sessionId = null, cursor = 0 } = {}) {
+    // Sort by id first, so that every agent sees the same order
+    let ordered = [...instances].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    if (strategy === 'round-robin' && ordered.length > 0) {
+        const start = cursor % ordered.length;
+        ordered = [...ordered.slice(start), ...ordered.slice(0, start)];
+    } else if (strategy === 'sticky-session' && sessionId) {
+        // Rendezvous hashing: a session keeps its instance while the others come and go
+        ordered.sort((a, b) => hash(`${sessionId}:${b.id}`) - hash(`${sessionId}:${a.id}`));
+    } else {
+        ordered.sort((a, b) => load(a) - load(b) || (a.errorRate || 0) - (b.errorRate || 0));
+    }
+
+    // Healthy instances first, keeping the strategy order
+    return [
+        ...ordered.filter(instance => !isUnhealthy(instance)),
+        ...ordered.filter(instance => isUnhealthy(instance))
+    ];
+}
+
+/**
+ * Tasks waiting on an instance
+ * @param {Object} instance - The instance
+ * @returns {number} - In-flight plus queued tasks
+ */
+function load(instance) {
+    return (instance.inFlight || 0) + (instance.queueDepth || 0);
+}
+
+/**
+ * @param {Object} instance - The instance
+ * @returns {boolean} - Whether the instance fails too many tasks
+ */
+function isUnhealthy(instance) {
+    return (instance.errorRate || 0) >= UNHEALTHY_ERROR_RATE;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - The string to hash
+ * @returns {number} - The unsigned hash
+ */
+function hash(value) {
+    let result = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        result ^= value.charCodeAt(i);
+        result = Math.imul(result, 0x01000193);
+    }
+    return result >>> 0;
+}
+
+/**
+ * Maximum number of sessions remembered by a SessionAffinities registry
+ */
+export const MAX_SESSION_AFFINITIES = Number(process.env.AGENTNET_MAX_SESSION_AFFINITIES) || 10000;
+
+/**
+ * Instances that claimed a session, per target agent
+ * An instance claims a session by returning its id in the first response it serves for it;
+ * the oldest claims are forgotten first once the registry is full.
+ */
+export class SessionAffinities {
+    /**
+     * @param {number} maxSize - Maximum number of remembered sessions
+     */
+    constructor(maxSize = MAX_SESSION_AFFINITIES) {
+        this.maxSize = maxSize;
+        this.claims = new Map();
+    }
+    
+    /**
+     * @param {string} target - The target agent (namespace.name)
+     * @param {string} sessionId - The session id
+     * @returns {string|null} - The instance that claimed the session
+     */
+    get(target, sessionId) {
+        if (!sessionId) {
+            return null;
+        }
+        return this.claims.get(`${target}:${sessionId}`) || null;
+    }
+    
+    /**
+     * Record the instance serving a session
+     * @param {string} target - The target agent (namespace.name)
+     * @param {string} sessionId - The session id
+     * @param {string} instanceId - The instance that claimed the session
+     */
+    claim(target, sessionId, instanceId) {
+        if (!sessionId || !instanceId) {
+            return;
+        }
+        const key = `${target}:${sessionId}`;
+        this.claims.delete(key);
+        this.claims.set(key, instanceId);
+        if (this.claims.size > this.maxSize) {
+            this.claims.delete(this.claims.keys().next().value);
+        }
+    }
+    
+    /**
+     * Forget the instance of a session, e.g. because it disappeared
+     * @param {string} target - The target agent (namespace.name)
+     * @param {string} sessionId - The session id
+     */
+    release(target, sessionId) {
+        this.claims.delete(`${target}:${sessionId}`);
+    }
+}
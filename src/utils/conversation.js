@@ -98,7 +98,8 @@ export class Conversation {
       if (options.detectTypes) {
         if (message.role === 'user') {
           // Check if it's a function response (from function result)
-          if (message.parts && message.parts[0] && message.parts[0].functionResponse) {
+          if ((message.parts && message.parts[0] && message.parts[0].functionResponse) ||
+              (Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result'))) {
             type = 'function_result';
           } else {
             type = 'user_input';
@@ -106,14 +107,16 @@ export class Conversation {
         } else if (message.role === 'model' || message.role === 'assistant') {
           // Check if it's a function call
           if ((message.parts && message.parts[0] && message.parts[0].functionCall) || 
-              message.type === 'function_call') {
+              message.type === 'function_call' ||
+              (Array.isArray(message.content) && message.content.some(block => block.type === 'tool_use')) ||
+              (Array.isArray(message.tool_calls) && message.tool_calls.length > 0)) {
             type = 'function_call';
           } else {
             type = 'model_response';
           }
         } else if (message.type === 'function_call') {
           type = 'function_call';
-        } else if (message.type === 'function_call_output') {
+        } else if (message.type === 'function_call_output' || message.role === 'tool') {
           type = 'function_result';
         }
       }
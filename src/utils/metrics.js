@@ -0,0 +1,147 @@
+import { Registry, Counter, Histogram, Gauge } from 'prom-client';
+
+/**
+ * Prometheus metrics
+ *
+ * Agents record their metrics in the agentnet registry with prom-client: queries, executor runs,
+ * model calls, tools, handoffs and discovery. The registry is exposed in the Prometheus text
+ * format by MetricsServer, or read with `metricsRegistry.metrics()` by an existing server.
+ */
+export const metricsRegistry = new Registry();
+
+const registers = [metricsRegistry];
+
+// Latencies of model calls and handoffs to agents, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Agents discovered by the running agents, read when the metrics are collected
+const discoverySources = new Set();
+
+export const metrics = {
+    queryDuration: new Histogram({
+        name: 'agentnet_query_duration_seconds',
+        help: 'Duration of the queries to an agent, its count is the number of queries',
+        labelNames: ['namespace', 'agent', 'outcome'],
+        buckets: LATENCY_BUCKETS,
+        registers
+    }),
+    queryErrors: new Counter({
+        name: 'agentnet_query_errors_total',
+        help: 'Failed queries to an agent, by error type',
+        labelNames: ['namespace', 'agent', 'type'],
+        registers
+    }),
+    executorRuns: new Histogram({
+        name: 'agentnet_executor_runs',
+        help: 'Executor runs (model turns) per query',
+        labelNames: ['agent'],
+        buckets: [1, 2, 3, 4, 5, 6, 8, 10, 15, 20],
+        registers
+    }),
+    executorMaxRuns: new Counter({
+        name: 'agentnet_executor_max_runs_total',
+        help: 'Queries stopped by the maximum number of executor runs',
+        labelNames: ['agent'],
+        registers
+    }),
+    llmDuration: new Histogram({
+        name: 'agentnet_llm_request_duration_seconds',
+        help: 'Duration of the model calls, one per attempt',
+        labelNames: ['agent', 'provider', 'model', 'outcome'],
+        buckets: LATENCY_BUCKETS,
+        registers
+    }),
+    llmRetries: new Counter({
+        name: 'agentnet_llm_retries_total',
+        help: 'Model calls retried after a timeout or a transport error',
+        labelNames: ['agent', 'provider', 'model'],
+        registers
+    }),
+    toolDuration: new Histogram({
+        name: 'agentnet_tool_duration_seconds',
+        help: 'Duration of the tool calls',
+        labelNames: ['agent', 'tool', 'outcome'],
+        buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+        registers
+    }),
+    toolErrors: new Counter({
+        name: 'agentnet_tool_errors_total',
+        help: 'Failed tool calls',
+        labelNames: ['agent', 'tool'],
+        registers
+    }),
+    handoffDuration: new Histogram({
+        name: 'agentnet_handoff_duration_seconds',
+        help: 'Duration of the handoffs, by target network',
+        labelNames: ['agent', 'target', 'outcome'],
+        buckets: LATENCY_BUCKETS,
+        registers
+    }),
+    discoveredAgents: new Gauge({
+        name: 'agentnet_discovered_agents',
+        help: 'Agent capabilities discovered by an agent',
+        labelNames: ['namespace', 'agent'],
+        registers,
+        collect() {
+            this.reset();
+            for (const { namespace, agentName, list } of discoverySources) {
+                this.set({ namespace, agent: agentName }, list().length);
+            }
+        }
+    }),
+    heartbeatLag: new Gauge({
+        name: 'agentnet_discovery_heartbeat_lag_seconds',
+        help: 'Time since the last heartbeat of the least recently seen instance of a discovered network',
+        labelNames: ['namespace', 'agent', 'network'],
+        registers,
+        collect() {
+            this.reset();
+            const now = Date.now();
+            for (const { namespace, agentName, list } of discoverySources) {
+                const lags = {};
+                for (const discovered of list()) {
+                    for (const instance of Object.values(discovered.instances || {})) {
+                        lags[discovered.network] = Math.max(lags[discovered.network] || 0, (now - instance.lastSeen) / 1000);
+                    }
+                }
+                for (const [network, lag] of Object.entries(lags)) {
+                    this.set({ namespace, agent: agentName, network }, lag);
+                }
+            }
+        }
+    })
+};
+
+/**
+ * Time an async function with a histogram, labelled with its outcome ('success' or 'error')
+ * @param {Histogram} histogram - The histogram
+ * @param {Object} labels - The labels
+ * @param {Function} fn - The function
+ * @param {Function} onError - Called with the error, e.g. to count it
+ * @returns {Promise<any>} - The function result
+ */
+export async function timed(histogram, labels, fn, onError = null) {
+    const end = histogram.startTimer(labels);
+    try {
+        const result = await fn();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'error' });
+        onError?.(error);
+        throw error;
+    }
+}
+
+/**
+ * Report the agents discovered by an agent in the discovery gauges
+ * @param {string} namespace - The agent namespace
+ * @param {string} agentName - The agent name
+ * @param {Function} list - Returns the discovered agent entries { network, instances }
+ * @returns {Function} - Stops reporting, when the agent stops
+ */
+export function watchDiscovery(namespace, agentName, list) {
+    const source = { namespace, agentName, list };
+    discoverySources.add(source);
+    return () => discoverySources.delete(source);
+}
@@ -0,0 +1,145 @@
+import { trace, context, propagation, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * OpenTelemetry tracing
+ *
+ * Spans are created with the OpenTelemetry API: without a registered SDK they are no-ops, with
+ * one (e.g. @opentelemetry/sdk-node) queries, executor runs, model calls, tools and handoffs are
+ * exported. The trace context travels between agents in the Message envelope (W3C traceparent
+ * and tracestate, injected with the registered propagator).
+ */
+const tracer = trace.getTracer('agentnet');
+
+export { SpanKind };
+
+/**
+ * Mark a span as failed
+ * @param {Span} span - The span
+ * @param {Error} error - The error
+ */
+export function failSpan(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Run a function in a new active span, ended when the function settles
+ * @param {string} name - The span name
+ * @param {Object} options - Span options { kind, attributes }
+ * @param {Function} fn - The function, called with the span
+ * @param {Context} parent - The parent context, the active one by default
+ * @returns {Promise<any>} - The function result
+ */
+export function withSpan(name, options, fn, parent = context.active()) {
+    return tracer.startActiveSpan(name, options, parent, async (span) => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            failSpan(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Start a span that is ended by the caller, e.g. around a stream
+ * @param {string} name - The span name
+ * @param {Object} options - Span options { kind, attributes }
+ * @param {Context} parent - The parent context, the active one by default
+ * @returns {Object} - { span, context } with the context of the span
+ */
+export function startSpan(name, options, parent = context.active()) {
+    const span = tracer.startSpan(name, options, parent);
+    return { span, context: trace.setSpan(parent, span) };
+}
+
+/**
+ * Run a function in a context
+ * @param {Context} ctx - The context
+ * @param {Function} fn - The function
+ * @returns {*} - The function result
+ */
+export function runInContext(ctx, fn) {
+    return context.with(ctx, fn);
+}
+
+/**
+ * Iterate an async iterable in a context
+ * Generators resume in the context of the caller of next(), so each step is run in the context
+ * for the spans started by the generator to have the right parent.
+ * @param {Context} ctx - The context
+ * @param {AsyncIterable} iterable - The iterable
+ * @returns {AsyncGenerator} - The same values
+ */
+export async function* iterateInContext(ctx, iterable) {
+    const iterator = context.with(ctx, () => iterable[Symbol.asyncIterator]());
+    let done = false;
+    try {
+        while (true) {
+            const step = await context.with(ctx, () => iterator.next());
+            if (step.done) {
+                done = true;
+                return step.value;
+            }
+            yield step.value;
+        }
+    } finally {
+        if (!done) {
+            await context.with(ctx, () => iterator.return?.());
+        }
+    }
+}
+
+/**
+ * The trace context of the active span, to send in a Message
+ * @returns {Object|null} - { traceparent, tracestate }, null when there is nothing to propagate
+ */
+export function injectTraceContext() {
+    const carrier = {};
+    propagation.inject(context.active(), carrier);
+    return carrier.traceparent ? carrier : null;
+}
+
+/**
+ * The context continuing the trace of a received Message
+ * @param {Object|null} carrier - The trace context of the message { traceparent, tracestate }
+ * @returns {Context} - The context, the active one when the message carries no trace context
+ */
+export function extractTraceContext(carrier) {
+    if (!carrier?.traceparent) {
+        return context.active();
+    }
+    return propagation.extract(context.active(), carrier);
+}
+
+/**
+ * The trace context of HTTP request headers, for the Messages built by the gateways
+ * @param {Object} headers - The request headers
+ * @returns {Object|null} - { traceparent, tracestate }, null without a traceparent header
+ */
+export function traceContextOf(headers = {}) {
+    if (typeof headers.traceparent !== 'string') {
+        return null;
+    }
+    return {
+        traceparent: headers.traceparent,
+        ...(typeof headers.tracestate === 'string' ? { tracestate: headers.tracestate } : {})
+    };
+}
+
+/**
+ * Set the token usage of a model call on its span, with the GenAI semantic convention attributes
+ * @param {Span} span - The span
+ * @param {Object|null} usage - { inputTokens, outputTokens }
+ */
+export function setUsageAttributes(span, usage) {
+    if (!usage) {
+        return;
+    }
+    span.setAttributes({
+        'gen_ai.usage.input_tokens': usage.inputTokens,
+        'gen_ai.usage.output_tokens': usage.outputTokens
+    });
+}
@@ -1,3 +1,4 @@
+import { isIPv4, isIPv6 } from 'net';
 import { ValidationError } from '../errors/index.js';
 import { logger } from './logger.js';
 
@@ -19,7 +20,7 @@ export function validateRequired(value, name, context = '') {
 /**
  * Validates that a value is of a specific type
  * @param {any} value - Value to check
- * @param {string} expectedType - Expected type ('string', 'number', 'boolean', 'object', 'function', 'array')
+ * @param {string|Array<string>} expectedType - Expected type ('string', 'number', 'integer', 'boolean', 'object', 'function', 'array', 'null'), or a list of types
  * @param {string} name - Name of the value for error messages
  * @param {string} context - Context for logging
  * @throws {ValidationError} If validation fails
@@ -29,23 +30,14 @@ export function validateType(value, expectedType, name, context = '') {
         return; // Skip type validation for null/undefined
     }
     
-    let valid = false;
-    
-    if (expectedType === 'array') {
-        valid = Array.isArray(value);
-    } else if (expectedType === 'object' && Array.isArray(value)) {
-        valid = false; // Arrays are not objects for this validation
-    } else {
-        valid = typeof value === expectedType;
-    }
-    
-    if (!valid) {
-        const actualType = Array.isArray(value) ? 'array' : typeof value;
-        const errorMsg = `${name} must be of type ${expectedType}, got ${actualType}`;
+    if (!matchesType(value, expectedType)) {
+        const actualType = typeOf(value);
+        const expected = [].concat(expectedType).join(' | ');
+        const errorMsg = `${name} must be of type ${expected}, got ${actualType}`;
         logger.error(errorMsg, { context, value: String(value).substring(0, 100) });
         throw new ValidationError(errorMsg, [{ 
             field: name, 
-            message: `Expected ${expectedType}, got ${actualType}`,
+            message: `Expected ${expected}, got ${actualType}`,
             actual: actualType,
             expected: expectedType
         }]);
@@ -86,146 +78,562 @@ export function validatePattern(value, pattern, name, context = '') {
 }
 
 /**
- * Validates an object against a schema
- * @param {Object} obj - Object to validate
- * @param {Object} schema - Validation schema with field definitions
+ * Validates a value against a JSON Schema
+ *
+ * Supports a practical subset of JSON Schema draft 2020-12:
+ *   - type (string or list, including 'integer' and 'null'), const, enum
+ *   - strings: minLength, maxLength, pattern, format (date, date-time, time, email, uri, uuid, ipv4, ipv6, hostname, regex)
+ *   - numbers: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ *   - objects: properties, required, additionalProperties, patternProperties, propertyNames,
+ *     minProperties, maxProperties, dependentRequired
+ *   - arrays: items, prefixItems, minItems, maxItems, uniqueItems, contains
+ *   - allOf, anyOf, oneOf, not, if/then/else
+ *   - $ref to the schema root or its $defs/definitions
+ * Unknown keywords and formats are ignored. For compatibility with OpenAPI and Gemini schemas
+ * type names are case insensitive and `nullable: true` accepts null.
+ * A null value for an optional property is treated as if the property was absent.
+ *
+ * Errors carry the path of the failing value in `field` (e.g. `guests[0].email`), the failing
+ * `keyword` and a `message`.
+ * @param {any} obj - Value to validate
+ * @param {Object} schema - JSON Schema
  * @param {string} context - Context for logging
+ * @returns {boolean} True if the value is valid
  * @throws {ValidationError} If validation fails
  */
 export function validateObject(obj, schema, context = '') {
-    validateType(obj, 'object', 'object', context);
     validateType(schema, 'object', 'schema', context);
     
+    const errors = collectSchemaErrors(obj, schema, '', schema);
+    
+    // If errors were found, throw ValidationError
+    if (errors.length > 0) {
+        const errorMsg = `Validation failed for ${context || 'object'}: ${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`;
+        logger.error(errorMsg, { errors });
+        throw new ValidationError(errorMsg, errors);
+    }
+    
+    return true;
+}
+
+/**
+ * Checks a value against one or more type names
+ * @param {any} value - Value to check
+ * @param {string|Array<string>} type - Type name or list of type names
+ * @returns {boolean} Whether the value has one of the types
+ */
+function matchesType(value, type) {
+    if (Array.isArray(type)) {
+        return type.some(item => matchesType(value, item));
+    }
+    
+    switch (String(type).toLowerCase()) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            // Arrays are not objects for this validation
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        default:
+            return typeof value === String(type).toLowerCase();
+    }
+}
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks whether a schema accepts null
+ * @param {Object} schema - Property schema
+ * @returns {boolean} Whether null is an accepted value
+ */
+function allowsNull(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return schema === true;
+    }
+    return schema.nullable === true ||
+        (schema.type !== undefined && matchesType(null, schema.type)) ||
+        (Array.isArray(schema.enum) && schema.enum.includes(null)) ||
+        ('const' in schema && schema.const === null);
+}
+
+/**
+ * Serializes a value with sorted object keys, to compare values structurally
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+/**
+ * Structural equality used by const, enum and uniqueItems
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function deepEqual(a, b) {
+    return a === b || canonicalJson(a) === canonicalJson(b);
+}
+
+/**
+ * Checks that a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} Whether the date is valid
+ */
+function isDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Checks an RFC 3339 time, with an optional offset
+ * @param {string} value - Time string
+ * @param {boolean} offsetRequired - Whether the offset is mandatory
+ * @returns {boolean} Whether the time is valid
+ */
+function isTime(value, offsetRequired = false) {
+    const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))?$/.exec(value);
+    if (!match || (offsetRequired && !match[5])) {
+        return false;
+    }
+    const [hours, minutes, seconds] = match.slice(1, 4).map(Number);
+    return hours < 24 && minutes < 60 && seconds <= 60 &&
+        (match[6] === undefined || (Number(match[6]) < 24 && Number(match[7]) < 60));
+}
+
+/**
+ * Validators for the `format` keyword
+ */
+const FORMATS = {
+    'date': isDate,
+    'date-time': value => {
+        const [date, time] = value.split(/[Tt ]/);
+        return time !== undefined && isDate(date) && isTime(time, true);
+    },
+    'time': value => isTime(value),
+    'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'uri': value => {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+            return false;
+        }
+        try {
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+    'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    'ipv4': value => isIPv4(value),
+    'ipv6': value => isIPv6(value),
+    'hostname': value => value.length <= 253 &&
+        /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+    'regex': value => {
+        try {
+            new RegExp(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+/**
+ * Resolves a local $ref ('#', '#/$defs/name', '#/definitions/name' or any JSON pointer)
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object|undefined} Referenced schema, undefined if it can't be resolved
+ */
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        return undefined;
+    }
+    
+    const pointer = ref.slice(1);
+    if (pointer === '') {
+        return root;
+    }
+    if (!pointer.startsWith('/')) {
+        return undefined;
+    }
+    
+    let target = root;
+    for (const token of pointer.slice(1).split('/')) {
+        const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (target === null || typeof target !== 'object' || !(key in target)) {
+            return undefined;
+        }
+        target = target[key];
+    }
+    return target;
+}
+
+/**
+ * Joins a property name to a path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Builds a schema error entry
+ * @param {string} path - Path of the failing value
+ * @param {string} keyword - Failing keyword
+ * @param {string} message - Error message
+ * @param {Object} details - Extra details
+ * @returns {Object} Error entry
+ */
+function schemaError(path, keyword, message, details = {}) {
+    return { field: path || '(root)', keyword, message, ...details };
+}
+
+/**
+ * Collects the errors of a value against a schema
+ * @param {any} value - Value to validate
+ * @param {Object|boolean} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema, for $ref resolution
+ * @returns {Array<Object>} Error entries, empty if the value is valid
+ */
+function collectSchemaErrors(value, schema, path, root) {
+    const errors = [];
+    
+    if (schema === true || schema === undefined || schema === null) {
+        return errors;
+    }
+    if (schema === false) {
+        errors.push(schemaError(path, 'false', 'Value is not allowed'));
+        return errors;
+    }
+    // Legacy shorthand: items: 'string'
+    if (typeof schema === 'string') {
+        schema = { type: schema };
+    }
+    
+    if (schema.$ref !== undefined) {
+        const target = resolveRef(schema.$ref, root);
+        if (target === undefined) {
+            errors.push(schemaError(path, '$ref', `Cannot resolve schema reference ${schema.$ref}`, { ref: schema.$ref }));
+        } else {
+            errors.push(...collectSchemaErrors(value, target, path, root));
+        }
+    }
+    
+    // Keywords for other types don't apply to a value of the wrong type
+    if (schema.type !== undefined && !(value === null && schema.nullable === true) &&
+        !matchesType(value, schema.type)) {
+        const actualType = typeOf(value);
+        const expected = [].concat(schema.type).map(type => String(type).toLowerCase()).join(' | ');
+        errors.push(schemaError(path, 'type', `Expected ${expected}, got ${actualType}`, {
+            actual: actualType,
+            expected: schema.type
+        }));
+        return errors;
+    }
+    
+    if ('const' in schema && !deepEqual(value, schema.const)) {
+        errors.push(schemaError(path, 'const', `Value must be ${JSON.stringify(schema.const)}`, {
+            expected: schema.const,
+            actual: value
+        }));
+    }
+    
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(value, option))) {
+        errors.push(schemaError(path, 'enum', `Value must be one of: ${schema.enum.join(', ')}`, {
+            enum: schema.enum,
+            actual: value
+        }));
+    }
+    
+    if (typeof value === 'string') {
+        errors.push(...collectStringErrors(value, schema, path));
+    } else if (typeof value === 'number') {
+        errors.push(...collectNumberErrors(value, schema, path));
+    } else if (Array.isArray(value)) {
+        errors.push(...collectArrayErrors(value, schema, path, root));
+    } else if (value !== null && typeof value === 'object') {
+        errors.push(...collectPropertyErrors(value, schema, path, root));
+    }
+    
+    errors.push(...collectCombinatorErrors(value, schema, path, root));
+    
+    return errors;
+}
+
+/**
+ * Collects the errors of the string keywords
+ * @param {string} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @returns {Array<Object>} Error entries
+ */
+function collectStringErrors(value, schema, path) {
+    const errors = [];
+    // Length in code points, as defined by JSON Schema
+    const length = [...value].length;
+    
+    if (schema.minLength !== undefined && length < schema.minLength) {
+        errors.push(schemaError(path, 'minLength', `Must be at least ${schema.minLength} characters long`, { limit: schema.minLength, actual: length }));
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+        errors.push(schemaError(path, 'maxLength', `Must be at most ${schema.maxLength} characters long`, { limit: schema.maxLength, actual: length }));
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push(schemaError(path, 'pattern', 'Value does not match required pattern', { pattern: String(schema.pattern) }));
+    }
+    if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        errors.push(schemaError(path, 'format', `Value is not a valid ${schema.format}`, { format: schema.format, actual: value }));
+    }
+    
+    return errors;
+}
+
+/**
+ * Collects the errors of the numeric keywords
+ * @param {number} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @returns {Array<Object>} Error entries
+ */
+function collectNumberErrors(value, schema, path) {
+    const errors = [];
+    
+    // Draft 4 used boolean exclusiveMinimum/exclusiveMaximum modifiers
+    const exclusiveMinimum = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+    const exclusiveMaximum = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+    
+    if (typeof schema.minimum === 'number' && schema.exclusiveMinimum !== true && value < schema.minimum) {
+        errors.push(schemaError(path, 'minimum', `Must be >= ${schema.minimum}`, { limit: schema.minimum, actual: value }));
+    }
+    if (typeof schema.maximum === 'number' && schema.exclusiveMaximum !== true && value > schema.maximum) {
+        errors.push(schemaError(path, 'maximum', `Must be <= ${schema.maximum}`, { limit: schema.maximum, actual: value }));
+    }
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) {
+        errors.push(schemaError(path, 'exclusiveMinimum', `Must be > ${exclusiveMinimum}`, { limit: exclusiveMinimum, actual: value }));
+    }
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) {
+        errors.push(schemaError(path, 'exclusiveMaximum', `Must be < ${exclusiveMaximum}`, { limit: exclusiveMaximum, actual: value }));
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const quotient = value / schema.multipleOf;
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+            errors.push(schemaError(path, 'multipleOf', `Must be a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf, actual: value }));
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Collects the errors of the array keywords
+ * @param {Array} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @returns {Array<Object>} Error entries
+ */
+function collectArrayErrors(value, schema, path, root) {
     const errors = [];
     
+    // Draft 7 tuples used an items array, 2020-12 uses prefixItems
+    const prefixItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : []);
+    const items = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    
+    value.forEach((item, index) => {
+        const itemSchema = index < prefixItems.length ? prefixItems[index] : items;
+        if (itemSchema !== undefined) {
+            errors.push(...collectSchemaErrors(item, itemSchema, `${path}[${index}]`, root));
+        }
+    });
+    
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(schemaError(path, 'minItems', `Must contain at least ${schema.minItems} items`, { limit: schema.minItems, actual: value.length }));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(schemaError(path, 'maxItems', `Must contain at most ${schema.maxItems} items`, { limit: schema.maxItems, actual: value.length }));
+    }
+    
+    if (schema.uniqueItems === true) {
+        const seen = new Map();
+        value.forEach((item, index) => {
+            const key = canonicalJson(item);
+            if (seen.has(key)) {
+                errors.push(schemaError(`${path}[${index}]`, 'uniqueItems', `Duplicate of item ${seen.get(key)}`, { duplicateOf: seen.get(key) }));
+            } else {
+                seen.set(key, index);
+            }
+        });
+    }
+    
+    if (schema.contains !== undefined) {
+        const matches = value.filter((item, index) =>
+            collectSchemaErrors(item, schema.contains, `${path}[${index}]`, root).length === 0).length;
+        const minContains = schema.minContains ?? 1;
+        if (matches < minContains) {
+            errors.push(schemaError(path, 'contains', `Must contain at least ${minContains} matching items`, { limit: minContains, actual: matches }));
+        }
+        if (schema.maxContains !== undefined && matches > schema.maxContains) {
+            errors.push(schemaError(path, 'maxContains', `Must contain at most ${schema.maxContains} matching items`, { limit: schema.maxContains, actual: matches }));
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Collects the errors of the object keywords
+ * @param {Object} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @returns {Array<Object>} Error entries
+ */
+function collectPropertyErrors(value, schema, path, root) {
+    const errors = [];
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    
+    const isMissing = (field) => value[field] === undefined ||
+        (value[field] === null && !allowsNull(properties[field]));
+    
     // Check required fields
-    if (schema.required && Array.isArray(schema.required)) {
+    if (Array.isArray(schema.required)) {
         for (const field of schema.required) {
-            if (obj[field] === undefined || obj[field] === null) {
-                errors.push({ 
-                    field, 
-                    message: 'Required field is missing'
-                });
+            if (isMissing(field)) {
+                errors.push(schemaError(joinPath(path, field), 'required', 'Required field is missing'));
             }
         }
     }
     
-    // Check field types and constraints
-    if (schema.properties && typeof schema.properties === 'object') {
-        for (const [field, fieldSchema] of Object.entries(schema.properties)) {
-            // Skip if field is not present and not required
-            if ((obj[field] === undefined || obj[field] === null) && 
-                (!schema.required || !schema.required.includes(field))) {
-                continue;
+    // Check field types and constraints, skipping absent and null optional fields
+    for (const [field, fieldSchema] of Object.entries(properties)) {
+        if (!isMissing(field)) {
+            errors.push(...collectSchemaErrors(value[field], fieldSchema, joinPath(path, field), root));
+        }
+    }
+    
+    const patterns = Object.entries(schema.patternProperties || {})
+        .map(([pattern, patternSchema]) => [new RegExp(pattern), patternSchema]);
+    
+    for (const key of Object.keys(value)) {
+        let matched = Object.prototype.hasOwnProperty.call(properties, key);
+        
+        for (const [pattern, patternSchema] of patterns) {
+            if (pattern.test(key)) {
+                matched = true;
+                errors.push(...collectSchemaErrors(value[key], patternSchema, joinPath(path, key), root));
+            }
+        }
+        
+        if (!matched && schema.additionalProperties !== undefined) {
+            if (schema.additionalProperties === false) {
+                errors.push(schemaError(joinPath(path, key), 'additionalProperties', 'Additional property is not allowed'));
+            } else {
+                errors.push(...collectSchemaErrors(value[key], schema.additionalProperties, joinPath(path, key), root));
             }
-            
-            // Validate field if present
-            if (obj[field] !== undefined && obj[field] !== null) {
-                // Check type
-                if (fieldSchema.type) {
-                    try {
-                        validateType(obj[field], fieldSchema.type, field, context);
-                    } catch (error) {
-                        if (error instanceof ValidationError) {
-                            errors.push(...error.errors);
-                        } else {
-                            errors.push({ field, message: error.message });
-                        }
-                    }
-                }
-                
-                // Check pattern for strings
-                if (fieldSchema.type === 'string' && fieldSchema.pattern) {
-                    try {
-                        validatePattern(obj[field], new RegExp(fieldSchema.pattern), field, context);
-                    } catch (error) {
-                        if (error instanceof ValidationError) {
-                            errors.push(...error.errors);
-                        } else {
-                            errors.push({ field, message: error.message });
-                        }
-                    }
-                }
-                
-                // Check enum values
-                if (fieldSchema.enum && Array.isArray(fieldSchema.enum) && 
-                    !fieldSchema.enum.includes(obj[field])) {
-                    errors.push({ 
-                        field, 
-                        message: `Value must be one of: ${fieldSchema.enum.join(', ')}`,
-                        enum: fieldSchema.enum,
-                        actual: obj[field]
-                    });
-                }
-                
-                // Check nested objects recursively
-                if (fieldSchema.type === 'object' && fieldSchema.properties && 
-                    typeof obj[field] === 'object' && obj[field] !== null) {
-                    try {
-                        validateObject(obj[field], fieldSchema, `${context}.${field}`);
-                    } catch (error) {
-                        if (error instanceof ValidationError) {
-                            // Add parent field to nested errors
-                            const nestedErrors = error.errors.map(err => ({
-                                ...err,
-                                field: `${field}.${err.field}`
-                            }));
-                            errors.push(...nestedErrors);
-                        } else {
-                            errors.push({ field, message: error.message });
-                        }
-                    }
-                }
-                
-                // Check array items
-                if (fieldSchema.type === 'array' && fieldSchema.items && 
-                    Array.isArray(obj[field])) {
-                    for (let i = 0; i < obj[field].length; i++) {
-                        const item = obj[field][i];
-                        
-                        // Validate item type
-                        if (typeof fieldSchema.items === 'string') {
-                            try {
-                                validateType(item, fieldSchema.items, `${field}[${i}]`, context);
-                            } catch (error) {
-                                if (error instanceof ValidationError) {
-                                    errors.push(...error.errors);
-                                } else {
-                                    errors.push({ field: `${field}[${i}]`, message: error.message });
-                                }
-                            }
-                        } 
-                        // Validate item against schema
-                        else if (typeof fieldSchema.items === 'object') {
-                            try {
-                                validateObject(item, fieldSchema.items, `${context}.${field}[${i}]`);
-                            } catch (error) {
-                                if (error instanceof ValidationError) {
-                                    // Add parent field to nested errors
-                                    const nestedErrors = error.errors.map(err => ({
-                                        ...err,
-                                        field: `${field}[${i}].${err.field}`
-                                    }));
-                                    errors.push(...nestedErrors);
-                                } else {
-                                    errors.push({ field: `${field}[${i}]`, message: error.message });
-                                }
-                            }
-                        }
-                    }
-                }
+        }
+        
+        if (schema.propertyNames !== undefined) {
+            for (const error of collectSchemaErrors(key, schema.propertyNames, joinPath(path, key), root)) {
+                errors.push({ ...error, keyword: 'propertyNames', message: `Invalid property name: ${error.message}` });
             }
         }
     }
     
-    // If errors were found, throw ValidationError
-    if (errors.length > 0) {
-        const errorMsg = `Validation failed for ${context || 'object'}: ${errors.map(e => e.message).join(', ')}`;
-        logger.error(errorMsg, { errors });
-        throw new ValidationError(errorMsg, errors);
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+        errors.push(schemaError(path, 'minProperties', `Must have at least ${schema.minProperties} properties`, { limit: schema.minProperties, actual: count }));
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+        errors.push(schemaError(path, 'maxProperties', `Must have at most ${schema.maxProperties} properties`, { limit: schema.maxProperties, actual: count }));
     }
     
-    return true;
+    for (const [field, dependencies] of Object.entries(schema.dependentRequired || {})) {
+        if (value[field] === undefined) {
+            continue;
+        }
+        for (const dependency of dependencies) {
+            if (value[dependency] === undefined) {
+                errors.push(schemaError(joinPath(path, dependency), 'dependentRequired', `Required when ${field} is present`));
+            }
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Collects the errors of allOf, anyOf, oneOf, not and if/then/else
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @returns {Array<Object>} Error entries
+ */
+function collectCombinatorErrors(value, schema, path, root) {
+    const errors = [];
+    
+    if (Array.isArray(schema.allOf)) {
+        for (const subschema of schema.allOf) {
+            errors.push(...collectSchemaErrors(value, subschema, path, root));
+        }
+    }
+    
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (!Array.isArray(schema[keyword])) {
+            continue;
+        }
+        
+        const branches = schema[keyword].map(subschema => collectSchemaErrors(value, subschema, path, root));
+        const matches = branches.filter(branch => branch.length === 0).length;
+        
+        if (matches === 0) {
+            // Report the errors of the closest branch to keep the feedback actionable
+            const closest = branches.reduce((best, branch) => branch.length < best.length ? branch : best);
+            errors.push(schemaError(path, keyword, `Value does not match any of the allowed schemas`, { errors: closest }));
+        } else if (keyword === 'oneOf' && matches > 1) {
+            errors.push(schemaError(path, keyword, `Value matches ${matches} schemas, exactly one is allowed`, { matches }));
+        }
+    }
+    
+    if (schema.not !== undefined && collectSchemaErrors(value, schema.not, path, root).length === 0) {
+        errors.push(schemaError(path, 'not', 'Value must not match the schema in not'));
+    }
+    
+    if (schema.if !== undefined) {
+        const branch = collectSchemaErrors(value, schema.if, path, root).length === 0 ? schema.then : schema.else;
+        if (branch !== undefined) {
+            errors.push(...collectSchemaErrors(value, branch, path, root));
+        }
+    }
+    
+    return errors;
 }
 
 /**